@@ -0,0 +1,229 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║             活動分類 - Activity Classification                   ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 以最近一段時間 (預設 2 秒) 的加速度與陀螺儀資料判斷使用者目前的動作，
+// 讓追蹤器只在「走路 / 樓梯」時採用偵測到的步伐，搖晃或甩動手機不會讓位置前進。
+//
+// 特徵 (每 250ms 重新計算一次):
+// - 加速度大小的標準差: 太小 → 靜止；過大 → 搖晃
+// - 自相關: 找出 150–1000ms 之間最明顯的週期；週期短於 300ms (超過 3.3 Hz) 視為搖晃，
+//   300–1000ms 且相關係數夠高視為有規律的步伐
+// - 姿態穩定度: 低通重力方向在視窗內的角度分散，以及陀螺儀的平均角速度；
+//   手機大幅轉動 (甩動、把玩) 時不計步
+// - 樓梯: 走路且樓層偵測器回報持續上升 / 下降 (setStairsHint)
+// - 攜帶方式 (setCarryMode，見 carry_mode.js): 放口袋或拿在手上甩動時手機本來就會隨腿 / 手臂轉動，
+//   放寬姿態穩定度的限制 (此時原地甩動手機與邊走邊甩無法區分)
+//
+// 新狀態需連續出現一段時間 (minStateDuration) 才會切換，避免在邊界來回跳動。
+// 不依賴 DOM / Three.js。
+
+export const ACTIVITY_STATES = {
+    // countsSteps: true 採用步伐 / false 忽略 / null 暫緩 (確認走路後才補上這段期間的步伐)
+    unknown:  { label: '判斷中',   countsSteps: null },
+    standing: { label: '靜止',     countsSteps: null },  // 剛起步時視窗內大多還是靜止的資料
+    walking:  { label: '走路',     countsSteps: true },
+    stairs:   { label: '樓梯',     countsSteps: true },
+    shaking:  { label: '搖晃手機', countsSteps: false }
+};
+
+// 各攜帶方式的姿態穩定度限制 (未列出者使用預設值)
+const CARRY_MODE_LIMITS = {
+    pocket:   { tiltSpread: 45, rotationRate: 250 },
+    swinging: { tiltSpread: 80, rotationRate: 500 }
+};
+
+export class ActivityClassifier {
+    constructor(options = {}) {
+        this.windowDuration = options.windowDuration ?? 2000;        // 分析視窗 (ms)
+        this.evaluateInterval = options.evaluateInterval ?? 250;     // 重新分類的間隔 (ms)
+        this.minStateDuration = options.minStateDuration ?? 500;     // 新狀態需持續的時間 (ms)
+        this.standingStdDev = options.standingStdDev ?? 0.3;         // 低於此標準差視為靜止 (m/s²)
+        this.walkingStdDev = options.walkingStdDev ?? 0.4;           // 走路的最小標準差 (m/s²)
+        this.shakingStdDev = options.shakingStdDev ?? 6;             // 超過此標準差視為搖晃 (m/s²)
+        this.minStepPeriod = options.minStepPeriod ?? 300;           // 最短步伐週期 (ms)
+        this.maxStepPeriod = options.maxStepPeriod ?? 1000;          // 最長步伐週期 (ms)
+        this.minCorrelation = options.minCorrelation ?? 0.5;         // 視為週期性的自相關係數
+        this.maxTiltSpread = options.maxTiltSpread ?? 20;            // 走路時重力方向的最大分散 (度)
+        this.maxRotationRate = options.maxRotationRate ?? 120;       // 走路時的最大平均角速度 (度/秒)
+        this.gravityAlpha = options.gravityAlpha ?? 0.1;             // 重力方向低通係數
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];         // [{ t, m, gx, gy, gz, w }]
+        this.elapsedTime = 0;
+        this.lastEvaluation = -Infinity;
+        this.gravity = null;
+        this.stairsHint = false;
+        this.carryMode = null;
+
+        this.state = 'unknown';
+        this.candidate = null;     // { state, since }
+        this.features = null;      // 最近一次計算的特徵
+    }
+
+    // 樓層偵測器判斷正在爬 / 下樓梯時設為 true
+    setStairsHint(onStairs) {
+        this.stairsHint = onStairs;
+    }
+
+    setCarryMode(mode) {
+        this.carryMode = mode;
+    }
+
+    // accel: accelerationIncludingGravity，rotationRate: { alpha, beta, gamma } (度/秒，可為 null)
+    // 回傳目前的狀態
+    update(accel, rotationRate, dtMs) {
+        const dt = Math.max(0, dtMs || 0);
+        if (dt > 500) {
+            // 間隔異常 (例如分頁切回)：舊資料已不連續
+            this.samples = [];
+        }
+        this.elapsedTime += dt;
+
+        if (!this.gravity) {
+            this.gravity = { x: accel.x, y: accel.y, z: accel.z };
+        } else {
+            const k = this.gravityAlpha;
+            this.gravity.x = k * accel.x + (1 - k) * this.gravity.x;
+            this.gravity.y = k * accel.y + (1 - k) * this.gravity.y;
+            this.gravity.z = k * accel.z + (1 - k) * this.gravity.z;
+        }
+        const g = Math.hypot(this.gravity.x, this.gravity.y, this.gravity.z) || 1;
+
+        this.samples.push({
+            t: this.elapsedTime,
+            m: Math.hypot(accel.x, accel.y, accel.z),
+            gx: this.gravity.x / g,
+            gy: this.gravity.y / g,
+            gz: this.gravity.z / g,
+            w: rotationRate
+                ? Math.hypot(rotationRate.alpha || 0, rotationRate.beta || 0, rotationRate.gamma || 0)
+                : null
+        });
+        while (this.samples.length > 0 && this.elapsedTime - this.samples[0].t > this.windowDuration) {
+            this.samples.shift();
+        }
+
+        if (this.elapsedTime - this.lastEvaluation >= this.evaluateInterval) {
+            this.lastEvaluation = this.elapsedTime;
+            this.transition(this.classify());
+        }
+        return this.state;
+    }
+
+    // 依特徵判斷這個視窗的狀態
+    classify() {
+        const span = this.samples.length > 1 ? this.samples[this.samples.length - 1].t - this.samples[0].t : 0;
+        if (span < this.windowDuration * 0.75) return 'unknown';
+
+        const features = this.computeFeatures();
+        this.features = features;
+
+        const limits = CARRY_MODE_LIMITS[this.carryMode] ??
+            { tiltSpread: this.maxTiltSpread, rotationRate: this.maxRotationRate };
+
+        if (features.stdDev < this.standingStdDev && (features.rotationRate ?? 0) < this.maxRotationRate / 4) {
+            return 'standing';
+        }
+        if (features.stdDev > this.shakingStdDev ||
+            features.tiltSpread > limits.tiltSpread ||
+            (features.rotationRate ?? 0) > limits.rotationRate) {
+            return 'shaking';
+        }
+        if (features.correlation >= this.minCorrelation) {
+            if (features.period < this.minStepPeriod) return 'shaking';
+            if (features.period <= this.maxStepPeriod && features.stdDev >= this.walkingStdDev) {
+                return this.stairsHint ? 'stairs' : 'walking';
+            }
+        }
+        return 'unknown';
+    }
+
+    computeFeatures() {
+        const samples = this.samples;
+        const n = samples.length;
+
+        const mean = samples.reduce((sum, s) => sum + s.m, 0) / n;
+        const centered = samples.map(s => s.m - mean);
+        const energy = centered.reduce((sum, v) => sum + v * v, 0);
+        const stdDev = Math.sqrt(energy / n);
+
+        // 重力方向的分散: 單位向量平均長度 R，角度分散 ≈ sqrt(2(1-R))
+        let sx = 0, sy = 0, sz = 0;
+        samples.forEach(s => { sx += s.gx; sy += s.gy; sz += s.gz; });
+        const resultant = Math.min(1, Math.hypot(sx, sy, sz) / n);
+        const tiltSpread = Math.sqrt(2 * (1 - resultant)) * 180 / Math.PI;
+
+        const rates = samples.filter(s => s.w !== null);
+        const rotationRate = rates.length > 0 ? rates.reduce((sum, s) => sum + s.w, 0) / rates.length : null;
+
+        // 自相關: 以平均取樣間隔換算延遲
+        const sampleInterval = (samples[n - 1].t - samples[0].t) / (n - 1);
+        const minLag = Math.max(1, Math.round(150 / sampleInterval));
+        const maxLag = Math.min(n - 2, Math.round(this.maxStepPeriod / sampleInterval));
+        const correlations = [];
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < n; i++) {
+                sum += centered[i] * centered[i + lag];
+            }
+            // 依重疊長度正規化
+            correlations[lag] = energy > 0 ? (sum / (n - lag)) / (energy / n) : 0;
+        }
+
+        // 局部峰值中取相關係數最高者；週期的整數倍同樣相關，因此取與最高者相近的最短延遲
+        const peaks = [];
+        for (let lag = minLag + 1; lag < maxLag; lag++) {
+            const c = correlations[lag];
+            if (c >= correlations[lag - 1] && c >= correlations[lag + 1]) {
+                peaks.push({ lag, c });
+            }
+        }
+        const best = peaks.reduce((a, b) => (b.c > a.c ? b : a), { lag: -1, c: -Infinity });
+        const fundamental = peaks.find(p => p.c >= 0.9 * best.c) ?? best;
+        const bestLag = fundamental.lag;
+        const bestCorrelation = fundamental.c;
+
+        return {
+            stdDev,
+            tiltSpread,
+            rotationRate,
+            correlation: bestLag > 0 ? bestCorrelation : 0,
+            period: bestLag > 0 ? bestLag * sampleInterval : null
+        };
+    }
+
+    transition(next) {
+        if (next === this.state) {
+            this.candidate = null;
+            return;
+        }
+        if (!this.candidate || this.candidate.state !== next) {
+            this.candidate = { state: next, since: this.elapsedTime };
+        }
+        if (this.elapsedTime - this.candidate.since >= this.minStateDuration) {
+            console.log(`🏃 活動狀態: ${ACTIVITY_STATES[this.state].label} → ${ACTIVITY_STATES[next].label}`);
+            this.state = next;
+            this.candidate = null;
+        }
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    getLabel() {
+        return ACTIVITY_STATES[this.state].label;
+    }
+
+    // true: 採用步伐，false: 忽略，null: 尚未確定 (暫緩)
+    countsSteps() {
+        return ACTIVITY_STATES[this.state].countsSteps;
+    }
+
+    getFeatures() {
+        return this.features;
+    }
+}
@@ -0,0 +1,293 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║      攜帶方式與行走方向 - Carry Mode & Walking Direction          ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 手機不一定朝向行走方向 (放口袋、側拿、講電話、拿在手上甩動)。
+// 這個模組從加速度與陀螺儀判斷攜帶方式，並以水平加速度的主成分 (PCA) 估計
+// 「行走方向相對於手機指向的偏移角」，讓航位推算不再假設手機朝前。
+//
+// 座標:
+// - 低通濾波的 accelerationIncludingGravity 方向為「上」(靜止時指向上方)
+// - 手機指向 r = (ŷ − ẑ) 在水平面的投影: 平放時為手機頂端 (+y)，直立時為相機方向 (−z)，
+//   與 deviceorientation alpha 所代表的方位一致
+// - 水平面座標 (前 = r，左 = 上 × r)，偏移角 θ 逆時針 (往左) 為正
+//   追蹤器的行走 yaw = 手機 yaw − θ (yaw 順時針為正)
+//
+// 行走方向:
+// - 前後擺動是水平加速度中最大的成分，主軸即為行走方向所在的直線
+// - 主軸有正負兩個方向: 依前後加速度相位領先垂直加速度約 1/4 步的特性判斷，
+//   相關性不足時延續上一次的估計；手持看螢幕時偏移很小視為 0，沒有其他線索時取手機指向的前半面
+//
+// 攜帶方式:
+// - swinging : 重力方向大幅變化或角速度很大 (手上甩動)
+// - pocket   : 手機倒立，或直立且隨大腿擺動
+// - calling  : 手機側立 (螢幕朝向身體側面)，行走方向接近手機側面
+// - texting  : 其餘 (拿在前方看螢幕或 AR)
+//
+// 限制: 原地甩動手機與邊走邊甩的訊號非常相似；行走方向的正負判斷在訊號不規則時仍可能相反。
+// 不依賴 DOM / Three.js。
+
+export const CARRY_MODES = {
+    unknown:  { label: '判斷中' },
+    texting:  { label: '手持看螢幕' },
+    calling:  { label: '講電話' },
+    pocket:   { label: '口袋' },
+    swinging: { label: '手上甩動' }
+};
+
+const RAD = 180 / Math.PI;
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+export class CarryModeEstimator {
+    constructor(options = {}) {
+        this.windowDuration = options.windowDuration ?? 2000;            // 分析視窗 (ms)
+        this.evaluateInterval = options.evaluateInterval ?? 500;         // 重新估計的間隔 (ms)
+        this.minModeDuration = options.minModeDuration ?? 1000;          // 新攜帶方式需持續的時間 (ms)
+        this.gravityAlpha = options.gravityAlpha ?? 0.1;                 // 重力方向低通係數
+        this.swingTiltSpread = options.swingTiltSpread ?? 30;            // 甩動: 重力方向分散 (度)
+        this.swingRotationRate = options.swingRotationRate ?? 150;       // 甩動: 平均角速度 (度/秒)
+        this.pocketTiltSpread = options.pocketTiltSpread ?? 10;          // 口袋: 直立且隨大腿擺動 (度)
+        this.minHorizontalStdDev = options.minHorizontalStdDev ?? 0.2;   // 估計方向所需的水平加速度 (m/s²)
+        this.minPhaseCorrelation = options.minPhaseCorrelation ?? 0.2;   // 以相位判斷前後所需的相關係數
+        this.textingDeadband = options.textingDeadband ?? 20;            // 看螢幕時小於此偏移視為 0 (度)
+        this.offsetSmoothing = options.offsetSmoothing ?? 0.5;           // 偏移角平滑係數
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];         // [{ t, a: {x,y,z}, up: {x,y,z}, w }]
+        this.elapsedTime = 0;
+        this.lastEvaluation = -Infinity;
+        this.gravity = null;
+        this.stepPeriod = null;    // 步伐週期 (ms)，由活動分類提供；沒在走路時為 null
+
+        this.mode = 'unknown';
+        this.candidate = null;     // { mode, since }
+        this.offset = null;        // 行走方向相對於手機指向的偏移 (rad，逆時針為正)
+        this.confidence = 0;
+        this.features = null;
+    }
+
+    // 只在走路時估計行走方向 (靜止時的水平加速度只有雜訊)
+    setStepPeriod(period) {
+        this.stepPeriod = period;
+    }
+
+    // accel: accelerationIncludingGravity，rotationRate: { alpha, beta, gamma } (度/秒，可為 null)
+    update(accel, rotationRate, dtMs) {
+        const dt = Math.max(0, dtMs || 0);
+        if (dt > 500) this.samples = [];
+        this.elapsedTime += dt;
+
+        if (!this.gravity) {
+            this.gravity = { x: accel.x, y: accel.y, z: accel.z };
+        } else {
+            const k = this.gravityAlpha;
+            this.gravity.x = k * accel.x + (1 - k) * this.gravity.x;
+            this.gravity.y = k * accel.y + (1 - k) * this.gravity.y;
+            this.gravity.z = k * accel.z + (1 - k) * this.gravity.z;
+        }
+        const g = Math.hypot(this.gravity.x, this.gravity.y, this.gravity.z);
+        if (g < 1) return this.mode; // 自由落體或沒有重力資料
+
+        this.samples.push({
+            t: this.elapsedTime,
+            a: { x: accel.x, y: accel.y, z: accel.z },
+            up: { x: this.gravity.x / g, y: this.gravity.y / g, z: this.gravity.z / g },
+            w: rotationRate
+                ? Math.hypot(rotationRate.alpha || 0, rotationRate.beta || 0, rotationRate.gamma || 0)
+                : null
+        });
+        while (this.samples.length > 0 && this.elapsedTime - this.samples[0].t > this.windowDuration) {
+            this.samples.shift();
+        }
+
+        if (this.elapsedTime - this.lastEvaluation >= this.evaluateInterval) {
+            this.lastEvaluation = this.elapsedTime;
+            this.evaluate();
+        }
+        return this.mode;
+    }
+
+    evaluate() {
+        const samples = this.samples;
+        const n = samples.length;
+        if (n < 10 || samples[n - 1].t - samples[0].t < this.windowDuration * 0.75) return;
+
+        const features = this.computeFeatures();
+        this.features = features;
+        this.transition(this.classify(features));
+
+        if (features.axis === null) return;
+        const theta = this.resolveDirection(features);
+        if (theta === null) return;
+
+        // 以信心加權的圓形平滑
+        if (this.offset === null) {
+            this.offset = theta;
+        } else {
+            const k = this.offsetSmoothing * features.axisConfidence;
+            this.offset = Math.atan2(
+                (1 - k) * Math.sin(this.offset) + k * Math.sin(theta),
+                (1 - k) * Math.cos(this.offset) + k * Math.cos(theta)
+            );
+        }
+        this.confidence = features.axisConfidence;
+    }
+
+    computeFeatures() {
+        const samples = this.samples;
+        const n = samples.length;
+
+        // 平均上方向與重力方向分散
+        let ux = 0, uy = 0, uz = 0;
+        samples.forEach(s => { ux += s.up.x; uy += s.up.y; uz += s.up.z; });
+        const resultant = Math.hypot(ux, uy, uz);
+        const meanUp = { x: ux / resultant, y: uy / resultant, z: uz / resultant };
+        const tiltSpread = Math.sqrt(2 * (1 - Math.min(1, resultant / n))) * RAD;
+
+        const rates = samples.filter(s => s.w !== null);
+        const rotationRate = rates.length > 0 ? rates.reduce((sum, s) => sum + s.w, 0) / rates.length : null;
+
+        // 每個樣本投影到自己的水平座標 (前, 左) 與垂直分量
+        const forward = [];
+        const left = [];
+        const vertical = [];
+        samples.forEach(s => {
+            const { a, up } = s;
+            const along = a.x * up.x + a.y * up.y + a.z * up.z;
+            // r = ŷ − ẑ 扣掉垂直分量
+            const rDotUp = up.y - up.z;
+            let ex = -rDotUp * up.x;
+            let ey = 1 - rDotUp * up.y;
+            let ez = -1 - rDotUp * up.z;
+            const norm = Math.hypot(ex, ey, ez);
+            if (norm < 0.2) return; // 手機指向幾乎垂直，水平方向不明確
+            ex /= norm; ey /= norm; ez /= norm;
+            // 左 = 上 × 前
+            const lx = up.y * ez - up.z * ey;
+            const ly = up.z * ex - up.x * ez;
+            const lz = up.x * ey - up.y * ex;
+            const hx = a.x - along * up.x;
+            const hy = a.y - along * up.y;
+            const hz = a.z - along * up.z;
+            forward.push(hx * ex + hy * ey + hz * ez);
+            left.push(hx * lx + hy * ly + hz * lz);
+            vertical.push(along);
+        });
+
+        const m = forward.length;
+        const features = { meanUp, tiltSpread, rotationRate, axis: null, axisConfidence: 0, phaseCorrelation: 0 };
+        if (m < 10 || !this.stepPeriod) return features;
+
+        const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const mf = mean(forward), ml = mean(left), mv = mean(vertical);
+        let sff = 0, sll = 0, sfl = 0;
+        for (let i = 0; i < m; i++) {
+            const f = forward[i] - mf;
+            const l = left[i] - ml;
+            sff += f * f; sll += l * l; sfl += f * l;
+        }
+        sff /= m; sll /= m; sfl /= m;
+
+        // 2×2 共變異矩陣的特徵值與主軸角度
+        const trace = sff + sll;
+        const diff = Math.sqrt(((sff - sll) / 2) ** 2 + sfl * sfl);
+        const major = trace / 2 + diff;
+        const minor = Math.max(0, trace / 2 - diff);
+        if (Math.sqrt(major) < this.minHorizontalStdDev) return features;
+
+        const axis = 0.5 * Math.atan2(2 * sfl, sff - sll); // (−90°, 90°]
+        features.axis = axis;
+        features.axisConfidence = major > 0 ? 1 - minor / major : 0;
+
+        // 前後加速度領先垂直加速度約 1/4 步: corr(v(t), p(t − τ)) > 0 表示主軸方向朝前
+        const sampleInterval = (samples[n - 1].t - samples[0].t) / (n - 1);
+        const lag = Math.max(1, Math.round(this.stepPeriod / 4 / sampleInterval));
+        const c = Math.cos(axis), s = Math.sin(axis);
+        let sum = 0, sumV = 0, sumP = 0;
+        for (let i = lag; i < m; i++) {
+            const v = vertical[i] - mv;
+            const p = (forward[i - lag] - mf) * c + (left[i - lag] - ml) * s;
+            sum += v * p; sumV += v * v; sumP += p * p;
+        }
+        features.phaseCorrelation = sumV > 0 && sumP > 0 ? sum / Math.sqrt(sumV * sumP) : 0;
+        return features;
+    }
+
+    classify(features) {
+        const { meanUp, tiltSpread, rotationRate, axis } = features;
+        if (tiltSpread > this.swingTiltSpread || (rotationRate ?? 0) > this.swingRotationRate) {
+            return 'swinging';
+        }
+        if (meanUp.y < -0.5) return 'pocket'; // 倒立: 不會這樣拿著看
+        if (Math.abs(meanUp.z) < 0.5) {
+            if (tiltSpread > this.pocketTiltSpread) return 'pocket';
+            // 側立且行走方向在手機側面: 貼在耳邊 (停下來時沒有行走方向，維持原判斷)
+            if (axis !== null ? Math.abs(axis) * RAD > 50 : this.mode === 'calling') return 'calling';
+        }
+        return 'texting';
+    }
+
+    // 由主軸與攜帶方式決定行走方向 (rad)
+    resolveDirection(features) {
+        const { axis, phaseCorrelation } = features;
+        if (this.mode === 'unknown') return null;
+
+        // 看螢幕時通常朝手機指向走，小偏移視為 0
+        if (this.mode === 'texting' && Math.abs(axis) * RAD < this.textingDeadband) return 0;
+
+        if (Math.abs(phaseCorrelation) >= this.minPhaseCorrelation) {
+            return phaseCorrelation > 0 ? axis : wrapAngle(axis + Math.PI);
+        }
+        if (this.offset !== null) {
+            // 延續上一次的方向
+            const flipped = wrapAngle(axis + Math.PI);
+            return Math.abs(wrapAngle(axis - this.offset)) <= Math.abs(wrapAngle(flipped - this.offset)) ? axis : flipped;
+        }
+        // 看螢幕時取前半面
+        return this.mode === 'texting' ? axis : null;
+    }
+
+    transition(next) {
+        if (next === this.mode) {
+            this.candidate = null;
+            return;
+        }
+        if (!this.candidate || this.candidate.mode !== next) {
+            this.candidate = { mode: next, since: this.elapsedTime };
+        }
+        // 第一次判斷直接採用
+        if (this.mode === 'unknown' || this.elapsedTime - this.candidate.since >= this.minModeDuration) {
+            console.log(`📱 攜帶方式: ${CARRY_MODES[this.mode].label} → ${CARRY_MODES[next].label}`);
+            this.mode = next;
+            this.candidate = null;
+            this.offset = null; // 換了拿法，重新估計偏移
+            this.confidence = 0;
+        }
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    getLabel() {
+        return CARRY_MODES[this.mode].label;
+    }
+
+    // 行走方向相對於手機指向的偏移 (rad，逆時針為正)；尚無估計時為 null
+    getHeadingOffset() {
+        return this.offset;
+    }
+
+    getConfidence() {
+        return this.confidence;
+    }
+
+    getFeatures() {
+        return this.features;
+    }
+}
@@ -0,0 +1,407 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║          偵測器參數 - Step Detector Config & Presets             ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 步數偵測器的完整設定 (含各演算法的全部參數) 以一個有型別、經過驗證的物件表示:
+// {
+//   algorithm: 'peak' | 'autocorrelation' | 'frequency',
+//   useFilter: true, filterAlpha: 0.5, sensitivity: 'low' | 'medium' | 'high',
+//   peak: { historySize, minSamples, thresholdBase, ... },   // 欄位見 DETECTOR_PARAMETERS
+//   autocorrelation: { ... },
+//   frequency: { ... }
+// }
+// 閾值類參數以「靈敏度倍率為 1 時」的值表示 (實際閾值 = 參數 / 倍率)，靈敏度選單仍然有效。
+//
+// 預設組合 (preset) 只記錄與 DEFAULT_DETECTOR_CONFIG 不同的欄位，可以:
+// - 存在本機 (indoorAR.detectorPresets)
+// - 分享成網址: index.html?detector=<base64url(JSON)>
+// - 匯出成 JSON 檔: { "format": "indoor-ar-detector", "version": 1, "name": "...", "config": { ... } }
+//
+// 不依賴 DOM，可直接在 Node 執行；storage 可注入 (預設 globalThis.localStorage)。
+
+import { STEP_DETECTOR_TYPES } from "./step_detectors.js";
+
+export const DETECTOR_CONFIG_FORMAT = 'indoor-ar-detector';
+export const DETECTOR_CONFIG_VERSION = 1;
+export const DETECTOR_PRESETS_STORAGE_KEY = 'indoorAR.detectorPresets';
+export const DETECTOR_QUERY_PARAM = 'detector';
+
+// 共用欄位
+const COMMON_FIELDS = {
+    algorithm: { type: 'enum', values: Object.keys(STEP_DETECTOR_TYPES), default: 'peak' },
+    useFilter: { type: 'boolean', default: true },
+    filterAlpha: { type: 'number', min: 0.1, max: 1, default: 0.5 },
+    sensitivity: { type: 'enum', values: ['low', 'medium', 'high'], default: 'medium' }
+};
+
+// 各演算法的參數: 型別、範圍、預設值 (與 step_detectors.js 建構子相同) 與說明
+export const DETECTOR_PARAMETERS = {
+    peak: {
+        historySize: { type: 'integer', min: 5, max: 100, default: 10, label: '歷史樣本數' },
+        minSamples: { type: 'integer', min: 2, max: 100, default: 5, label: '開始檢測前的樣本數' },
+        thresholdBase: { type: 'number', min: 5, max: 25, step: 0.1, default: 11, label: '基礎閾值 (m/s²，÷ 靈敏度倍率)' },
+        stdDevMultiplier: { type: 'number', min: 0, max: 5, step: 0.1, default: 1, label: '動態閾值的標準差倍數' },
+        thresholdUpdateInterval: { type: 'integer', min: 1, max: 100, default: 10, label: '閾值更新間隔 (樣本)' },
+        minPeakInterval: { type: 'integer', min: 100, max: 2000, step: 10, default: 500, label: '最短峰值間隔 (ms)' },
+        deltaThreshold: { type: 'number', min: 0, max: 5, step: 0.05, default: 0.25, label: '變化率閾值 (m/s²)' },
+        falsePositiveFilter: { type: 'boolean', default: false, label: '峰值突出度過濾' },
+        prominenceMultiplier: { type: 'number', min: 0, max: 5, step: 0.1, default: 1.5, label: '突出度的標準差倍數' }
+    },
+    autocorrelation: {
+        windowDuration: { type: 'integer', min: 1000, max: 8000, step: 100, default: 2000, label: '自相關視窗 (ms)' },
+        evaluateInterval: { type: 'integer', min: 50, max: 2000, step: 50, default: 250, label: '重新計算間隔 (ms)' },
+        minPeriod: { type: 'integer', min: 150, max: 2000, step: 10, default: 300, label: '步伐週期下限 (ms)' },
+        maxPeriod: { type: 'integer', min: 200, max: 3000, step: 10, default: 1000, label: '步伐週期上限 (ms)' },
+        correlationThreshold: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.5, label: '自相關門檻' },
+        amplitudeBase: { type: 'number', min: 0.05, max: 5, step: 0.05, default: 0.6, label: '振幅門檻 (m/s²，÷ 靈敏度倍率)' },
+        hysteresis: { type: 'number', min: 0, max: 2, step: 0.05, default: 0.25, label: '過零點遲滯 (標準差倍數)' },
+        stepPeriodFraction: { type: 'number', min: 0.1, max: 1, step: 0.05, default: 0.6, label: '最短步伐間隔 (週期倍數)' }
+    },
+    frequency: {
+        windowDuration: { type: 'integer', min: 1000, max: 10000, step: 100, default: 4000, label: '分析視窗 (ms)' },
+        evaluateInterval: { type: 'integer', min: 100, max: 2000, step: 50, default: 500, label: '重新計算間隔 (ms)' },
+        minFrequency: { type: 'number', min: 0.3, max: 4, step: 0.05, default: 1, label: '步頻下限 (Hz)' },
+        maxFrequency: { type: 'number', min: 0.5, max: 6, step: 0.05, default: 3, label: '步頻上限 (Hz)' },
+        frequencyResolution: { type: 'number', min: 0.01, max: 0.5, step: 0.01, default: 0.05, label: '頻率解析度 (Hz)' },
+        dominanceThreshold: { type: 'number', min: 1, max: 50, step: 0.5, default: 4, label: '主頻能量倍數' },
+        amplitudeBase: { type: 'number', min: 0.05, max: 5, step: 0.05, default: 0.6, label: '振幅門檻 (m/s²，÷ 靈敏度倍率)' }
+    }
+};
+
+const defaultsOf = (fields) => Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, field.default]));
+
+export const DEFAULT_DETECTOR_CONFIG = {
+    ...defaultsOf(COMMON_FIELDS),
+    ...Object.fromEntries(Object.entries(DETECTOR_PARAMETERS).map(([type, fields]) => [type, defaultsOf(fields)]))
+};
+
+export class DetectorConfigError extends Error {
+    constructor(errors, source = null) {
+        const where = source ? ` (${source})` : '';
+        super(`偵測器設定無效${where}:\n- ${errors.join('\n- ')}`);
+        this.name = 'DetectorConfigError';
+        this.errors = errors;
+        this.source = source;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 驗證
+// ═══════════════════════════════════════════════════════════════
+function fieldError(field, value) {
+    switch (field.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : '必須是 true / false';
+        case 'enum':
+            return field.values.includes(value) ? null : `必須是 ${field.values.join(' / ')} 之一`;
+        case 'integer':
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return '必須是數字';
+            if (field.type === 'integer' && !Number.isInteger(value)) return '必須是整數';
+            if (value < field.min || value > field.max) return `必須介於 ${field.min} 到 ${field.max}`;
+            return null;
+        }
+        default:
+            return `未知的欄位型別 ${field.type}`;
+    }
+}
+
+// 把 input 的欄位逐一驗證後合併到 base，未知欄位與無效值都列入 errors
+function mergeFields(fields, input, base, path, errors) {
+    const out = { ...base };
+    Object.entries(input).forEach(([key, value]) => {
+        const field = fields[key];
+        if (!field) {
+            errors.push(`${path}${key}: 未知的參數`);
+            return;
+        }
+        const problem = fieldError(field, value);
+        if (problem) {
+            errors.push(`${path}${key}: ${problem}`);
+        } else {
+            out[key] = value;
+        }
+    });
+    return out;
+}
+
+// 參數之間的限制 (合併後檢查)
+function checkConstraints(config, errors) {
+    const { peak, autocorrelation, frequency } = config;
+    if (peak.minSamples > peak.historySize) {
+        errors.push('peak.minSamples: 不可大於 historySize');
+    }
+    if (autocorrelation.minPeriod >= autocorrelation.maxPeriod) {
+        errors.push('autocorrelation.minPeriod: 必須小於 maxPeriod');
+    }
+    if (autocorrelation.maxPeriod * 2 > autocorrelation.windowDuration) {
+        errors.push('autocorrelation.windowDuration: 至少要是 maxPeriod 的兩倍');
+    }
+    if (frequency.minFrequency >= frequency.maxFrequency) {
+        errors.push('frequency.minFrequency: 必須小於 maxFrequency');
+    }
+    // 頻域分析的視窗至少要涵蓋兩個最慢的步伐週期
+    if (frequency.windowDuration < 2000 / frequency.minFrequency) {
+        errors.push(`frequency.windowDuration: 步頻下限 ${frequency.minFrequency} Hz 時至少要 ${Math.ceil(2000 / frequency.minFrequency)} ms`);
+    }
+}
+
+// input 可以只有部分欄位 (其餘沿用 base)；回傳 { config, errors }
+export function validateDetectorConfig(input, base = DEFAULT_DETECTOR_CONFIG) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { config: base, errors: ['必須是物件'] };
+    }
+
+    const common = {};
+    const sections = {};
+    Object.entries(input).forEach(([key, value]) => {
+        if (DETECTOR_PARAMETERS[key]) sections[key] = value;
+        else common[key] = value;
+    });
+
+    const config = mergeFields(COMMON_FIELDS, common, pickCommon(base), '', errors);
+    Object.entries(DETECTOR_PARAMETERS).forEach(([type, fields]) => {
+        const section = sections[type];
+        if (section !== undefined && (!section || typeof section !== 'object' || Array.isArray(section))) {
+            errors.push(`${type}: 必須是物件`);
+            config[type] = { ...base[type] };
+            return;
+        }
+        config[type] = mergeFields(fields, section ?? {}, base[type], `${type}.`, errors);
+    });
+    if (errors.length === 0) checkConstraints(config, errors);
+    return { config, errors };
+}
+
+function pickCommon(config) {
+    return Object.fromEntries(Object.keys(COMMON_FIELDS).map(key => [key, config[key]]));
+}
+
+// 驗證失敗時拋出 DetectorConfigError
+export function parseDetectorConfig(input, base = DEFAULT_DETECTOR_CONFIG, source = null) {
+    const { config, errors } = validateDetectorConfig(input, base);
+    if (errors.length > 0) {
+        throw new DetectorConfigError(errors, source);
+    }
+    return config;
+}
+
+// 只保留與 base 不同的欄位 (分享網址與預設組合用，較短也較好讀)
+export function diffDetectorConfig(config, base = DEFAULT_DETECTOR_CONFIG) {
+    const diff = {};
+    Object.keys(COMMON_FIELDS).forEach(key => {
+        if (config[key] !== base[key]) diff[key] = config[key];
+    });
+    Object.keys(DETECTOR_PARAMETERS).forEach(type => {
+        const changed = Object.entries(config[type]).filter(([key, value]) => value !== base[type][key]);
+        if (changed.length > 0) diff[type] = Object.fromEntries(changed);
+    });
+    return diff;
+}
+
+// 套用到步數偵測器 (演算法本身由 tracker.setStepDetector 切換)
+export function applyDetectorConfig(detector, config) {
+    detector.setFilter(config.useFilter, config.filterAlpha);
+    detector.sensitivity = config.sensitivity;
+    detector.setParameters(config[detector.type] ?? {});
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 與設定 (persistence.js) 互轉: 共用欄位沿用原有的設定鍵，參數放在 detectorParams
+// ═══════════════════════════════════════════════════════════════
+export function detectorConfigFromSettings(settings) {
+    return parseDetectorConfig({
+        algorithm: settings.stepAlgorithm,
+        useFilter: settings.useFilter,
+        filterAlpha: settings.filterAlpha,
+        sensitivity: settings.sensitivity,
+        ...settings.detectorParams
+    });
+}
+
+export function detectorConfigToSettings(config) {
+    return {
+        stepAlgorithm: config.algorithm,
+        useFilter: config.useFilter,
+        filterAlpha: config.filterAlpha,
+        sensitivity: config.sensitivity,
+        detectorParams: detectorParamsOf(config)
+    };
+}
+
+export function detectorParamsOf(config) {
+    return Object.fromEntries(Object.keys(DETECTOR_PARAMETERS).map(type => [type, { ...config[type] }]));
+}
+
+// 設定中的 detectorParams → 補齊預設值；無效時回傳 null
+export function normalizeDetectorParams(params) {
+    if (!params || typeof params !== 'object' || Object.keys(params).some(key => !DETECTOR_PARAMETERS[key])) {
+        return null;
+    }
+    const { config, errors } = validateDetectorConfig(params);
+    return errors.length === 0 ? detectorParamsOf(config) : null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 預設組合
+// ═══════════════════════════════════════════════════════════════
+export const BUILTIN_DETECTOR_PRESETS = {
+    default: { label: '預設', config: {} },
+    'slow-walker': {
+        label: '慢走',
+        config: {
+            sensitivity: 'high',
+            filterAlpha: 0.4,
+            peak: { minPeakInterval: 700, deltaThreshold: 0.15 },
+            autocorrelation: { minPeriod: 450, maxPeriod: 1400, windowDuration: 3000 },
+            frequency: { minFrequency: 0.7, maxFrequency: 2.2, windowDuration: 5000 }
+        }
+    },
+    running: {
+        label: '跑步',
+        config: {
+            sensitivity: 'low',
+            filterAlpha: 0.7,
+            peak: { minPeakInterval: 250, thresholdBase: 13, deltaThreshold: 0.5 },
+            autocorrelation: { minPeriod: 200, maxPeriod: 600 },
+            frequency: { minFrequency: 1.5, maxFrequency: 4 }
+        }
+    },
+    elderly: {
+        label: '長者 (小步、拖步)',
+        config: {
+            sensitivity: 'high',
+            filterAlpha: 0.3,
+            peak: { minPeakInterval: 800, deltaThreshold: 0.1, stdDevMultiplier: 0.7 },
+            autocorrelation: { minPeriod: 500, maxPeriod: 1600, windowDuration: 3500, amplitudeBase: 0.4 },
+            frequency: { minFrequency: 0.6, maxFrequency: 2, windowDuration: 6000, amplitudeBase: 0.4 }
+        }
+    }
+};
+
+// 本機儲存的預設組合 { 名稱: 與預設值的差異 }
+export function loadUserPresets(storage = globalThis.localStorage) {
+    try {
+        const raw = storage?.getItem(DETECTOR_PRESETS_STORAGE_KEY);
+        if (!raw) return {};
+        return normalizeUserPresets(JSON.parse(raw));
+    } catch (error) {
+        console.warn("⚠️ 無法讀取偵測器預設組合:", error);
+        return {};
+    }
+}
+
+// 略過無效的組合 (例如舊版本留下的參數)
+export function normalizeUserPresets(presets) {
+    if (!presets || typeof presets !== 'object' || Array.isArray(presets)) return {};
+    const out = {};
+    Object.entries(presets).forEach(([name, config]) => {
+        const { errors } = validateDetectorConfig(config);
+        if (errors.length === 0) {
+            out[name] = config;
+        } else {
+            console.warn(`⚠️ 忽略無效的預設組合「${name}」: ${errors.join('; ')}`);
+        }
+    });
+    return out;
+}
+
+export function saveUserPresets(presets, storage = globalThis.localStorage) {
+    try {
+        storage?.setItem(DETECTOR_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+        return true;
+    } catch (error) {
+        console.warn("⚠️ 無法儲存偵測器預設組合:", error);
+        return false;
+    }
+}
+
+export function saveUserPreset(name, config, storage = globalThis.localStorage) {
+    const trimmed = String(name ?? '').trim();
+    if (trimmed === '') {
+        throw new Error('預設組合名稱不可空白');
+    }
+    const presets = loadUserPresets(storage);
+    presets[trimmed] = diffDetectorConfig(config);
+    saveUserPresets(presets, storage);
+    return trimmed;
+}
+
+export function deleteUserPreset(name, storage = globalThis.localStorage) {
+    const presets = loadUserPresets(storage);
+    delete presets[name];
+    saveUserPresets(presets, storage);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 分享: 網址 / JSON
+// ═══════════════════════════════════════════════════════════════
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+export function encodeDetectorConfig(config) {
+    return toBase64Url(JSON.stringify(diffDetectorConfig(config)));
+}
+
+export function decodeDetectorConfig(encoded) {
+    let input;
+    try {
+        input = JSON.parse(fromBase64Url(encoded));
+    } catch (error) {
+        throw new DetectorConfigError(['網址中的設定無法解碼'], '分享連結');
+    }
+    return parseDetectorConfig(input, DEFAULT_DETECTOR_CONFIG, '分享連結');
+}
+
+// 目前網址加上 ?detector=...
+export function detectorConfigUrl(config, baseUrl) {
+    const url = new URL(baseUrl);
+    url.searchParams.set(DETECTOR_QUERY_PARAM, encodeDetectorConfig(config));
+    return url.toString();
+}
+
+// 網址沒有 ?detector= 時回傳 null
+export function detectorConfigFromQuery(search = globalThis.location?.search ?? '') {
+    const encoded = new URLSearchParams(search).get(DETECTOR_QUERY_PARAM);
+    return encoded ? decodeDetectorConfig(encoded) : null;
+}
+
+export function detectorConfigToJSON(config, name = null) {
+    return {
+        format: DETECTOR_CONFIG_FORMAT,
+        version: DETECTOR_CONFIG_VERSION,
+        name,
+        config: diffDetectorConfig(config)
+    };
+}
+
+// 接受 detectorConfigToJSON 的格式；回傳 { name, config }
+export function parseDetectorConfigFile(text, source = null) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new DetectorConfigError([`JSON 解析失敗 (${error.message})`], source);
+    }
+    if (!data || data.format !== DETECTOR_CONFIG_FORMAT) {
+        throw new DetectorConfigError([`format 應為 "${DETECTOR_CONFIG_FORMAT}"`], source);
+    }
+    if (data.version !== DETECTOR_CONFIG_VERSION) {
+        throw new DetectorConfigError([`不支援的版本: ${data.version}`], source);
+    }
+    return {
+        name: typeof data.name === 'string' ? data.name : null,
+        config: parseDetectorConfig(data.config, DEFAULT_DETECTOR_CONFIG, source)
+    };
+}
@@ -0,0 +1,162 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              感測器診斷 - Live Sensor Diagnostics               ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 現場調整濾波器 α 與靈敏度用: 記錄最近一段時間的加速度樣本，
+// 在 canvas 上畫出原始 / 濾波後的加速度大小、步數偵測閾值與偵測到的步伐，
+// 並計算取樣率與 deltaTime 抖動 (取樣間隔的標準差)。
+//
+// DiagnosticsRecorder 不依賴 DOM，可直接在 Node 執行；DiagnosticsChart 只需要 2D canvas。
+// 時間軸以累計的 deltaTime (ms) 表示，重播軌跡時與即時感測器一致。
+
+export const DIAGNOSTICS_COLORS = {
+    raw: 'rgba(180, 180, 180, 0.8)',
+    magnitude: '#00e5ff',
+    threshold: '#ff9900',
+    step: '#00ff88'
+};
+
+export class DiagnosticsRecorder {
+    constructor({ windowDuration = 6000 } = {}) {
+        this.windowDuration = windowDuration; // 保留多長的樣本 (ms)
+        this.clear();
+    }
+
+    clear() {
+        this.samples = [];
+        this.time = 0;
+    }
+
+    // sample: { dt, raw, magnitude, threshold (可為 null), step (這個樣本是否完成一步) }
+    record({ dt, raw, magnitude, threshold = null, step = false }) {
+        this.time += dt;
+        this.samples.push({ t: this.time, dt, raw, magnitude, threshold, step });
+        const cutoff = this.time - this.windowDuration;
+        while (this.samples.length > 0 && this.samples[0].t < cutoff) {
+            this.samples.shift();
+        }
+    }
+
+    // 取樣率 (Hz)、平均取樣間隔、抖動 (間隔標準差) 與最長間隔 (ms)
+    getTiming() {
+        const intervals = this.samples.slice(1).map(s => s.dt).filter(dt => dt > 0);
+        if (intervals.length === 0) {
+            return { rate: 0, meanInterval: 0, jitter: 0, maxInterval: 0 };
+        }
+        const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+        const variance = intervals.reduce((sum, dt) => sum + (dt - mean) ** 2, 0) / intervals.length;
+        return {
+            rate: 1000 / mean,
+            meanInterval: mean,
+            jitter: Math.sqrt(variance),
+            maxInterval: Math.max(...intervals)
+        };
+    }
+
+    getStepCount() {
+        return this.samples.filter(s => s.step).length;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 繪圖
+// ═══════════════════════════════════════════════════════════════
+export class DiagnosticsChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+    }
+
+    // 縱軸依視窗內的數值自動縮放 (至少涵蓋 ±1 m/s²，避免靜止時雜訊被放大)
+    valueRange(samples) {
+        let min = Infinity;
+        let max = -Infinity;
+        samples.forEach(s => {
+            [s.raw, s.magnitude, s.threshold].forEach(v => {
+                if (v === null || !Number.isFinite(v)) return;
+                min = Math.min(min, v);
+                max = Math.max(max, v);
+            });
+        });
+        if (!Number.isFinite(min)) return { min: 8.8, max: 10.8 };
+        const center = (min + max) / 2;
+        const half = Math.max(1, (max - min) / 2) * 1.1;
+        return { min: center - half, max: center + half };
+    }
+
+    render(recorder) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+
+        const ctx = this.context;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const samples = recorder.samples;
+        const { min, max } = this.valueRange(samples);
+        const end = recorder.time;
+        const start = end - recorder.windowDuration;
+        const toX = (t) => (t - start) / recorder.windowDuration * width;
+        const toY = (v) => height - (v - min) / (max - min) * height;
+
+        this.drawGrid(min, max, toY, width);
+        this.drawSeries(samples, 'raw', toX, toY, DIAGNOSTICS_COLORS.raw, 1);
+        this.drawSeries(samples, 'threshold', toX, toY, DIAGNOSTICS_COLORS.threshold, 1.5, [4, 3]);
+        this.drawSeries(samples, 'magnitude', toX, toY, DIAGNOSTICS_COLORS.magnitude, 2);
+
+        // 偵測到的步伐標在濾波後的曲線上
+        ctx.fillStyle = DIAGNOSTICS_COLORS.step;
+        samples.forEach(s => {
+            if (!s.step) return;
+            ctx.beginPath();
+            ctx.arc(toX(s.t), toY(s.magnitude), 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    // 每 1 m/s² 一條水平格線
+    drawGrid(min, max, toY, width) {
+        const ctx = this.context;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.font = '9px sans-serif';
+        ctx.textAlign = 'left';
+        for (let v = Math.ceil(min); v <= max; v++) {
+            const y = toY(v);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.fillText(String(v), 2, y - 2);
+        }
+    }
+
+    // 數值為 null 的樣本斷開折線 (例如沒有單一閾值的演算法)
+    drawSeries(samples, key, toX, toY, color, lineWidth, dash = []) {
+        const ctx = this.context;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        let drawing = false;
+        samples.forEach(s => {
+            const value = s[key];
+            if (value === null || !Number.isFinite(value)) {
+                drawing = false;
+                return;
+            }
+            if (drawing) ctx.lineTo(toX(s.t), toY(value));
+            else ctx.moveTo(toX(s.t), toY(value));
+            drawing = true;
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+}
@@ -0,0 +1,21 @@
+// ═══════════════════════════════════════════════════════════════
+// 檔案工具: 觸發瀏覽器下載 (軌跡、勘測資料等匯出共用)
+// ═══════════════════════════════════════════════════════════════
+
+export function downloadText(text, filename, type = 'application/json') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    console.log(`💾 已下載: ${filename}`);
+}
+
+// 檔名用的時間戳 (例如 2026-01-01T00-00-00-000Z)
+export function timestampForFilename(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
@@ -0,0 +1,312 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║             樓層變化偵測 - Floor Change Detection                ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 兩種來源，有氣壓計時以氣壓計為準:
+// - 氣壓計: 以進入目前樓層時的氣壓為基準，氣壓每下降 1 hPa 約上升 8.3 公尺。
+//   高度變化持續超過門檻一段時間才判定換層，基準會緩慢跟隨天氣造成的漂移。
+// - 垂直加速度: 以低通濾波取得重力方向，把加速度投影到重力軸並扣掉重力，得到垂直線性加速度。
+//   電梯: 沒在走路時出現一段持續的加速 (起動)，之後等速、反向減速 (停靠)，
+//         從起動到停靠後靜止的這段時間內二次積分得到垂直位移。
+//   樓梯: 走路時以帶洩漏的積分估計垂直速度，連續多步的平均垂直速度同號 (持續上升或下降)
+//         時累計階數，階數 × 每階高度超過門檻即判定換層。
+//         手機加速度計的積分誤差大，樓梯偵測僅供參考，請搭配氣壓計或手動選擇樓層。
+//
+// 偵測器只回報「垂直位移」，由呼叫端依場地各樓層的高度決定換到哪一層。
+
+const HPA_TO_METERS = 8.3; // 海平面附近每 hPa 對應的高度 (公尺)
+
+export class FloorChangeDetector {
+    constructor(options = {}) {
+        this.minChange = options.minChange ?? 2.0;                 // 判定換層的最小垂直位移 (公尺)
+        this.gravityAlpha = options.gravityAlpha ?? 0.1;           // 重力方向低通係數
+        this.biasTimeConstant = options.biasTimeConstant ?? 20;    // 重力大小 (偏差) 追蹤時間常數 (秒)
+        this.rideThreshold = options.rideThreshold ?? 0.2;         // 電梯起動的垂直加速度門檻 (m/s²)
+        this.rideMinDuration = options.rideMinDuration ?? 0.4;     // 起動加速需持續的時間 (秒)
+        this.rideTimeout = options.rideTimeout ?? 60;              // 單趟電梯最長時間 (秒)
+        this.quietThreshold = options.quietThreshold ?? 0.08;      // 視為靜止的垂直加速度 (m/s²)
+        this.quietDuration = options.quietDuration ?? 1.0;        // 停靠後需靜止的時間 (秒)
+        this.walkingTimeout = options.walkingTimeout ?? 1.5;       // 最後一步後多久視為停止走路 (秒)
+        this.stairsLeak = options.stairsLeak ?? 6;                 // 樓梯積分的速度洩漏時間常數 (秒)
+        this.stairsVelocity = options.stairsVelocity ?? 0.1;       // 視為在爬 / 下樓梯的平均垂直速度 (m/s)
+        this.riserHeight = options.riserHeight ?? 0.17;            // 每階高度 (公尺)
+        this.pressureAlpha = options.pressureAlpha ?? 0.2;         // 氣壓平滑係數
+        this.pressureHoldTime = options.pressureHoldTime ?? 3;     // 高度變化需維持的時間 (秒)
+        this.pressureDriftTimeConstant = options.pressureDriftTimeConstant ?? 600; // 天氣漂移追蹤 (秒)
+        this.barometerTimeout = options.barometerTimeout ?? 5;     // 多久沒有氣壓讀數視為沒有氣壓計 (秒)
+        this.reset();
+    }
+
+    reset() {
+        this.gravity = null;
+        this.gravityMagnitude = null;
+        this.verticalAcceleration = 0;
+
+        this.sinceLastStep = Infinity;
+        this.ride = null;          // { velocity, displacement, duration, direction, reversed, quiet }
+        this.pendingRide = null;   // 起動加速候選 { direction, duration, velocity, displacement }
+        this.stairs = this.emptyStairs();
+
+        this.pressure = null;
+        this.referencePressure = null;
+        this.verticalSpeed = 0;    // 氣壓計估計的垂直速度 (m/s)
+        this.pressureHeld = 0;
+        this.lastPressureAge = Infinity;
+    }
+
+    setMinChange(meters) {
+        this.minChange = Math.max(0.5, meters);
+    }
+
+    // 有最近的氣壓讀數時，以氣壓計為準
+    hasBarometer() {
+        return this.lastPressureAge < this.barometerTimeout;
+    }
+
+    // 換層之後 (自動或手動) 以目前狀態為新基準
+    resetReference() {
+        this.referencePressure = this.pressure;
+        this.pressureHeld = 0;
+        this.ride = null;
+        this.pendingRide = null;
+        this.stairs = this.emptyStairs();
+    }
+
+    emptyStairs() {
+        return { velocity: 0, velocitySum: 0, stepTime: 0, direction: 0, steps: 0 };
+    }
+
+    // 相對於目前樓層基準的高度變化 (公尺)，沒有資料時為 null
+    getAltitudeChange() {
+        if (this.pressure === null || this.referencePressure === null) return null;
+        return (this.referencePressure - this.pressure) * HPA_TO_METERS;
+    }
+
+    getSource() {
+        return this.hasBarometer() ? 'barometer' : 'accelerometer';
+    }
+
+    isRiding() {
+        return this.ride !== null;
+    }
+
+    // 是否正在走樓梯 (供活動分類使用)：
+    // 有氣壓計時看走路中的垂直速度，否則看連續同方向的階數
+    isOnStairs() {
+        if (this.hasBarometer()) {
+            return this.sinceLastStep < this.walkingTimeout && Math.abs(this.verticalSpeed) >= this.stairsVelocity;
+        }
+        return this.stairs.direction !== 0 && this.stairs.steps >= 2;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 氣壓計
+    // ═══════════════════════════════════════════════════════════
+    // pressure: hPa，dtMs: 與上一次讀數的間隔
+    // 回傳 { displacement, source } 或 null
+    updatePressure(pressure, dtMs) {
+        const dt = Math.max(0, dtMs || 0) / 1000;
+        this.lastPressureAge = 0;
+        const previous = this.pressure;
+        this.pressure = this.pressure === null
+            ? pressure
+            : this.pressureAlpha * pressure + (1 - this.pressureAlpha) * this.pressure;
+        if (previous !== null && dt > 0) {
+            const speed = (previous - this.pressure) * HPA_TO_METERS / dt;
+            this.verticalSpeed = 0.8 * this.verticalSpeed + 0.2 * speed;
+        }
+        if (this.referencePressure === null) {
+            this.referencePressure = this.pressure;
+            return null;
+        }
+
+        const change = this.getAltitudeChange();
+        if (Math.abs(change) < this.minChange / 2) {
+            // 還在同一層：基準緩慢跟隨天氣造成的氣壓漂移
+            const k = Math.min(1, dt / this.pressureDriftTimeConstant);
+            this.referencePressure += k * (this.pressure - this.referencePressure);
+        }
+
+        if (Math.abs(change) >= this.minChange) {
+            this.pressureHeld += dt;
+            if (this.pressureHeld >= this.pressureHoldTime) {
+                return { displacement: change, source: 'barometer' };
+            }
+        } else {
+            this.pressureHeld = 0;
+        }
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 垂直加速度
+    // ═══════════════════════════════════════════════════════════
+    // accel: accelerationIncludingGravity，dtMs: 取樣間隔，stepDetected: 這個樣本是否偵測到步伐
+    // 回傳 { displacement, source } 或 null
+    updateMotion(accel, dtMs, stepDetected = false) {
+        const dt = Math.max(0, dtMs || 0) / 1000;
+        if (dt === 0 || dt > 0.5) return null; // 間隔異常 (例如分頁切回) 時略過
+        this.lastPressureAge += dt;
+
+        const a = this.estimateVerticalAcceleration(accel, dt);
+        if (a === null) return null;
+
+        this.sinceLastStep = stepDetected ? 0 : this.sinceLastStep + dt;
+        const walking = this.sinceLastStep < this.walkingTimeout;
+
+        // 有氣壓計時不使用加速度積分 (誤差大得多)
+        if (this.hasBarometer()) return null;
+
+        return walking ? this.updateStairs(a, dt, stepDetected) : this.updateElevator(a, dt);
+    }
+
+    // 垂直線性加速度 (向上為正)；對 iOS / Android 加速度正負號相反的差異不敏感
+    estimateVerticalAcceleration(accel, dt) {
+        if (!this.gravity) {
+            this.gravity = { x: accel.x, y: accel.y, z: accel.z };
+        } else {
+            const k = this.gravityAlpha;
+            this.gravity.x = k * accel.x + (1 - k) * this.gravity.x;
+            this.gravity.y = k * accel.y + (1 - k) * this.gravity.y;
+            this.gravity.z = k * accel.z + (1 - k) * this.gravity.z;
+        }
+        const norm = Math.hypot(this.gravity.x, this.gravity.y, this.gravity.z);
+        if (norm < 1) return null; // 自由落體或沒有重力資料
+
+        const projected = (accel.x * this.gravity.x + accel.y * this.gravity.y + accel.z * this.gravity.z) / norm;
+        if (this.gravityMagnitude === null) {
+            this.gravityMagnitude = projected;
+        } else if (!this.ride) {
+            // 以長時間平均追蹤重力大小，同時吸收加速度計的偏差
+            const k = Math.min(1, dt / this.biasTimeConstant);
+            this.gravityMagnitude += k * (projected - this.gravityMagnitude);
+        }
+        this.verticalAcceleration = projected - this.gravityMagnitude;
+        return this.verticalAcceleration;
+    }
+
+    updateElevator(a, dt) {
+        this.stairs = this.emptyStairs();
+
+        if (!this.ride) {
+            // 尋找持續同方向的起動加速
+            if (Math.abs(a) >= this.rideThreshold) {
+                const direction = Math.sign(a);
+                if (!this.pendingRide || this.pendingRide.direction !== direction) {
+                    this.pendingRide = { direction, duration: 0, velocity: 0, displacement: 0 };
+                }
+                const p = this.pendingRide;
+                p.duration += dt;
+                p.displacement += p.velocity * dt + 0.5 * a * dt * dt;
+                p.velocity += a * dt;
+                if (p.duration >= this.rideMinDuration) {
+                    this.ride = { ...p, reversed: false, quiet: 0 };
+                    this.pendingRide = null;
+                    console.log(`🛗 偵測到電梯起動 (${p.direction > 0 ? '上' : '下'}樓)`);
+                }
+            } else {
+                this.pendingRide = null;
+            }
+            return null;
+        }
+
+        const ride = this.ride;
+        ride.duration += dt;
+        ride.displacement += ride.velocity * dt + 0.5 * a * dt * dt;
+        ride.velocity += a * dt;
+        if (Math.sign(a) === -ride.direction && Math.abs(a) >= this.rideThreshold) {
+            ride.reversed = true; // 減速停靠
+        }
+        ride.quiet = Math.abs(a) < this.quietThreshold ? ride.quiet + dt : 0;
+
+        const stopped = ride.reversed && ride.quiet >= this.quietDuration;
+        if (!stopped && ride.duration < this.rideTimeout) return null;
+
+        this.ride = null;
+        if (stopped && Math.abs(ride.displacement) >= this.minChange) {
+            return { displacement: ride.displacement, source: 'elevator' };
+        }
+        console.log(`🛗 電梯偵測結束，位移 ${ride.displacement.toFixed(2)} m 不足以判定換層`);
+        return null;
+    }
+
+    updateStairs(a, dt, stepDetected) {
+        this.ride = null;
+        this.pendingRide = null;
+
+        const s = this.stairs;
+        s.velocity = s.velocity * Math.exp(-dt / this.stairsLeak) + a * dt;
+        s.velocitySum += s.velocity * dt;
+        s.stepTime += dt;
+        if (!stepDetected || s.stepTime === 0) return null;
+
+        // 這一步的平均垂直速度
+        const meanVelocity = s.velocitySum / s.stepTime;
+        s.velocitySum = 0;
+        s.stepTime = 0;
+
+        const direction = meanVelocity > this.stairsVelocity ? 1 : meanVelocity < -this.stairsVelocity ? -1 : 0;
+        if (direction === 0 || direction !== s.direction) {
+            s.direction = direction;
+            s.steps = direction === 0 ? 0 : 1;
+            return null;
+        }
+
+        s.steps++;
+        if (s.steps * this.riserHeight >= this.minChange) {
+            const displacement = direction * s.steps * this.riserHeight;
+            this.stairs = this.emptyStairs();
+            return { displacement, source: 'stairs' };
+        }
+        return null;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 氣壓計來源
+// ═══════════════════════════════════════════════════════════════
+// 瀏覽器尚未標準化氣壓感測器；若執行環境 (實驗性旗標或原生外殼) 提供
+// Generic Sensor 形式的建構子 (Barometer / PressureSensor，讀數 .pressure 為 hPa) 就使用它。
+function getBarometerConstructor() {
+    if (typeof window === 'undefined') return null;
+    return window.Barometer || window.PressureSensor || null;
+}
+
+export class BarometerSource {
+    constructor(frequency = 5) {
+        this.name = 'barometer';
+        this.frequency = frequency;
+        this.sensor = null;
+        this.lastTimestamp = null;
+    }
+
+    static isSupported() {
+        return getBarometerConstructor() !== null;
+    }
+
+    // onReading(pressureHpa, dtMs)
+    start(onReading) {
+        const Sensor = getBarometerConstructor();
+        if (!Sensor) {
+            throw new Error('此瀏覽器沒有氣壓感測器 API');
+        }
+        this.sensor = new Sensor({ frequency: this.frequency });
+        this.sensor.addEventListener('reading', () => {
+            const timestamp = this.sensor.timestamp ?? performance.now();
+            const dt = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+            this.lastTimestamp = timestamp;
+            onReading(this.sensor.pressure, dt);
+        });
+        this.sensor.addEventListener('error', (event) => {
+            console.error("❌ 氣壓感測器錯誤:", event.error);
+        });
+        this.sensor.start();
+        console.log("🌡️ 氣壓感測器已啟動");
+    }
+
+    stop() {
+        this.sensor?.stop();
+        this.sensor = null;
+        this.lastTimestamp = null;
+    }
+}
@@ -0,0 +1,110 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║                平面圖幾何 - Floor Plan Geometry                  ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 場地的可行走區域 (多邊形) 與牆面 (折線)，座標為水平面上的 (x, z)，單位公尺。
+// 只有幾何運算，不依賴 Three.js 或 DOM。
+
+// 線段 p1-p2 與 p3-p4 是否相交 (含端點接觸)
+export function segmentsIntersect(p1, p2, p3, p4) {
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+        ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return true;
+    }
+
+    return (d1 === 0 && onSegment(p3, p4, p1)) ||
+           (d2 === 0 && onSegment(p3, p4, p2)) ||
+           (d3 === 0 && onSegment(p1, p2, p3)) ||
+           (d4 === 0 && onSegment(p1, p2, p4));
+}
+
+function cross(a, b, c) {
+    return (b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x);
+}
+
+function onSegment(a, b, p) {
+    return Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) &&
+           Math.min(a.z, b.z) <= p.z && p.z <= Math.max(a.z, b.z);
+}
+
+// 射線法判斷點是否在多邊形內
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.z > point.z) !== (b.z > point.z) &&
+            point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export class FloorPlan {
+    // walkable: [[{x, z}, ...], ...] 可行走多邊形 (任一個內部即可行走)
+    // walls:    [[{x, z}, ...], ...] 牆面折線
+    constructor({ walkable = [], walls = [] } = {}) {
+        this.walkable = walkable;
+        this.walls = walls;
+
+        // 牆面拆成線段並預先算好外框，加速穿牆檢查
+        this.wallSegments = [];
+        walls.forEach(line => {
+            for (let i = 0; i < line.length - 1; i++) {
+                const a = line[i];
+                const b = line[i + 1];
+                this.wallSegments.push({
+                    a, b,
+                    minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+                    minZ: Math.min(a.z, b.z), maxZ: Math.max(a.z, b.z)
+                });
+            }
+        });
+    }
+
+    isEmpty() {
+        return this.walkable.length === 0 && this.wallSegments.length === 0;
+    }
+
+    // 沒有定義可行走區域時，整個平面都可行走
+    isWalkable(point) {
+        if (this.walkable.length === 0) return true;
+        return this.walkable.some(polygon => pointInPolygon(point, polygon));
+    }
+
+    // 從 from 移動到 to 是否穿過牆面
+    crossesWall(from, to) {
+        const minX = Math.min(from.x, to.x);
+        const maxX = Math.max(from.x, to.x);
+        const minZ = Math.min(from.z, to.z);
+        const maxZ = Math.max(from.z, to.z);
+
+        return this.wallSegments.some(seg =>
+            seg.maxX >= minX && seg.minX <= maxX &&
+            seg.maxZ >= minZ && seg.minZ <= maxZ &&
+            segmentsIntersect(from, to, seg.a, seg.b)
+        );
+    }
+
+    // 這一步是否合法：終點可行走且沒有穿牆
+    canMove(from, to) {
+        return this.isWalkable(to) && !this.crossesWall(from, to);
+    }
+
+    getBounds() {
+        const all = [...this.walkable.flat(), ...this.walls.flat()];
+        if (all.length === 0) return null;
+        return {
+            minX: Math.min(...all.map(p => p.x)),
+            maxX: Math.max(...all.map(p => p.x)),
+            minZ: Math.min(...all.map(p => p.z)),
+            maxZ: Math.max(...all.map(p => p.z))
+        };
+    }
+}
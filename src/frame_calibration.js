@@ -0,0 +1,92 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║          起點 / 方向校準 - Origin & Heading Alignment           ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 開機時的區域座標系取決於手機當下朝向 (第一個 alpha) 與站的位置 (永遠是原點)，
+// 校準把它對齊到場地檔的座標 (x 右, z 後)：
+// - 起點: 站在已知位置 (訊號點或輸入座標)
+// - 方向: (a) 面向已知方向 (方位角，或朝向另一個訊號點)
+//         (b) 兩點行走 — 從 A 走到 B，以實際走出的向量與 A→B 的夾角求旋轉
+//
+// yaw 使用 IndoorPositionTracker 的慣例: 弧度，場景正前方 (−z) 為 0，順時針為正，
+// 前進方向 = (sin yaw, −cos yaw)。tracker.yaw = initialYaw − 航向 (alpha 慣例)。
+
+// 將角度包成 (-π, π]
+export function wrapRadians(angle) {
+    let a = angle % (2 * Math.PI);
+    if (a <= -Math.PI) a += 2 * Math.PI;
+    if (a > Math.PI) a -= 2 * Math.PI;
+    return a;
+}
+
+// from → to 的方位 (yaw)
+export function bearingBetween(from, to) {
+    return Math.atan2(to.x - from.x, -(to.z - from.z));
+}
+
+// 把水平向量順時針旋轉 angle (與 yaw 同方向)
+export function rotateVector({ x, z }, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: x * cos - z * sin, z: z * cos + x * sin };
+}
+
+// 使用者面向 targetYaw 時的航向 (度，alpha 慣例) → 新的 initialYaw (弧度)
+export function initialYawForFacing(targetYaw, headingDegrees) {
+    return wrapRadians(targetYaw + headingDegrees * Math.PI / 180);
+}
+
+// 兩點對齊: 實際走出 walkedFrom → walkedTo，真實為 from → to
+// 回傳 { rotation (要加到 initialYaw 的弧度), scale (真實 / 實走距離), distance, walkedDistance, transform(p) }
+// transform 把這段行走中記錄的點對映到場地座標 (繞起點旋轉、縮放後平移到 from)
+export function solveTwoPointAlignment({ walkedFrom, walkedTo, from, to, minDistance = 1 }) {
+    const walkedDistance = Math.hypot(walkedTo.x - walkedFrom.x, walkedTo.z - walkedFrom.z);
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    if (distance < minDistance) {
+        throw new Error(`兩個參考點距離太近 (${distance.toFixed(2)} m)，請選擇相距 ${minDistance} m 以上的點`);
+    }
+    if (walkedDistance < minDistance) {
+        throw new Error(`只偵測到 ${walkedDistance.toFixed(2)} m 的移動，請確認有走到目標點`);
+    }
+
+    const rotation = wrapRadians(bearingBetween(from, to) - bearingBetween(walkedFrom, walkedTo));
+    const scale = distance / walkedDistance;
+    const transform = (p) => {
+        const v = rotateVector({ x: p.x - walkedFrom.x, z: p.z - walkedFrom.z }, rotation);
+        return { x: from.x + v.x * scale, z: from.z + v.z * scale };
+    };
+    return { rotation, scale, distance, walkedDistance, transform };
+}
+
+// 兩點行走的流程狀態 (在 A 開始 → 走到 B 結束)
+export class TwoPointAlignment {
+    constructor() {
+        this.active = false;
+        this.from = null;
+        this.walkedFrom = null;
+    }
+
+    // from: 起點的場地座標；walkedFrom: 此時追蹤器的位置
+    start(from, walkedFrom) {
+        this.active = true;
+        this.from = { x: from.x, z: from.z };
+        this.walkedFrom = { x: walkedFrom.x, z: walkedFrom.z };
+        console.log("🧭 兩點校準開始：請走到目標點");
+    }
+
+    cancel() {
+        this.active = false;
+        this.from = null;
+        this.walkedFrom = null;
+    }
+
+    finish(to, walkedTo) {
+        if (!this.active) {
+            throw new Error('尚未開始兩點校準');
+        }
+        const solution = solveTwoPointAlignment({ walkedFrom: this.walkedFrom, walkedTo, from: this.from, to });
+        this.cancel();
+        console.log(`🧭 兩點校準: 旋轉 ${(solution.rotation * 180 / Math.PI).toFixed(1)}°，距離比 ${solution.scale.toFixed(2)}`);
+        return solution;
+    }
+}
@@ -0,0 +1,215 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║          航向估計器 - Gyro / Compass Heading Estimator          ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 互補濾波器 (complementary filter):
+// - 短期以 devicemotion.rotationRate 積分 (陀螺儀不受磁場影響，但會漂移)
+// - 長期以 deviceorientation.alpha 慢慢拉回 (羅盤不漂移，但室內易受鋼筋/電器干擾)
+//
+// 磁干擾偵測: 比較「羅盤轉了多少」與「陀螺儀轉了多少」(單一樣本的突跳 + 固定時間窗的累積)，
+// 兩者差距過大就判定為磁干擾，改為純陀螺儀航向。
+// 恢復條件: 羅盤持續與陀螺儀一致，且讀數回到融合航向附近；
+// 若羅盤長時間穩定但始終有偏差，視為先前的航向已漂移，重新以羅盤定錨。
+//
+// 角度一律使用 alpha 的慣例 (度，逆時針為正)，換算成場景 yaw 由 IndoorPositionTracker 負責。
+
+// 將角度差包成 (-180, 180]
+export function wrapDegrees(angle) {
+    let a = angle % 360;
+    if (a <= -180) a += 360;
+    if (a > 180) a -= 360;
+    return a;
+}
+
+function normalizeDegrees(angle) {
+    const a = angle % 360;
+    return a < 0 ? a + 360 : a;
+}
+
+export class HeadingEstimator {
+    constructor(options = {}) {
+        // 羅盤修正的時間常數 (秒)：越大越信任陀螺儀
+        this.timeConstant = options.timeConstant ?? 2.0;
+        // 磁干擾判定：每個時間窗內羅盤與陀螺儀轉角差的上限 (度)
+        this.disturbanceThreshold = options.disturbanceThreshold ?? 8;
+        this.jumpThreshold = options.jumpThreshold ?? 5;      // 單一樣本的突跳上限 (度)
+        this.windowDuration = options.windowDuration ?? 0.5;  // 比較時間窗 (秒)
+        this.recoveryTime = options.recoveryTime ?? 2.0;      // 連續一致多久才恢復使用羅盤 (秒)
+        this.recoveryInnovation = options.recoveryInnovation ?? 15; // 恢復時羅盤與航向的差距上限 (度)
+        this.reanchorTime = options.reanchorTime ?? 10;       // 羅盤穩定但有偏差多久後重新定錨 (秒)
+        // 純陀螺儀模式下信心值衰減的時間常數 (秒)
+        this.driftTimeConstant = options.driftTimeConstant ?? 60;
+        // 重力估計的低通濾波係數
+        this.gravityAlpha = options.gravityAlpha ?? 0.1;
+
+        this.reset();
+    }
+
+    reset() {
+        this.heading = null;          // 融合後的航向 (alpha 慣例，度)
+        this.lastCompass = null;      // 上一次的羅盤讀數
+        this.gravity = null;          // 裝置座標系下的重力方向估計
+        this.hasGyro = false;
+
+        this.sinceCompass = 0;        // 上次羅盤讀數後經過的時間 (秒)
+        this.gyroSinceCompass = 0;    // 上次羅盤讀數後陀螺儀轉過的角度 (度)
+        this.windowTime = 0;
+        this.windowCompassDelta = 0;
+        this.windowGyroDelta = 0;
+
+        this.disturbed = false;
+        this.calmTime = 0;
+        this.gyroOnlyTime = 0;
+        this.innovation = 0;          // 最近一次羅盤與融合航向的差 (度，平滑後)
+    }
+
+    // 陀螺儀輸入: rotationRate (度/秒, W3C 定義 alpha→z、beta→x、gamma→y 軸)
+    // accelerationIncludingGravity 用來找出「垂直向上」軸，把角速度投影成水平轉向
+    updateGyro(rotationRate, accelerationIncludingGravity, deltaTimeMs) {
+        if (!rotationRate || rotationRate.alpha === null || rotationRate.alpha === undefined) return;
+        const dt = (deltaTimeMs || 0) / 1000;
+        if (dt <= 0 || dt > 1) return; // 異常間隔 (例如分頁切回) 直接略過
+
+        this.updateGravity(accelerationIncludingGravity);
+        if (!this.gravity) return;
+
+        const g = this.gravity;
+        const norm = Math.hypot(g.x, g.y, g.z);
+        if (norm < 1e-3) return;
+
+        // 角速度向量 (裝置座標) 在垂直軸上的分量 = 水平轉向速率
+        const yawRate = ((rotationRate.beta || 0) * g.x +
+                         (rotationRate.gamma || 0) * g.y +
+                         (rotationRate.alpha || 0) * g.z) / norm;
+        const delta = yawRate * dt;
+
+        this.hasGyro = true;
+        if (this.heading !== null) {
+            this.heading = normalizeDegrees(this.heading + delta);
+        }
+
+        this.sinceCompass += dt;
+        this.gyroSinceCompass += delta;
+        this.windowGyroDelta += delta;
+        if (this.disturbed) {
+            this.gyroOnlyTime += dt;
+        }
+    }
+
+    updateGravity(acceleration) {
+        if (!acceleration) return;
+        const a = {
+            x: acceleration.x || 0,
+            y: acceleration.y || 0,
+            z: acceleration.z || 0
+        };
+        if (!this.gravity) {
+            this.gravity = a;
+            return;
+        }
+        const k = this.gravityAlpha;
+        this.gravity.x += k * (a.x - this.gravity.x);
+        this.gravity.y += k * (a.y - this.gravity.y);
+        this.gravity.z += k * (a.z - this.gravity.z);
+    }
+
+    // 羅盤輸入: deviceorientation.alpha (度)
+    updateCompass(alpha) {
+        if (alpha === null || alpha === undefined) return;
+
+        if (this.heading === null || !this.hasGyro) {
+            // 尚未有陀螺儀資料：直接採用羅盤
+            this.heading = normalizeDegrees(alpha);
+            this.lastCompass = alpha;
+            this.sinceCompass = 0;
+            this.gyroSinceCompass = 0;
+            return;
+        }
+
+        const compassDelta = wrapDegrees(alpha - this.lastCompass);
+        this.lastCompass = alpha;
+        this.windowCompassDelta += compassDelta;
+        this.windowTime += this.sinceCompass;
+
+        const innovation = wrapDegrees(alpha - this.heading);
+        this.innovation += 0.1 * (Math.abs(innovation) - this.innovation);
+
+        // 單一樣本突跳: 羅盤瞬間轉動但陀螺儀沒感覺到
+        if (Math.abs(compassDelta - this.gyroSinceCompass) > this.jumpThreshold) {
+            this.markDisturbed(Math.abs(compassDelta - this.gyroSinceCompass));
+        }
+        if (this.windowTime >= this.windowDuration) {
+            this.checkDisturbance(innovation);
+        }
+
+        if (!this.disturbed) {
+            const dt = this.sinceCompass;
+            const k = dt / (this.timeConstant + dt);
+            this.heading = normalizeDegrees(this.heading + k * innovation);
+        }
+        this.sinceCompass = 0;
+        this.gyroSinceCompass = 0;
+    }
+
+    markDisturbed(mismatch) {
+        if (!this.disturbed) {
+            console.warn(`🧲 偵測到磁干擾 (羅盤與陀螺儀差 ${mismatch.toFixed(1)}°)，改用純陀螺儀航向`);
+        }
+        this.disturbed = true;
+        this.calmTime = 0;
+    }
+
+    checkDisturbance(innovation) {
+        const mismatch = Math.abs(wrapDegrees(this.windowCompassDelta - this.windowGyroDelta));
+
+        if (mismatch > this.disturbanceThreshold) {
+            this.markDisturbed(mismatch);
+        } else if (this.disturbed) {
+            this.calmTime += this.windowTime;
+            const agrees = Math.abs(innovation) <= this.recoveryInnovation;
+            if ((agrees && this.calmTime >= this.recoveryTime) || this.calmTime >= this.reanchorTime) {
+                this.disturbed = false;
+                this.gyroOnlyTime = 0;
+                if (!agrees) {
+                    // 羅盤長時間穩定：判定是陀螺儀漂移，直接以羅盤重新定錨
+                    this.heading = normalizeDegrees(this.lastCompass);
+                }
+                console.log(`🧭 磁場恢復穩定，重新融合羅盤航向${agrees ? '' : ' (重新定錨)'}`);
+            }
+        }
+
+        this.windowTime = 0;
+        this.windowCompassDelta = 0;
+        this.windowGyroDelta = 0;
+    }
+
+    getHeading() {
+        return this.heading;
+    }
+
+    isDisturbed() {
+        return this.disturbed;
+    }
+
+    // 'fused' | 'gyro' (磁干擾中) | 'compass' (無陀螺儀) | 'none'
+    getSource() {
+        if (this.heading === null) return 'none';
+        if (!this.hasGyro) return 'compass';
+        return this.disturbed ? 'gyro' : 'fused';
+    }
+
+    // 航向信心值 0-1
+    getConfidence() {
+        switch (this.getSource()) {
+            case 'none':
+                return 0;
+            case 'compass':
+                // 沒有陀螺儀可交叉驗證
+                return 0.5;
+            case 'gyro':
+                return 0.8 * Math.exp(-this.gyroOnlyTime / this.driftTimeConstant);
+            default:
+                return Math.max(0.2, 1 - this.innovation / 45);
+        }
+    }
+}
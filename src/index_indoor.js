@@ -1,799 +1,2601 @@
 import * as THREE from "https://esm.sh/three";
+import { createIndoorAR, getColorForSignal } from "./indoor_ar.js";
+import { DEFAULT_SITE, POI_CATEGORIES, getAllSitePoints, getPointIcon, loadSiteFromUrl, loadSiteFromFile, getSiteUrlFromQuery } from "./site.js";
+import { SignalHeatmap } from "./signal_heatmap.js";
+import { RssiPositioner, MockRssiSource, WebBluetoothRssiSource } from "./rssi_positioning.js";
+import {
+    StepLengthCalibration,
+    loadStepCalibration, saveStepCalibration, clearStepCalibration, addCalibrationWalk
+} from "./step_length.js";
+import {
+    SurveySession, SimulatedSignalSource, RssiSnapshotSource, NetworkInformationSource, ManualSignalSource,
+    parseSurveyJson, parseSurveyCsv, samplesToSignalPoints
+} from "./site_survey.js";
+import { TrajectoryRecorder } from "./trajectory.js";
+import { Navigator } from "./navigation.js";
+import { FloorChangeDetector, BarometerSource } from "./floor_detector.js";
+import { TwoPointAlignment, bearingBetween } from "./frame_calibration.js";
+import { MarkerAnchor, MARKER_CORRECTION_MODES } from "./marker_anchoring.js";
+import { MarkerDetector } from "./marker_detector.js";
+import { Minimap } from "./minimap.js";
+import { PointLabelLayer, formatDistance } from "./point_labels.js";
+import { DiagnosticsRecorder, DiagnosticsChart } from "./diagnostics.js";
+import { ZoneActionRunner, describeZoneEvent, replayZoneEvents } from "./zones.js";
+import { SharedSession, SESSION_STATUS_LABELS } from "./shared_session.js";
+import { PeerAvatarLayer, describePeer } from "./peer_avatars.js";
+import {
+    DEFAULT_DETECTOR_CONFIG, DETECTOR_PARAMETERS, BUILTIN_DETECTOR_PRESETS, applyDetectorConfig, parseDetectorConfig,
+    detectorParamsOf, loadUserPresets, saveUserPreset, deleteUserPreset, detectorConfigUrl, detectorConfigFromQuery,
+    detectorConfigToJSON, parseDetectorConfigFile
+} from "./detector_config.js";
+import { DesktopSimulator, isSimulatorRequested, SIMULATOR_STEP_ALGORITHM } from "./simulator.js";
+import { downloadText, timestampForFilename } from "./file_utils.js";
+import { SensorTraceRecorder, SensorTraceReplayer, parseSensorTrace, downloadTrace } from "./sensor_trace.js";
+import {
+    loadSettings, saveSettings, loadSavedSite, saveSite, loadSession, saveSession, clearSession,
+    buildProfile, parseProfile, storeProfile, clearAllStoredData
+} from "./persistence.js";
 
 // ╔════════════════════════════════════════════════════════════════╗
 // ║           室內 AR 追蹤系統 - Indoor AR Tracking System          ║
 // ╚════════════════════════════════════════════════════════════════╝
 
 // ═══════════════════════════════════════════════════════════════
-// 第 1 部分：Three.js 基礎設定
+// 第 1 部分：IndoorAR 核心 (場景、相機、感測器與位置追蹤，見 indoor_ar.js)
 // ═══════════════════════════════════════════════════════════════
-
+// 這個頁面是 createIndoorAR 的使用端：下面的面板、導航、小地圖等都透過事件與 ar 互動
+// ?sim 時不連接裝置感測器與相機，改由桌機模擬器餵入合成事件
+const simulatorMode = isSimulatorRequested();
 const ARCanvas = document.getElementById('glscene');
-const ARRenderer = new THREE.WebGLRenderer({
+const ar = createIndoorAR({
     canvas: ARCanvas,
-    alpha: false,
-    antialias: true
+    site: DEFAULT_SITE,
+    options: { size: 'window', sensors: !simulatorMode, camera: !simulatorMode }
 });
-ARRenderer.setSize(window.innerWidth, window.innerHeight);
-ARRenderer.setPixelRatio(window.devicePixelRatio);
-
-// ========== Three.js 基礎設定 ==========
-const camera = new THREE.PerspectiveCamera( 
-    75,
-    window.innerWidth / window.innerHeight,
-    0.1,
-    1000
-);
-camera.position.set(0, 1.6, 0); // 眼睛高度
+const { scene, camera, tracker } = ar;
 
-const scene = new THREE.Scene();
-scene.background = null; // 攝像頭會設為背景
+ar.on('error', ({ source, error }) => {
+    if (source === 'camera') {
+        console.error("❌ 攝像頭錯誤:", error);
+        alert(`攝像頭錯誤: ${error.message}\n\n請確認:\n1. 已授予相機權限\n2. 沒有其他 App 使用相機\n3. 使用 HTTPS 或 localhost`);
+    } else if (source === 'sensors') {
+        console.error("❌ 裝置不支援 DeviceOrientationEvent");
+        alert("您的裝置或瀏覽器不支援陀螺儀功能。");
+    } else {
+        console.error(`❌ ${source} 錯誤:`, error);
+    }
+});
 
 // ═══════════════════════════════════════════════════════════════
-// 第 2 部分：攝像頭管理
+// 第 2 部分：場地與樓層
 // ═══════════════════════════════════════════════════════════════
-let videoCameraStream = null;
-let videoTexture = null;
-let videoElement = null;
+// x: 左右 (正=右), y: 上下 (正=上), z: 前後 (負=前方)
+// 訊號點由場地定義檔提供 (見 site.js)，未指定時使用預設場地
+// 多樓層場地一次只顯示目前樓層的訊號點、平面圖與熱力圖 (地面圓圈由 ar 繪製)
+let currentSite = ar.getSite();
+let currentFloor = ar.getFloor();
+
+// 依目前樓層重建訊號點列表
+function renderStationList() {
+    const list = document.getElementById('station-list');
+    if (!list) return;
+
+    list.replaceChildren(...currentFloor.points.map(point => {
+        const item = document.createElement('div');
+        item.className = 'station-item';
+
+        const name = document.createElement('div');
+        name.className = 'station-name';
+        const icon = getPointIcon(point);
+        name.textContent = icon ? `${icon} ${point.name}` : point.name;
+
+        const coords = document.createElement('div');
+        coords.className = 'station-coords';
+        const position = `(${point.x.toFixed(1)}, ${point.z.toFixed(1)}) m`;
+        coords.textContent = point.description
+            ? `${point.description} · ${position} · 強度 ${point.power}`
+            : `${position} · 強度 ${point.power}`;
+
+        item.append(name, coords);
+
+        // 點選訊號點作為導航目的地
+        item.dataset.pointId = point.id;
+        item.classList.toggle('station-selected', navigation.destination?.id === point.id);
+        item.addEventListener('click', () => startNavigation(point));
+        return item;
+    }));
+}
 
-async function initializeCamera() {
-    try {
-        console.log("📷 請求相機權限...");
+// ========== 平面圖 (可行走區域 / 牆面) 與粒子雲 ==========
+const floorPlanGroup = new THREE.Group();
+scene.add(floorPlanGroup);
+
+const particleGeometry = new THREE.BufferGeometry();
+const particleCloud = new THREE.Points(particleGeometry, new THREE.PointsMaterial({
+    color: 0x00ccff,
+    size: 0.05,
+    transparent: true,
+    opacity: 0.6
+}));
+particleCloud.visible = false;
+scene.add(particleCloud);
+
+function disposeGroupChildren(group) {
+    group.children.slice().forEach(child => {
+        group.remove(child);
+        child.geometry?.dispose();
+        child.material?.dispose();
+    });
+}
 
-        videoCameraStream = await navigator.mediaDevices.getUserMedia({
-            video: { 
-                facingMode: 'environment',
-            }
-        });
+function renderFloorPlan(floorPlan, elevation = 0) {
+    disposeGroupChildren(floorPlanGroup);
+    floorPlanGroup.position.y = elevation;
+    if (!floorPlan) return;
+
+    floorPlan.walkable.forEach(polygon => {
+        // Shape 的 (x, y) 旋轉到地面後對應 (x, -z)
+        const shape = new THREE.Shape(polygon.map(v => new THREE.Vector2(v.x, -v.z)));
+        const mesh = new THREE.Mesh(
+            new THREE.ShapeGeometry(shape),
+            new THREE.MeshBasicMaterial({ color: 0x0096ff, transparent: true, opacity: 0.12, side: THREE.DoubleSide })
+        );
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.y = 0.01;
+        floorPlanGroup.add(mesh);
+    });
 
-        videoElement = document.createElement('video');
-        videoElement.srcObject = videoCameraStream;
-        videoElement.setAttribute('playsinline', ''); // iOS 必需
-        videoElement.setAttribute('webkit-playsinline', ''); // iOS 舊版本
-        videoElement.autoplay = true;
-        videoElement.muted = true; // iOS 必需靜音才能自動播放
-
-        // 等待影片準備好
-        await new Promise((resolve, reject) => {
-            videoElement.onloadedmetadata = () => {
-                videoElement.play()
-                    .then(() => {
-                        console.log("✅ 影片開始播放");
-                        resolve();
-                    })
-                    .catch(reject);
-            };
-            videoElement.onerror = reject;
-        });
+    const wallVertices = [];
+    floorPlan.wallSegments.forEach(({ a, b }) => {
+        wallVertices.push(a.x, 0.05, a.z, b.x, 0.05, b.z);
+    });
+    if (wallVertices.length > 0) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(wallVertices, 3));
+        floorPlanGroup.add(new THREE.LineSegments(
+            geometry,
+            new THREE.LineBasicMaterial({ color: 0xff4444 })
+        ));
+    }
+}
 
-        // 建立攝像頭紋理
-        videoTexture = new THREE.VideoTexture(videoElement);
-        videoTexture.colorSpace = THREE.SRGBColorSpace;
-        scene.background = videoTexture;
+function updateParticleCloud() {
+    const particles = tracker.localizer?.getParticles() || [];
+    particleCloud.visible = particles.length > 0;
+    if (!particleCloud.visible) return;
 
-        console.log("✅ 攝像頭已啟動");
-        console.log(`   影片尺寸: ${videoElement.videoWidth}x${videoElement.videoHeight}`);
+    const positions = new Float32Array(particles.length * 3);
+    particles.forEach((p, i) => {
+        positions[i * 3] = p.x;
+        positions[i * 3 + 1] = currentFloor.elevation + 0.03;
+        positions[i * 3 + 2] = p.z;
+    });
+    particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    particleGeometry.computeBoundingSphere();
+}
 
-        return true;
-    } catch (error) {
-        console.error("❌ 攝像頭錯誤:", error);
-        alert(`攝像頭錯誤: ${error.message}\n\n請確認:\n1. 已授予相機權限\n2. 沒有其他 App 使用相機\n3. 使用 HTTPS 或 localhost`);
-        return false;
-    }
+// ========== 訊號熱力圖 (訊號點之間的內插) ==========
+const signalHeatmap = new SignalHeatmap({ colorForSignal: getColorForSignal });
+scene.add(signalHeatmap.getObject3D());
+
+// ========== 訊號點標籤 (名稱 / 強度 / 距離，依距離淡出) ==========
+const pointLabels = new PointLabelLayer({ colorForSignal: getColorForSignal });
+scene.add(pointLabels.getObject3D());
+let selectedPoint = null; // 資訊卡顯示中的訊號點
+
+// 套用新場地：不需重新整理頁面即可重建訊號點
+// floorId: 套用後停留的樓層 (新場地沒有這一層時回到最低樓層)
+function applySite(site, floorId = currentFloor.id) {
+    stopNavigation();
+    floorDetector.setMinChange(0.6 * getFloorSpacing(site));
+    ar.setSite(site, floorId);
+    console.log(`🏢 已套用場地「${site.name}」，共 ${site.floors.length} 層、${getAllSitePoints(site).length} 個訊號點`);
 }
 
-// ═══════════════════════════════════════════════════════════════
-// 第 3 部分：陀螺儀控制
-// ═══════════════════════════════════════════════════════════════
-class DeviceOrientationController {
-    constructor(camera) {
-        this.camera = camera;
-        this.alpha = 0; 
-        this.beta = 0;  
-        this.gamma = 0;
-        this.initialYaw = null; // 新增：初始羅盤方向
-        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
-        this.quaternion = new THREE.Quaternion();
+// 相鄰樓層的最小高度差 (單一樓層時使用一般樓高)
+function getFloorSpacing(site) {
+    const gaps = site.floors.slice(1).map((floor, i) => floor.elevation - site.floors[i].elevation);
+    return gaps.length > 0 ? Math.max(1, Math.min(...gaps)) : 3.5;
+}
 
-        // 記錄陀螺儀初始狀態
-        console.log("📡 陀螺儀控制器已初始化");
-        console.log(`   初始姿態 - Alpha: ${this.alpha}°, Beta: ${this.beta}°, Gamma: ${this.gamma}°`);
-    }
+function getFloorElevation(floorId) {
+    return currentSite.floors.find(floor => floor.id === floorId)?.elevation ?? 0;
+}
 
-    async init() {
-        if (typeof DeviceOrientationEvent !== 'undefined') { 
-            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-                console.warn("⚠️ 請透過按鈕點擊授權陀螺儀功能。");
-            } else {
-                // Android 和其他裝置
-                this.connect();
-                console.log("✅ 陀螺儀已連接 (Android/其他)");
-            }
+// ar 換樓層 / 換場地後 (追蹤高度與訊號點圓圈已更新)：只顯示該層的平面圖、熱力圖與標記，並更新面板
+ar.on('floor', ({ floor, floorPlan }) => {
+    currentSite = ar.getSite();
+    currentFloor = floor;
+    navigation.setFloorPlan(floorPlan);
+    if (navigation.isActive()) {
+        // 目的地在別層時無法規劃路徑
+        if (navigation.destination.floor !== floor.id) {
+            stopNavigation();
         } else {
-            console.error("❌ 裝置不支援 DeviceOrientationEvent");
-            alert("您的裝置或瀏覽器不支援陀螺儀功能。");
+            renderBreadcrumbs(navigation.replan(tracker.getPosition()));
         }
     }
+    renderFloorPlan(floorPlan, floor.elevation);
+    renderMarkers(floor);
+    if (simulatorGrid) simulatorGrid.position.y = floor.elevation;
+    pointLabels.setPoints(floor.points, floor.elevation);
+    signalHeatmap.update(floor.points, floorPlan, floor.elevation);
+    surveyGroup.children.forEach(marker => {
+        marker.visible = marker.userData.floor === floor.id;
+    });
+    renderStationList();
+    renderPointOptions();
+    renderFloorOptions();
+    // 換場地 / 換樓層後，選取中的訊號點改指向新的資料 (不在這一層就關閉資訊卡)
+    if (selectedPoint) {
+        const point = floor.points.find(p => p.id === selectedPoint.id);
+        if (point) showPointCard(point);
+        else hidePointCard();
+    }
+    floorDetector.resetReference();
+    refreshPeers();
+    if (rssiSourceKind !== 'off') {
+        setRssiSource(rssiSourceKind).catch(error => console.error("❌ RSSI 來源重啟失敗:", error));
+    }
+    console.log(`🏢 目前樓層: ${floor.name} (高度 ${floor.elevation.toFixed(1)} m，${floor.points.length} 個訊號點)`);
+});
 
-    connect() {
-        const handleOrientation = (event) => {
-            if (this.initialYaw === null && event.alpha !== null) {
-                // 記錄第一次獲取到的 alpha 值作為初始羅盤方向
-                this.initialYaw = THREE.MathUtils.degToRad(event.alpha);
-                console.log(`✅ 初始羅盤方向已校準: ${(this.initialYaw * 180 / Math.PI).toFixed(2)}°`);
-            }
+// 初始樓層的標籤與熱力圖 (訊號點圓圈在建立 ar 時已畫好)
+pointLabels.setPoints(currentFloor.points, currentFloor.elevation);
+signalHeatmap.update(currentFloor.points, ar.getFloorPlan(), currentFloor.elevation);
 
-            this.alpha = THREE.MathUtils.degToRad(event.alpha || 0);
-            this.beta = THREE.MathUtils.degToRad(event.beta || 0);
-            this.gamma = 0;
-        };
+// ═══════════════════════════════════════════════════════════════
+// 第 3 部分：感測器事件
+// ═══════════════════════════════════════════════════════════════
+// 步數偵測 (step_detectors.js) 與位置追蹤 (position_tracker.js) 由 ar 處理，這裡訂閱結果
 
-        window.addEventListener('deviceorientation', handleOrientation, false);
+// 位置改變 (步伐、重設、定位修正、換樓層) 後更新粒子雲、導航與資訊面板
+ar.on('position', () => {
+    updateParticleCloud();
+    updateNavigation();
+    updateInfoPanel();
+    sharedSession.publish();
+});
 
-        console.log("📡 陀螺儀事件監聽器已連接");
-    }
+// 活動狀態 / 攜帶方式改變時更新資訊面板 (沒有移動也要顯示)
+ar.on('activity', () => updateInfoPanel());
 
-    update() {
-        // 根據手機方向調整
-        // beta - 90度：補償手機直立時的角度差異
-        // alpha - initialYaw：校準羅盤,讓初始方向為 Z 軸負方向
-        this.euler.set(
-            this.beta - Math.PI / 2,  // X 軸：補償 90 度 (右手坐標系)
-            this.alpha - (this.initialYaw || 0), // Y 軸：校準後的左右旋轉
-            0      // Z 軸
-        );
+ar.on('motion', ({ accel, dt, moved, detector, before }) => {
+    recordDiagnostics(detector, before, dt);
 
-        this.camera.quaternion.setFromEuler(this.euler);
+    // 電梯 / 樓梯的垂直加速度型態
+    const floorChange = floorDetector.updateMotion(accel, dt, moved);
+    if (floorChange) handleFloorChange(floorChange);
+    tracker.activityClassifier.setStairsHint(floorDetector.isOnStairs());
+});
+
+ar.on('step', () => {
+    stepCalibration.addStep(tracker.stepDetector.lastStep);
+    recordTrajectoryPoint();
+
+    if (surveySession.shouldAutoSample(tracker.getStepCount())) {
+        takeSurveySample();
     }
+});
+
+function handlePressureSample(pressure, dt) {
+    const floorChange = floorDetector.updatePressure(pressure, dt);
+    if (floorChange) handleFloorChange(floorChange);
 }
 
-const deviceOrientationControls = new DeviceOrientationController(camera);
+// 步長校準 (走一段已知距離)
+const stepCalibration = new StepLengthCalibration();
 
-// ═══════════════════════════════════════════════════════════════
-// 第 4 部分：視窗調整
-// ═══════════════════════════════════════════════════════════════
-window.addEventListener("resize", ev => {
-    ARRenderer.setSize(window.innerWidth, window.innerHeight);
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+// 軌跡錄製 / 重播 (重播期間 ar 暫停即時感測器)
+const sensorRecorder = new SensorTraceRecorder();
+let sensorReplayer = null;
+
+function isReplaying() {
+    return sensorReplayer !== null && sensorReplayer.active;
+}
+
+ar.on('sample', ({ kind, event }) => {
+    if (kind === 'orientation') sensorRecorder.recordOrientation(event);
+    else sensorRecorder.recordMotion(event);
 });
 
 // ═══════════════════════════════════════════════════════════════
-// 第 5 部分：訊號點資料與視覺化
+// 桌機模擬器 (網址參數 ?sim，以鍵盤 / 滑鼠產生合成感測器事件)
 // ═══════════════════════════════════════════════════════════════
-// x: 左右 (正=右), y: 上下 (正=上), z: 前後 (負=前方)
-const INDOOR_SIGNAL_POINTS = [
-    { x: 0, y: 0, z: -5, power: 90, name: "訊號點 A" },
-    { x: -3, y: 0, z: 0, power: 5, name: "訊號點 B" },
-    { x: -3, y: 0, z: -3, power: 30, name: "訊號點 C" },
-    { x: 0, y: 0, z: -10, power: 50, name: "訊號點 D" },
-    { x: 5, y: 0, z: -2, power: 70, name: "訊號點 E" },
-    { x: -5, y: 0, z: -2, power: 10, name: "訊號點 F" }
-];
+let simulator = null;
+let simulatorGrid = null;
+
+// 已啟動時不再建立第二個模擬器 (否則步伐與航向變化會重複送出)
+function startSimulator() {
+    if (simulator) return;
+    simulator = new DesktopSimulator({
+        onOrientation: (event) => {
+            if (isReplaying()) return;
+            sensorRecorder.recordOrientation(event);
+            ar.handleOrientation(event);
+        },
+        onMotion: (event, dt) => {
+            if (isReplaying()) return;
+            sensorRecorder.recordMotion(event);
+            ar.handleMotion(event, dt);
+        }
+    });
+    simulator.start(ARCanvas);
+    ar.start();
+
+    // 沒有相機畫面: 深色背景 + 地面格線作為空間參考
+    scene.background = new THREE.Color(0x1c232b);
+    simulatorGrid = new THREE.GridHelper(60, 60, 0x446688, 0x2c3a48);
+    simulatorGrid.position.y = currentFloor.elevation;
+    scene.add(simulatorGrid);
+    document.getElementById('sim-help')?.classList.add('visible');
+}
 
 // ═══════════════════════════════════════════════════════════════
-// 第 6 部分：Material 快取 & 顏色映射
+// 樓層偵測 (電梯 / 樓梯 / 氣壓計) 與手動選擇
 // ═══════════════════════════════════════════════════════════════
-const materialCache = new Map();
+const floorDetector = new FloorChangeDetector({ minChange: 0.6 * getFloorSpacing(currentSite) });
+let autoFloorDetection = true;
+let barometerSource = null;
+
+const floorChangeLabels = { barometer: '氣壓計', elevator: '電梯', stairs: '樓梯', manual: '手動' };
+
+// 場地標出樓梯 / 電梯位置時，加速度偵測到的換層必須發生在對應範圍內 (容許位置不確定度)
+function isNearConnector(type) {
+    const connectors = currentFloor.connectors;
+    if (connectors.length === 0) return true;
+    const pos = tracker.getPosition();
+    const slack = tracker.getPositionUncertainty() ?? 0;
+    return connectors.some(c => c.type === type && Math.hypot(pos.x - c.x, pos.z - c.z) <= c.radius + slack);
+}
+
+// 依偵測到的垂直位移換到高度最接近的樓層
+function handleFloorChange({ displacement, source }) {
+    if (!autoFloorDetection) {
+        floorDetector.resetReference();
+        return;
+    }
+    if (source !== 'barometer' && !isNearConnector(source === 'elevator' ? 'elevator' : 'stairs')) {
+        console.log(`🏢 忽略${floorChangeLabels[source]}換層: 目前位置不在${floorChangeLabels[source]}附近`);
+        floorDetector.resetReference();
+        return;
+    }
+    const targetElevation = currentFloor.elevation + displacement;
+    const target = currentSite.floors.reduce((best, floor) =>
+        Math.abs(floor.elevation - targetElevation) < Math.abs(best.elevation - targetElevation) ? floor : best);
 
-function getMaterialForColor(color) {
-    if (!materialCache.has(color)) {
-        materialCache.set(color, new THREE.MeshBasicMaterial({
-            color: color,
-            transparent: true,
-            opacity: 0.7,
-            side: THREE.DoubleSide
-        }));
+    console.log(`🏢 ${floorChangeLabels[source]}偵測到垂直位移 ${displacement.toFixed(2)} m`);
+    if (target === currentFloor) {
+        floorDetector.resetReference(); // 位移不足以到達其他樓層 (或已在最高 / 最低層)
+        return;
     }
-    return materialCache.get(color);
+    switchFloor(target, source);
 }
 
-// ========== 訊號強度顏色映射 =========
-function getColorForSignal(strength) {
-    if (strength >= 90) return 0x00ff00; // 綠
-    if (strength >= 70) return 0x7fff00; // 黃綠
-    if (strength >= 50) return 0xffff00; // 黃
-    if (strength >= 30) return 0xff7f00; // 橙
-    if (strength >= 10) return 0xff0000; // 紅
-    return 0x555555; // 灰(無訊號)
+function switchFloor(floor, source) {
+    ar.setFloor(floor);
+    recordTrajectoryPoint();
+    showToast(`🏢 已切換到 ${floor.name} (${floorChangeLabels[source]})`);
+}
+
+// 有氣壓感測器 API 時啟動 (沒有時只用加速度型態偵測)
+function startBarometer() {
+    if (!BarometerSource.isSupported()) {
+        console.log("🌡️ 沒有氣壓感測器 API，樓層偵測使用垂直加速度");
+        return;
+    }
+    try {
+        barometerSource = new BarometerSource();
+        barometerSource.start((pressure, dt) => {
+            if (isReplaying()) return;
+            sensorRecorder.recordPressure(pressure);
+            handlePressureSample(pressure, dt);
+        });
+    } catch (error) {
+        console.warn("⚠️ 氣壓感測器啟動失敗:", error);
+        barometerSource = null;
+    }
 }
 
-function getRadiusForSignal(strength) {
-    if (strength >= 90) return 0.5;
-    if (strength >= 70) return 0.4;
-    if (strength >= 50) return 0.35;
-    if (strength >= 30) return 0.3;
-    if (strength >= 10) return 0.25;
-    return 0; // 不顯示
+// 手動選擇樓層的下拉選單
+function renderFloorOptions() {
+    const select = document.getElementById('floor-select');
+    if (!select) return;
+    select.replaceChildren(...currentSite.floors.map(floor => new Option(floor.name, floor.id)));
+    select.value = currentFloor.id;
+    select.disabled = currentSite.floors.length < 2;
 }
 
 // ═══════════════════════════════════════════════════════════════
-// 第 7 部分：創建訊號視覺化
+// RSSI 定位 (訊號點當信標)
 // ═══════════════════════════════════════════════════════════════
-const signalMeshes = [];
-
-function createIndoorSignals() {
-    INDOOR_SIGNAL_POINTS.forEach(point => {
-        const color = getColorForSignal(point.power);
-        const radius = getRadiusForSignal(point.power);
-
-        if (radius === 0) return;
-
-        // 創建圓形
-        const geometry = new THREE.CircleGeometry(radius, 32);
-        const material = getMaterialForColor(color);
-        const mesh = new THREE.Mesh(geometry, material);
-
-        // 設定位置 (在地面稍微上方)
-        mesh.position.set(point.x, 0.1, point.z); // y=0.1 略高於地面
+const rssiPositioner = new RssiPositioner(currentFloor.points);
+let rssiSource = null;
+let rssiSourceKind = 'off';
+let rssiFixTimer = null;
+let lastRssiFix = null;
+
+// 模擬來源的「真實」位置：以 1 m/s 依序繞行目前樓層的所有訊號點
+function simulatedWalkerPosition() {
+    const points = currentFloor.points;
+    if (points.length === 0) return { x: 0, z: 0 };
+    if (points.length === 1) return points[0];
+
+    const legs = points.map((p, i) => {
+        const next = points[(i + 1) % points.length];
+        return { from: p, to: next, length: Math.hypot(next.x - p.x, next.z - p.z) };
+    });
+    const loop = legs.reduce((sum, leg) => sum + leg.length, 0);
+    let travelled = (performance.now() / 1000) % loop;
+
+    for (const leg of legs) {
+        if (travelled <= leg.length) {
+            const t = leg.length > 0 ? travelled / leg.length : 0;
+            return {
+                x: leg.from.x + (leg.to.x - leg.from.x) * t,
+                z: leg.from.z + (leg.to.z - leg.from.z) * t
+            };
+        }
+        travelled -= leg.length;
+    }
+    return points[0];
+}
 
-        // 水平放置 (朝上)
-        mesh.rotation.x = -Math.PI / 2;
+async function setRssiSource(kind) {
+    if (rssiSource) {
+        rssiSource.stop();
+        rssiSource = null;
+    }
+    clearInterval(rssiFixTimer);
+    rssiFixTimer = null;
+    lastRssiFix = null;
+    rssiSourceKind = kind;
+    rssiPositioner.setPoints(currentFloor.points);
+
+    if (kind === 'off') {
+        console.log("📶 RSSI 定位已關閉");
+        return;
+    }
 
-        // 儲存資料
-        mesh.userData = {
-            name: point.name,
-            power: point.power,
-            originalPosition: { x: point.x, y: 0.1, z: point.z }
-        };
+    rssiSource = kind === 'bluetooth'
+        ? new WebBluetoothRssiSource(currentFloor.points)
+        : new MockRssiSource(currentFloor.points, simulatedWalkerPosition);
 
-        scene.add(mesh);
-        signalMeshes.push(mesh);
-
-        console.log(`✅ 已創建訊號點: ${point.name} at (${point.x}, 0.1, ${point.z})`);
-    });
-}
-
-// 初始化時創建所有訊號點
-createIndoorSignals();
-
-// ═══════════════════════════════════════════════════════════════
-// 第 8 部分：步數偵測模組 (進階版 - 峰值檢測 + 濾波器)
-// ═══════════════════════════════════════════════════════════════
-class StepDetector {
-    constructor() {
-        // 歷史數據緩衝區 (用於峰值檢測)
-        this.magnitudeHistory = [];
-        this.historySize = 10; // 保留最近 10 個樣本
-        
-        // === 低通濾波器 (指數移動平均 EMA) ===
-        this.useFilter = true; // 是否啟用濾波器
-        this.filterAlpha = 0.5; // 平滑係數 (0-1, 越小越平滑)
-        this.filteredMagnitude = 9.8; // 濾波後的加速度 (初始為重力)
-        this.rawMagnitudeHistory = []; // 保留原始數據用於比較
-        
-        // 動態閾值參數
-        this.baseThreshold = 10.5; // 基礎閾值
-        this.dynamicThreshold = 10.5; // 動態調整的閾值
-        this.avgMagnitude = 9.8; // 移動平均值 (初始為重力加速度)
-        this.magnitudeStdDev = 1.0; // 標準差
-        
-        // 峰值檢測參數
-        this.lastPeakTime = 0;
-        this.minPeakInterval = 500; // 最小峰值間隔 (ms) - 防止過快偵測
-        
-        // 步態分析
-        this.lastMagnitude = 0;
-        this.lastDelta = 0; // 上一次的變化率
-        this.stepCount = 0;
-        this.enabled = true;
-        
-        // 統計數據
-        this.totalSamples = 0;
-        this.falsePositiveFilter = false; // 啟用假陽性過濾
-        
-        console.log("🎯 進階步數偵測器已啟動 (含低通濾波器)");
-        console.log(`   濾波器: ${this.useFilter ? '啟用' : '停用'}, α=${this.filterAlpha}`);
-        console.log(`   基礎閾值: ${this.baseThreshold}, 最短峰值間隔: ${this.minPeakInterval}ms`);
-    }
-
-    update(acceleration, deltaTime) {
-        if (!this.enabled) return false;
-
-        // 計算原始加速度向量大小
-        const rawMagnitude = Math.sqrt(
-            acceleration.x ** 2 +
-            acceleration.y ** 2 +
-            acceleration.z ** 2
-        );
+    await rssiSource.start(observation => rssiPositioner.addObservation(observation));
 
-        // === 低通濾波器 (指數移動平均 EMA) ===
-        let magnitude;
-        if (this.useFilter) {
-            // EMA 公式: filtered = α × raw + (1-α) × previous_filtered
-            this.filteredMagnitude = this.filterAlpha * rawMagnitude + 
-                                     (1 - this.filterAlpha) * this.filteredMagnitude;
-            magnitude = this.filteredMagnitude;
-            
-            // 保留原始數據用於除錯
-            this.rawMagnitudeHistory.push(rawMagnitude);
-            if (this.rawMagnitudeHistory.length > 5) {
-                this.rawMagnitudeHistory.shift();
-            }
+    // 每秒以最新的信標距離三邊定位一次，並與步行推算融合
+    rssiFixTimer = setInterval(() => {
+        const fix = rssiPositioner.estimate(tracker.getPosition());
+        lastRssiFix = fix;
+        if (fix) {
+            tracker.applyPositionFix(fix);
+            ar.syncPosition();
         } else {
-            magnitude = rawMagnitude;
-        }
-
-        // 更新歷史緩衝區 (使用濾波後的數據)
-        this.magnitudeHistory.push(magnitude);
-        if (this.magnitudeHistory.length > this.historySize) {
-            this.magnitudeHistory.shift();
-        }
-
-        this.totalSamples++;
-
-        // 需要至少 5 個樣本才開始檢測
-        if (this.magnitudeHistory.length < 5) {
-            this.lastMagnitude = magnitude;
-            return false;
-        }
-
-        // === 1. 計算移動平均和標準差 (動態閾值) ===
-        if (this.totalSamples % 10 === 0) { // 每 10 個樣本更新一次
-            this.avgMagnitude = this.magnitudeHistory.reduce((a, b) => a + b, 0) / this.magnitudeHistory.length;
-            
-            const variance = this.magnitudeHistory.reduce((sum, val) => {
-                return sum + Math.pow(val - this.avgMagnitude, 2);
-            }, 0) / this.magnitudeHistory.length;
-            
-            this.magnitudeStdDev = Math.sqrt(variance);
-            
-            // 動態調整閾值 = 平均值 + 1 * 標準差
-            this.dynamicThreshold = Math.max(
-                this.baseThreshold, 
-                this.avgMagnitude + 1 * this.magnitudeStdDev
-            );
-        }
-
-        // === 2. 計算加速度變化率 (一階導數) ===
-        const delta = magnitude - this.lastMagnitude;
-        
-        // === 3. 峰值檢測 ===
-        // 條件：
-        // - 當前加速度超過動態閾值
-        // - 變化率從正變負 (峰值頂點)
-        // - 變化率的變化足夠大 (避免平緩波動)
-        const isPeak = magnitude > this.dynamicThreshold && 
-                       this.lastDelta > 0 && 
-                       delta < 0 &&
-                       Math.abs(this.lastDelta) > 0.25; // 變化率閾值
-
-        const currentTime = Date.now();
-        const timeSinceLastPeak = currentTime - this.lastPeakTime;
-
-        // === 4. 時間窗口驗證 ===
-        if (isPeak && timeSinceLastPeak > this.minPeakInterval) {
-            
-            // === 5. 假陽性過濾 ===
-            let isValidStep = true;
-            
-            if (this.falsePositiveFilter) {
-                // 檢查峰值是否顯著高於最近的最小值
-                const recentMin = Math.min(...this.magnitudeHistory);
-                const peakProminence = magnitude - recentMin;
-                
-                // 峰值突出度必須 > 標準差 * 1.5
-                if (peakProminence < this.magnitudeStdDev * 1.5) {
-                    isValidStep = false;
-                }
-            }
-
-            if (isValidStep) {
-                this.stepCount++;
-                this.lastPeakTime = currentTime;
-                this.lastMagnitude = magnitude;
-                this.lastDelta = delta;
-                
-                // 詳細日誌
-                console.log(`🚶 偵測到步伐 #${this.stepCount}`);
-                if (this.useFilter) {
-                    console.log(`   原始: ${rawMagnitude.toFixed(2)}, 濾波: ${magnitude.toFixed(2)} (閾值: ${this.dynamicThreshold.toFixed(2)})`);
-                } else {
-                    console.log(`   加速度: ${magnitude.toFixed(2)} (閾值: ${this.dynamicThreshold.toFixed(2)})`);
-                }
-                console.log(`   峰值突出度: ${(magnitude - Math.min(...this.magnitudeHistory)).toFixed(2)}`);
-                console.log(`   間隔時間: ${timeSinceLastPeak}ms`);
-                
-                return true; // 偵測到有效的一步
-            }
+            updateInfoPanel();
         }
+    }, 1000);
+}
 
-        // 更新狀態
-        this.lastMagnitude = magnitude;
-        this.lastDelta = delta;
-        
-        return false;
-    }
+// ═══════════════════════════════════════════════════════════════
+// QR 標記定位 (相機畫面中看到場地檔登錄的標記時修正位置與航向)
+// ═══════════════════════════════════════════════════════════════
+const MARKER_SCAN_INTERVAL = 500; // 掃描相機畫面的間隔 (ms)
+const markerAnchor = new MarkerAnchor();
+let markerDetector = null; // 第一次使用時才建立 (載入 jsQR / worker)
+let markerAnchoring = false;
+let markerScanTimer = null;
+let markerScanning = false;
+let lastMarkerResult = null; // 最近一次看到已登錄標記的結果 (含被拒絕的原因)
+
+const markerGroup = new THREE.Group();
+scene.add(markerGroup);
+
+// 目前樓層的標記 (牆上的白色方塊，正面朝向標記方向)
+function renderMarkers(floor) {
+    disposeGroupChildren(markerGroup);
+    floor.markers.forEach(marker => {
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(marker.size, marker.size),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide })
+        );
+        mesh.position.set(marker.x, floor.elevation + marker.y, marker.z);
+        mesh.rotation.y = Math.PI - marker.yaw; // 平面的法線 (+z) 轉到標記朝向
+        markerGroup.add(mesh);
+    });
+    markerAnchor.setMarkers(floor.markers);
+    lastMarkerResult = null;
+}
 
-    reset() {
-        this.stepCount = 0;
-        this.magnitudeHistory = [];
-        this.rawMagnitudeHistory = [];
-        this.lastPeakTime = 0;
-        this.totalSamples = 0;
-        this.avgMagnitude = 9.8;
-        this.filteredMagnitude = 9.8;
-        this.dynamicThreshold = this.baseThreshold;
-        console.log("🔄 步數偵測器已重設");
+function getMarkerDetector() {
+    if (!markerDetector) {
+        markerDetector = new MarkerDetector();
     }
+    return markerDetector;
+}
 
-    setEnabled(enabled) {
-        this.enabled = enabled;
-        console.log(`🎯 步數偵測: ${enabled ? '啟用' : '停用'}`);
-    }
-    
-    // 啟用/停用濾波器
-    setFilter(enabled, alpha = 0.5) {
-        this.useFilter = enabled;
-        this.filterAlpha = Math.max(0.1, Math.min(1.0, alpha)); // 限制在 0.1-1.0
-        console.log(`🔧 濾波器: ${enabled ? '啟用' : '停用'}, α=${this.filterAlpha}`);
-        if (enabled) {
-            console.log(`   提示: α 越小越平滑 (建議範圍 0.2-0.5)`);
-        }
+function applyMarkerFix(fix) {
+    if (fix.mode === 'snap') {
+        tracker.setPosition(fix);
+    } else {
+        tracker.applyPositionFix(fix);
     }
-    
-    // 調整靈敏度
-    setSensitivity(level) {
-        // level: 'low' (1.0), 'medium' (1.5), 'high' (2.0)
-        const multipliers = {
-            'low': 1.0,
-            'medium': 1.5,
-            'high': 2.0
-        };
-        
-        const multiplier = multipliers[level] || 1.5;
-        this.baseThreshold = 11 / multiplier;
-        console.log(`🎚️ 靈敏度設為 ${level}, 基礎閾值: ${this.baseThreshold.toFixed(2)}`);
-    }
-    
-    // 獲取統計資訊
-    getStats() {
-        return {
-            stepCount: this.stepCount,
-            avgMagnitude: this.avgMagnitude.toFixed(2),
-            filteredMagnitude: this.filteredMagnitude.toFixed(2),
-            dynamicThreshold: this.dynamicThreshold.toFixed(2),
-            stdDev: this.magnitudeStdDev.toFixed(2),
-            samples: this.totalSamples,
-            filterEnabled: this.useFilter,
-            filterAlpha: this.filterAlpha
-        };
+    // 還沒有方向感測器資料時只修正位置
+    if (tracker.initialYaw !== null) {
+        applyInitialYaw(tracker.rotateHeading(markerAnchor.headingCorrection(fix, tracker.yaw)));
     }
+    recordTrajectoryPoint();
+    ar.syncPosition();
+    showToast(`🔳 標記 ${fix.marker.id}: ${MARKER_CORRECTION_MODES[fix.mode].label} (距離 ${fix.distance.toFixed(1)} m)`, 1500);
 }
 
-// ═══════════════════════════════════════════════════════════════
-// 第 9 部分：位置追蹤器
-// ═══════════════════════════════════════════════════════════════
-class IndoorPositionTracker {
-    constructor(stepLength = 0.65) {
-        this.position = { x: 0, y: 1.6, z: 0 }; // 初始位置
-        this.stepLength = stepLength; // 每步距離 (公尺)
-        this.stepDetector = new StepDetector();
-        this.yaw = 0; // 水平方向角度
-    }
-
-    updateOrientation(orientationData, initialYaw) {
-        // 從 deviceorientation 事件更新方向
-        if (orientationData.alpha !== null && initialYaw !== null) {
-            // 使用校準後的方向
-            this.yaw = initialYaw - (orientationData.alpha * Math.PI / 180);
+async function scanForMarker() {
+    const videoElement = ar.getVideoElement();
+    if (markerScanning || !videoElement || videoElement.readyState < 2 || isReplaying()) return;
+    markerScanning = true;
+    try {
+        const detection = await getMarkerDetector().detect(videoElement);
+        const fix = detection ? markerAnchor.handleDetection(detection) : null;
+        if (fix) {
+            lastMarkerResult = { ...fix, time: Date.now() };
+            if (!fix.rejected) applyMarkerFix(fix);
         }
+    } catch (error) {
+        console.error("❌ QR 偵測失敗:", error);
+    } finally {
+        markerScanning = false;
     }
+}
 
-    update(accelerationData, deltaTime) {
-        // 偵測步數
-        const stepDetected = this.stepDetector.update(accelerationData, deltaTime);
-
-        if (stepDetected) {
-            // 計算前進方向 (基於當前 yaw)
-            const forwardX = Math.sin(this.yaw);
-            const forwardZ = -Math.cos(this.yaw);
-
-            // 更新位置
-            this.position.x += forwardX * this.stepLength;
-            this.position.z += forwardZ * this.stepLength;
+function setMarkerAnchoring(enabled) {
+    markerAnchoring = enabled;
+    clearInterval(markerScanTimer);
+    markerScanTimer = enabled ? setInterval(scanForMarker, MARKER_SCAN_INTERVAL) : null;
+    console.log(enabled ? "🔳 QR 標記定位已啟用" : "🔳 QR 標記定位已關閉");
+}
 
-            console.log(`🚶 走了一步 (#${this.stepDetector.stepCount}) 位置: (${this.position.x.toFixed(2)}, ${this.position.z.toFixed(2)})`);
+// 以靜態圖片測試偵測與位置估計 (不套用到追蹤器)
+async function testMarkerImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const detection = await getMarkerDetector().detect(bitmap);
+    bitmap.close();
+    if (!detection) return '沒有偵測到 QR 標記';
+    const fix = markerAnchor.evaluate(detection);
+    if (!fix) return `QR「${detection.data}」不是目前樓層登錄的標記`;
+    if (fix.rejected) return `⚠️ ${fix.marker.id}: ${fix.rejected}`;
+    const yawDeg = ((fix.yaw * 180 / Math.PI) % 360 + 360) % 360;
+    return `✅ ${fix.marker.id}: 位置 (${fix.x.toFixed(2)}, ${fix.z.toFixed(2)})，航向 ${yawDeg.toFixed(0)}°，距離 ${fix.distance.toFixed(2)} m (未套用)`;
+}
 
-            // 紀錄當前的陀螺儀資訊
-            console.log(`📡 陀螺儀數據 - Yaw: ${(this.yaw * 180 / Math.PI).toFixed(2)}°, 前進方向 X: ${forwardX.toFixed(3)}, Z: ${forwardZ.toFixed(3)}`);
-            console.log(`   加速度 - X: ${accelerationData.x.toFixed(3)}, Y: ${accelerationData.y.toFixed(3)}, Z: ${accelerationData.z.toFixed(3)}`);
+// ═══════════════════════════════════════════════════════════════
+// 提醒區域 (進入 / 離開 / 停留時執行場地檔設定的動作，見 zones.js)
+// ═══════════════════════════════════════════════════════════════
+let audioContext = null;
+
+// 短促的提示音 (AudioContext 需在使用者手勢後才能發聲，第一次使用時才建立)
+function playBeep(frequency, duration = 0.2) {
+    audioContext ??= new AudioContext();
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + duration);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + duration);
+}
 
-            return true; // 有移動
+const zoneActions = new ZoneActionRunner({
+    toast: message => showToast(`📍 ${message}`),
+    vibrate: pattern => navigator.vibrate?.(pattern),
+    sound: frequency => playBeep(frequency),
+    webhook: async (url, payload) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
         }
-
-        return false; // 沒有移動
     }
+});
 
-    reset() {
-        this.position = { x: 0, y: 1.6, z: 0 };
-        this.stepDetector.reset();
-        console.log("🔄 已重設位置");
-    }
+ar.on('zone', event => {
+    zoneActions.run(event, { site: currentSite.name, floor: currentFloor.id });
+    renderZoneHistory();
+    updateInfoPanel();
+});
 
-    getPosition() {
-        return this.position;
-    }
+function formatZoneTime(event) {
+    return new Date(performance.timeOrigin + event.time).toLocaleTimeString();
+}
 
-    getStepCount() {
-        return this.stepDetector.stepCount;
+// 最近的區域事件 (新的在上)
+function renderZoneHistory() {
+    const list = document.getElementById('zone-history');
+    if (!list) return;
+    const history = ar.getZoneHistory();
+    list.innerHTML = '';
+    history.slice().reverse().forEach(event => {
+        const row = document.createElement('div');
+        row.textContent = `${formatZoneTime(event)} ${describeZoneEvent(event)}`;
+        list.appendChild(row);
+    });
+    if (history.length === 0) {
+        list.textContent = '尚無區域事件';
     }
 }
 
-// 創建追蹤器
-const tracker = new IndoorPositionTracker(0.65); // 每步 0.65 公尺
+// 以目前樓層的行走軌跡重播區域事件 (只檢查設定，不執行動作)
+function testZonesWithTrajectory() {
+    const zones = ar.getFloorZones();
+    if (zones.length === 0) return '此樓層沒有區域 (可設定訊號點接近提醒)';
+    const samples = trajectory.segments
+        .flatMap(segment => segment.points)
+        .filter(p => p.floor === currentFloor.id)
+        .map(p => ({ t: p.timestamp, x: p.x, z: p.z }));
+    if (samples.length < 2) return '此樓層的行走軌跡不足 (至少 2 點)';
+    const events = replayZoneEvents(zones, samples);
+    console.log(`🧪 區域重播 (${samples.length} 點):`, events.map(describeZoneEvent));
+    if (events.length === 0) return `🧪 ${samples.length} 點軌跡沒有觸發任何區域事件`;
+    const summary = events.slice(0, 5).map(describeZoneEvent).join('、');
+    return `🧪 ${samples.length} 點軌跡觸發 ${events.length} 個事件: ${summary}${events.length > 5 ? '…' : ''}`;
+}
 
 // ═══════════════════════════════════════════════════════════════
-// 第 10 部分：感測器事件監聽
+// 共享工作階段 (多人勘測時分享位置並顯示其他人，見 shared_session.js)
 // ═══════════════════════════════════════════════════════════════
-let lastTime = Date.now();
-
-// 監聽裝置方向
-window.addEventListener('deviceorientation', (event) => {
-    tracker.updateOrientation({
-        alpha: event.alpha,
-        beta: event.beta,
-        gamma: event.gamma
-    }, deviceOrientationControls.initialYaw); // 傳入初始 Yaw
-});
-
-// 監聽加速度計
-window.addEventListener('devicemotion', (event) => {
-    const now = Date.now();
-    const dt = now - lastTime;
-    lastTime = now;
-
-    if (event.accelerationIncludingGravity) {
-        const accel = {
-            x: event.accelerationIncludingGravity.x || 0,
-            y: event.accelerationIncludingGravity.y || 0,
-            z: event.accelerationIncludingGravity.z || 0
+const PEER_REFRESH_INTERVAL = 1000; // 更新夥伴逾時狀態與列表的間隔 (ms)
+const peerAvatars = new PeerAvatarLayer();
+scene.add(peerAvatars.getObject3D());
+let sessionPeers = [];
+let sessionRetryIn = null;
+let peerRefreshTimer = null;
+
+const sharedSession = new SharedSession({
+    // crypto.randomUUID 只能在 https 使用，區網 http 開啟時也要能產生 id
+    peer: { id: `peer-${Math.random().toString(36).slice(2, 10)}`, name: '' },
+    getState: () => {
+        const pos = tracker.getPosition();
+        return {
+            x: pos.x,
+            z: pos.z,
+            floor: currentFloor.id,
+            yaw: tracker.getHeading().yaw,
+            step: tracker.getStepCount(),
+            uncertainty: tracker.getPositionUncertainty()
         };
+    },
+    onStatus: ({ status, retryIn }) => {
+        sessionRetryIn = status === 'reconnecting' ? retryIn : null;
+        updateSessionInfo();
+    },
+    onPeers: () => refreshPeers()
+});
 
-        // 更新位置
-        const moved = tracker.update(accel, dt);
-
-        if (moved) {
-            // 更新相機位置
-            const pos = tracker.getPosition();
-            camera.position.x = pos.x;
-            camera.position.z = pos.z;
+function refreshPeers() {
+    sessionPeers = sharedSession.getPeers();
+    peerAvatars.setPeers(sessionPeers, currentFloor.id, currentFloor.elevation);
+    renderPeerList();
+    updateSessionInfo();
+}
 
-            // 更新資訊面板
-            updateInfoPanel();
-        }
+function updateSessionInfo() {
+    const element = document.getElementById('session-value');
+    if (!element) return;
+    const status = sharedSession.getStatus();
+    if (status === 'connected') {
+        const stale = sessionPeers.filter(peer => peer.stale).length;
+        element.textContent = `${sessionPeers.length} 位${stale > 0 ? ` (${stale} 位逾時)` : ''}`;
+    } else if (status === 'reconnecting' && sessionRetryIn !== null) {
+        element.textContent = `${SESSION_STATUS_LABELS[status]} (${Math.ceil(sessionRetryIn / 1000)} 秒後)`;
+    } else {
+        element.textContent = SESSION_STATUS_LABELS[status];
     }
-});
+}
 
-// ═══════════════════════════════════════════════════════════════
-// 第 11 部分：資訊面板更新
-// ═══════════════════════════════════════════════════════════════
-function updateInfoPanel() {
+// 夥伴列表: 名稱、樓層、距離與最後更新時間
+function renderPeerList() {
+    const list = document.getElementById('session-peers');
+    if (!list) return;
+    list.innerHTML = '';
     const pos = tracker.getPosition();
-
-    // 更新座標顯示
-    document.getElementById('lon-value').textContent = pos.x.toFixed(2) + ' m';
-    document.getElementById('lat-value').textContent = pos.z.toFixed(2) + ' m';
-    document.getElementById('grid-point').textContent = `步數: ${tracker.getStepCount()}`;
-    document.getElementById('grid-count').textContent = INDOOR_SIGNAL_POINTS.length;
-
-    // 計算最近的訊號點
-    let nearestPoint = null;
-    let minDistance = Infinity;
-
-    INDOOR_SIGNAL_POINTS.forEach(point => {
-        const dx = pos.x - point.x;
-        const dz = pos.z - point.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
-
-        if (distance < minDistance) {
-            minDistance = distance;
-            nearestPoint = point;
-        }
+    sessionPeers.forEach(peer => {
+        const row = document.createElement('div');
+        row.style.opacity = peer.stale ? '0.5' : '1';
+        const dot = document.createElement('span');
+        dot.textContent = '● ';
+        dot.style.color = `#${peer.color.toString(16).padStart(6, '0')}`;
+        const where = peer.state.floor === currentFloor.id
+            ? formatDistance(Math.hypot(peer.state.x - pos.x, peer.state.z - pos.z))
+            : `在 ${currentSite.floors.find(floor => floor.id === peer.state.floor)?.name ?? peer.state.floor ?? '其他樓層'}`;
+        row.append(dot, `${describePeer(peer)} · ${where}`);
+        list.appendChild(row);
     });
+    if (sharedSession.isActive() && sessionPeers.length === 0) {
+        list.textContent = '房間內還沒有其他人';
+    }
+}
+
+function connectSession(server, room, name) {
+    sharedSession.setName(name);
+    sharedSession.connect(server, room);
+    clearInterval(peerRefreshTimer);
+    peerRefreshTimer = setInterval(refreshPeers, PEER_REFRESH_INTERVAL);
+    console.log(`👥 連線到共享工作階段 ${server} (房間「${room}」)`);
+}
 
-    // 訊號資訊已隱藏，不需要更新
-    // if (nearestPoint) {
-    //     const strengthElement = document.getElementById('signal-strength');
-    //     strengthElement.textContent = nearestPoint.power.toFixed(1) + ' dBm';
-    //     ...
-    // }
+function disconnectSession() {
+    sharedSession.disconnect();
+    clearInterval(peerRefreshTimer);
+    peerRefreshTimer = null;
+    refreshPeers();
+    console.log("👥 已離開共享工作階段");
 }
 
 // ═══════════════════════════════════════════════════════════════
-// 第 12 部分：動畫循環
+// 行走軌跡 (地面折線，重設時封存成獨立段落)
 // ═══════════════════════════════════════════════════════════════
-function animate() {
-    deviceOrientationControls.update();
+const trajectory = new TrajectoryRecorder();
+const trailGroup = new THREE.Group();
+scene.add(trailGroup);
+
+function renderTrail() {
+    disposeGroupChildren(trailGroup);
+    trajectory.segments.forEach(segment => {
+        if (segment.points.length < 2) return;
+        const vertices = segment.points.flatMap(p => [p.x, getFloorElevation(p.floor) + 0.04, p.z]);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        trailGroup.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({
+            color: segment.archived ? 0x888888 : 0x00ffff,
+            transparent: segment.archived,
+            opacity: segment.archived ? 0.5 : 1
+        })));
+    });
+}
 
-    ARRenderer.render(scene, camera);
-    requestAnimationFrame(animate);
+function recordTrajectoryPoint() {
+    const pos = tracker.getPosition();
+    trajectory.record({
+        x: pos.x,
+        z: pos.z,
+        step: tracker.getStepCount(),
+        heading: getHeadingDegrees(),
+        uncertainty: tracker.getPositionUncertainty(),
+        floor: currentFloor.id
+    });
+    renderTrail();
+    scheduleSessionSave();
 }
 
-animate();
+// ═══════════════════════════════════════════════════════════════
+// 本機儲存 (設定、場地、工作階段，見 persistence.js)
+// ═══════════════════════════════════════════════════════════════
+// 設定值 ↔ 設定面板控制項：套用時觸發控制項本身的事件，沿用面板的處理流程
+const SETTING_CONTROLS = {
+    useFilter: { id: 'filter-enabled', event: 'change', type: 'checkbox' },
+    filterAlpha: { id: 'filter-alpha', event: 'input', type: 'number' },
+    sensitivity: { id: 'sensitivity', event: 'change' },
+    stepAlgorithm: { id: 'step-algorithm', event: 'change' },
+    activityGating: { id: 'activity-gating', event: 'change', type: 'checkbox' },
+    poseCompensation: { id: 'pose-compensation', event: 'change', type: 'checkbox' },
+    arrivalRadius: { id: 'arrival-radius', event: 'change', type: 'number' },
+    autoFloor: { id: 'floor-auto', event: 'change', type: 'checkbox' },
+    pointLabels: { id: 'point-labels-toggle', event: 'change', type: 'checkbox' },
+    pointLabelMode: { id: 'point-label-mode', event: 'change' },
+    heatmap: { id: 'heatmap-toggle', event: 'change', type: 'checkbox' },
+    heatmapResolution: { id: 'heatmap-resolution', event: 'change', type: 'number' },
+    heatmapOpacity: { id: 'heatmap-opacity', event: 'input', type: 'number' },
+    rssiSource: { id: 'rssi-source', event: 'change' },
+    markerAnchoring: { id: 'marker-anchoring', event: 'change', type: 'checkbox' },
+    markerMode: { id: 'marker-mode', event: 'change' },
+    proximityRadius: { id: 'proximity-radius', event: 'change', type: 'number' },
+    zoneActions: { id: 'zone-actions-enabled', event: 'change', type: 'checkbox' },
+    zoneWebhookUrl: { id: 'zone-webhook-url', event: 'change' },
+    sessionServer: { id: 'session-server', event: 'change' },
+    sessionRoom: { id: 'session-room', event: 'change' },
+    sessionName: { id: 'session-name', event: 'change' }
+};
 
 // ═══════════════════════════════════════════════════════════════
-// 第 13 部分：UI 初始化函數
+// 步數偵測器參數 (完整設定、預設組合、分享)
 // ═══════════════════════════════════════════════════════════════
-async function initializeAllDevices() {
-    console.log("🔐 初始化所有裝置...");
+let detectorConfig = DEFAULT_DETECTOR_CONFIG;
 
-    try {
-        const cameraOK = await initializeCamera();
-        if (!cameraOK) {
-            console.warn("⚠️ 相機初始化失敗");
-        }
-    } catch (err) {
-        console.error("相機初始化異常:", err);
+// 套用到目前的步數偵測器 (演算法不同時先切換)
+function applyDetectorConfigToTracker() {
+    if (tracker.stepDetector.type !== detectorConfig.algorithm) {
+        tracker.setStepDetector(detectorConfig.algorithm);
     }
+    applyDetectorConfig(tracker.stepDetector, detectorConfig);
+}
 
-    // 初始化陀螺儀控制器 (適用於 Android/其他)
-    try {
-        await deviceOrientationControls.init();
-    } catch (err) {
-        console.error("陀螺儀初始化異常:", err);
-    }
+// changes 可以只有部分欄位；無效時拋出 DetectorConfigError，目前的設定不變
+function updateDetectorConfig(changes) {
+    detectorConfig = parseDetectorConfig(changes, detectorConfig);
+    applyDetectorConfigToTracker();
 }
 
-// 陀螺儀授權按鈕 (iOS 需要使用者手勢)
-function initializeGyroPermissionButton() {
-    // 檢查按鈕是否已存在，避免重複建立
-    if (document.getElementById('gyroPermissionButton')) {
-        console.log("⚠️ 陀螺儀按鈕已存在，跳過建立");
-        return;
-    }
+// 整組取代 (預設組合 / 分享連結 / 匯入)：同步設定面板的控制項並儲存
+function setDetectorConfig(config) {
+    detectorConfig = config;
+    applyDetectorConfigToTracker();
 
-    const button = document.createElement('button');
-    button.id = 'gyroPermissionButton';
-    button.textContent = '📱 啟用陀螺儀與相機';
-    button.style.cssText = `
-        position: fixed;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        z-index: 10000;
-        padding: 20px 40px;
-        background-color: #007AFF;
-        color: white;
-        border: none;
-        border-radius: 12px;
-        cursor: pointer;
-        font-size: 18px;
-        font-weight: bold;
-        box-shadow: 0 4px 12px rgba(0, 122, 255, 0.5);
-    `;
+    const filterToggle = document.getElementById('filter-enabled');
+    const filterAlphaSlider = document.getElementById('filter-alpha');
+    if (filterToggle) filterToggle.checked = config.useFilter;
+    if (filterAlphaSlider) {
+        filterAlphaSlider.value = String(config.filterAlpha);
+        document.getElementById('filter-alpha-value').textContent = config.filterAlpha.toFixed(2);
+    }
+    const sensitivitySelect = document.getElementById('sensitivity');
+    if (sensitivitySelect) sensitivitySelect.value = config.sensitivity;
+    const stepAlgorithmSelect = document.getElementById('step-algorithm');
+    if (stepAlgorithmSelect) stepAlgorithmSelect.value = config.algorithm;
+    renderDetectorParameters();
+    saveSettings(readSettingsFromControls());
+}
 
-    button.addEventListener('click', async () => {
-        button.textContent = '⏳ 載入中...';
-        button.disabled = true;
+function showDetectorStatus(message) {
+    const status = document.getElementById('detector-status');
+    if (status) status.textContent = message;
+}
 
-        if (typeof DeviceOrientationEvent !== 'undefined' && 
-            typeof DeviceOrientationEvent.requestPermission === 'function') {
+// 依目前演算法列出所有參數 (範圍與說明來自 DETECTOR_PARAMETERS)
+function renderDetectorParameters() {
+    const container = document.getElementById('detector-params');
+    if (!container) return;
+    const algorithm = detectorConfig.algorithm;
+
+    container.replaceChildren(...Object.entries(DETECTOR_PARAMETERS[algorithm]).map(([key, field]) => {
+        const row = document.createElement('label');
+        row.className = 'detector-param';
+        const name = document.createElement('span');
+        name.textContent = field.label;
+        name.title = `${algorithm}.${key}`;
+
+        const input = document.createElement('input');
+        if (field.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = detectorConfig[algorithm][key];
+        } else {
+            input.type = 'number';
+            input.min = String(field.min);
+            input.max = String(field.max);
+            input.step = String(field.step ?? 1);
+            input.value = String(detectorConfig[algorithm][key]);
+        }
+        input.addEventListener('change', () => {
+            const value = field.type === 'boolean' ? input.checked : Number(input.value);
             try {
-                const permission = await DeviceOrientationEvent.requestPermission();
-                if (permission === 'granted') {
-                    deviceOrientationControls.connect();
-                    console.log("✅ 陀螺儀已授權 (iOS)");
-
-                    // 等待相機初始化完成後再移除按鈕
-                    await initializeAllDevices();
-
-                    // 延遲一下確保所有初始化完成
-                    setTimeout(() => {
-                        if (button.parentNode) {
-                            button.remove();
-                        }
-                        console.log("✅ 按鈕已移除，系統準備就緒");
-                    }, 500);
-                } else {
-                    console.warn("⚠️ 使用者拒絕了陀螺儀授權");
-                    button.textContent = '❌ 拒絕授權，請重試';
-                    button.disabled = false;
-                }
+                updateDetectorConfig({ [algorithm]: { [key]: value } });
+                showDetectorStatus(`✅ ${field.label} = ${value}`);
             } catch (error) {
-                console.error("❌ 陀螺儀授權失敗:", error);
-                button.textContent = '❌ 授權失敗，請重試';
-                button.disabled = false;
+                showDetectorStatus(`❌ ${error.errors?.join('；') ?? error.message}`);
+                if (field.type === 'boolean') input.checked = detectorConfig[algorithm][key];
+                else input.value = String(detectorConfig[algorithm][key]);
             }
-        } else {
-            // Android 或不需要授權的裝置
-            console.log("✅ 裝置不需要授權程序，直接啟用");
-            deviceOrientationControls.connect();
-
-            // 等待相機初始化完成後再移除按鈕
-            await initializeAllDevices();
-
-            setTimeout(() => {
-                if (button.parentNode) {
-                    button.remove();
-                }
-                console.log("✅ 按鈕已移除，系統準備就緒");
-            }, 500);
-        }
-    });
+        });
 
-    document.body.appendChild(button);
+        row.append(name, input);
+        return row;
+    }));
 }
 
-// 重設位置按鈕
-function initializeResetButton() {
-    const resetButton = document.getElementById('setFakeLoc');
-    if (resetButton) {
-        resetButton.addEventListener('click', () => {
-            tracker.reset();
-            camera.position.set(0, 1.6, 0);
-            updateInfoPanel();
-            alert('✅ 已重設到原點!');
-        });
+// 內建 + 本機儲存的預設組合 (value: builtin:<id> | user:<名稱>)
+function renderPresetOptions(selected = null) {
+    const select = document.getElementById('detector-preset');
+    if (!select) return;
+    const builtin = document.createElement('optgroup');
+    builtin.label = '內建';
+    Object.entries(BUILTIN_DETECTOR_PRESETS).forEach(([id, preset]) => builtin.append(new Option(preset.label, `builtin:${id}`)));
+    const groups = [builtin];
+    const userPresets = Object.keys(loadUserPresets());
+    if (userPresets.length > 0) {
+        const user = document.createElement('optgroup');
+        user.label = '自訂';
+        userPresets.forEach(name => user.append(new Option(name, `user:${name}`)));
+        groups.push(user);
     }
+    select.replaceChildren(...groups);
+    if (selected) select.value = selected;
 }
 
-// ═══════════════════════════════════════════════════════════════
-// 設定面板初始化
-// ═══════════════════════════════════════════════════════════════
-function initializeSettingsPanel() {
-    // 濾波器 α 值滑桿
-    const filterAlphaSlider = document.getElementById('filter-alpha');
-    const filterAlphaValue = document.getElementById('filter-alpha-value');
-    
-    if (filterAlphaSlider) {
-        filterAlphaSlider.addEventListener('input', (e) => {
-            const alpha = parseFloat(e.target.value);
-            tracker.stepDetector.setFilter(true, alpha);
-            filterAlphaValue.textContent = alpha.toFixed(1);
-        });
+function resolvePreset(value) {
+    const [kind, ...rest] = value.split(':');
+    const id = rest.join(':');
+    if (kind === 'builtin') {
+        const preset = BUILTIN_DETECTOR_PRESETS[id];
+        return preset ? { label: preset.label, config: preset.config } : null;
     }
-    
-    // 靈敏度下拉選單
-    const sensitivitySelect = document.getElementById('sensitivity');
-    if (sensitivitySelect) {
-        sensitivitySelect.addEventListener('change', (e) => {
-            const level = e.target.value;
-            tracker.stepDetector.setSensitivity(level);
-        });
+    const config = loadUserPresets()[id];
+    return config ? { label: id, config, user: true } : null;
+}
+
+// 網址 ?detector= 分享的設定 (覆蓋本機儲存的設定)
+function applySharedDetectorConfig() {
+    try {
+        const shared = detectorConfigFromQuery();
+        if (!shared) return;
+        setDetectorConfig(shared);
+        showToast('🎛️ 已套用分享連結中的偵測器設定');
+    } catch (error) {
+        console.error("❌ 分享的偵測器設定無效:", error);
+        showToast(`⚠️ ${error.errors?.[0] ?? error.message}`);
     }
-    
-    console.log("⚙️ 設定面板已初始化");
 }
 
+function initializeDetectorPresets() {
+    const presetSelect = document.getElementById('detector-preset');
+    const applyButton = document.getElementById('detector-preset-apply-btn');
+    const saveButton = document.getElementById('detector-preset-save-btn');
+    const deleteButton = document.getElementById('detector-preset-delete-btn');
+    const shareButton = document.getElementById('detector-share-btn');
+    const exportButton = document.getElementById('detector-export-btn');
+    const importInput = document.getElementById('detector-import');
+    if (!presetSelect) return;
+
+    renderPresetOptions();
+    renderDetectorParameters();
+
+    applyButton.addEventListener('click', () => {
+        const preset = resolvePreset(presetSelect.value);
+        if (!preset) return;
+        try {
+            setDetectorConfig(parseDetectorConfig(preset.config, DEFAULT_DETECTOR_CONFIG, preset.label));
+            showDetectorStatus(`✅ 已套用「${preset.label}」`);
+        } catch (error) {
+            showDetectorStatus(`❌ ${error.message}`);
+        }
+    });
+
+    saveButton.addEventListener('click', () => {
+        const current = resolvePreset(presetSelect.value);
+        const name = prompt('預設組合名稱', current?.user ? current.label : '');
+        if (name === null) return;
+        try {
+            const saved = saveUserPreset(name, detectorConfig);
+            renderPresetOptions(`user:${saved}`);
+            showDetectorStatus(`💾 已儲存「${saved}」`);
+        } catch (error) {
+            showDetectorStatus(`❌ ${error.message}`);
+        }
+    });
+
+    deleteButton.addEventListener('click', () => {
+        const preset = resolvePreset(presetSelect.value);
+        if (!preset?.user) {
+            showDetectorStatus('內建的預設組合無法刪除');
+            return;
+        }
+        if (!confirm(`刪除預設組合「${preset.label}」？`)) return;
+        deleteUserPreset(preset.label);
+        renderPresetOptions();
+        showDetectorStatus(`🗑️ 已刪除「${preset.label}」`);
+    });
+
+    shareButton.addEventListener('click', async () => {
+        const url = detectorConfigUrl(detectorConfig, window.location.href);
+        try {
+            await navigator.clipboard.writeText(url);
+            showDetectorStatus('🔗 已複製分享連結');
+        } catch (error) {
+            // 不支援剪貼簿 (或未授權) 時讓使用者手動複製
+            prompt('分享連結', url);
+        }
+    });
+
+    exportButton.addEventListener('click', () => {
+        const preset = resolvePreset(presetSelect.value);
+        downloadText(
+            JSON.stringify(detectorConfigToJSON(detectorConfig, preset?.label ?? null), null, 2),
+            `indoor-ar-detector-${timestampForFilename()}.json`
+        );
+        showDetectorStatus('📤 已匯出偵測器設定');
+    });
+
+    // 匯入的設定有名稱時一併存成自訂預設組合
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+            const { name, config } = parseDetectorConfigFile(await file.text(), file.name);
+            setDetectorConfig(config);
+            if (name) {
+                const saved = saveUserPreset(name, config);
+                renderPresetOptions(`user:${saved}`);
+            }
+            showDetectorStatus(`✅ 已匯入${name ? `「${name}」` : ''} (${file.name})`);
+        } catch (error) {
+            console.error("❌ 偵測器設定匯入失敗:", error);
+            showDetectorStatus(`❌ ${error.message}`);
+        }
+        importInput.value = '';
+    });
+}
+
+function readSettingsFromControls() {
+    const settings = {};
+    Object.entries(SETTING_CONTROLS).forEach(([key, { id, type }]) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        if (type === 'checkbox') {
+            settings[key] = element.checked;
+        } else {
+            settings[key] = type === 'number' ? parseFloat(element.value) : element.value;
+        }
+    });
+    settings.detectorParams = detectorParamsOf(detectorConfig);
+    return settings;
+}
+
+function applySettingsToControls(settings) {
+    // 演算法參數沒有對應的控制項，直接套用 (α、靈敏度與演算法由下面的控制項事件套用)
+    if (settings.detectorParams) {
+        updateDetectorConfig(settings.detectorParams);
+        renderDetectorParameters();
+    }
+    Object.entries(SETTING_CONTROLS).forEach(([key, { id, event, type }]) => {
+        const element = document.getElementById(id);
+        let value = settings[key];
+        if (!element || value === undefined) return;
+        // 藍牙掃描需要使用者手勢，重新載入後不自動啟動
+        if (key === 'rssiSource' && value === 'bluetooth') value = 'off';
+        if (type === 'checkbox') {
+            element.checked = value;
+        } else {
+            element.value = String(value);
+        }
+        element.dispatchEvent(new Event(event));
+    });
+    console.log(`⚙️ 已套用設定 - 濾波器 α=${settings.filterAlpha}, 靈敏度: ${settings.sensitivity}, 演算法: ${settings.stepAlgorithm}`);
+}
+
+// 工作階段：走動時節流儲存，頁面隱藏 / 關閉時立即儲存
+const SESSION_SAVE_DELAY = 1000;
+let sessionSaveTimer = null;
+let sessionSavingEnabled = false; // 使用者決定是否繼續上次的工作階段前，不覆寫舊的紀錄
+
+function captureSession() {
+    const pos = tracker.getPosition();
+    return {
+        savedAt: new Date().toISOString(),
+        siteName: currentSite.name,
+        floorId: currentFloor.id,
+        position: { x: pos.x, z: pos.z },
+        stepCount: tracker.getStepCount(),
+        trajectory: trajectory.toJSON()
+    };
+}
+
+function saveSessionNow() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    // 重播感測器軌跡時的位置不是真實位置，不儲存
+    if (!sessionSavingEnabled || isReplaying()) return;
+    saveSession(captureSession());
+}
+
+function scheduleSessionSave() {
+    if (!sessionSavingEnabled || sessionSaveTimer !== null) return;
+    sessionSaveTimer = setTimeout(saveSessionNow, SESSION_SAVE_DELAY);
+}
+
+window.addEventListener('pagehide', saveSessionNow);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveSessionNow();
+});
+
+// 還原位置、樓層、步數與行走軌跡 (樓層不在目前場地時停留在目前樓層)
+function restoreSession(session) {
+    hideResumePrompt();
+    const floor = currentSite.floors.find(f => f.id === session.floorId);
+    if (floor && floor !== currentFloor) ar.setFloor(floor);
+    tracker.setPosition(session.position);
+    tracker.stepDetector.stepCount = session.stepCount;
+    if (session.trajectory) {
+        trajectory.restore(session.trajectory);
+    }
+    renderTrail();
+    ar.syncPosition();
+    sessionSavingEnabled = true;
+    console.log(`💾 已繼續上次的工作階段 (${session.stepCount} 步，位置 ${session.position.x.toFixed(2)}, ${session.position.z.toFixed(2)})`);
+}
+
+function describeSessionAge(savedAt) {
+    const minutes = Math.round((Date.now() - Date.parse(savedAt)) / 60000);
+    if (minutes < 1) return '剛剛';
+    if (minutes < 60) return `${minutes} 分鐘前`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)} 小時前`;
+    return `${Math.round(minutes / (24 * 60))} 天前`;
+}
+
+function hideResumePrompt() {
+    document.getElementById('resume-prompt')?.classList.remove('visible');
+}
+
+// 啟動時有上次的工作階段 → 詢問要繼續還是重新開始
+function offerSessionResume() {
+    const session = loadSession();
+    const prompt = document.getElementById('resume-prompt');
+    if (!session || !prompt) {
+        sessionSavingEnabled = true;
+        return;
+    }
+
+    const floorName = currentSite.floors.find(f => f.id === session.floorId)?.name;
+    const siteNote = session.siteName && session.siteName !== currentSite.name
+        ? `\n⚠️ 當時的場地是「${session.siteName}」` : '';
+    document.getElementById('resume-message').textContent =
+        `上次的工作階段 (${describeSessionAge(session.savedAt)}): ${floorName ?? session.floorId}，${session.stepCount} 步${siteNote}`;
+    prompt.classList.add('visible');
+
+    document.getElementById('resume-continue-btn').addEventListener('click', () => {
+        restoreSession(session);
+        showToast('💾 已繼續上次的位置與軌跡');
+    }, { once: true });
+    document.getElementById('resume-restart-btn').addEventListener('click', () => {
+        hideResumePrompt();
+        clearSession();
+        sessionSavingEnabled = true;
+        scheduleSessionSave();
+        console.log("💾 已捨棄上次的工作階段");
+    }, { once: true });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 導航 (前往選定的訊號點)
+// ═══════════════════════════════════════════════════════════════
+const navigation = new Navigator();
+let navigationState = null;
+
+// 指向下一個轉折點的 3D 箭頭 (局部座標 −z 為箭頭方向)
+const navArrow = new THREE.Group();
+{
+    const material = new THREE.MeshBasicMaterial({ color: 0x00e5ff, transparent: true, opacity: 0.85 });
+    const head = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.3, 16), material);
+    head.rotation.x = -Math.PI / 2;
+    head.position.z = -0.25;
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.35, 8), material);
+    shaft.rotation.x = -Math.PI / 2;
+    navArrow.add(head, shaft);
+}
+navArrow.visible = false;
+scene.add(navArrow);
+
+// 地面上沿路徑的導引箭頭 (breadcrumb chevrons)
+const breadcrumbGroup = new THREE.Group();
+scene.add(breadcrumbGroup);
+const breadcrumbGeometry = new THREE.ConeGeometry(0.15, 0.3, 3);
+const breadcrumbMaterial = new THREE.MeshBasicMaterial({ color: 0x00e5ff, transparent: true, opacity: 0.6 });
+
+// 讓局部 −z 指向 (dx, dz)
+function headingToRotationY(dx, dz) {
+    return Math.atan2(-dx, -dz);
+}
+
+function renderBreadcrumbs(path) {
+    breadcrumbGroup.clear(); // 幾何與材質共用，不需釋放
+    if (!path) return;
+
+    const spacing = 1.0;
+    for (let i = 0; i < path.length - 1; i++) {
+        const a = path[i];
+        const b = path[i + 1];
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        const rotationY = headingToRotationY(b.x - a.x, b.z - a.z);
+        for (let d = spacing; d < length; d += spacing) {
+            const chevron = new THREE.Mesh(breadcrumbGeometry, breadcrumbMaterial);
+            chevron.rotation.order = 'YXZ';
+            chevron.rotation.set(-Math.PI / 2, rotationY, 0);
+            chevron.position.set(a.x + (b.x - a.x) * d / length, currentFloor.elevation + 0.05, a.z + (b.z - a.z) * d / length);
+            breadcrumbGroup.add(chevron);
+        }
+    }
+}
+
+function startNavigation(point) {
+    const path = navigation.setDestination(point, tracker.getPosition());
+    renderBreadcrumbs(path);
+    renderStationList();
+    updateNavigation();
+    updateInfoPanel();
+    if (!path) {
+        showToast(`⚠️ 找不到前往「${point.name}」的路徑`);
+    }
+}
+
+function stopNavigation() {
+    navigation.clear();
+    navigationState = null;
+    navArrow.visible = false;
+    renderBreadcrumbs(null);
+}
+
+// 位置改變時更新導航狀態
+function updateNavigation() {
+    if (!navigation.isActive()) return;
+
+    const speed = tracker.stepLengthEstimator.getCadence() * tracker.getStepLength();
+    const previousPath = navigation.path;
+    navigationState = navigation.update(tracker.getPosition(), speed);
+    if (navigation.path !== previousPath) {
+        renderBreadcrumbs(navigation.path); // 偏離後重新規劃
+    }
+
+    if (navigationState.justArrived) {
+        showToast(`🎯 已抵達「${navigationState.destination.name}」`);
+        if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+        renderBreadcrumbs(null);
+    }
+}
+
+// 每幀把箭頭放在視線前方，指向下一個轉折點
+function updateNavArrow() {
+    navArrow.visible = !!navigationState && !navigationState.arrived && navigationState.reachable;
+    if (!navArrow.visible) return;
+
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    forward.y = 0;
+    if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+    forward.normalize();
+
+    navArrow.position.set(
+        camera.position.x + forward.x * 1.5,
+        camera.position.y - 0.5,
+        camera.position.z + forward.z * 1.5
+    );
+    const target = navigationState.nextWaypoint;
+    navArrow.rotation.y = headingToRotationY(target.x - navArrow.position.x, target.z - navArrow.position.z);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 點選訊號點 (raycast) 與詳細資訊卡
+// ═══════════════════════════════════════════════════════════════
+const pointRaycaster = new THREE.Raycaster();
+const TAP_SLOP = 8; // 移動超過幾個像素就視為拖曳 (例如模擬器的滑鼠轉向)
+
+// 畫面座標 → 命中的訊號點 (標籤或地面圓圈)
+function pickPointAt(clientX, clientY) {
+    const rect = ARCanvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    pointRaycaster.setFromCamera(pointer, camera);
+    const hits = pointRaycaster.intersectObjects([...pointLabels.getPickableObjects(), ...ar.signalMeshes], false);
+    if (hits.length === 0) return null;
+    const pointId = hits[0].object.userData.pointId;
+    return currentFloor.points.find(point => point.id === pointId) || null;
+}
+
+function showPointCard(point) {
+    selectedPoint = point;
+    pointLabels.setSelected(point.id);
+
+    const icon = getPointIcon(point);
+    document.getElementById('point-card-title').textContent = icon ? `${icon} ${point.name}` : point.name;
+    const category = POI_CATEGORIES[point.category];
+    const categoryElement = document.getElementById('point-card-category');
+    categoryElement.textContent = category ? category.label : '';
+    categoryElement.style.display = category ? 'block' : 'none';
+    const descriptionElement = document.getElementById('point-card-description');
+    descriptionElement.textContent = point.description;
+    descriptionElement.style.display = point.description ? 'block' : 'none';
+
+    updatePointCard();
+    document.getElementById('point-card').classList.add('visible');
+}
+
+function hidePointCard() {
+    selectedPoint = null;
+    pointLabels.setSelected(null);
+    document.getElementById('point-card')?.classList.remove('visible');
+}
+
+// 位置改變時更新資訊卡上的即時距離
+function updatePointCard() {
+    if (!selectedPoint) return;
+    const pos = tracker.getPosition();
+    const distance = Math.hypot(selectedPoint.x - pos.x, selectedPoint.z - pos.z);
+    const floorName = currentSite.floors.find(floor => floor.id === selectedPoint.floor)?.name ?? selectedPoint.floor;
+    document.getElementById('point-card-details').textContent =
+        `📶 強度 ${selectedPoint.power} · 📏 ${formatDistance(distance)} · ${floorName} (${selectedPoint.x.toFixed(1)}, ${selectedPoint.z.toFixed(1)})`;
+    document.getElementById('point-card-navigate').textContent =
+        navigation.destination?.id === selectedPoint.id ? '🧭 導航中' : '🧭 導航到這裡';
+}
+
+function initializePointSelection() {
+    const card = document.getElementById('point-card');
+    if (!card) return;
+
+    // 點一下 (沒有拖曳) 才選取，拖曳留給模擬器的滑鼠轉向
+    let tapStart = null;
+    ARCanvas.addEventListener('pointerdown', (event) => {
+        tapStart = event.isPrimary ? { x: event.clientX, y: event.clientY } : null;
+    });
+    ARCanvas.addEventListener('pointerup', (event) => {
+        if (!tapStart || Math.hypot(event.clientX - tapStart.x, event.clientY - tapStart.y) > TAP_SLOP) return;
+        tapStart = null;
+        const point = pickPointAt(event.clientX, event.clientY);
+        if (point) showPointCard(point);
+        else hidePointCard();
+    });
+
+    document.getElementById('point-card-close').addEventListener('click', hidePointCard);
+    document.getElementById('point-card-navigate').addEventListener('click', () => {
+        if (!selectedPoint) return;
+        startNavigation(selectedPoint);
+        updatePointCard();
+    });
+
+    console.log("👆 訊號點點選已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 場地勘測 (在追蹤位置取樣訊號)
+// ═══════════════════════════════════════════════════════════════
+const surveySession = new SurveySession();
+const surveyGroup = new THREE.Group();
+scene.add(surveyGroup);
+let surveySampling = false;
+
+function createSurveySource(kind) {
+    switch (kind) {
+        case 'rssi': return new RssiSnapshotSource(rssiPositioner);
+        case 'network': return new NetworkInformationSource();
+        case 'manual': return new ManualSignalSource();
+        default: return new SimulatedSignalSource(() => currentFloor.points);
+    }
+}
+let surveySource = createSurveySource('simulated');
+
+function addSurveyMarker(sample) {
+    const color = getColorForSignal(sample.power ?? 0);
+    const marker = new THREE.Mesh(
+        new THREE.OctahedronGeometry(0.12),
+        new THREE.MeshBasicMaterial({ color })
+    );
+    marker.position.set(sample.x, currentFloor.elevation + 0.3, sample.z);
+    marker.userData = { surveySample: sample, floor: sample.floor };
+    surveyGroup.add(marker);
+}
+
+function clearSurveyMarkers() {
+    disposeGroupChildren(surveyGroup);
+}
+
+async function takeSurveySample() {
+    if (surveySampling) return null; // 前一次取樣 (例如手動輸入) 尚未完成
+    surveySampling = true;
+    const status = document.getElementById('survey-status');
+
+    try {
+        const position = { ...tracker.getPosition() };
+        const reading = await surveySource.read(position);
+        const sample = surveySession.addSample({
+            position,
+            heading: getHeadingDegrees(),
+            step: tracker.getStepCount(),
+            source: surveySource.name,
+            floor: currentFloor.id,
+            reading
+        });
+        addSurveyMarker(sample);
+        console.log(`📋 勘測取樣 ${sample.id}: (${sample.x}, ${sample.z}) 強度 ${sample.power ?? '-'}`);
+        if (status) status.textContent = `已取樣 ${surveySession.samples.length} 筆 (最新 ${sample.id}: ${sample.power ?? '-'})`;
+        return sample;
+    } catch (error) {
+        console.error("❌ 勘測取樣失敗:", error);
+        if (status) status.textContent = `❌ ${error.message}`;
+        return null;
+    } finally {
+        surveySampling = false;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 俯視小地圖 (目前樓層)
 // ═══════════════════════════════════════════════════════════════
-// 第 14 部分：系統初始化入口
-// ═══════════════════════════════════════════════════════════════
+let minimap = null;
+let minimapVisible = false;
+
+function buildMinimapState() {
+    const pos = tracker.getPosition();
+    return {
+        points: currentFloor.points,
+        floorPlan: currentFloor.floorPlan,
+        markers: currentFloor.markers,
+        trail: trajectory.segments.map(segment => ({
+            archived: segment.archived,
+            points: segment.points.filter(p => p.floor === currentFloor.id)
+        })),
+        path: navigation.isActive() ? navigation.path : null,
+        destinationId: navigation.destination?.id ?? null,
+        peers: sessionPeers.filter(peer => peer.state.floor === currentFloor.id),
+        user: { x: pos.x, z: pos.z, yaw: tracker.getHeading().yaw, uncertainty: tracker.getPositionUncertainty() }
+    };
+}
+
+function setMinimapVisible(visible) {
+    minimapVisible = visible && minimap !== null;
+    document.getElementById('minimap-container')?.classList.toggle('visible', minimapVisible);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 感測器診斷面板 (加速度曲線、閾值、取樣率與偵測器統計)
+// ═══════════════════════════════════════════════════════════════
+const HEADING_SOURCE_LABELS = { fused: '融合', gyro: '陀螺儀 (磁干擾)', compass: '羅盤', none: '無' };
+const DIAGNOSTICS_TEXT_INTERVAL = 250; // 文字每幾 ms 更新一次 (曲線每幀重畫)
+
+const diagnostics = new DiagnosticsRecorder();
+let diagnosticsChart = null;
+let diagnosticsVisible = false;
+let lastDiagnosticsText = 0;
+
+// 面板開啟時才記錄；偵測器停用 (沒有處理這個樣本) 時不記錄
+function recordDiagnostics(detector, before, dt) {
+    if (!diagnosticsVisible || detector.totalSamples === before.samples) return;
+    diagnostics.record({
+        dt,
+        raw: detector.latestRaw,
+        magnitude: detector.latestMagnitude,
+        threshold: detector.getThreshold(),
+        step: detector.stepCount > before.steps
+    });
+}
+
+function setDiagnosticsVisible(visible) {
+    diagnosticsVisible = visible && diagnosticsChart !== null;
+    if (diagnosticsVisible) diagnostics.clear();
+    document.getElementById('diagnostics-panel')?.classList.toggle('visible', diagnosticsVisible);
+}
+
+function updateDiagnosticsText() {
+    const timing = diagnostics.getTiming();
+    const heading = tracker.getHeading();
+    document.getElementById('diagnostics-timing').textContent = [
+        `取樣率 ${timing.rate.toFixed(0)} Hz · 間隔 ${timing.meanInterval.toFixed(1)} ± ${timing.jitter.toFixed(1)} ms (最長 ${timing.maxInterval.toFixed(0)} ms)`,
+        `航向 ${getHeadingDegrees().toFixed(0)}° · ${HEADING_SOURCE_LABELS[heading.source]} · 信心 ${(heading.confidence * 100).toFixed(0)}%`,
+        `視窗內步數 ${diagnostics.getStepCount()}`
+    ].join('\n');
+    document.getElementById('diagnostics-stats').textContent = Object.entries(tracker.stepDetector.getStats())
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+}
+
+function renderDiagnostics() {
+    diagnosticsChart.render(diagnostics);
+    const now = performance.now();
+    if (now - lastDiagnosticsText >= DIAGNOSTICS_TEXT_INTERVAL) {
+        lastDiagnosticsText = now;
+        updateDiagnosticsText();
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 第 4 部分：資訊面板更新
+// ═══════════════════════════════════════════════════════════════
+// 短暫提示訊息
+let toastTimer = null;
+function showToast(message, duration = 3000) {
+    let toast = document.getElementById('toast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'toast';
+        document.body.appendChild(toast);
+    }
+    toast.textContent = message;
+    toast.classList.add('visible');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('visible'), duration);
+    console.log(`💬 ${message}`);
+}
+
+// 目前航向 (0-360°)
+function getHeadingDegrees() {
+    return ar.getHeading().degrees;
+}
+
+function updateInfoPanel() {
+    const pos = tracker.getPosition();
+
+    // 更新座標顯示
+    document.getElementById('lon-value').textContent = pos.x.toFixed(2) + ' m';
+    document.getElementById('lat-value').textContent = pos.z.toFixed(2) + ' m';
+
+    const uncertainty = tracker.getPositionUncertainty();
+    document.getElementById('uncertainty-value').textContent =
+        uncertainty === null ? '-- (無平面圖)' : `±${uncertainty.toFixed(2)} m`;
+    document.getElementById('grid-point').textContent = `步數: ${tracker.getStepCount()}`;
+    document.getElementById('grid-count').textContent = currentFloor.points.length;
+
+    const activityElement = document.getElementById('activity-value');
+    if (activityElement) {
+        const activity = tracker.getActivity();
+        const carry = tracker.getCarryMode();
+        const offset = carry.offset !== null && Math.abs(carry.offset) >= 1
+            ? ` · 行走偏移 ${carry.offset > 0 ? '左' : '右'} ${Math.abs(carry.offset).toFixed(0)}°`
+            : '';
+        activityElement.textContent = `${activity.label}${activity.gating ? '' : ' (不過濾)'} · ${carry.label}${offset}`;
+    }
+
+    const heading = tracker.getHeading();
+    const headingDeg = getHeadingDegrees();
+    document.getElementById('heading-value').textContent =
+        `${headingDeg.toFixed(0)}° · ${HEADING_SOURCE_LABELS[heading.source]} · 信心 ${(heading.confidence * 100).toFixed(0)}%`;
+
+    const rssiElement = document.getElementById('rssi-value');
+    if (rssiElement) {
+        rssiElement.textContent = rssiSourceKind === 'off'
+            ? '關閉'
+            : lastRssiFix
+                ? `${lastRssiFix.anchors} 個信標 · ±${lastRssiFix.accuracy.toFixed(1)} m`
+                : '信標不足 (需 3 個)';
+    }
+
+    const markerElement = document.getElementById('marker-value');
+    if (markerElement) {
+        const seconds = lastMarkerResult ? Math.round((Date.now() - lastMarkerResult.time) / 1000) : null;
+        markerElement.textContent = !markerAnchoring
+            ? '關閉'
+            : currentFloor.markers.length === 0
+                ? '此樓層沒有標記'
+                : !lastMarkerResult
+                    ? `掃描中 (${currentFloor.markers.length} 個標記)`
+                    : lastMarkerResult.rejected
+                        ? `${lastMarkerResult.marker.id} · ${lastMarkerResult.rejected}`
+                        : `${lastMarkerResult.marker.id} · ${seconds} 秒前 · ${lastMarkerResult.distance.toFixed(1)} m`;
+    }
+
+    const floorElement = document.getElementById('floor-value');
+    if (floorElement) {
+        floorElement.textContent = !autoFloorDetection
+            ? '手動'
+            : floorDetector.hasBarometer()
+                ? `氣壓計 ${floorDetector.getAltitudeChange() >= 0 ? '+' : ''}${floorDetector.getAltitudeChange().toFixed(1)} m`
+                : `加速度${floorDetector.isRiding() ? ' · 🛗 電梯中' : ''}`;
+    }
+
+    const navElement = document.getElementById('nav-value');
+    if (navElement) {
+        const cancelButton = document.getElementById('nav-cancel-btn');
+        if (cancelButton) cancelButton.style.display = navigationState ? 'inline-block' : 'none';
+        if (!navigationState) {
+            navElement.textContent = '未設定 (點選訊號點列表)';
+        } else if (navigationState.arrived) {
+            navElement.textContent = `🎯 已抵達 ${navigationState.destination.name}`;
+        } else if (!navigationState.reachable) {
+            navElement.textContent = `${navigationState.destination.name} · 無可行路徑`;
+        } else {
+            const minutes = Math.floor(navigationState.eta / 60);
+            const seconds = Math.round(navigationState.eta % 60);
+            navElement.textContent = `${navigationState.destination.name} · ${navigationState.remaining.toFixed(1)} m · 約 ${minutes > 0 ? `${minutes} 分 ` : ''}${seconds} 秒`;
+        }
+    }
+
+    const zoneElement = document.getElementById('zone-value');
+    if (zoneElement) {
+        const active = ar.getActiveZones();
+        zoneElement.textContent = active.length === 0
+            ? (ar.getFloorZones().length === 0 ? '此樓層沒有區域' : '不在任何區域')
+            : active.map(({ zone, duration }) => `${zone.name} ${Math.round(duration / 1000)} 秒`).join('、');
+    }
+
+    updateSessionInfo();
+    updatePointCard();
+
+    const estimator = tracker.stepLengthEstimator;
+    document.getElementById('stride-value').textContent =
+        `${tracker.getStepLength().toFixed(2)} m${estimator.calibrated ? ' (已校準)' : ''}`;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 第 5 部分：每幀更新 (ar 繪製前)
+// ═══════════════════════════════════════════════════════════════
+ar.on('frame', () => {
+    updateNavArrow();
+    pointLabels.update(tracker.getPosition());
+    peerAvatars.update();
+    if (minimapVisible) minimap.render(buildMinimapState());
+    if (diagnosticsVisible) renderDiagnostics();
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 第 6 部分：UI 初始化函數
+// ═══════════════════════════════════════════════════════════════
+// 陀螺儀授權按鈕 (iOS 需要使用者手勢)
+function initializeGyroPermissionButton() {
+    // 檢查按鈕是否已存在，避免重複建立
+    if (document.getElementById('gyroPermissionButton')) {
+        console.log("⚠️ 陀螺儀按鈕已存在，跳過建立");
+        return;
+    }
+
+    const button = document.createElement('button');
+    button.id = 'gyroPermissionButton';
+    button.textContent = '📱 啟用陀螺儀與相機';
+    button.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        z-index: 10000;
+        padding: 20px 40px;
+        background-color: #007AFF;
+        color: white;
+        border: none;
+        border-radius: 12px;
+        cursor: pointer;
+        font-size: 18px;
+        font-weight: bold;
+        box-shadow: 0 4px 12px rgba(0, 122, 255, 0.5);
+    `;
+
+    button.addEventListener('click', async () => {
+        button.textContent = '⏳ 載入中...';
+        button.disabled = true;
+
+        // 要求感測器授權 (iOS)、連接感測器並啟動相機；失敗原因由 ar 的 error 事件回報
+        if (!await ar.start()) {
+            button.textContent = '❌ 授權失敗，請重試';
+            button.disabled = false;
+            return;
+        }
+
+        // 延遲一下確保所有初始化完成
+        setTimeout(() => {
+            if (button.parentNode) {
+                button.remove();
+            }
+            console.log("✅ 按鈕已移除，系統準備就緒");
+        }, 500);
+    });
+
+    document.body.appendChild(button);
+}
+
+// 重設位置按鈕
+function initializeResetButton() {
+    const resetButton = document.getElementById('setFakeLoc');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            ar.reset();
+            trajectory.archiveCurrent();
+            recordTrajectoryPoint();
+            alert('✅ 已重設到原點!');
+        });
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 設定面板初始化
+// ═══════════════════════════════════════════════════════════════
+function initializeSettingsPanel() {
+    // 濾波器開關與 α 值滑桿
+    const filterToggle = document.getElementById('filter-enabled');
+    const filterAlphaSlider = document.getElementById('filter-alpha');
+    const filterAlphaValue = document.getElementById('filter-alpha-value');
+
+    if (filterToggle) {
+        filterToggle.addEventListener('change', (e) => updateDetectorConfig({ useFilter: e.target.checked }));
+    }
+    if (filterAlphaSlider) {
+        filterAlphaSlider.addEventListener('input', (e) => {
+            const alpha = parseFloat(e.target.value);
+            updateDetectorConfig({ filterAlpha: alpha });
+            filterAlphaValue.textContent = alpha.toFixed(2);
+        });
+    }
+    
+    // 靈敏度下拉選單
+    const sensitivitySelect = document.getElementById('sensitivity');
+    if (sensitivitySelect) {
+        sensitivitySelect.addEventListener('change', (e) => {
+            updateDetectorConfig({ sensitivity: e.target.value });
+        });
+    }
+
+    // 計步演算法 (進階參數改列出新演算法的欄位)
+    const stepAlgorithmSelect = document.getElementById('step-algorithm');
+    if (stepAlgorithmSelect) {
+        stepAlgorithmSelect.addEventListener('change', (e) => {
+            updateDetectorConfig({ algorithm: e.target.value });
+            renderDetectorParameters();
+        });
+    }
+
+    initializeDetectorPresets();
+
+    // 導航抵達半徑
+    const arrivalRadiusInput = document.getElementById('arrival-radius');
+    if (arrivalRadiusInput) {
+        arrivalRadiusInput.addEventListener('change', (e) => {
+            navigation.setArrivalRadius(parseFloat(e.target.value) || 1.0);
+            updateNavigation();
+            updateInfoPanel();
+        });
+    }
+
+    // 訊號點列表 (導航目的地)
+    const stationsToggle = document.getElementById('stations-toggle-btn');
+    const stations = document.getElementById('base-stations');
+    if (stationsToggle && stations) {
+        stationsToggle.addEventListener('click', () => {
+            stations.style.display = stations.style.display === 'none' ? 'block' : 'none';
+        });
+    }
+    const navCancelButton = document.getElementById('nav-cancel-btn');
+    if (navCancelButton) {
+        navCancelButton.addEventListener('click', () => {
+            stopNavigation();
+            renderStationList();
+            updateInfoPanel();
+        });
+    }
+
+    // 樓層 (手動選擇 / 自動偵測)
+    const floorSelect = document.getElementById('floor-select');
+    if (floorSelect) {
+        floorSelect.addEventListener('change', (e) => {
+            const floor = currentSite.floors.find(f => f.id === e.target.value);
+            if (floor && floor !== currentFloor) switchFloor(floor, 'manual');
+        });
+    }
+    // 依活動狀態過濾步伐 (搖晃手機不計步)
+    const activityGatingToggle = document.getElementById('activity-gating');
+    if (activityGatingToggle) {
+        activityGatingToggle.addEventListener('change', (e) => {
+            tracker.setActivityGating(e.target.checked);
+            updateInfoPanel();
+        });
+    }
+
+    // 依攜帶方式估計行走方向
+    const poseCompensationToggle = document.getElementById('pose-compensation');
+    if (poseCompensationToggle) {
+        poseCompensationToggle.addEventListener('change', (e) => {
+            tracker.setPoseCompensation(e.target.checked);
+            updateInfoPanel();
+        });
+    }
+
+    const floorAutoToggle = document.getElementById('floor-auto');
+    if (floorAutoToggle) {
+        floorAutoToggle.addEventListener('change', (e) => {
+            autoFloorDetection = e.target.checked;
+            floorDetector.resetReference();
+            updateInfoPanel();
+        });
+    }
+
+    // 訊號熱力圖
+    const labelsToggle = document.getElementById('point-labels-toggle');
+    const labelMode = document.getElementById('point-label-mode');
+    if (labelsToggle) {
+        labelsToggle.addEventListener('change', (e) => pointLabels.setVisible(e.target.checked));
+    }
+    if (labelMode) {
+        labelMode.addEventListener('change', (e) => pointLabels.setMode(e.target.value));
+    }
+
+    const heatmapToggle = document.getElementById('heatmap-toggle');
+    const heatmapResolution = document.getElementById('heatmap-resolution');
+    const heatmapOpacity = document.getElementById('heatmap-opacity');
+    if (heatmapToggle) {
+        heatmapToggle.addEventListener('change', (e) => {
+            signalHeatmap.setVisible(e.target.checked);
+        });
+    }
+    if (heatmapResolution) {
+        heatmapResolution.addEventListener('change', (e) => {
+            signalHeatmap.setResolution(parseFloat(e.target.value));
+        });
+    }
+    if (heatmapOpacity) {
+        heatmapOpacity.addEventListener('input', (e) => {
+            signalHeatmap.setOpacity(parseFloat(e.target.value));
+        });
+    }
+
+    // RSSI 定位來源
+    const rssiSelect = document.getElementById('rssi-source');
+    if (rssiSelect) {
+        if (!WebBluetoothRssiSource.isSupported()) {
+            rssiSelect.querySelector('option[value="bluetooth"]').disabled = true;
+        }
+        rssiSelect.addEventListener('change', async (e) => {
+            try {
+                await setRssiSource(e.target.value);
+            } catch (error) {
+                console.error("❌ RSSI 來源啟動失敗:", error);
+                alert(`RSSI 來源啟動失敗: ${error.message}`);
+                rssiSelect.value = 'off';
+                await setRssiSource('off');
+            }
+            updateInfoPanel();
+        });
+    }
+    
+    // QR 標記定位
+    renderMarkers(currentFloor);
+    const markerToggle = document.getElementById('marker-anchoring');
+    const markerMode = document.getElementById('marker-mode');
+    const markerTestInput = document.getElementById('marker-test-image');
+    const markerStatus = document.getElementById('marker-status');
+    if (markerToggle) {
+        markerToggle.addEventListener('change', (e) => {
+            setMarkerAnchoring(e.target.checked);
+            updateInfoPanel();
+        });
+    }
+    if (markerMode) {
+        markerMode.addEventListener('change', (e) => markerAnchor.setMode(e.target.value));
+    }
+    if (markerTestInput) {
+        markerTestInput.addEventListener('change', async () => {
+            const file = markerTestInput.files[0];
+            if (!file) return;
+            try {
+                markerStatus.textContent = '⏳ 偵測中...';
+                markerStatus.textContent = await testMarkerImage(file);
+            } catch (error) {
+                console.error("❌ QR 圖片測試失敗:", error);
+                markerStatus.textContent = `❌ ${error.message}`;
+            }
+            markerTestInput.value = '';
+        });
+    }
+
+    console.log("⚙️ 設定面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 步長校準面板初始化
+// ═══════════════════════════════════════════════════════════════
+// 步長校準與起點校準的訊號點選單 (換樓層時重建)
+function renderPointOptions() {
+    const placeholders = { 'stride-from': '--', 'stride-to': '--', 'calib-origin': '自訂座標', 'calib-target': '--' };
+    Object.entries(placeholders).forEach(([id, placeholder]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const options = [new Option(placeholder, '')];
+        currentFloor.points.forEach(point => options.push(new Option(point.name, point.id)));
+        select.replaceChildren(...options);
+    });
+}
+
+function initializeStridePanel() {
+    const fromSelect = document.getElementById('stride-from');
+    const toSelect = document.getElementById('stride-to');
+    const distanceInput = document.getElementById('stride-distance');
+    const startButton = document.getElementById('stride-start-btn');
+    const finishButton = document.getElementById('stride-finish-btn');
+    const clearButton = document.getElementById('stride-clear-btn');
+    const status = document.getElementById('stride-status');
+
+    // 載入本機已存的校準
+    const saved = loadStepCalibration();
+    if (saved) {
+        tracker.stepLengthEstimator.setModel(saved);
+    }
+
+    if (!startButton || !finishButton) return;
+
+    renderPointOptions();
+
+    // 選了兩個訊號點時，以兩點距離作為已知距離
+    const updateDistanceFromPoints = () => {
+        const from = currentFloor.points.find(p => p.id === fromSelect.value);
+        const to = currentFloor.points.find(p => p.id === toSelect.value);
+        if (from && to && from !== to) {
+            distanceInput.value = Math.hypot(to.x - from.x, to.z - from.z).toFixed(2);
+        }
+    };
+    fromSelect.addEventListener('change', updateDistanceFromPoints);
+    toSelect.addEventListener('change', updateDistanceFromPoints);
+
+    startButton.addEventListener('click', () => {
+        stepCalibration.start();
+        startButton.disabled = true;
+        finishButton.disabled = false;
+        status.textContent = '校準中... 請以平常步伐走到終點';
+    });
+
+    finishButton.addEventListener('click', () => {
+        // 已經結束的校準不再計算 (避免錯誤訊息蓋過校準結果)
+        if (!stepCalibration.active) return;
+        startButton.disabled = false;
+        finishButton.disabled = true;
+        try {
+            const walk = stepCalibration.finish(parseFloat(distanceInput.value));
+            const calibration = addCalibrationWalk(loadStepCalibration(), walk);
+            saveStepCalibration(calibration);
+            tracker.stepLengthEstimator.setModel(calibration);
+            status.textContent = `✅ 已校準 (${walk.steps.length} 步 / ${walk.distance} m，共 ${calibration.walks.length} 次行走)`;
+            updateInfoPanel();
+        } catch (error) {
+            console.error("❌ 步長校準失敗:", error);
+            status.textContent = `❌ ${error.message}`;
+        }
+    });
+
+    clearButton.addEventListener('click', () => {
+        stepCalibration.cancel();
+        clearStepCalibration();
+        tracker.stepLengthEstimator.resetModel();
+        startButton.disabled = false;
+        finishButton.disabled = true;
+        status.textContent = '已清除校準，使用預設模型';
+        updateInfoPanel();
+    });
+
+    console.log("📏 步長校準面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 起點 / 方向校準面板初始化
+// ═══════════════════════════════════════════════════════════════
+const twoPointAlignment = new TwoPointAlignment();
+let alignmentSegmentId = null; // 兩點行走所在的軌跡段落 (完成時整段對齊到場地座標)
+
+// 追蹤器與相機共用同一個 initialYaw
+function applyInitialYaw(initialYaw) {
+    ar.setInitialYaw(initialYaw);
+    console.log(`🧭 航向已校準 (initialYaw ${(initialYaw * 180 / Math.PI).toFixed(1)}°)`);
+}
+
+// 移到已知起點：之前的軌跡封存成獨立段落 (不會遺失)，從起點開始新的一段
+function moveToOrigin(origin) {
+    tracker.setPosition(origin);
+    trajectory.archiveCurrent();
+    recordTrajectoryPoint();
+    ar.syncPosition();
+}
+
+function initializeCalibrationPanel() {
+    const originSelect = document.getElementById('calib-origin');
+    const xInput = document.getElementById('calib-x');
+    const zInput = document.getElementById('calib-z');
+    const methodSelect = document.getElementById('calib-method');
+    const bearingInput = document.getElementById('calib-bearing');
+    const targetSelect = document.getElementById('calib-target');
+    const applyButton = document.getElementById('calib-apply-btn');
+    const finishButton = document.getElementById('calib-finish-btn');
+    const status = document.getElementById('calib-status');
+
+    if (!applyButton) return;
+
+    const findPoint = (id) => currentFloor.points.find(p => p.id === id);
+
+    // 選了訊號點時把座標填入輸入框 (也可直接輸入自訂座標)
+    originSelect.addEventListener('change', () => {
+        const point = findPoint(originSelect.value);
+        if (point) {
+            xInput.value = point.x.toFixed(2);
+            zInput.value = point.z.toFixed(2);
+        }
+    });
+
+    const updateMethodInputs = () => {
+        bearingInput.disabled = methodSelect.value !== 'bearing';
+        targetSelect.disabled = methodSelect.value !== 'point' && methodSelect.value !== 'walk';
+    };
+    methodSelect.addEventListener('change', updateMethodInputs);
+    updateMethodInputs();
+
+    applyButton.addEventListener('click', () => {
+        const origin = { x: parseFloat(xInput.value), z: parseFloat(zInput.value) };
+        if (!Number.isFinite(origin.x) || !Number.isFinite(origin.z)) {
+            status.textContent = '❌ 請選擇訊號點或輸入起點座標';
+            return;
+        }
+        const target = findPoint(targetSelect.value);
+        const method = methodSelect.value;
+        if ((method === 'point' || method === 'walk') &&
+            (!target || Math.hypot(target.x - origin.x, target.z - origin.z) < 1)) {
+            status.textContent = '❌ 請選擇距離起點 1 m 以上的目標訊號點';
+            return;
+        }
+
+        twoPointAlignment.cancel();
+        finishButton.disabled = true;
+        moveToOrigin(origin);
+
+        try {
+            if (method === 'bearing' || method === 'point') {
+                const targetYaw = method === 'bearing'
+                    ? (parseFloat(bearingInput.value) || 0) * Math.PI / 180
+                    : bearingBetween(origin, target);
+                applyInitialYaw(tracker.alignHeading(targetYaw));
+                ar.syncPosition();
+                status.textContent = `✅ 已對齊起點 (${origin.x.toFixed(2)}, ${origin.z.toFixed(2)})，航向 ${getHeadingDegrees().toFixed(0)}°`;
+            } else if (method === 'walk') {
+                twoPointAlignment.start(origin, tracker.getPosition());
+                alignmentSegmentId = trajectory.getCurrentSegment().id;
+                finishButton.disabled = false;
+                status.textContent = `起點已設定，請直線走到「${target.name}」再按抵達`;
+            } else {
+                status.textContent = `✅ 已設定起點 (${origin.x.toFixed(2)}, ${origin.z.toFixed(2)})，航向不變`;
+            }
+        } catch (error) {
+            console.error("❌ 航向校準失敗:", error);
+            status.textContent = `⚠️ 起點已設定，但${error.message}`;
+        }
+    });
+
+    finishButton.addEventListener('click', () => {
+        // 已套用的兩點校準不再重複套用 (會把軌跡再轉一次)
+        if (!twoPointAlignment.active) return;
+        const target = findPoint(targetSelect.value);
+        if (!target) {
+            status.textContent = '❌ 請選擇目標訊號點';
+            return;
+        }
+        try {
+            const solution = twoPointAlignment.finish(target, tracker.getPosition());
+            applyInitialYaw(tracker.rotateHeading(solution.rotation));
+            trajectory.transformSegment(alignmentSegmentId, solution.transform, solution.rotation * 180 / Math.PI);
+            tracker.setPosition(target);
+            recordTrajectoryPoint();
+            ar.syncPosition();
+            finishButton.disabled = true;
+            status.textContent = `✅ 已對齊 (旋轉 ${(solution.rotation * 180 / Math.PI).toFixed(1)}°，` +
+                `實走 ${solution.walkedDistance.toFixed(1)} m / 實際 ${solution.distance.toFixed(1)} m)`;
+        } catch (error) {
+            console.error("❌ 兩點校準失敗:", error);
+            status.textContent = `❌ ${error.message}`;
+        }
+    });
+
+    console.log("🎯 起點校準面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 場地面板初始化
+// ═══════════════════════════════════════════════════════════════
+async function loadSite(loader, sourceLabel) {
+    const status = document.getElementById('site-status');
+    const siteName = document.getElementById('site-name');
+
+    try {
+        if (status) status.textContent = `⏳ 載入中: ${sourceLabel}`;
+        const site = await loader();
+        applySite(site);
+        saveSite(site, sourceLabel);
+        if (siteName) siteName.textContent = site.name;
+        if (status) status.textContent = `✅ 已載入 ${site.floors.length} 層、${getAllSitePoints(site).length} 個訊號點 (${sourceLabel})`;
+        return true;
+    } catch (error) {
+        console.error("❌ 場地載入失敗:", error);
+        if (status) status.textContent = `❌ ${error.message}`;
+        return false;
+    }
+}
+
+function initializeSitePanel() {
+    const urlInput = document.getElementById('site-url');
+    const urlButton = document.getElementById('site-url-btn');
+    const fileInput = document.getElementById('site-file');
+
+    if (urlButton && urlInput) {
+        urlButton.addEventListener('click', () => {
+            const url = urlInput.value.trim();
+            if (url) loadSite(() => loadSiteFromUrl(url), url);
+        });
+    }
+
+    if (fileInput) {
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file) loadSite(() => loadSiteFromFile(file), file.name);
+        });
+    }
+
+    renderStationList();
+    renderFloorOptions();
+    console.log("🏢 場地面板已初始化");
+
+    // 網址參數 ?site=... 指定的場地優先，否則使用上次載入的場地
+    const queryUrl = getSiteUrlFromQuery();
+    if (queryUrl) {
+        if (urlInput) urlInput.value = queryUrl;
+        return loadSite(() => loadSiteFromUrl(queryUrl), queryUrl);
+    }
+    const saved = loadSavedSite();
+    if (saved) {
+        return loadSite(async () => saved.site, saved.source ?? '本機儲存');
+    }
+    return Promise.resolve(false);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 勘測面板初始化
+// ═══════════════════════════════════════════════════════════════
+function initializeSurveyPanel() {
+    const sourceSelect = document.getElementById('survey-source');
+    const sampleButton = document.getElementById('survey-sample-btn');
+    const autoInput = document.getElementById('survey-auto-steps');
+    const exportJsonButton = document.getElementById('survey-export-json');
+    const exportCsvButton = document.getElementById('survey-export-csv');
+    const importInput = document.getElementById('survey-import');
+    const clearButton = document.getElementById('survey-clear-btn');
+    const status = document.getElementById('survey-status');
+
+    if (!sampleButton) return;
+
+    if (!NetworkInformationSource.isSupported()) {
+        sourceSelect.querySelector('option[value="network"]').disabled = true;
+    }
+    sourceSelect.addEventListener('change', (e) => {
+        surveySource = createSurveySource(e.target.value);
+    });
+
+    sampleButton.addEventListener('click', () => takeSurveySample());
+
+    autoInput.addEventListener('change', () => {
+        surveySession.setAutoSample(parseInt(autoInput.value, 10) || 0, tracker.getStepCount());
+        status.textContent = surveySession.autoEverySteps > 0
+            ? `自動取樣: 每 ${surveySession.autoEverySteps} 步`
+            : '自動取樣已關閉';
+    });
+
+    exportJsonButton.addEventListener('click', () => {
+        downloadText(JSON.stringify(surveySession.toJSON(currentSite.name), null, 2),
+            `survey-${timestampForFilename()}.json`);
+    });
+
+    exportCsvButton.addEventListener('click', () => {
+        downloadText(surveySession.toCSV(), `survey-${timestampForFilename()}.csv`, 'text/csv');
+    });
+
+    // 匯入勘測資料 → 依樣本的樓層加入成為訊號點 (同 id 的舊點會被取代；沒有樓層或樓層不在此場地的放到目前樓層)
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+            const text = await file.text();
+            const samples = file.name.toLowerCase().endsWith('.csv')
+                ? parseSurveyCsv(text)
+                : parseSurveyJson(text);
+            const floorIds = new Set(currentSite.floors.map(floor => floor.id));
+            const newPoints = samplesToSignalPoints(samples, 'survey-', currentFloor.id)
+                .map(p => (floorIds.has(p.floor) ? p : { ...p, floor: currentFloor.id }));
+            const newIds = new Set(newPoints.map(p => p.id));
+            applySite({
+                ...currentSite,
+                floors: currentSite.floors.map(floor => ({
+                    ...floor,
+                    points: [
+                        ...floor.points.filter(p => !newIds.has(p.id)),
+                        ...newPoints.filter(p => p.floor === floor.id)
+                    ]
+                }))
+            });
+            saveSite(currentSite, `${file.name} (勘測匯入)`);
+            const floorCount = new Set(newPoints.map(p => p.floor)).size;
+            status.textContent = `✅ 已匯入 ${newPoints.length} 個訊號點 (${floorCount} 個樓層，${file.name})`;
+        } catch (error) {
+            console.error("❌ 勘測資料匯入失敗:", error);
+            status.textContent = `❌ ${error.message}`;
+        }
+        importInput.value = '';
+    });
+
+    clearButton.addEventListener('click', () => {
+        surveySession.clear();
+        clearSurveyMarkers();
+        status.textContent = '已清除勘測樣本';
+    });
+
+    console.log("📋 勘測面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 行走軌跡面板初始化
+// ═══════════════════════════════════════════════════════════════
+function initializeTrajectoryPanel() {
+    const csvButton = document.getElementById('trail-export-csv');
+    const geojsonButton = document.getElementById('trail-export-geojson');
+    const gpxButton = document.getElementById('trail-export-gpx');
+    const clearButton = document.getElementById('trail-clear-btn');
+    const status = document.getElementById('trail-status');
+
+    if (!csvButton) return;
+
+    const exportWith = (label, build) => {
+        try {
+            build();
+            status.textContent = `✅ 已匯出 ${label} (${trajectory.segments.length} 段, ${trajectory.getPointCount()} 點)`;
+        } catch (error) {
+            console.error("❌ 軌跡匯出失敗:", error);
+            status.textContent = `❌ ${error.message}`;
+        }
+    };
+
+    csvButton.addEventListener('click', () => exportWith('CSV', () => {
+        downloadText(trajectory.toCSV(currentSite.geoAnchor), `trajectory-${timestampForFilename()}.csv`, 'text/csv');
+    }));
+
+    geojsonButton.addEventListener('click', () => exportWith('GeoJSON', () => {
+        downloadText(JSON.stringify(trajectory.toGeoJSON(currentSite.geoAnchor), null, 2),
+            `trajectory-${timestampForFilename()}.geojson`, 'application/geo+json');
+    }));
+
+    gpxButton.addEventListener('click', () => exportWith('GPX', () => {
+        downloadText(trajectory.toGPX(currentSite.geoAnchor), `trajectory-${timestampForFilename()}.gpx`, 'application/gpx+xml');
+    }));
+
+    clearButton.addEventListener('click', () => {
+        trajectory.clear();
+        recordTrajectoryPoint();
+        status.textContent = '已清除所有軌跡';
+    });
+
+    // 起點
+    recordTrajectoryPoint();
+    console.log("🧭 軌跡面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 提醒區域面板初始化 (控制項的值與設定一起儲存)
+// ═══════════════════════════════════════════════════════════════
+function initializeZonePanel() {
+    const radiusInput = document.getElementById('proximity-radius');
+    const actionsToggle = document.getElementById('zone-actions-enabled');
+    const webhookInput = document.getElementById('zone-webhook-url');
+    const testButton = document.getElementById('zone-test-btn');
+    const clearButton = document.getElementById('zone-history-clear-btn');
+    const status = document.getElementById('zone-status');
+
+    if (!radiusInput) return;
+
+    radiusInput.addEventListener('change', () => {
+        const radius = parseFloat(radiusInput.value);
+        ar.setProximityRadius(Number.isFinite(radius) && radius > 0 ? radius : 0);
+        updateInfoPanel();
+    });
+
+    actionsToggle.addEventListener('change', () => {
+        zoneActions.setEnabled(actionsToggle.checked);
+    });
+
+    webhookInput.addEventListener('change', () => {
+        zoneActions.setWebhookUrl(webhookInput.value.trim());
+    });
+
+    testButton.addEventListener('click', () => {
+        status.textContent = testZonesWithTrajectory();
+    });
+
+    clearButton.addEventListener('click', () => {
+        ar.clearZoneHistory();
+        renderZoneHistory();
+    });
+
+    renderZoneHistory();
+    console.log("📍 區域面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 共享工作階段面板初始化 (伺服器、房間與名稱與設定一起儲存)
+// ═══════════════════════════════════════════════════════════════
+function initializeSessionPanel() {
+    const serverInput = document.getElementById('session-server');
+    const roomInput = document.getElementById('session-room');
+    const nameInput = document.getElementById('session-name');
+    const connectButton = document.getElementById('session-connect-btn');
+    const status = document.getElementById('session-status');
+
+    if (!connectButton) return;
+
+    const updateButton = () => {
+        connectButton.textContent = sharedSession.isActive() ? '🔌 中斷' : '🔗 連線';
+    };
+
+    const connect = () => {
+        const server = serverInput.value.trim();
+        if (!/^wss?:\/\//i.test(server)) {
+            status.textContent = '⚠️ 請輸入 ws:// 或 wss:// 開頭的伺服器網址';
+            return;
+        }
+        try {
+            connectSession(server, roomInput.value.trim() || 'default', nameInput.value.trim());
+            status.textContent = `房間「${roomInput.value.trim() || 'default'}」`;
+        } catch (error) {
+            console.error("❌ 共享工作階段連線失敗:", error);
+            status.textContent = `❌ ${error.message}`;
+        }
+        updateButton();
+    };
+
+    connectButton.addEventListener('click', () => {
+        if (sharedSession.isActive()) {
+            disconnectSession();
+            status.textContent = '已中斷連線';
+            updateButton();
+        } else {
+            connect();
+        }
+    });
+
+    // 連線中改了伺服器、房間或名稱時重新連線
+    [serverInput, roomInput, nameInput].forEach(input => {
+        input.addEventListener('change', () => {
+            if (sharedSession.isActive()) connect();
+        });
+    });
+
+    updateSessionInfo();
+    console.log("👥 共享工作階段面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 感測器軌跡面板初始化
+// ═══════════════════════════════════════════════════════════════
+function initializeTracePanel() {
+    const recordButton = document.getElementById('trace-record-btn');
+    const markStepButton = document.getElementById('trace-mark-step-btn');
+    const fileInput = document.getElementById('trace-file');
+    const modeSelect = document.getElementById('trace-replay-mode');
+    const replayButton = document.getElementById('trace-replay-btn');
+    const status = document.getElementById('trace-status');
+
+    if (!recordButton || !fileInput || !replayButton) return;
+
+    let loadedTrace = null;
+
+    recordButton.addEventListener('click', () => {
+        if (!sensorRecorder.recording) {
+            sensorRecorder.start({
+                stepDetector: tracker.stepDetector.type,
+                filterAlpha: tracker.stepDetector.filterAlpha,
+                baseThreshold: tracker.stepDetector.baseThreshold,
+                stepLength: tracker.stepLength
+            });
+            recordButton.textContent = '⏹️ 停止並下載';
+            if (markStepButton) markStepButton.disabled = false;
+            status.textContent = '錄製中...';
+        } else {
+            // 實際步數 (留空則只用步伐標記) 供演算法評測
+            const answer = window.prompt('實際走了幾步? (供評測計步演算法，可留空)', '');
+            if (answer !== null && answer.trim() !== '') {
+                sensorRecorder.setStepCountLabel(parseInt(answer, 10));
+            }
+            const trace = sensorRecorder.stop();
+            downloadTrace(trace);
+            recordButton.textContent = '⏺️ 開始錄製';
+            if (markStepButton) markStepButton.disabled = true;
+            status.textContent = `已下載 ${trace.samples.length} 筆樣本`;
+        }
+    });
+
+    if (markStepButton) {
+        markStepButton.addEventListener('click', () => {
+            sensorRecorder.markStep();
+            status.textContent = `錄製中... 已標記 ${sensorRecorder.stepMarks.length} 步`;
+        });
+    }
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            loadedTrace = parseSensorTrace(await file.text());
+            replayButton.disabled = false;
+            status.textContent = `已載入 ${file.name} (${loadedTrace.samples.length} 筆)`;
+        } catch (error) {
+            console.error("❌ 軌跡載入失敗:", error);
+            loadedTrace = null;
+            replayButton.disabled = true;
+            status.textContent = `❌ ${error.message}`;
+        }
+    });
+
+    replayButton.addEventListener('click', async () => {
+        if (isReplaying()) {
+            sensorReplayer.stop();
+            return;
+        }
+        if (!loadedTrace) return;
+
+        // 從乾淨狀態開始，確保每次重播結果一致
+        ar.reset();
+        trajectory.archiveCurrent();
+        recordTrajectoryPoint();
+        floorDetector.reset();
+        ar.setInitialYaw(null);
+        ar.setLiveSensors(false);
+        updateInfoPanel();
+
+        sensorReplayer = new SensorTraceReplayer(loadedTrace, {
+            onOrientation: (event) => ar.handleOrientation(event),
+            onMotion: (event, dt) => ar.handleMotion(event, dt),
+            onPressure: (pressure, dt) => handlePressureSample(pressure, dt),
+            onProgress: (index, total) => {
+                status.textContent = `重播中 ${index}/${total}`;
+            }
+        });
+
+        replayButton.textContent = '⏹️ 停止';
+        const completed = await sensorReplayer.play({ mode: modeSelect.value });
+
+        ar.setLiveSensors(true);
+        replayButton.textContent = '▶️ 重播';
+        status.textContent = completed
+            ? `✅ 重播完成，共 ${tracker.getStepCount()} 步`
+            : '⏹️ 重播已中止';
+    });
+
+    console.log("🎬 軌跡面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 小地圖初始化
+// ═══════════════════════════════════════════════════════════════
+function initializeMinimap() {
+    const canvas = document.getElementById('minimap-canvas');
+    const toggleButton = document.getElementById('minimap-btn');
+    const recenterButton = document.getElementById('minimap-recenter-btn');
+    if (!canvas || !toggleButton || minimap) return;
+
+    // 點選訊號點 → 設為導航目的地 (與訊號點列表相同)
+    minimap = new Minimap(canvas, {
+        colorForSignal: getColorForSignal,
+        onSelect: (point) => {
+            startNavigation(point);
+            showToast(`🧭 導航目的地: ${point.name}`);
+        }
+    });
+
+    toggleButton.addEventListener('click', () => setMinimapVisible(!minimapVisible));
+    recenterButton?.addEventListener('click', () => minimap.recenter());
+
+    console.log("🗺️ 小地圖已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 感測器診斷面板初始化
+// ═══════════════════════════════════════════════════════════════
+function initializeDiagnosticsPanel() {
+    const canvas = document.getElementById('diagnostics-canvas');
+    const toggleButton = document.getElementById('diagnostics-btn');
+    const closeButton = document.getElementById('diagnostics-close-btn');
+    if (!canvas || !toggleButton || diagnosticsChart) return;
+
+    diagnosticsChart = new DiagnosticsChart(canvas);
+    toggleButton.addEventListener('click', () => setDiagnosticsVisible(!diagnosticsVisible));
+    closeButton?.addEventListener('click', () => setDiagnosticsVisible(false));
+
+    console.log("📈 感測器診斷面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 設定檔面板初始化 (匯出 / 匯入 / 清除本機資料)
+// ═══════════════════════════════════════════════════════════════
+function initializeProfilePanel() {
+    const exportButton = document.getElementById('profile-export-btn');
+    const importInput = document.getElementById('profile-import');
+    const clearButton = document.getElementById('profile-clear-btn');
+    const status = document.getElementById('profile-status');
+
+    if (!exportButton) return;
+
+    exportButton.addEventListener('click', () => {
+        saveSettings(readSettingsFromControls());
+        saveSessionNow();
+        downloadText(JSON.stringify(buildProfile(), null, 2), `indoor-ar-profile-${timestampForFilename()}.json`);
+        status.textContent = '✅ 已匯出設定檔';
+    });
+
+    // 匯入後立即套用 (設定、步長校準、場地、位置與軌跡)
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+            const profile = parseProfile(await file.text());
+            storeProfile(profile);
+            applySettingsToControls(profile.settings);
+            renderPresetOptions();
+            if (profile.stepCalibration) {
+                tracker.stepLengthEstimator.setModel(profile.stepCalibration);
+            } else {
+                tracker.stepLengthEstimator.resetModel();
+            }
+            if (profile.site) {
+                await loadSite(async () => profile.site, `設定檔 ${file.name}`);
+            }
+            if (profile.session) {
+                restoreSession(profile.session);
+            }
+            status.textContent = `✅ 已匯入設定檔 (${file.name})`;
+        } catch (error) {
+            console.error("❌ 設定檔匯入失敗:", error);
+            status.textContent = `❌ ${error.message}`;
+        }
+        importInput.value = '';
+    });
+
+    clearButton.addEventListener('click', () => {
+        if (!confirm('確定要清除這台裝置上儲存的設定、步長校準、場地與工作階段?')) return;
+        clearAllStoredData();
+        status.textContent = '已清除本機資料 (之後的變更仍會自動儲存)';
+    });
+
+    console.log("💾 設定檔面板已初始化");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 第 7 部分：系統初始化入口
+// ═══════════════════════════════════════════════════════════════
+// 各面板的按鈕多為切換式 (錄製 / 重播 / 顯示)，重複註冊的事件會互相抵消: 只初始化一次
+let systemInitialized = false;
+
 async function initializeSystem() {
+    if (systemInitialized) return;
+    systemInitialized = true;
     console.log("🚀 正在初始化室內 AR 系統...");
 
-    // 1. 先顯示陀螺儀授權按鈕 (iOS 需要使用者手勢)
-    initializeGyroPermissionButton();
+    // 1. 先顯示陀螺儀授權按鈕 (iOS 需要使用者手勢)；?sim 時改用鍵盤 / 滑鼠模擬感測器
+    if (simulatorMode) {
+        startSimulator();
+    } else {
+        initializeGyroPermissionButton();
+    }
 
     // 2. 初始化重設按鈕 (先做，不需要等待)
     initializeResetButton();
     
-    // 3. 初始化設定面板
+    // 3. 初始化設定、區域與共享工作階段面板，套用上次儲存的設定 (沒有時為預設值: α=0.5、中等靈敏度)，之後每次變更自動儲存
+    //    ?sim 時以模擬器適用的演算法起始；網址帶有 ?detector= 時再套用分享的偵測器設定
     initializeSettingsPanel();
+    initializeZonePanel();
+    initializeSessionPanel();
+    const settings = loadSettings();
+    applySettingsToControls(simulatorMode ? { ...settings, stepAlgorithm: SIMULATOR_STEP_ALGORITHM } : settings);
+    applySharedDetectorConfig();
+    const persistSettings = () => saveSettings(readSettingsFromControls());
+    ['settings-panel', 'zone-panel', 'session-panel'].forEach(id => {
+        const panel = document.getElementById(id);
+        if (!panel) return;
+        panel.addEventListener('change', persistSettings);
+        panel.addEventListener('input', persistSettings);
+    });
 
-    // 4. 配置步數偵測器參數
-    tracker.stepDetector.setFilter(true, 0.5);      // 啟用濾波器，α=0.5 (中等平滑)
-    tracker.stepDetector.setSensitivity('medium');  // 設置中等靈敏度
-    console.log("⚙️ 步數偵測器已配置 - 濾波器: 啟用 (α=0.5), 靈敏度: 中等");
-
-    // 5. 初始更新資訊面板
+    // 4. 初始化場地面板 (?site= 網址參數或上次的場地)、步長校準、起點校準、勘測、行走軌跡、感測器軌跡與設定檔面板
+    const siteReady = initializeSitePanel();
+    initializeStridePanel();
+    initializeCalibrationPanel();
+    initializeSurveyPanel();
+    initializeTrajectoryPanel();
+    initializeTracePanel();
+    initializeProfilePanel();
+    initializeMinimap();
+    initializePointSelection();
+    initializeDiagnosticsPanel();
+
+    // 5. 有氣壓感測器時用於樓層偵測
+    startBarometer();
+
+    // 6. 場地載入後，詢問是否繼續上次的工作階段
+    siteReady.then(offerSessionResume);
+
+    // 7. 初始更新資訊面板
     updateInfoPanel();
 
-    // 6. 記錄系統狀態
+    // 8. 記錄系統狀態
     console.log("✅ 室內 AR 系統框架已初始化，等待使用者授權...");
-    console.log(`📍 訊號點數量: ${INDOOR_SIGNAL_POINTS.length}`);
+    console.log(`📍 樓層數量: ${currentSite.floors.length}，訊號點數量: ${getAllSitePoints(currentSite).length}`);
     console.log("🚶 授權後開始走動以追蹤位置...");
     console.log("💡 提示: 可在瀏覽器控制台使用以下命令調整參數:");
     console.log("   tracker.stepDetector.setFilter(true, 0.2)   // α越小越平滑");
     console.log("   tracker.stepDetector.setSensitivity('high') // 調整靈敏度");
 }
 
-// 頁面加載後開始初始化
-document.addEventListener('DOMContentLoaded', initializeSystem);
-// 備用: 如果頁面已加載則立即初始化
 // 頁面加載後開始初始化 (確保只執行一次)
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeSystem);
     document.addEventListener('DOMContentLoaded', initializeSystem, { once: true });
 } else {
     // 頁面已加載，立即執行
@@ -0,0 +1,634 @@
+import * as THREE from "https://esm.sh/three";
+import { DEFAULT_SITE } from "./site.js";
+import { FloorPlan } from "./floor_plan.js";
+import { IndoorPositionTracker } from "./position_tracker.js";
+import { ZoneMonitor, ZONE_EVENT_LABELS, proximityZones } from "./zones.js";
+
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              嵌入式 API - Indoor AR SDK                          ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 把追蹤器嵌入其他網頁用: 只需要一個 canvas 與場地定義，不依賴任何 DOM id。
+// 負責 Three.js 場景 / 相機、陀螺儀與加速度計、相機畫面背景、訊號點圓圈與位置追蹤，
+// 以事件回報狀態；面板、導航、小地圖等介面由使用端自行訂閱事件實作 (index.html 即為其中一個使用端)。
+//
+//   const ar = createIndoorAR({ canvas, site, options: { camera: false } });
+//   ar.on('step', ({ count, length }) => ...);
+//   ar.on('nearestPoint', ({ point, distance }) => ...);
+//   button.onclick = () => ar.start(); // iOS 的感測器授權需要使用者手勢
+//
+// 事件 (listener 收到一個 detail 物件):
+//   start / stop                       開始 / 停止
+//   step         { count, length, position }           採用了新的步伐 (位置已前進)
+//   position     { x, y, z, uncertainty, floor }       位置改變 (步伐、重設、定位修正、換樓層)
+//   heading      { yaw, degrees, confidence, source, disturbed }  航向改變超過 1° 或來源改變
+//   nearestPoint { point, distance }                    目前樓層最近的訊號點改變 (沒有訊號點時 point 為 null)
+//   floor        { floor, previous, floorPlan }         換樓層 / 換場地
+//   zone         { type, zone, time, position, duration }  進入 / 離開 / 停留在提醒區域 (見 zones.js)
+//   activity     { activity, carryMode }                活動狀態或攜帶方式改變
+//   motion       { accel, dt, moved, detector, before } 每個加速度樣本處理後 (進階用: 樓層偵測、診斷)
+//   sample       { kind, event, dt }                    即時感測器的原始事件 (錄製軌跡用)
+//   frame        { time }                               每幀繪製前
+//   error        { source, error }                      sensors | permission | camera | listener
+
+export const INDOOR_AR_EVENTS = [
+    'start', 'stop', 'step', 'position', 'heading', 'nearestPoint',
+    'floor', 'zone', 'activity', 'motion', 'sample', 'frame', 'error'
+];
+
+export const DEFAULT_INDOOR_AR_OPTIONS = {
+    sensors: true,     // 連接裝置的 deviceorientation / devicemotion (false: 由使用端呼叫 handleOrientation / handleMotion)
+    camera: true,      // 以後鏡頭畫面作為背景
+    size: 'canvas',    // canvas: 依 canvas 的 CSS 大小 | window: 填滿視窗
+    stepLength: 0.65,  // 預設每步距離 (公尺)
+    proximityRadius: 0, // 每個訊號點周圍的接近提醒半徑 (公尺，0 = 只用場地定義的區域)
+    floorId: null      // 起始樓層 (預設最低樓層)
+};
+
+const HEADING_EVENT_THRESHOLD = 1; // 航向改變幾度才發出 heading 事件
+
+// ═══════════════════════════════════════════════════════════════
+// 訊號強度顏色 / 半徑映射
+// ═══════════════════════════════════════════════════════════════
+export function getColorForSignal(strength) {
+    if (strength >= 90) return 0x00ff00; // 綠
+    if (strength >= 70) return 0x7fff00; // 黃綠
+    if (strength >= 50) return 0xffff00; // 黃
+    if (strength >= 30) return 0xff7f00; // 橙
+    if (strength >= 10) return 0xff0000; // 紅
+    return 0x555555; // 灰(無訊號)
+}
+
+export function getRadiusForSignal(strength) {
+    if (strength >= 90) return 0.5;
+    if (strength >= 70) return 0.4;
+    if (strength >= 50) return 0.35;
+    if (strength >= 30) return 0.3;
+    if (strength >= 10) return 0.25;
+    return 0; // 不顯示
+}
+
+// 水平距離最近的訊號點 { point, distance }，沒有訊號點時 point 為 null
+export function findNearestPoint(points, position) {
+    let nearest = { point: null, distance: Infinity };
+    points.forEach(point => {
+        const distance = Math.hypot(position.x - point.x, position.z - point.z);
+        if (distance < nearest.distance) {
+            nearest = { point, distance };
+        }
+    });
+    return nearest;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 陀螺儀控制 (手機姿態 → 相機旋轉)
+// ═══════════════════════════════════════════════════════════════
+class DeviceOrientationController {
+    constructor(camera) {
+        this.camera = camera;
+        this.alpha = 0;
+        this.beta = 0;
+        this.gamma = 0;
+        this.initialYaw = null; // 初始羅盤方向
+        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    }
+
+    handleOrientation(event) {
+        if (this.initialYaw === null && event.alpha !== null) {
+            // 記錄第一次獲取到的 alpha 值作為初始羅盤方向
+            this.initialYaw = THREE.MathUtils.degToRad(event.alpha);
+            console.log(`✅ 初始羅盤方向已校準: ${(this.initialYaw * 180 / Math.PI).toFixed(2)}°`);
+        }
+
+        this.alpha = THREE.MathUtils.degToRad(event.alpha || 0);
+        this.beta = THREE.MathUtils.degToRad(event.beta || 0);
+        this.gamma = 0;
+    }
+
+    // heading: 追蹤器的融合航向 (alpha 慣例，度)；磁干擾時羅盤 alpha 會亂轉，
+    // 相機改跟著融合航向轉，才會和走路的方向一致 (尚無融合航向時用原始 alpha)
+    update(heading = null) {
+        const yaw = heading !== null ? THREE.MathUtils.degToRad(heading) : this.alpha;
+        // beta - 90度：補償手機直立時的角度差異
+        // yaw - initialYaw：校準羅盤,讓初始方向為 Z 軸負方向
+        this.euler.set(
+            this.beta - Math.PI / 2,
+            yaw - (this.initialYaw || 0),
+            0
+        );
+        this.camera.quaternion.setFromEuler(this.euler);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// IndoorAR
+// ═══════════════════════════════════════════════════════════════
+export class IndoorAR {
+    constructor({ canvas, site = DEFAULT_SITE, options = {} } = {}) {
+        if (!canvas) {
+            throw new Error('createIndoorAR 需要 canvas');
+        }
+        this.canvas = canvas;
+        this.options = { ...DEFAULT_INDOOR_AR_OPTIONS, ...options };
+        this.listeners = new Map();
+
+        this.renderer = new THREE.WebGLRenderer({ canvas, alpha: false, antialias: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+        this.camera.position.set(0, 1.6, 0); // 眼睛高度
+        this.scene = new THREE.Scene();
+        this.scene.background = null; // 攝像頭會設為背景
+        this.resize();
+
+        this.orientation = new DeviceOrientationController(this.camera);
+        this.tracker = new IndoorPositionTracker(this.options.stepLength);
+
+        this.site = null;
+        this.floor = null;
+        this.floorPlan = null;
+        this.signalMeshes = [];
+        this.materialCache = new Map();
+        this.nearest = { point: null, distance: Infinity };
+        this.zoneMonitor = new ZoneMonitor();
+        this.proximityRadius = this.options.proximityRadius;
+        this.lastHeading = null;
+        this.lastActivity = null;
+
+        this.running = false;
+        this.liveSensors = true;
+        this.sensorListeners = [];
+        this.lastMotionTime = null;
+        this.frameRequest = null;
+        this.videoStream = null;
+        this.videoElement = null;
+        this.videoTexture = null;
+
+        this.handleResize = () => this.resize();
+        if (this.options.size === 'window') {
+            window.addEventListener('resize', this.handleResize);
+        } else if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.handleResize);
+            this.resizeObserver.observe(canvas);
+        }
+
+        this.setSite(site, this.options.floorId);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 事件
+    // ═══════════════════════════════════════════════════════════
+    // 回傳取消訂閱的函式
+    on(type, listener) {
+        if (!INDOOR_AR_EVENTS.includes(type)) {
+            throw new Error(`未知的事件: ${type}`);
+        }
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    // listener 的例外不中斷感測器處理流程，改以 error 事件回報
+    emit(type, detail = {}) {
+        const listeners = this.listeners.get(type);
+        if (!listeners || listeners.size === 0) {
+            if (type === 'error') console.error(`❌ IndoorAR 錯誤 (${detail.source}):`, detail.error);
+            return;
+        }
+        [...listeners].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                if (type === 'error') {
+                    console.error("❌ error 事件處理失敗:", error);
+                } else {
+                    this.emit('error', { source: 'listener', error });
+                }
+            }
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 開始 / 停止
+    // ═══════════════════════════════════════════════════════════
+    // iOS 需在使用者手勢 (點擊) 中呼叫，才能要求感測器授權；未取得授權時回傳 false
+    async start() {
+        if (this.running) return true;
+
+        if (this.options.sensors) {
+            const granted = await this.requestSensorPermission();
+            if (!granted) return false;
+            this.connectSensors();
+        }
+        if (this.options.camera) {
+            await this.startCamera();
+        }
+
+        this.running = true;
+        const loop = () => {
+            this.frameRequest = requestAnimationFrame(loop);
+            this.render();
+        };
+        loop();
+        this.emit('start');
+        console.log("✅ IndoorAR 已啟動");
+        return true;
+    }
+
+    // 停止感測器、相機與繪製 (追蹤狀態保留，可再 start)
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+        this.disconnectSensors();
+        this.stopCamera();
+        this.emit('stop');
+        console.log("⏹️ IndoorAR 已停止");
+    }
+
+    // 釋放所有資源，之後不能再使用
+    dispose() {
+        this.stop();
+        window.removeEventListener('resize', this.handleResize);
+        this.resizeObserver?.disconnect();
+        this.clearSignals();
+        this.materialCache.forEach(material => material.dispose());
+        this.materialCache.clear();
+        this.renderer.dispose();
+        this.listeners.clear();
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    resize() {
+        if (this.options.size === 'window') {
+            this.renderer.setSize(window.innerWidth, window.innerHeight);
+            this.camera.aspect = window.innerWidth / window.innerHeight;
+        } else {
+            const width = this.canvas.clientWidth || this.canvas.width;
+            const height = this.canvas.clientHeight || this.canvas.height;
+            this.renderer.setSize(width, height, false);
+            this.camera.aspect = width / height;
+        }
+        this.camera.updateProjectionMatrix();
+    }
+
+    render() {
+        this.orientation.update(this.tracker.headingEstimator.getHeading());
+        this.emitZoneEvents(this.zoneMonitor.tick(performance.now()));
+        this.emit('frame', { time: performance.now() });
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 感測器
+    // ═══════════════════════════════════════════════════════════
+    async requestSensorPermission() {
+        if (typeof DeviceOrientationEvent === 'undefined') {
+            this.emit('error', { source: 'sensors', error: new Error('裝置或瀏覽器不支援陀螺儀功能') });
+            return false;
+        }
+        if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+            return true; // Android 和其他裝置不需要授權
+        }
+        try {
+            const permission = await DeviceOrientationEvent.requestPermission();
+            if (permission === 'granted') {
+                console.log("✅ 陀螺儀已授權 (iOS)");
+                return true;
+            }
+            this.emit('error', { source: 'permission', error: new Error('使用者拒絕了陀螺儀授權') });
+        } catch (error) {
+            this.emit('error', { source: 'permission', error });
+        }
+        return false;
+    }
+
+    connectSensors() {
+        const listen = (type, handler) => {
+            window.addEventListener(type, handler);
+            this.sensorListeners.push(() => window.removeEventListener(type, handler));
+        };
+        this.lastMotionTime = Date.now();
+
+        listen('deviceorientation', (event) => {
+            if (!this.liveSensors) return;
+            this.emit('sample', { kind: 'orientation', event, dt: 0 });
+            this.handleOrientation(event);
+        });
+        listen('devicemotion', (event) => {
+            const now = Date.now();
+            const dt = now - this.lastMotionTime;
+            this.lastMotionTime = now;
+            if (!this.liveSensors) return;
+            this.emit('sample', { kind: 'motion', event, dt });
+            this.handleMotion(event, dt);
+        });
+        console.log("📡 感測器事件監聽器已連接");
+    }
+
+    disconnectSensors() {
+        this.sensorListeners.forEach(remove => remove());
+        this.sensorListeners = [];
+    }
+
+    // 暫停即時感測器 (例如重播錄製的軌跡時)，暫停期間可自行呼叫 handleOrientation / handleMotion
+    setLiveSensors(enabled) {
+        this.liveSensors = enabled;
+    }
+
+    // 方向樣本 (即時、模擬或重播的 deviceorientation 事件)
+    handleOrientation(event) {
+        this.orientation.handleOrientation(event);
+        this.tracker.updateOrientation({
+            alpha: event.alpha,
+            beta: event.beta,
+            gamma: event.gamma
+        }, this.orientation.initialYaw);
+        this.checkHeading();
+    }
+
+    // 加速度樣本 (devicemotion 事件)，dt 為與上一個樣本的間隔 (ms)
+    handleMotion(event, dt) {
+        if (!event.accelerationIncludingGravity) return;
+        const accel = {
+            x: event.accelerationIncludingGravity.x || 0,
+            y: event.accelerationIncludingGravity.y || 0,
+            z: event.accelerationIncludingGravity.z || 0
+        };
+
+        // 更新位置 (rotationRate 供航向融合使用)
+        const tracker = this.tracker;
+        const detector = tracker.stepDetector;
+        const before = { samples: detector.totalSamples, steps: detector.stepCount };
+        const moved = tracker.update(accel, dt, event.rotationRate);
+        this.emit('motion', { accel, dt, moved, detector, before });
+
+        // 活動狀態 / 攜帶方式改變 (沒有移動也要通知)
+        const activity = tracker.getActivity();
+        const carryMode = tracker.getCarryMode();
+        const activityKey = `${activity.state}/${carryMode.mode}`;
+        if (activityKey !== this.lastActivity) {
+            this.lastActivity = activityKey;
+            this.emit('activity', { activity, carryMode });
+        }
+
+        if (moved) {
+            this.syncPosition();
+            this.emit('step', {
+                count: tracker.getStepCount(),
+                length: tracker.getStepLength(),
+                position: { ...tracker.getPosition() }
+            });
+        }
+        this.checkHeading();
+    }
+
+    // 融合航向改變超過門檻或來源改變時發出 heading 事件
+    checkHeading() {
+        const heading = this.getHeading();
+        const last = this.lastHeading;
+        if (last && last.source === heading.source &&
+            Math.abs(((heading.degrees - last.degrees) % 360 + 540) % 360 - 180) < HEADING_EVENT_THRESHOLD) {
+            return;
+        }
+        this.lastHeading = heading;
+        this.emit('heading', heading);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 相機畫面背景
+    // ═══════════════════════════════════════════════════════════
+    async startCamera() {
+        try {
+            console.log("📷 請求相機權限...");
+            this.videoStream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' }
+            });
+
+            const video = document.createElement('video');
+            video.srcObject = this.videoStream;
+            video.setAttribute('playsinline', ''); // iOS 必需
+            video.setAttribute('webkit-playsinline', ''); // iOS 舊版本
+            video.autoplay = true;
+            video.muted = true; // iOS 必需靜音才能自動播放
+
+            await new Promise((resolve, reject) => {
+                video.onloadedmetadata = () => video.play().then(resolve).catch(reject);
+                video.onerror = reject;
+            });
+
+            this.videoElement = video;
+            this.videoTexture = new THREE.VideoTexture(video);
+            this.videoTexture.colorSpace = THREE.SRGBColorSpace;
+            this.scene.background = this.videoTexture;
+            console.log(`✅ 攝像頭已啟動 (${video.videoWidth}x${video.videoHeight})`);
+            return true;
+        } catch (error) {
+            this.stopCamera();
+            this.emit('error', { source: 'camera', error });
+            return false;
+        }
+    }
+
+    stopCamera() {
+        this.videoStream?.getTracks().forEach(track => track.stop());
+        this.videoStream = null;
+        if (this.videoTexture) {
+            if (this.scene.background === this.videoTexture) this.scene.background = null;
+            this.videoTexture.dispose();
+            this.videoTexture = null;
+        }
+        this.videoElement = null;
+    }
+
+    // 相機畫面 (QR 標記掃描等用途)，沒有相機時為 null
+    getVideoElement() {
+        return this.videoElement;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 場地 / 樓層
+    // ═══════════════════════════════════════════════════════════
+    // floorId: 套用後停留的樓層 (場地沒有這一層時回到最低樓層)
+    setSite(site, floorId = this.floor?.id) {
+        this.site = site;
+        this.setFloor(site.floors.find(floor => floor.id === floorId) || site.floors[0]);
+    }
+
+    // floor: 樓層物件或樓層 id；水平位置不變，高度移到該層
+    setFloor(floor) {
+        const target = typeof floor === 'string' ? this.site.floors.find(f => f.id === floor) : floor;
+        if (!target) {
+            throw new Error(`找不到樓層: ${floor}`);
+        }
+        const previous = this.floor;
+        this.floor = target;
+        this.floorPlan = target.floorPlan ? new FloorPlan(target.floorPlan) : null;
+        this.tracker.setElevation(target.elevation);
+        this.tracker.setFloorPlan(this.floorPlan);
+        this.createSignals();
+        this.emitZoneEvents(this.zoneMonitor.setZones(this.getFloorZones(), performance.now()));
+        this.emit('floor', { floor: target, previous, floorPlan: this.floorPlan });
+        this.syncPosition();
+    }
+
+    getSite() {
+        return this.site;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 提醒區域
+    // ═══════════════════════════════════════════════════════════
+    // 目前樓層的區域: 場地定義的 zones + 訊號點周圍的接近提醒
+    getFloorZones() {
+        return [...this.floor.zones, ...proximityZones(this.floor.points, this.proximityRadius)];
+    }
+
+    setProximityRadius(radius) {
+        this.proximityRadius = radius;
+        this.emitZoneEvents(this.zoneMonitor.setZones(this.getFloorZones(), performance.now()));
+        this.emitZoneEvents(this.zoneMonitor.update(this.tracker.getPosition(), performance.now()));
+    }
+
+    // 目前所在的區域 [{ zone, enteredAt, duration }]
+    getActiveZones() {
+        return this.zoneMonitor.getActiveZones(performance.now());
+    }
+
+    getZoneHistory() {
+        return this.zoneMonitor.getHistory();
+    }
+
+    clearZoneHistory() {
+        this.zoneMonitor.clearHistory();
+    }
+
+    emitZoneEvents(events) {
+        events.forEach(event => {
+            console.log(`📍 ${ZONE_EVENT_LABELS[event.type]}區域「${event.zone.name}」`);
+            this.emit('zone', event);
+        });
+    }
+
+    getFloor() {
+        return this.floor;
+    }
+
+    getFloorPlan() {
+        return this.floorPlan;
+    }
+
+    getMaterialForColor(color) {
+        if (!this.materialCache.has(color)) {
+            this.materialCache.set(color, new THREE.MeshBasicMaterial({
+                color: color,
+                transparent: true,
+                opacity: 0.7,
+                side: THREE.DoubleSide
+            }));
+        }
+        return this.materialCache.get(color);
+    }
+
+    clearSignals() {
+        this.signalMeshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose(); // material 由快取共用，不釋放
+        });
+        this.signalMeshes = [];
+    }
+
+    // 目前樓層的訊號點畫成地面上的圓圈 (顏色 / 大小依訊號強度)
+    createSignals() {
+        this.clearSignals();
+        this.floor.points.forEach(point => {
+            const radius = getRadiusForSignal(point.power);
+            if (radius === 0) return;
+
+            const mesh = new THREE.Mesh(
+                new THREE.CircleGeometry(radius, 32),
+                this.getMaterialForColor(getColorForSignal(point.power))
+            );
+            const y = this.floor.elevation + point.y + 0.1; // 略高於樓板 (或訊號點的安裝高度)
+            mesh.position.set(point.x, y, point.z);
+            mesh.rotation.x = -Math.PI / 2; // 水平放置 (朝上)
+
+            // 點選時以 pointId 找回訊號點
+            mesh.userData = {
+                pointId: point.id,
+                id: point.id,
+                name: point.name,
+                power: point.power,
+                floor: point.floor,
+                originalPosition: { x: point.x, y: y, z: point.z }
+            };
+            this.scene.add(mesh);
+            this.signalMeshes.push(mesh);
+        });
+        console.log(`✅ 已創建 ${this.signalMeshes.length} 個訊號點 (${this.floor.name})`);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 位置 / 航向
+    // ═══════════════════════════════════════════════════════════
+    // 追蹤器位置改變後呼叫 (重設、校準、定位修正)：同步相機並發出 position / nearestPoint 事件
+    syncPosition() {
+        const pos = this.tracker.getPosition();
+        this.camera.position.set(pos.x, pos.y, pos.z);
+        this.emit('position', {
+            x: pos.x,
+            y: pos.y,
+            z: pos.z,
+            uncertainty: this.tracker.getPositionUncertainty(),
+            floor: this.floor
+        });
+
+        const nearest = findNearestPoint(this.floor.points, pos);
+        const changed = nearest.point?.id !== this.nearest.point?.id;
+        this.nearest = nearest;
+        if (changed) this.emit('nearestPoint', nearest);
+
+        this.emitZoneEvents(this.zoneMonitor.update(pos, performance.now()));
+    }
+
+    // 回到原點 (步數、活動狀態與航向融合一併重設)
+    reset() {
+        this.tracker.reset();
+        this.lastActivity = null;
+        this.syncPosition();
+    }
+
+    // 追蹤器與相機共用同一個 initialYaw (null: 下一個方向樣本重新取得)
+    setInitialYaw(initialYaw) {
+        this.orientation.initialYaw = initialYaw;
+    }
+
+    getPosition() {
+        return { ...this.tracker.getPosition() };
+    }
+
+    // 航向 (yaw 弧度順時針、degrees 0-360) 與信心值
+    getHeading() {
+        const heading = this.tracker.getHeading();
+        return { ...heading, degrees: ((heading.yaw * 180 / Math.PI) % 360 + 360) % 360 };
+    }
+
+    getStepCount() {
+        return this.tracker.getStepCount();
+    }
+
+    getNearestPoint() {
+        return this.nearest;
+    }
+}
+
+export function createIndoorAR({ canvas, site, options } = {}) {
+    return new IndoorAR({ canvas, site, options });
+}
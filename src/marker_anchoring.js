@@ -0,0 +1,126 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║           視覺標記定位 - QR Marker Anchoring                     ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 場地檔的 markers 記錄每個 QR 標記的位置、正面朝向與邊長 (見 site.js)。
+// 相機畫面中看到標記時，由四個角點估計相機相對於標記的位置與朝向，
+// 再換算成場地座標，用來消除航位推算累積的漂移。
+//
+// 弱透視近似 (標記只佔畫面一小部分、手機大致直立):
+// - 距離: 垂直邊的像素長度 (左右轉動時幾乎不變) 與焦距、實際邊長求深度
+// - 方位: 標記中心偏離畫面中心的水平角度
+// - 斜看角度: 寬 / 高 = cos(φ)；較近的那一側邊較長，決定 φ 的正負
+//
+// 角度採 IndoorPositionTracker 的 yaw 慣例 (弧度，−z 為 0，順時針為正)。
+
+import { wrapRadians, bearingBetween } from "./frame_calibration.js";
+
+const distance2d = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// corners: { topLeft, topRight, bottomRight, bottomLeft } (像素，QR 本身的方向)
+// 回傳 { distance (公尺), bearing (標記在相機右側為正), viewAngle (φ，從標記正面順時針到相機的角度) }
+export function estimateMarkerObservation(corners, { imageWidth, horizontalFov, markerSize }) {
+    const { topLeft, topRight, bottomRight, bottomLeft } = corners;
+    const left = distance2d(topLeft, bottomLeft);
+    const right = distance2d(topRight, bottomRight);
+    const width = (distance2d(topLeft, topRight) + distance2d(bottomLeft, bottomRight)) / 2;
+    const height = (left + right) / 2;
+    if (!(height > 0)) return null;
+
+    const focal = (imageWidth / 2) / Math.tan(horizontalFov / 2);
+    const centerX = (topLeft.x + topRight.x + bottomRight.x + bottomLeft.x) / 4;
+    const bearing = Math.atan2(centerX - imageWidth / 2, focal);
+    const distance = (focal * markerSize / height) / Math.cos(bearing);
+
+    // 左邊較長 → 相機在標記正面的順時針方向 (從上方看)
+    const magnitude = Math.acos(Math.min(1, width / height));
+    const viewAngle = left >= right ? magnitude : -magnitude;
+
+    return { distance, bearing, viewAngle };
+}
+
+// 由標記的場地位置與觀測值求相機位置與航向 { x, z, yaw }
+export function poseFromMarker(marker, observation) {
+    const direction = marker.yaw + observation.viewAngle; // 標記 → 相機
+    const x = marker.x + observation.distance * Math.sin(direction);
+    const z = marker.z - observation.distance * Math.cos(direction);
+    const yaw = wrapRadians(bearingBetween({ x, z }, marker) - observation.bearing);
+    return { x, z, yaw };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 偵測結果 → 位置 / 航向修正
+// ═══════════════════════════════════════════════════════════════
+export const MARKER_CORRECTION_MODES = {
+    snap: { label: '直接對齊' },
+    soft: { label: '逐步修正' }
+};
+
+export class MarkerAnchor {
+    constructor(options = {}) {
+        this.mode = options.mode ?? 'soft';
+        this.horizontalFov = options.horizontalFov ?? 60 * Math.PI / 180; // 相機畫面寬度方向的視角
+        this.maxDistance = options.maxDistance ?? 4;      // 太遠時角點誤差大，不採用 (公尺)
+        this.maxViewAngle = options.maxViewAngle ?? 60 * Math.PI / 180; // 斜看太多時不採用
+        this.headingGain = options.headingGain ?? 0.5;    // 逐步修正時每次修正航向誤差的比例
+        this.cooldown = options.cooldown ?? 1000;         // 同一個標記兩次修正的最短間隔 (ms)
+        this.markers = new Map();
+        this.lastFix = null;
+        this.lastAppliedAt = new Map();
+    }
+
+    // 目前樓層的標記 (換樓層 / 換場地時重設)
+    setMarkers(markers) {
+        this.markers = new Map(markers.map(marker => [marker.id, marker]));
+        this.lastAppliedAt.clear();
+    }
+
+    setMode(mode) {
+        if (!MARKER_CORRECTION_MODES[mode]) {
+            throw new Error(`未知的標記修正模式: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    // detection: { data, corners, imageWidth, imageHeight }
+    // 回傳 { marker, x, z, yaw, distance, accuracy } 或 { marker, rejected: 原因 }，不認得的標記回傳 null
+    evaluate(detection) {
+        const marker = this.markers.get(detection.data);
+        if (!marker) return null;
+
+        const observation = estimateMarkerObservation(detection.corners, {
+            imageWidth: detection.imageWidth,
+            horizontalFov: this.horizontalFov,
+            markerSize: marker.size
+        });
+        if (!observation) return { marker, rejected: '角點無效' };
+        if (observation.distance > this.maxDistance) {
+            return { marker, rejected: `距離 ${observation.distance.toFixed(1)} m 太遠` };
+        }
+        if (Math.abs(observation.viewAngle) > this.maxViewAngle) {
+            return { marker, rejected: '斜看角度太大' };
+        }
+
+        const pose = poseFromMarker(marker, observation);
+        // 誤差大致與距離成正比 (角點約 1-2 像素的誤差)
+        const accuracy = Math.max(0.1, 0.08 * observation.distance);
+        return { marker, ...pose, distance: observation.distance, accuracy };
+    }
+
+    // 冷卻時間內同一個標記不重複修正；回傳應套用的修正或 null
+    handleDetection(detection, now = Date.now()) {
+        const fix = this.evaluate(detection);
+        if (!fix || fix.rejected) return fix;
+        const last = this.lastAppliedAt.get(fix.marker.id);
+        if (last !== undefined && now - last < this.cooldown) return null;
+        this.lastAppliedAt.set(fix.marker.id, now);
+        this.lastFix = { ...fix, time: now };
+        return { ...fix, mode: this.mode };
+    }
+
+    // 逐步修正時的航向修正量 (弧度，加到 initialYaw)
+    headingCorrection(fix, currentYaw) {
+        const error = wrapRadians(fix.yaw - currentYaw);
+        return fix.mode === 'snap' ? error : error * this.headingGain;
+    }
+}
@@ -0,0 +1,128 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              QR 標記偵測 - QR Marker Detector                    ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 以 jsQR 解碼相機畫面 (或靜態圖片) 中的 QR 標記，回傳內容與四個角點。
+// 支援 OffscreenCanvas 時在 worker (marker_worker.js) 中解碼，不佔用繪圖的主執行緒；
+// 否則退回主執行緒以一般 canvas 解碼。
+// 畫面會先縮小到 maxWidth 寬 (角點座標以縮小後的影像為準，影像尺寸一併回傳)。
+//
+// 偵測結果: { data (QR 內容), corners: { topLeft, topRight, bottomRight, bottomLeft }, imageWidth, imageHeight }
+
+export const JSQR_URL = "https://esm.sh/jsqr@1.4.0";
+
+// jsQR 的結果 → 偵測結果 (decode 可注入，方便在 worker、主執行緒或 Node 中共用)
+export function detectQrInImageData(decode, imageData) {
+    const result = decode(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'attemptBoth' });
+    if (!result || !result.data) return null;
+    const { topLeftCorner, topRightCorner, bottomRightCorner, bottomLeftCorner } = result.location;
+    const point = ({ x, y }) => ({ x, y });
+    return {
+        data: result.data,
+        corners: {
+            topLeft: point(topLeftCorner),
+            topRight: point(topRightCorner),
+            bottomRight: point(bottomRightCorner),
+            bottomLeft: point(bottomLeftCorner)
+        },
+        imageWidth: imageData.width,
+        imageHeight: imageData.height
+    };
+}
+
+function sourceSize(source) {
+    return {
+        width: source.videoWidth || source.naturalWidth || source.width,
+        height: source.videoHeight || source.naturalHeight || source.height
+    };
+}
+
+export class MarkerDetector {
+    constructor(options = {}) {
+        this.maxWidth = options.maxWidth ?? 640;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        this.decode = null; // 主執行緒退回時使用的 jsQR
+
+        if (MarkerDetector.isWorkerSupported()) {
+            try {
+                this.worker = new Worker(new URL('./marker_worker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = ({ data }) => this.handleWorkerMessage(data);
+                this.worker.onerror = (event) => this.handleWorkerError(event);
+                console.log("🔳 QR 偵測使用 worker (OffscreenCanvas)");
+            } catch (error) {
+                console.warn("⚠️ 無法建立 QR 偵測 worker，改用主執行緒:", error);
+                this.worker = null;
+            }
+        }
+    }
+
+    static isWorkerSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+    }
+
+    handleWorkerMessage({ id, detection, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(detection);
+        }
+    }
+
+    // worker 載入失敗 (例如不支援 module worker) → 之後都改用主執行緒
+    handleWorkerError(event) {
+        console.warn("⚠️ QR 偵測 worker 發生錯誤，改用主執行緒:", event.message || event);
+        this.worker.terminate();
+        this.worker = null;
+        // 已送出的畫面 (ImageBitmap 已轉移給 worker) 直接略過
+        const requests = [...this.pending.values()];
+        this.pending.clear();
+        requests.forEach(request => request.resolve(null));
+    }
+
+    // source: video / img / canvas / ImageBitmap；沒有標記時回傳 null
+    async detect(source) {
+        const { width, height } = sourceSize(source);
+        if (!width || !height) return null;
+        const scale = Math.min(1, this.maxWidth / width);
+        const bitmap = await createImageBitmap(source, {
+            resizeWidth: Math.round(width * scale),
+            resizeHeight: Math.round(height * scale)
+        });
+        return this.detectBitmap(bitmap);
+    }
+
+    detectBitmap(bitmap) {
+        if (!this.worker) {
+            return this.detectOnMainThread(bitmap);
+        }
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, bitmap }, [bitmap]);
+        });
+    }
+
+    async detectOnMainThread(bitmap) {
+        if (!this.decode) {
+            this.decode = (await import(JSQR_URL)).default;
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return detectQrInImageData(this.decode, context.getImageData(0, 0, canvas.width, canvas.height));
+    }
+
+    dispose() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,24 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║            QR 標記偵測 Worker - QR Detection Worker             ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 由 MarkerDetector 建立 (module worker)。
+// 收到 { id, bitmap: ImageBitmap } → 以 OffscreenCanvas 取得像素並用 jsQR 解碼 →
+// 回傳 { id, detection } (沒有標記時 detection 為 null)，失敗時回傳 { id, error }。
+
+import jsQR from "https://esm.sh/jsqr@1.4.0";
+import { detectQrInImageData } from "./marker_detector.js";
+
+self.onmessage = ({ data }) => {
+    const { id, bitmap } = data;
+    try {
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        const detection = detectQrInImageData(jsQR, context.getImageData(0, 0, canvas.width, canvas.height));
+        self.postMessage({ id, detection });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,346 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              俯視小地圖 - Top-down Minimap                       ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 以 2D canvas 畫目前樓層的俯視圖: 平面圖輪廓、訊號點 (顏色同 getColorForSignal)、
+// QR 標記、行走軌跡、導航路徑、共享工作階段的夥伴，以及使用者位置、航向扇形與位置不確定度。
+//
+// 畫面座標: 場景 −z (正前方) 朝上、x 朝右，比例尺為每公尺幾個像素 (scale)。
+// 操作: 拖曳平移、滾輪 / 雙指縮放、點一下選取訊號點 (onSelect)；平移後停止跟隨使用者，recenter() 恢復。
+
+const TAP_SLOP = 6;          // 移動超過幾個像素就不算點擊
+const HIT_RADIUS = 14;       // 點擊訊號點的判定半徑 (像素)
+const HEADING_CONE = 30 * Math.PI / 180; // 航向扇形的半角
+
+function toCssColor(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+export class Minimap {
+    // colorForSignal(strength) → 0xRRGGBB；onSelect(point) 點選訊號點時呼叫
+    constructor(canvas, { colorForSignal, onSelect = null, scale = 12, minScale = 2, maxScale = 200 } = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.colorForSignal = colorForSignal;
+        this.onSelect = onSelect;
+        this.scale = scale;
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+        this.view = { x: 0, z: 0 }; // 畫面中心對應的場景座標
+        this.following = true;
+        this.lastState = null;
+
+        this.pointers = new Map();
+        this.tap = null;
+        this.attachEvents();
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 座標換算
+    // ═══════════════════════════════════════════════════════════
+    getSize() {
+        return { width: this.canvas.clientWidth, height: this.canvas.clientHeight };
+    }
+
+    toScreen(x, z) {
+        const { width, height } = this.getSize();
+        return { x: width / 2 + (x - this.view.x) * this.scale, y: height / 2 + (z - this.view.z) * this.scale };
+    }
+
+    toWorld(sx, sy) {
+        const { width, height } = this.getSize();
+        return { x: this.view.x + (sx - width / 2) / this.scale, z: this.view.z + (sy - height / 2) / this.scale };
+    }
+
+    // 以畫面上的 (sx, sy) 為中心縮放 (該點對應的場景位置不動)
+    zoomAt(sx, sy, factor) {
+        const anchor = this.toWorld(sx, sy);
+        this.scale = Math.min(this.maxScale, Math.max(this.minScale, this.scale * factor));
+        const { width, height } = this.getSize();
+        this.view.x = anchor.x - (sx - width / 2) / this.scale;
+        this.view.z = anchor.z - (sy - height / 2) / this.scale;
+    }
+
+    recenter() {
+        this.following = true;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 平移 / 縮放 / 點選
+    // ═══════════════════════════════════════════════════════════
+    attachEvents() {
+        const canvas = this.canvas;
+        const local = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        };
+
+        canvas.addEventListener('pointerdown', (event) => {
+            canvas.setPointerCapture(event.pointerId);
+            const point = local(event);
+            this.pointers.set(event.pointerId, point);
+            this.tap = this.pointers.size === 1 ? { ...point } : null;
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            const previous = this.pointers.get(event.pointerId);
+            if (!previous) return;
+            const point = local(event);
+
+            if (this.pointers.size === 1) {
+                this.view.x -= (point.x - previous.x) / this.scale;
+                this.view.z -= (point.y - previous.y) / this.scale;
+                if (this.tap && Math.hypot(point.x - this.tap.x, point.y - this.tap.y) > TAP_SLOP) {
+                    this.tap = null;
+                }
+                if (!this.tap) this.following = false;
+            } else if (this.pointers.size === 2) {
+                // 雙指縮放: 以兩指中點為中心，依兩指距離變化縮放
+                const other = [...this.pointers.entries()].find(([id]) => id !== event.pointerId)[1];
+                const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+                const after = Math.hypot(point.x - other.x, point.y - other.y);
+                if (before > 0) {
+                    this.zoomAt((point.x + other.x) / 2, (point.y + other.y) / 2, after / before);
+                }
+            }
+            this.pointers.set(event.pointerId, point);
+        });
+
+        const release = (event) => {
+            if (!this.pointers.has(event.pointerId)) return;
+            if (event.type === 'pointerup' && this.tap && this.pointers.size === 1) {
+                this.select(this.tap.x, this.tap.y);
+            }
+            this.pointers.delete(event.pointerId);
+            this.tap = null;
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+
+        canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const point = local(event);
+            this.zoomAt(point.x, point.y, Math.exp(-event.deltaY * 0.002));
+        }, { passive: false });
+    }
+
+    // 點選最近的訊號點 (在判定半徑內)
+    select(sx, sy) {
+        if (!this.lastState || !this.onSelect) return;
+        let best = null;
+        let bestDistance = HIT_RADIUS;
+        this.lastState.points.forEach(point => {
+            const screen = this.toScreen(point.x, point.z);
+            const distance = Math.hypot(screen.x - sx, screen.y - sy);
+            if (distance <= bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        });
+        if (best) this.onSelect(best);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 繪製
+    // ═══════════════════════════════════════════════════════════
+    // state: { points, floorPlan, markers, trail: [{ archived, points: [{x, z}] }], path: [{x, z}] | null,
+    //          destinationId, user: { x, z, yaw, uncertainty },
+    //          peers: [{ name, color, stale, state: { x, z, yaw } }] (可省略) }
+    render(state) {
+        this.lastState = state;
+        const ratio = window.devicePixelRatio || 1;
+        const { width, height } = this.getSize();
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        if (this.following) {
+            this.view.x = state.user.x;
+            this.view.z = state.user.z;
+        }
+
+        const ctx = this.context;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        this.drawFloorPlan(state.floorPlan);
+        this.drawTrail(state.trail);
+        if (state.path) this.drawPath(state.path);
+        this.drawMarkers(state.markers || []);
+        this.drawPoints(state.points, state.destinationId);
+        this.drawPeers(state.peers || []);
+        this.drawUser(state.user);
+        this.drawScaleBar(width, height);
+    }
+
+    tracePolyline(vertices, close = false) {
+        const ctx = this.context;
+        ctx.beginPath();
+        vertices.forEach((v, i) => {
+            const p = this.toScreen(v.x, v.z);
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        if (close) ctx.closePath();
+    }
+
+    drawFloorPlan(floorPlan) {
+        if (!floorPlan) return;
+        const ctx = this.context;
+        ctx.fillStyle = 'rgba(0, 150, 255, 0.18)';
+        ctx.strokeStyle = 'rgba(0, 150, 255, 0.6)';
+        ctx.lineWidth = 1;
+        floorPlan.walkable.forEach(polygon => {
+            this.tracePolyline(polygon, true);
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.strokeStyle = '#ff4444';
+        ctx.lineWidth = 2;
+        floorPlan.walls.forEach(wall => {
+            this.tracePolyline(wall);
+            ctx.stroke();
+        });
+    }
+
+    drawTrail(trail) {
+        const ctx = this.context;
+        ctx.lineWidth = 2;
+        trail.forEach(segment => {
+            if (segment.points.length < 2) return;
+            ctx.strokeStyle = segment.archived ? 'rgba(136, 136, 136, 0.6)' : '#00e5ff';
+            this.tracePolyline(segment.points);
+            ctx.stroke();
+        });
+    }
+
+    drawPath(path) {
+        const ctx = this.context;
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = '#00e5ff';
+        ctx.lineWidth = 2;
+        this.tracePolyline(path);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawMarkers(markers) {
+        const ctx = this.context;
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        markers.forEach(marker => {
+            const p = this.toScreen(marker.x, marker.z);
+            ctx.fillRect(p.x - 3, p.y - 3, 6, 6);
+            ctx.strokeRect(p.x - 3, p.y - 3, 6, 6);
+        });
+    }
+
+    drawPoints(points, destinationId) {
+        const ctx = this.context;
+        const showLabels = this.scale >= 20;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        points.forEach(point => {
+            const p = this.toScreen(point.x, point.z);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+            ctx.fillStyle = toCssColor(this.colorForSignal(point.power));
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            if (point.id === destinationId) {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 9, 0, Math.PI * 2);
+                ctx.strokeStyle = '#00e5ff';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+            if (showLabels) {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(point.name, p.x, p.y - 9);
+            }
+        });
+    }
+
+    // 夥伴: 彩色圓點與航向短線，逾時的變淡
+    drawPeers(peers) {
+        const ctx = this.context;
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        peers.forEach(peer => {
+            const p = this.toScreen(peer.state.x, peer.state.z);
+            const color = toCssColor(peer.color);
+            ctx.globalAlpha = peer.stale ? 0.35 : 1;
+            if (Number.isFinite(peer.state.yaw)) {
+                ctx.beginPath();
+                ctx.moveTo(p.x, p.y);
+                ctx.lineTo(p.x + Math.sin(peer.state.yaw) * 14, p.y - Math.cos(peer.state.yaw) * 14);
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(peer.name, p.x, p.y + 16);
+        });
+        ctx.restore();
+    }
+
+    drawUser(user) {
+        const ctx = this.context;
+        const p = this.toScreen(user.x, user.z);
+
+        if (user.uncertainty) {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, user.uncertainty * this.scale, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(0, 120, 255, 0.15)';
+            ctx.fill();
+        }
+
+        // 航向扇形 (yaw 順時針為正，−z 朝上)
+        const length = 28;
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.arc(p.x, p.y, length, user.yaw - Math.PI / 2 - HEADING_CONE, user.yaw - Math.PI / 2 + HEADING_CONE);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(0, 120, 255, 0.35)';
+        ctx.fill();
+
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+        ctx.fillStyle = '#0078ff';
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    // 左下角比例尺 (取 1 / 2 / 5 × 10ⁿ 公尺中最接近 60 像素的長度)
+    drawScaleBar(width, height) {
+        const target = 60 / this.scale;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+        const meters = [1, 2, 5, 10].map(m => m * magnitude).find(m => m >= target) ?? 10 * magnitude;
+        const pixels = meters * this.scale;
+        const ctx = this.context;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(8, height - 10);
+        ctx.lineTo(8 + pixels, height - 10);
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${meters >= 1 ? meters : meters.toFixed(1)} m`, 8, height - 14);
+    }
+}
@@ -0,0 +1,308 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║           導航 - Path Planning & Turn-by-turn Guidance           ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 有平面圖時，在可行走區域上建立格網，以 A* 找出不穿牆的路徑，
+// 再以視線檢查把格點路徑拉直成少量轉折點；沒有平面圖時直接走直線。
+// Navigator 依目前位置推進轉折點、計算剩餘距離與預估時間，並在抵達半徑內發出抵達事件。
+
+const MAX_GRID_CELLS = 40000; // 格網上限 (超過時自動放大格子)
+
+// 兩點之間是否可直線通行 (不穿牆且沿線都在可行走區域內)
+export function hasLineOfSight(floorPlan, a, b, sampleSpacing = 0.25) {
+    if (floorPlan.crossesWall(a, b)) return false;
+    const length = Math.hypot(b.x - a.x, b.z - a.z);
+    const samples = Math.ceil(length / sampleSpacing);
+    for (let i = 1; i < samples; i++) {
+        const t = i / samples;
+        if (!floorPlan.isWalkable({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t })) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// 最小堆積 (A* 的開放集合)
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push({ item, priority });
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.items[parent].priority <= this.items[i].priority) break;
+            [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.item;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// A* 路徑規劃
+// ═══════════════════════════════════════════════════════════════
+// 回傳 [{x, z}, ...] (含起點與終點)；找不到路徑時回傳 null
+export function planPath(floorPlan, start, goal, { cellSize = 0.5 } = {}) {
+    if (!floorPlan || floorPlan.isEmpty()) {
+        return [{ x: start.x, z: start.z }, { x: goal.x, z: goal.z }];
+    }
+    if (hasLineOfSight(floorPlan, start, goal)) {
+        return [{ x: start.x, z: start.z }, { x: goal.x, z: goal.z }];
+    }
+
+    const planBounds = floorPlan.getBounds();
+    const minX = Math.min(planBounds.minX, start.x, goal.x) - 1;
+    const maxX = Math.max(planBounds.maxX, start.x, goal.x) + 1;
+    const minZ = Math.min(planBounds.minZ, start.z, goal.z) - 1;
+    const maxZ = Math.max(planBounds.maxZ, start.z, goal.z) + 1;
+
+    let size = cellSize;
+    while (((maxX - minX) / size) * ((maxZ - minZ) / size) > MAX_GRID_CELLS) {
+        size *= 1.5;
+    }
+    const columns = Math.ceil((maxX - minX) / size);
+    const rows = Math.ceil((maxZ - minZ) / size);
+
+    const center = (index) => ({
+        x: minX + (index % columns + 0.5) * size,
+        z: minZ + (Math.floor(index / columns) + 0.5) * size
+    });
+    const indexOf = (p) => {
+        const col = Math.min(columns - 1, Math.max(0, Math.floor((p.x - minX) / size)));
+        const row = Math.min(rows - 1, Math.max(0, Math.floor((p.z - minZ) / size)));
+        return row * columns + col;
+    };
+
+    const walkable = new Uint8Array(columns * rows);
+    for (let i = 0; i < walkable.length; i++) {
+        walkable[i] = floorPlan.isWalkable(center(i)) ? 1 : 0;
+    }
+
+    // 起終點不在可行走格上時，找最近的可行走格
+    const nearestWalkable = (p) => {
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let i = 0; i < walkable.length; i++) {
+            if (!walkable[i]) continue;
+            const c = center(i);
+            const d = (c.x - p.x) ** 2 + (c.z - p.z) ** 2;
+            if (d < bestDistance && !floorPlan.crossesWall(p, c)) {
+                bestDistance = d;
+                best = i;
+            }
+        }
+        return best;
+    };
+    const startIndex = walkable[indexOf(start)] ? indexOf(start) : nearestWalkable(start);
+    const goalIndex = walkable[indexOf(goal)] ? indexOf(goal) : nearestWalkable(goal);
+    if (startIndex < 0 || goalIndex < 0) return null;
+
+    const goalCenter = center(goalIndex);
+    const heuristic = (i) => {
+        const c = center(i);
+        const dx = Math.abs(c.x - goalCenter.x);
+        const dz = Math.abs(c.z - goalCenter.z);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz); // octile
+    };
+
+    const cost = new Float64Array(columns * rows).fill(Infinity);
+    const cameFrom = new Int32Array(columns * rows).fill(-1);
+    const closed = new Uint8Array(columns * rows);
+    const open = new MinHeap();
+    cost[startIndex] = 0;
+    open.push(startIndex, heuristic(startIndex));
+
+    const neighbors = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+    while (open.size > 0) {
+        const current = open.pop();
+        if (current === goalIndex) break;
+        if (closed[current]) continue;
+        closed[current] = 1;
+
+        const col = current % columns;
+        const row = Math.floor(current / columns);
+        const from = center(current);
+
+        for (const [dc, dr] of neighbors) {
+            const c = col + dc;
+            const r = row + dr;
+            if (c < 0 || r < 0 || c >= columns || r >= rows) continue;
+            const next = r * columns + c;
+            if (!walkable[next] || closed[next]) continue;
+            // 斜走不可切過牆角
+            if (dc !== 0 && dr !== 0 && (!walkable[row * columns + c] || !walkable[r * columns + col])) continue;
+
+            const to = center(next);
+            if (floorPlan.crossesWall(from, to)) continue;
+
+            const tentative = cost[current] + (dc !== 0 && dr !== 0 ? Math.SQRT2 : 1) * size;
+            if (tentative < cost[next]) {
+                cost[next] = tentative;
+                cameFrom[next] = current;
+                open.push(next, tentative + heuristic(next));
+            }
+        }
+    }
+
+    if (cameFrom[goalIndex] === -1 && goalIndex !== startIndex) return null;
+
+    const cells = [];
+    for (let i = goalIndex; i !== -1; i = cameFrom[i]) {
+        cells.unshift(center(i));
+    }
+    const raw = [{ x: start.x, z: start.z }, ...cells, { x: goal.x, z: goal.z }];
+    return smoothPath(floorPlan, raw);
+}
+
+// 以視線檢查刪除多餘的中間點 (string pulling)
+export function smoothPath(floorPlan, path) {
+    if (path.length <= 2) return path;
+    const result = [path[0]];
+    let anchor = 0;
+    while (anchor < path.length - 1) {
+        let farthest = anchor + 1;
+        for (let i = path.length - 1; i > anchor + 1; i--) {
+            if (hasLineOfSight(floorPlan, path[anchor], path[i])) {
+                farthest = i;
+                break;
+            }
+        }
+        result.push(path[farthest]);
+        anchor = farthest;
+    }
+    return result;
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq)) : 0;
+    return Math.hypot(p.x - (a.x + dx * t), p.z - (a.z + dz * t));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 導航狀態
+// ═══════════════════════════════════════════════════════════════
+export class Navigator {
+    constructor(options = {}) {
+        this.arrivalRadius = options.arrivalRadius ?? 1.0;   // 抵達判定半徑 (公尺)
+        this.waypointRadius = options.waypointRadius ?? 0.75; // 轉折點通過半徑
+        this.replanDistance = options.replanDistance ?? 2.0;  // 偏離路徑多遠就重新規劃
+        this.defaultSpeed = options.defaultSpeed ?? 1.2;      // 預設步行速度 (m/s)
+        this.floorPlan = null;
+        this.clear();
+    }
+
+    setFloorPlan(floorPlan) {
+        this.floorPlan = floorPlan;
+    }
+
+    setArrivalRadius(radius) {
+        this.arrivalRadius = Math.max(0.2, radius);
+    }
+
+    // destination: 訊號點 (需有 x, z, name)
+    setDestination(destination, position) {
+        this.destination = destination;
+        this.arrived = false;
+        return this.replan(position);
+    }
+
+    clear() {
+        this.destination = null;
+        this.path = null;
+        this.nextIndex = 1;
+        this.arrived = false;
+    }
+
+    isActive() {
+        return this.destination !== null;
+    }
+
+    replan(position) {
+        this.path = planPath(this.floorPlan, position, this.destination);
+        this.nextIndex = 1;
+        if (!this.path) {
+            console.warn(`⚠️ 找不到前往「${this.destination.name}」的路徑`);
+        } else {
+            console.log(`🧭 已規劃前往「${this.destination.name}」的路徑 (${this.path.length - 1} 段)`);
+        }
+        return this.path;
+    }
+
+    // 依目前位置更新導航，speed 為目前步行速度 (m/s，可省略)
+    update(position, speed = null) {
+        if (!this.destination) return null;
+
+        const distanceToGoal = Math.hypot(this.destination.x - position.x, this.destination.z - position.z);
+        let justArrived = false;
+        if (!this.arrived && distanceToGoal <= this.arrivalRadius) {
+            this.arrived = true;
+            justArrived = true;
+        }
+
+        if (this.path && !this.arrived) {
+            // 推進已通過的轉折點
+            while (this.nextIndex < this.path.length - 1 &&
+                   Math.hypot(this.path[this.nextIndex].x - position.x, this.path[this.nextIndex].z - position.z) < this.waypointRadius) {
+                this.nextIndex++;
+            }
+            // 偏離目前路段太遠 → 重新規劃
+            const legStart = this.path[this.nextIndex - 1];
+            const legEnd = this.path[this.nextIndex];
+            if (distanceToSegment(position, legStart, legEnd) > this.replanDistance) {
+                this.replan(position);
+            }
+        }
+
+        let remaining = distanceToGoal;
+        let nextWaypoint = this.destination;
+        if (this.path && !this.arrived) {
+            nextWaypoint = this.path[this.nextIndex];
+            remaining = Math.hypot(nextWaypoint.x - position.x, nextWaypoint.z - position.z);
+            for (let i = this.nextIndex; i < this.path.length - 1; i++) {
+                remaining += Math.hypot(this.path[i + 1].x - this.path[i].x, this.path[i + 1].z - this.path[i].z);
+            }
+        }
+
+        const walkingSpeed = speed && speed > 0.2 ? speed : this.defaultSpeed;
+        return {
+            destination: this.destination,
+            path: this.path,
+            nextWaypoint,
+            remaining: this.arrived ? 0 : remaining,
+            eta: this.arrived ? 0 : remaining / walkingSpeed, // 秒
+            arrived: this.arrived,
+            justArrived,
+            reachable: this.path !== null
+        };
+    }
+}
@@ -0,0 +1,207 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║          粒子濾波定位 - Particle Filter Map Matching            ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 每偵測到一步，所有粒子依 (步長, 航向) 加上雜訊前進；
+// 穿牆或走出可行走區域的粒子權重歸零 (淘汰)；全部被淘汰時在估計位置附近重新撒粒子。
+// 輸出為粒子的加權平均位置與其不確定度 (標準差)。
+//
+// 航向使用 IndoorPositionTracker 的 yaw 慣例: 前進方向 = (sin(yaw), -cos(yaw))。
+
+const RESEED_ATTEMPTS = 10; // 重新撒粒子時每個粒子最多抽樣幾次
+
+// 標準常態分佈亂數 (Box-Muller)
+function gaussian(random) {
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+export class ParticleLocalizer {
+    constructor(floorPlan, options = {}) {
+        this.floorPlan = floorPlan;
+        this.count = options.count ?? 500;
+        this.stepLengthNoise = options.stepLengthNoise ?? 0.15;  // 步長相對雜訊 (比例)
+        this.headingNoise = (options.headingNoise ?? 8) * Math.PI / 180;        // 每步航向雜訊
+        this.headingBiasNoise = (options.headingBiasNoise ?? 1) * Math.PI / 180; // 每個粒子航向偏差的隨機漫步
+        this.initialSpread = options.initialSpread ?? 0.5;        // 初始位置散佈 (公尺)
+        this.random = options.random ?? Math.random;
+
+        this.particles = [];
+        this.estimate = null;
+    }
+
+    // 在 position 附近撒粒子
+    init(position, spread = this.initialSpread) {
+        this.particles = [];
+        for (let i = 0; i < this.count; i++) {
+            const p = {
+                x: position.x + gaussian(this.random) * spread,
+                z: position.z + gaussian(this.random) * spread,
+                headingBias: 0,
+                weight: 1
+            };
+            if (!this.floorPlan.isWalkable(p) || this.floorPlan.crossesWall(position, p)) {
+                // 撒到牆外的粒子放回起點
+                p.x = position.x;
+                p.z = position.z;
+            }
+            this.particles.push(p);
+        }
+        this.normalize();
+        this.updateEstimate();
+    }
+
+    // 依一步的步長與航向推進所有粒子
+    predict(stride, yaw) {
+        if (this.particles.length === 0) return this.estimate;
+
+        const moves = this.particles.map(p => {
+            p.headingBias += gaussian(this.random) * this.headingBiasNoise;
+            const length = stride * (1 + gaussian(this.random) * this.stepLengthNoise);
+            const heading = yaw + p.headingBias + gaussian(this.random) * this.headingNoise;
+            return {
+                x: p.x + Math.sin(heading) * length,
+                z: p.z - Math.cos(heading) * length
+            };
+        });
+
+        let alive = 0;
+        this.particles.forEach((p, i) => {
+            if (p.weight > 0 && this.floorPlan.canMove(p, moves[i])) {
+                alive++;
+            } else {
+                p.weight = 0;
+            }
+        });
+
+        if (alive === 0) {
+            // 全部粒子都撞牆：多半是航向或位置累積了誤差。不讓粒子穿牆 (穿過去之後每一步都會被擋)，
+            // 改在上一次的估計位置附近重新撒粒子，放大散佈範圍與航向偏差
+            console.warn("⚠️ 所有粒子都被牆面淘汰，在估計位置附近重新撒粒子");
+            return this.reseed(stride);
+        }
+
+        this.particles.forEach((p, i) => {
+            if (p.weight > 0) {
+                p.x = moves[i].x;
+                p.z = moves[i].z;
+            }
+        });
+
+        this.normalize();
+        if (this.effectiveSampleSize() < this.count / 2) {
+            this.resample();
+        }
+        return this.updateEstimate();
+    }
+
+    // 在可行走區域內的錨點附近重新撒粒子 (散佈至少涵蓋一步)，撒不進可行走區域的粒子留在原位
+    reseed(stride) {
+        const anchor = this.findAnchor();
+        const spread = Math.max(this.initialSpread, stride) * 2;
+        const biasSpread = this.headingNoise * 2;
+        this.particles = this.particles.map(previous => {
+            for (let attempt = 0; attempt < RESEED_ATTEMPTS; attempt++) {
+                const p = {
+                    x: anchor.x + gaussian(this.random) * spread,
+                    z: anchor.z + gaussian(this.random) * spread,
+                    headingBias: gaussian(this.random) * biasSpread,
+                    weight: 1
+                };
+                if (this.floorPlan.isWalkable(p) && !this.floorPlan.crossesWall(anchor, p)) return p;
+            }
+            return { x: previous.x, z: previous.z, headingBias: previous.headingBias, weight: 1 };
+        });
+        this.normalize();
+        return this.updateEstimate();
+    }
+
+    // 上一次的估計位置 (加權平均可能落在牆的另一側或區域外，此時改用第一個在可行走區域內的粒子)
+    findAnchor() {
+        if (this.estimate && this.floorPlan.isWalkable(this.estimate)) return this.estimate;
+        return this.particles.find(p => this.floorPlan.isWalkable(p)) ?? this.estimate ?? this.particles[0];
+    }
+
+    // 以外部觀測更新權重: likelihood(particle) 回傳 0 以上的相似度
+    weight(likelihood) {
+        let total = 0;
+        this.particles.forEach(p => {
+            p.weight *= likelihood(p);
+            total += p.weight;
+        });
+        if (total === 0) {
+            this.particles.forEach(p => { p.weight = 1; });
+        }
+        this.normalize();
+        if (this.effectiveSampleSize() < this.count / 2) {
+            this.resample();
+        }
+        return this.updateEstimate();
+    }
+
+    normalize() {
+        const total = this.particles.reduce((sum, p) => sum + p.weight, 0);
+        if (total <= 0) return;
+        this.particles.forEach(p => { p.weight /= total; });
+    }
+
+    effectiveSampleSize() {
+        const sumSq = this.particles.reduce((sum, p) => sum + p.weight * p.weight, 0);
+        return sumSq > 0 ? 1 / sumSq : 0;
+    }
+
+    // 系統重取樣 (systematic resampling)
+    resample() {
+        const n = this.particles.length;
+        const next = [];
+        const step = 1 / n;
+        let target = this.random() * step;
+        let cumulative = this.particles[0].weight;
+        let i = 0;
+
+        for (let k = 0; k < n; k++) {
+            while (target > cumulative && i < n - 1) {
+                i++;
+                cumulative += this.particles[i].weight;
+            }
+            const p = this.particles[i];
+            next.push({ x: p.x, z: p.z, headingBias: p.headingBias, weight: step });
+            target += step;
+        }
+        this.particles = next;
+    }
+
+    updateEstimate() {
+        let x = 0, z = 0;
+        this.particles.forEach(p => {
+            x += p.weight * p.x;
+            z += p.weight * p.z;
+        });
+
+        let varX = 0, varZ = 0, covXZ = 0;
+        this.particles.forEach(p => {
+            const dx = p.x - x;
+            const dz = p.z - z;
+            varX += p.weight * dx * dx;
+            varZ += p.weight * dz * dz;
+            covXZ += p.weight * dx * dz;
+        });
+
+        this.estimate = {
+            x, z,
+            uncertainty: Math.sqrt(varX + varZ), // 位置標準差 (公尺)
+            covariance: { xx: varX, zz: varZ, xz: covXZ }
+        };
+        return this.estimate;
+    }
+
+    getEstimate() {
+        return this.estimate;
+    }
+
+    getParticles() {
+        return this.particles;
+    }
+}
@@ -0,0 +1,171 @@
+import * as THREE from "https://esm.sh/three";
+
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              夥伴人像 - Shared Session Peer Avatars              ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 共享工作階段中其他人 (peer) 在場景中的人像: 身體 (圓柱)、頭、指向航向的三角錐，
+// 頭上一個面向相機的名稱標籤。顏色依 peer id 固定 (見 shared_session.js 的 peerColor)。
+//
+// 收到的位置是一步一步跳動的，每幀把人像往最新位置平滑移動 (smoothing 為每幀移動的比例)。
+// 逾時 (stale) 的 peer 變成半透明，標籤顯示最後更新是幾秒前。
+// 只顯示目前樓層的 peer。
+
+const BODY_HEIGHT = 1.3;
+const BODY_RADIUS = 0.18;
+const HEAD_RADIUS = 0.14;
+const STALE_OPACITY = 0.3;
+
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 64;
+const LABEL_HEIGHT = 0.28;
+
+function toCssColor(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+// 標籤文字 (逾時的 peer 加上幾秒前)
+export function describePeer(peer) {
+    if (!peer.stale) return peer.name;
+    const seconds = Math.round(peer.age / 1000);
+    return `${peer.name} · ⏱️ ${seconds < 60 ? `${seconds} 秒前` : `${Math.round(seconds / 60)} 分鐘前`}`;
+}
+
+class PeerAvatar {
+    constructor(peer) {
+        this.group = new THREE.Group();
+        this.materials = [];
+        const material = () => {
+            const m = new THREE.MeshBasicMaterial({ color: peer.color, transparent: true });
+            this.materials.push(m);
+            return m;
+        };
+
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(BODY_RADIUS, BODY_RADIUS, BODY_HEIGHT, 16), material());
+        body.position.y = BODY_HEIGHT / 2;
+        const head = new THREE.Mesh(new THREE.SphereGeometry(HEAD_RADIUS, 16, 12), material());
+        head.position.y = BODY_HEIGHT + HEAD_RADIUS + 0.04;
+        // 圓錐尖端預設朝 +y，轉向 −z (人像正前方)
+        const nose = new THREE.Mesh(new THREE.ConeGeometry(0.1, 0.3, 12), material());
+        nose.rotation.x = -Math.PI / 2;
+        nose.position.set(0, BODY_HEIGHT * 0.75, -BODY_RADIUS - 0.12);
+        this.group.add(body, head, nose);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = CANVAS_WIDTH;
+        this.canvas.height = CANVAS_HEIGHT;
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.label = new THREE.Sprite(new THREE.SpriteMaterial({ map: this.texture, transparent: true, depthTest: false }));
+        this.label.scale.set(LABEL_HEIGHT * CANVAS_WIDTH / CANVAS_HEIGHT, LABEL_HEIGHT, 1);
+        this.label.position.y = BODY_HEIGHT + HEAD_RADIUS * 2 + 0.3;
+        this.label.renderOrder = 10;
+        this.group.add(this.label);
+
+        this.target = null;   // { x, y, z, yaw }
+        this.drawnKey = null;
+    }
+
+    setTarget(state, elevation) {
+        const first = this.target === null;
+        this.target = { x: state.x, y: elevation, z: state.z, yaw: Number.isFinite(state.yaw) ? state.yaw : 0 };
+        if (first) {
+            this.group.position.set(this.target.x, this.target.y, this.target.z);
+            this.group.rotation.y = -this.target.yaw;
+        }
+    }
+
+    // 往目標位置與航向移動 (航向取最短的旋轉方向)
+    step(smoothing) {
+        if (!this.target) return;
+        const { position, rotation } = this.group;
+        position.x += (this.target.x - position.x) * smoothing;
+        position.y += (this.target.y - position.y) * smoothing;
+        position.z += (this.target.z - position.z) * smoothing;
+        const goal = -this.target.yaw;
+        const delta = Math.atan2(Math.sin(goal - rotation.y), Math.cos(goal - rotation.y));
+        rotation.y += delta * smoothing;
+    }
+
+    setStale(stale) {
+        this.materials.forEach(m => {
+            m.opacity = stale ? STALE_OPACITY : 1;
+        });
+        this.label.material.opacity = stale ? 0.6 : 1;
+    }
+
+    // 文字改變時才重畫
+    drawLabel(text, color) {
+        const key = `${text}|${color}`;
+        if (key === this.drawnKey) return;
+        this.drawnKey = key;
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.beginPath();
+        ctx.roundRect(4, 4, CANVAS_WIDTH - 8, CANVAS_HEIGHT - 8, 12);
+        ctx.fill();
+        ctx.strokeStyle = toCssColor(color);
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 28px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2, CANVAS_WIDTH - 24);
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.group.traverse(object => {
+            object.geometry?.dispose();
+        });
+        this.materials.forEach(m => m.dispose());
+        this.texture.dispose();
+        this.label.material.dispose();
+    }
+}
+
+export class PeerAvatarLayer {
+    constructor({ smoothing = 0.15 } = {}) {
+        this.smoothing = smoothing;
+        this.group = new THREE.Group();
+        this.avatars = new Map(); // peer id → PeerAvatar
+    }
+
+    getObject3D() {
+        return this.group;
+    }
+
+    // peers: SharedSession.getPeers() 的結果；只顯示 floorId 這一層的 peer (elevation 為該層高度)
+    setPeers(peers, floorId, elevation) {
+        const visible = peers.filter(peer => peer.state.floor === floorId);
+        const ids = new Set(visible.map(peer => peer.id));
+        this.avatars.forEach((avatar, id) => {
+            if (ids.has(id)) return;
+            this.group.remove(avatar.group);
+            avatar.dispose();
+            this.avatars.delete(id);
+        });
+        visible.forEach(peer => {
+            let avatar = this.avatars.get(peer.id);
+            if (!avatar) {
+                avatar = new PeerAvatar(peer);
+                this.avatars.set(peer.id, avatar);
+                this.group.add(avatar.group);
+            }
+            avatar.setTarget(peer.state, elevation);
+            avatar.setStale(peer.stale);
+            avatar.drawLabel(describePeer(peer), peer.color);
+        });
+    }
+
+    // 每幀呼叫，平滑移動到最新位置
+    update() {
+        this.avatars.forEach(avatar => avatar.step(this.smoothing));
+    }
+
+    clear() {
+        this.setPeers([], null, 0);
+    }
+}
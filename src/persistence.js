@@ -0,0 +1,334 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║             本機儲存 - Settings & Session Persistence            ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 以 localStorage 保存 (每台裝置、每個網域一份):
+// - indoorAR.settings               偵測器與顯示設定
+// - indoorAR.stepLengthCalibration  步長校準 (見 step_length.js)
+// - indoorAR.detectorPresets        自訂的偵測器預設組合 (見 detector_config.js)
+// - indoorAR.site                   最後載入的場地 (正規化後再轉回場地 JSON)
+// - indoorAR.session                上次的位置、樓層、步數與行走軌跡 (重新整理後可繼續)
+//
+// 整份設定檔 (profile) 可匯出成一個 JSON 檔，在其他裝置或瀏覽器匯入:
+// { "format": "indoor-ar-profile", "version": 1, "exportedAt": "...",
+//   "settings": {...}, "stepCalibration": {...} | null, "site": {場地 JSON} | null, "session": {...} | null,
+//   "detectorPresets": {...} (可省略) }
+//
+// 所有函式都可傳入 storage (預設 globalThis.localStorage)，讀寫失敗只會記錄警告。
+
+import { parseSiteDefinition, siteToDefinition } from "./site.js";
+import { STEP_DETECTOR_TYPES } from "./step_detectors.js";
+import { CALIBRATION_STORAGE_KEY, loadStepCalibration, saveStepCalibration, clearStepCalibration } from "./step_length.js";
+import {
+    DEFAULT_DETECTOR_CONFIG, DETECTOR_PRESETS_STORAGE_KEY, detectorParamsOf, normalizeDetectorParams,
+    loadUserPresets, saveUserPresets, normalizeUserPresets
+} from "./detector_config.js";
+
+export const STORAGE_KEYS = {
+    settings: 'indoorAR.settings',
+    site: 'indoorAR.site',
+    session: 'indoorAR.session'
+};
+
+export const PROFILE_FORMAT = 'indoor-ar-profile';
+export const PROFILE_VERSION = 1;
+
+// 工作階段最多保存的軌跡點數 (localStorage 容量有限，超過時捨棄最舊的點)
+export const MAX_SESSION_POINTS = 5000;
+
+// ═══════════════════════════════════════════════════════════════
+// 設定
+// ═══════════════════════════════════════════════════════════════
+export const DEFAULT_SETTINGS = {
+    useFilter: true,
+    filterAlpha: 0.5,
+    sensitivity: 'medium',
+    stepAlgorithm: 'peak',
+    detectorParams: detectorParamsOf(DEFAULT_DETECTOR_CONFIG),
+    activityGating: true,
+    poseCompensation: true,
+    arrivalRadius: 1.0,
+    autoFloor: true,
+    pointLabels: true,
+    pointLabelMode: 'signal',
+    heatmap: false,
+    heatmapResolution: 4,
+    heatmapOpacity: 0.45,
+    rssiSource: 'off',
+    markerAnchoring: false,
+    markerMode: 'soft',
+    proximityRadius: 0,
+    zoneActions: true,
+    zoneWebhookUrl: '',
+    sessionServer: '',
+    sessionRoom: 'default',
+    sessionName: ''
+};
+
+// 網址設定: 空字串 (未設定) 或符合 pattern 的網址 (區域 webhook 為 http(s)，共享工作階段為 ws(s))
+function urlSetting(pattern) {
+    return value => {
+        if (typeof value !== 'string') return null;
+        const url = value.trim();
+        return url === '' || pattern.test(url) ? url : null;
+    };
+}
+
+// 文字設定 (去掉前後空白，超過 maxLength 視為無效)
+function textSetting(maxLength) {
+    return value => (typeof value === 'string' && value.trim().length <= maxLength ? value.trim() : null);
+}
+
+// normalize: 巢狀設定的正規化函式 (回傳補齊後的值，無效時回傳 null)
+const SETTING_RULES = {
+    useFilter: { boolean: true },
+    filterAlpha: { min: 0.1, max: 1.0 },
+    sensitivity: { values: ['low', 'medium', 'high'] },
+    stepAlgorithm: { values: Object.keys(STEP_DETECTOR_TYPES) },
+    detectorParams: { normalize: normalizeDetectorParams },
+    activityGating: { boolean: true },
+    poseCompensation: { boolean: true },
+    arrivalRadius: { min: 0.2, max: 50 },
+    autoFloor: { boolean: true },
+    pointLabels: { boolean: true },
+    pointLabelMode: { values: ['signal', 'poi'] },
+    heatmap: { boolean: true },
+    heatmapResolution: { values: [2, 4, 8] },
+    heatmapOpacity: { min: 0.1, max: 1.0 },
+    rssiSource: { values: ['off', 'mock', 'bluetooth'] },
+    markerAnchoring: { boolean: true },
+    markerMode: { values: ['soft', 'snap'] },
+    proximityRadius: { min: 0, max: 50 },
+    zoneActions: { boolean: true },
+    zoneWebhookUrl: { normalize: urlSetting(/^https?:\/\//i) },
+    sessionServer: { normalize: urlSetting(/^wss?:\/\//i) },
+    sessionRoom: { normalize: textSetting(64) },
+    sessionName: { normalize: textSetting(40) }
+};
+
+function isValidSetting(rule, value) {
+    if (rule.boolean) return typeof value === 'boolean';
+    if (rule.values) return rule.values.includes(value);
+    return typeof value === 'number' && Number.isFinite(value) && value >= rule.min && value <= rule.max;
+}
+
+// 缺少或無效的欄位使用預設值 (舊版儲存的設定仍可讀取)
+export function normalizeSettings(raw) {
+    const settings = { ...DEFAULT_SETTINGS };
+    if (!raw || typeof raw !== 'object') return settings;
+    Object.entries(SETTING_RULES).forEach(([key, rule]) => {
+        if (raw[key] === undefined) return;
+        const value = rule.normalize ? rule.normalize(raw[key]) : raw[key];
+        if (rule.normalize ? value !== null : isValidSetting(rule, value)) {
+            settings[key] = value;
+        } else {
+            console.warn(`⚠️ 忽略無效的設定 ${key}: ${JSON.stringify(raw[key])}`);
+        }
+    });
+    return settings;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// localStorage 讀寫
+// ═══════════════════════════════════════════════════════════════
+function readJson(key, storage) {
+    try {
+        const raw = storage?.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.warn(`⚠️ 無法讀取 ${key}:`, error);
+        return null;
+    }
+}
+
+function writeJson(key, value, storage) {
+    try {
+        storage?.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        // 通常是容量已滿 (QuotaExceededError)
+        console.warn(`⚠️ 無法儲存 ${key}:`, error);
+        return false;
+    }
+}
+
+function removeKey(key, storage) {
+    try {
+        storage?.removeItem(key);
+    } catch (error) {
+        console.warn(`⚠️ 無法清除 ${key}:`, error);
+    }
+}
+
+export function loadSettings(storage = globalThis.localStorage) {
+    return normalizeSettings(readJson(STORAGE_KEYS.settings, storage));
+}
+
+export function saveSettings(settings, storage = globalThis.localStorage) {
+    return writeJson(STORAGE_KEYS.settings, normalizeSettings(settings), storage);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 場地
+// ═══════════════════════════════════════════════════════════════
+// 回傳 { site, source } 或 null
+export function loadSavedSite(storage = globalThis.localStorage) {
+    const saved = readJson(STORAGE_KEYS.site, storage);
+    if (!saved) return null;
+    try {
+        return { site: parseSiteDefinition(saved.definition, 'localStorage'), source: saved.source || null };
+    } catch (error) {
+        console.warn("⚠️ 已儲存的場地無效，改用預設場地:", error);
+        return null;
+    }
+}
+
+export function saveSite(site, source = null, storage = globalThis.localStorage) {
+    return writeJson(STORAGE_KEYS.site, { source, savedAt: new Date().toISOString(), definition: siteToDefinition(site) }, storage);
+}
+
+export function clearSavedSite(storage = globalThis.localStorage) {
+    removeKey(STORAGE_KEYS.site, storage);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 工作階段 (位置、樓層、步數、行走軌跡)
+// ═══════════════════════════════════════════════════════════════
+// session: { savedAt, siteName, floorId, position: { x, z }, stepCount, trajectory: { segments, nextSegmentId } }
+export function validateSession(session) {
+    const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+    if (!session || typeof session !== 'object') return '不是物件';
+    if (!session.position || !isNumber(session.position.x) || !isNumber(session.position.z)) return 'position 無效';
+    if (typeof session.floorId !== 'string') return 'floorId 無效';
+    if (!Number.isInteger(session.stepCount) || session.stepCount < 0) return 'stepCount 無效';
+    if (typeof session.savedAt !== 'string' || Number.isNaN(Date.parse(session.savedAt))) return 'savedAt 無效';
+    const trajectory = session.trajectory;
+    if (trajectory !== null && trajectory !== undefined) {
+        if (!Array.isArray(trajectory.segments) ||
+            trajectory.segments.some(s => !s || !Array.isArray(s.points) || !Number.isInteger(s.id))) {
+            return 'trajectory 無效';
+        }
+    }
+    return null;
+}
+
+// 軌跡太長時從最舊的點開始捨棄 (保留段落結構)
+export function trimTrajectory(trajectory, maxPoints = MAX_SESSION_POINTS) {
+    if (!trajectory) return trajectory;
+    let excess = trajectory.segments.reduce((sum, s) => sum + s.points.length, 0) - maxPoints;
+    if (excess <= 0) return trajectory;
+    const segments = [];
+    trajectory.segments.forEach((segment, i) => {
+        const isLast = i === trajectory.segments.length - 1;
+        const drop = Math.min(excess, segment.points.length);
+        excess -= drop;
+        if (drop === segment.points.length && !isLast) return;
+        segments.push({ ...segment, points: segment.points.slice(drop) });
+    });
+    return { ...trajectory, segments };
+}
+
+export function loadSession(storage = globalThis.localStorage) {
+    const session = readJson(STORAGE_KEYS.session, storage);
+    if (!session) return null;
+    const problem = validateSession(session);
+    if (problem) {
+        console.warn(`⚠️ 已儲存的工作階段無效 (${problem})，將忽略`);
+        return null;
+    }
+    return session;
+}
+
+export function saveSession(session, storage = globalThis.localStorage) {
+    return writeJson(STORAGE_KEYS.session, { ...session, trajectory: trimTrajectory(session.trajectory) }, storage);
+}
+
+export function clearSession(storage = globalThis.localStorage) {
+    removeKey(STORAGE_KEYS.session, storage);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 設定檔匯出 / 匯入
+// ═══════════════════════════════════════════════════════════════
+export function buildProfile(storage = globalThis.localStorage) {
+    return {
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: loadSettings(storage),
+        stepCalibration: loadStepCalibration(storage),
+        site: readJson(STORAGE_KEYS.site, storage)?.definition ?? null,
+        session: loadSession(storage),
+        detectorPresets: loadUserPresets(storage)
+    };
+}
+
+// 驗證設定檔，回傳 { settings, stepCalibration, site (正規化), siteDefinition, session, detectorPresets }
+export function parseProfile(input) {
+    let profile = input;
+    if (typeof input === 'string') {
+        try {
+            profile = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`設定檔格式錯誤: JSON 解析失敗 (${error.message})`);
+        }
+    }
+    if (!profile || typeof profile !== 'object') {
+        throw new Error('設定檔格式錯誤: 不是 JSON 物件');
+    }
+    if (profile.format !== PROFILE_FORMAT) {
+        throw new Error(`設定檔格式錯誤: format 應為 "${PROFILE_FORMAT}"`);
+    }
+    if (profile.version !== PROFILE_VERSION) {
+        throw new Error(`不支援的設定檔版本: ${profile.version}`);
+    }
+
+    const calibration = profile.stepCalibration ?? null;
+    if (calibration !== null &&
+        (typeof calibration.k !== 'number' || typeof calibration.b !== 'number' || !Array.isArray(calibration.walks))) {
+        throw new Error('設定檔格式錯誤: stepCalibration 無效');
+    }
+
+    const site = profile.site ? parseSiteDefinition(profile.site, '設定檔') : null;
+
+    const session = profile.session ?? null;
+    if (session !== null) {
+        const problem = validateSession(session);
+        if (problem) throw new Error(`設定檔格式錯誤: session ${problem}`);
+    }
+
+    return {
+        settings: normalizeSettings(profile.settings),
+        stepCalibration: calibration,
+        site,
+        siteDefinition: profile.site ?? null,
+        session,
+        detectorPresets: normalizeUserPresets(profile.detectorPresets)
+    };
+}
+
+// 把匯入的設定檔寫入本機儲存 (沒有的部分會清除，與匯出時的狀態一致)
+export function storeProfile(profile, storage = globalThis.localStorage) {
+    saveSettings(profile.settings, storage);
+    if (profile.stepCalibration) {
+        saveStepCalibration(profile.stepCalibration, storage);
+    } else {
+        clearStepCalibration(storage);
+    }
+    if (profile.site) {
+        saveSite(profile.site, '設定檔', storage);
+    } else {
+        clearSavedSite(storage);
+    }
+    if (profile.session) {
+        saveSession(profile.session, storage);
+    } else {
+        clearSession(storage);
+    }
+    saveUserPresets(profile.detectorPresets, storage);
+}
+
+// 清除所有本機資料
+export function clearAllStoredData(storage = globalThis.localStorage) {
+    [...Object.values(STORAGE_KEYS), CALIBRATION_STORAGE_KEY, DETECTOR_PRESETS_STORAGE_KEY].forEach(key => removeKey(key, storage));
+}
@@ -0,0 +1,190 @@
+import * as THREE from "https://esm.sh/three";
+import { POI_CATEGORIES, getPointIcon } from "./site.js";
+
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              訊號點標籤 - Billboard Point Labels                 ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 每個訊號點上方一個永遠面向相機的文字標籤 (Sprite + CanvasTexture)，
+// 顯示名稱、訊號強度 (或興趣點類別) 與使用者到該點的即時距離。
+//
+// 依距離分級 (LOD)，避免遠處的標籤擠滿畫面:
+// - detailDistance 以內: 名稱 + 強度 / 類別 + 距離
+// - fadeStart 到 fadeEnd: 只顯示名稱，並逐漸淡出
+// - fadeEnd 以外: 隱藏
+// 選取中的訊號點不受距離限制，永遠完整顯示。
+//
+// 顯示模式: signal (訊號強度) | poi (圖示與類別，沒有類別的點仍顯示強度)
+
+export const POINT_LABEL_MODES = {
+    signal: { label: '訊號強度' },
+    poi: { label: '興趣點' }
+};
+
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 96;
+const LABEL_HEIGHT = 0.4;   // 標籤在場景中的高度 (公尺)
+const LABEL_OFFSET = 0.7;   // 標籤中心離訊號點的高度 (公尺)
+
+// 距離 → 標籤透明度 (fadeStart 以內為 1，fadeEnd 以外為 0，中間線性淡出)
+export function labelOpacity(distance, { fadeStart, fadeEnd }) {
+    if (distance <= fadeStart) return 1;
+    if (distance >= fadeEnd) return 0;
+    return 1 - (distance - fadeStart) / (fadeEnd - fadeStart);
+}
+
+// 10 公尺以內顯示到小數一位
+export function formatDistance(meters) {
+    return meters < 10 ? `${meters.toFixed(1)} m` : `${Math.round(meters)} m`;
+}
+
+// 標籤的文字 { title, detail }
+export function describePoint(point, mode, distance) {
+    const icon = getPointIcon(point);
+    const category = POI_CATEGORIES[point.category];
+    const usePoi = mode === 'poi' && (icon || category);
+    const title = usePoi && icon ? `${icon} ${point.name}` : point.name;
+    const summary = usePoi && category ? category.label : `📶 ${point.power}`;
+    return { title, detail: `${summary} · ${formatDistance(distance)}` };
+}
+
+function toCssColor(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+class PointLabel {
+    constructor(point, position) {
+        this.point = point;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = CANVAS_WIDTH;
+        this.canvas.height = CANVAS_HEIGHT;
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: this.texture,
+            transparent: true,
+            depthTest: false
+        }));
+        this.sprite.scale.set(LABEL_HEIGHT * CANVAS_WIDTH / CANVAS_HEIGHT, LABEL_HEIGHT, 1);
+        this.sprite.position.set(position.x, position.y + LABEL_OFFSET, position.z);
+        this.sprite.renderOrder = 10;
+        this.sprite.userData = { pointId: point.id };
+        this.drawnKey = null;
+    }
+
+    // 文字或樣式改變時才重畫 canvas
+    draw({ title, detail }, { accent, selected, showDetail }) {
+        const key = `${title}|${showDetail ? detail : ''}|${accent}|${selected}`;
+        if (key === this.drawnKey) return;
+        this.drawnKey = key;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        ctx.fillStyle = selected ? 'rgba(0, 70, 140, 0.85)' : 'rgba(0, 0, 0, 0.6)';
+        ctx.beginPath();
+        ctx.roundRect(4, 4, CANVAS_WIDTH - 8, CANVAS_HEIGHT - 8, 14);
+        ctx.fill();
+        ctx.strokeStyle = selected ? '#00e5ff' : accent;
+        ctx.lineWidth = selected ? 5 : 3;
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (showDetail) {
+            ctx.font = 'bold 30px sans-serif';
+            ctx.fillText(title, CANVAS_WIDTH / 2, 34, CANVAS_WIDTH - 24);
+            ctx.font = '24px sans-serif';
+            ctx.fillStyle = '#cccccc';
+            ctx.fillText(detail, CANVAS_WIDTH / 2, 68, CANVAS_WIDTH - 24);
+        } else {
+            ctx.font = 'bold 34px sans-serif';
+            ctx.fillText(title, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2, CANVAS_WIDTH - 24);
+        }
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.texture.dispose();
+        this.sprite.material.dispose();
+    }
+}
+
+export class PointLabelLayer {
+    // colorForSignal(strength) → 0xRRGGBB，標籤外框與訊號圓圈同色
+    constructor({ colorForSignal, mode = 'signal', fadeStart = 8, fadeEnd = 20, detailDistance = 6 } = {}) {
+        this.colorForSignal = colorForSignal;
+        this.mode = mode;
+        this.fadeStart = fadeStart;
+        this.fadeEnd = fadeEnd;
+        this.detailDistance = detailDistance;
+        this.group = new THREE.Group();
+        this.labels = [];
+        this.selectedId = null;
+        this.distances = new Map();
+    }
+
+    getObject3D() {
+        return this.group;
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    setMode(mode) {
+        if (!POINT_LABEL_MODES[mode]) {
+            throw new Error(`未知的標籤模式: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    setSelected(pointId) {
+        this.selectedId = pointId;
+    }
+
+    // 目前樓層的訊號點 (position 為訊號點在場景中的位置)
+    setPoints(points, elevation) {
+        this.labels.forEach(label => {
+            this.group.remove(label.sprite);
+            label.dispose();
+        });
+        this.labels = points.map(point => new PointLabel(point, {
+            x: point.x,
+            y: elevation + point.y,
+            z: point.z
+        }));
+        this.labels.forEach(label => this.group.add(label.sprite));
+        this.distances.clear();
+    }
+
+    // 顯示中的標籤 Sprite (給點選用的 raycast)
+    getPickableObjects() {
+        return this.group.visible ? this.labels.filter(label => label.sprite.visible).map(label => label.sprite) : [];
+    }
+
+    getDistance(pointId) {
+        return this.distances.get(pointId) ?? null;
+    }
+
+    // user: 使用者位置 { x, z }；每幀呼叫，只有文字改變時才重畫
+    update(user) {
+        this.labels.forEach(label => {
+            const { point, sprite } = label;
+            const distance = Math.hypot(point.x - user.x, point.z - user.z);
+            this.distances.set(point.id, distance);
+
+            const selected = point.id === this.selectedId;
+            const opacity = selected ? 1 : labelOpacity(distance, this);
+            sprite.visible = opacity > 0;
+            if (!sprite.visible) return;
+            sprite.material.opacity = opacity;
+
+            label.draw(describePoint(point, this.mode, distance), {
+                accent: toCssColor(this.colorForSignal(point.power)),
+                selected,
+                showDetail: selected || distance <= this.detailDistance
+            });
+        });
+    }
+}
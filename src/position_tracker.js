@@ -0,0 +1,303 @@
+import { HeadingEstimator } from "./heading_estimator.js";
+import { ParticleLocalizer } from "./particle_filter.js";
+import { StepLengthEstimator } from "./step_length.js";
+import { createStepDetector, STEP_DETECTOR_TYPES } from "./step_detectors.js";
+import { ActivityClassifier } from "./activity_classifier.js";
+import { CarryModeEstimator } from "./carry_mode.js";
+import { initialYawForFacing, wrapRadians } from "./frame_calibration.js";
+
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              位置追蹤器 - Indoor Position Tracker                ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 航位推算: 步數偵測 × 步長 × 行走方向 (融合航向扣掉攜帶方式的偏移)，
+// 活動分類否決的步伐不計入；場地有平面圖時以粒子濾波限制位置。
+// 不依賴 THREE 與 DOM，可直接在 Node 執行 (相機同步見 indoor_ar.js)。
+
+export class IndoorPositionTracker {
+    constructor(stepLength = 0.65) {
+        this.eyeHeight = 1.6; // 眼睛離樓板的高度
+        this.elevation = 0;   // 目前樓層的樓板高度
+        this.position = { x: 0, y: this.eyeHeight, z: 0 }; // 初始位置
+        this.stepLength = stepLength; // 預設每步距離 (公尺)，停用自適應步長時使用
+        this.stepLengthEstimator = new StepLengthEstimator({ defaultLength: stepLength });
+        this.stepDetector = createStepDetector('peak');
+        this.activityClassifier = new ActivityClassifier(); // 只在走路 / 樓梯時採用步伐
+        this.activityGating = true;
+        this.pendingSteps = []; // 活動狀態尚未確定時暫緩的步伐 [{ stride, yaw (手機航向), time }]
+        this.pendingStepTimeout = 3000; // 暫緩的步伐多久內沒確認走路就捨棄 (ms)
+        this.carryMode = new CarryModeEstimator(); // 攜帶方式與行走方向 (手機不一定朝前)
+        this.poseCompensation = true;
+        this.headingEstimator = new HeadingEstimator(); // 陀螺儀 + 羅盤融合航向
+        this.initialYaw = null;
+        this.yaw = 0; // 水平方向角度
+        this.localizer = null; // 粒子濾波 (場地有平面圖時啟用)
+    }
+
+    // 設定平面圖：有可行走區域或牆面時以粒子濾波限制位置
+    setFloorPlan(floorPlan) {
+        if (!floorPlan || floorPlan.isEmpty()) {
+            this.localizer = null;
+            return;
+        }
+        this.localizer = new ParticleLocalizer(floorPlan);
+        this.localizer.init(this.getPosition());
+        console.log(`🧱 已啟用平面圖粒子濾波 (${this.localizer.count} 個粒子)`);
+    }
+
+    // 切換步數偵測演算法：沿用步數、濾波與靈敏度設定
+    setStepDetector(type) {
+        const previous = this.stepDetector;
+        const detector = createStepDetector(type);
+        detector.setFilter(previous.useFilter, previous.filterAlpha);
+        detector.setSensitivity(previous.sensitivity);
+        detector.setEnabled(previous.enabled);
+        detector.stepCount = previous.stepCount;
+        detector.elapsedTime = previous.elapsedTime;
+        this.stepDetector = detector;
+        console.log(`🎯 步數偵測演算法: ${STEP_DETECTOR_TYPES[type].label}`);
+    }
+
+    // 換樓層時呼叫：水平位置不變，高度移到該層
+    setElevation(elevation) {
+        this.elevation = elevation;
+        this.position.y = elevation + this.eyeHeight;
+    }
+
+    updateOrientation(orientationData, initialYaw) {
+        // 從 deviceorientation 事件更新方向 (羅盤)
+        if (orientationData.alpha !== null && initialYaw !== null) {
+            this.initialYaw = initialYaw;
+            this.headingEstimator.updateCompass(orientationData.alpha);
+            this.refreshYaw();
+        }
+    }
+
+    // 以融合航向計算校準後的 yaw
+    refreshYaw() {
+        const heading = this.headingEstimator.getHeading();
+        if (heading !== null && this.initialYaw !== null) {
+            this.yaw = this.initialYaw - (heading * Math.PI / 180);
+        }
+    }
+
+    update(accelerationData, deltaTime, rotationRate = null) {
+        // 陀螺儀積分航向 (每個樣本都要做，不只在偵測到步伐時)
+        if (rotationRate) {
+            this.headingEstimator.updateGyro(rotationRate, accelerationData, deltaTime);
+            this.refreshYaw();
+        }
+
+        // 攜帶方式 (口袋 / 側拿 / 講電話 / 甩動) 與行走方向偏移
+        const walking = this.activityClassifier.countsSteps() === true;
+        this.carryMode.setStepPeriod(walking ? this.activityClassifier.getFeatures()?.period ?? null : null);
+        this.carryMode.update(accelerationData, rotationRate, deltaTime);
+        this.activityClassifier.setCarryMode(this.poseCompensation ? this.carryMode.getMode() : null);
+
+        // 活動分類 (走路 / 靜止 / 搖晃 / 樓梯)
+        this.activityClassifier.update(accelerationData, rotationRate, deltaTime);
+        const countsSteps = this.activityGating ? this.activityClassifier.countsSteps() : true;
+
+        // 偵測步數
+        const stepDetected = this.stepDetector.update(accelerationData, deltaTime);
+
+        let moved = false;
+        if (countsSteps === true && this.pendingSteps.length > 0) {
+            // 確認在走路：補上判斷期間暫緩的步伐
+            console.log(`🏃 確認走路，補上 ${this.pendingSteps.length} 步`);
+            // 行走方向的偏移通常在確認走路後才估計出來，補步時才換算
+            this.pendingSteps.forEach(step => this.applyStep(step.stride, this.getWalkingYaw(step.yaw), accelerationData));
+            this.pendingSteps = [];
+            moved = true;
+        } else if (countsSteps === false && this.pendingSteps.length > 0) {
+            this.discardSteps(this.pendingSteps.length);
+            this.pendingSteps = [];
+        }
+
+        // 暫緩太久的步伐視為不是走路
+        const now = this.stepDetector.elapsedTime;
+        const expired = this.pendingSteps.filter(step => now - step.time > this.pendingStepTimeout).length;
+        if (expired > 0) {
+            this.discardSteps(expired);
+            this.pendingSteps.splice(0, expired);
+        }
+
+        if (stepDetected) {
+            // 依這一步的峰谷值與步頻估計步長
+            const stride = this.stepLengthEstimator.estimate(this.stepDetector.lastStep);
+
+            if (countsSteps === true) {
+                this.applyStep(stride, this.getWalkingYaw(), accelerationData);
+                moved = true;
+            } else if (countsSteps === null) {
+                this.pendingSteps.push({ stride, yaw: this.yaw, time: now });
+            } else {
+                this.discardSteps(1);
+            }
+        }
+
+        return moved;
+    }
+
+    // 行走方向: 手機航向扣掉攜帶方式估計的偏移 (偏移逆時針為正，yaw 順時針為正)
+    getWalkingYaw(yaw = this.yaw) {
+        const offset = this.poseCompensation ? this.carryMode.getHeadingOffset() : null;
+        return offset === null ? yaw : yaw - offset;
+    }
+
+    setPoseCompensation(enabled) {
+        this.poseCompensation = enabled;
+        console.log(`📱 依攜帶方式估計行走方向: ${enabled ? '啟用' : '停用'}`);
+    }
+
+    // 依步長與行走方向前進一步
+    applyStep(stride, yaw, accelerationData) {
+        // 計算前進方向 (基於當時的行走方向)
+        const forwardX = Math.sin(yaw);
+        const forwardZ = -Math.cos(yaw);
+
+        // 更新位置 (航位推算的原始累加值)
+        this.position.x += forwardX * stride;
+        this.position.z += forwardZ * stride;
+
+        // 粒子濾波：以平面圖淘汰穿牆的粒子
+        if (this.localizer) {
+            const estimate = this.localizer.predict(stride, yaw);
+            console.log(`🧱 粒子估計: (${estimate.x.toFixed(2)}, ${estimate.z.toFixed(2)}) ±${estimate.uncertainty.toFixed(2)}m`);
+        }
+
+        console.log(`🚶 走了一步 (#${this.stepDetector.stepCount}) 步長 ${stride.toFixed(2)}m 位置: (${this.position.x.toFixed(2)}, ${this.position.z.toFixed(2)})`);
+
+        // 紀錄當前的陀螺儀資訊
+        console.log(`📡 陀螺儀數據 - Yaw: ${(yaw * 180 / Math.PI).toFixed(2)}° (${this.headingEstimator.getSource()}, 信心 ${(this.headingEstimator.getConfidence() * 100).toFixed(0)}%), 前進方向 X: ${forwardX.toFixed(3)}, Z: ${forwardZ.toFixed(3)}`);
+        console.log(`   加速度 - X: ${accelerationData.x.toFixed(3)}, Y: ${accelerationData.y.toFixed(3)}, Z: ${accelerationData.z.toFixed(3)}`);
+    }
+
+    // 活動分類否決的步伐不計入步數
+    discardSteps(count) {
+        this.stepDetector.discardSteps(count);
+        console.log(`🚫 忽略 ${count} 步 (活動狀態: ${this.activityClassifier.getLabel()})`);
+    }
+
+    setActivityGating(enabled) {
+        this.activityGating = enabled;
+        this.pendingSteps = [];
+        console.log(`🏃 依活動狀態過濾步伐: ${enabled ? '啟用' : '停用'}`);
+    }
+
+    getActivity() {
+        return {
+            state: this.activityClassifier.getState(),
+            label: this.activityClassifier.getLabel(),
+            gating: this.activityGating
+        };
+    }
+
+    // 攜帶方式與行走方向偏移 (度，逆時針為正；未估計或停用時為 null)
+    getCarryMode() {
+        const offset = this.carryMode.getHeadingOffset();
+        return {
+            mode: this.carryMode.getMode(),
+            label: this.carryMode.getLabel(),
+            offset: this.poseCompensation && offset !== null ? offset * 180 / Math.PI : null,
+            enabled: this.poseCompensation
+        };
+    }
+
+    reset() {
+        this.position = { x: 0, y: this.elevation + this.eyeHeight, z: 0 };
+        this.stepDetector.reset();
+        this.activityClassifier.reset();
+        this.carryMode.reset();
+        this.pendingSteps = [];
+        this.headingEstimator.reset();
+        if (this.localizer) {
+            this.localizer.init(this.position);
+        }
+        console.log("🔄 已重設位置");
+    }
+
+    // 校準航向：讓目前的手機航向對應到場地座標的 targetYaw，回傳新的 initialYaw (相機也要同步)
+    alignHeading(targetYaw) {
+        const heading = this.headingEstimator.getHeading();
+        if (heading === null) {
+            throw new Error('尚未取得方向感測器資料 (請先授權陀螺儀)');
+        }
+        this.initialYaw = initialYawForFacing(targetYaw, heading);
+        this.refreshYaw();
+        return this.initialYaw;
+    }
+
+    // 整個座標系旋轉 rotation (弧度，順時針)，回傳新的 initialYaw
+    rotateHeading(rotation) {
+        if (this.initialYaw === null) {
+            throw new Error('尚未取得方向感測器資料 (請先授權陀螺儀)');
+        }
+        this.initialYaw = wrapRadians(this.initialYaw + rotation);
+        this.refreshYaw();
+        return this.initialYaw;
+    }
+
+    // 直接指定水平位置 (校準起點、繼續上次的工作階段)，粒子重新以此為中心分布
+    setPosition({ x, z }) {
+        this.position = { x, y: this.elevation + this.eyeHeight, z };
+        this.pendingSteps = [];
+        if (this.localizer) {
+            this.localizer.init(this.position);
+        }
+    }
+
+    // 有粒子濾波時回傳粒子估計，否則回傳航位推算位置
+    getPosition() {
+        const estimate = this.localizer?.getEstimate();
+        if (estimate) {
+            return { x: estimate.x, y: this.position.y, z: estimate.z };
+        }
+        return this.position;
+    }
+
+    getRawPosition() {
+        return this.position;
+    }
+
+    // 以絕對位置觀測 (例如 RSSI 三邊定位) 修正位置
+    // fix: { x, z, accuracy } — accuracy 為觀測的標準差 (公尺)
+    applyPositionFix(fix) {
+        if (this.localizer) {
+            // 以觀測的高斯似然度更新粒子權重 (加上底值，避免單一離群觀測淘汰所有粒子)
+            const variance2 = 2 * fix.accuracy * fix.accuracy;
+            this.localizer.weight(p => 1e-3 + Math.exp(-((p.x - fix.x) ** 2 + (p.z - fix.z) ** 2) / variance2));
+            return this.getPosition();
+        }
+
+        // 沒有平面圖：互補濾波，觀測越準拉得越多
+        const gain = Math.min(0.5, 1 / (1 + fix.accuracy));
+        this.position.x += gain * (fix.x - this.position.x);
+        this.position.z += gain * (fix.z - this.position.z);
+        return this.position;
+    }
+
+    // 位置不確定度 (公尺)，沒有粒子濾波時為 null
+    getPositionUncertainty() {
+        return this.localizer?.getEstimate()?.uncertainty ?? null;
+    }
+
+    getStepCount() {
+        return this.stepDetector.stepCount;
+    }
+
+    // 最近一步的估計步長 (公尺)
+    getStepLength() {
+        return this.stepLengthEstimator.lastLength;
+    }
+
+    // 目前航向與信心值
+    getHeading() {
+        return {
+            yaw: this.yaw,
+            confidence: this.headingEstimator.getConfidence(),
+            source: this.headingEstimator.getSource(),
+            disturbed: this.headingEstimator.isDisturbed()
+        };
+    }
+}
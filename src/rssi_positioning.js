@@ -0,0 +1,226 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║            RSSI 定位 - Beacon Range & Trilateration             ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 把訊號點當作信標 (BLE / Wi-Fi / 模擬)，以對數距離路徑損耗模型把 RSSI 換算成距離，
+// 再以最小平方法三邊定位，得到一個絕對位置，交由 IndoorPositionTracker 與步行推算融合。
+//
+// RSSI 來源介面 (duck typing):
+//   source.start(onObservation)  // onObservation({ pointId, rssi, timestamp })
+//   source.stop()
+//   source.name                  // 顯示用名稱
+
+export const DEFAULT_TX_POWER = -59;        // 1 公尺處的 RSSI (dBm)
+export const DEFAULT_PATH_LOSS_EXPONENT = 2.2;
+
+// 路徑損耗模型: rssi = txPower − 10·n·log10(d)
+export function rssiToDistance(rssi, txPower = DEFAULT_TX_POWER, n = DEFAULT_PATH_LOSS_EXPONENT) {
+    return Math.pow(10, (txPower - rssi) / (10 * n));
+}
+
+export function distanceToRssi(distance, txPower = DEFAULT_TX_POWER, n = DEFAULT_PATH_LOSS_EXPONENT) {
+    return txPower - 10 * n * Math.log10(Math.max(distance, 0.1));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 三邊定位 (Gauss-Newton 加權最小平方)
+// ═══════════════════════════════════════════════════════════════
+// anchors: [{ x, z, distance, weight }]
+export function trilaterate(anchors, initial = null, iterations = 10) {
+    if (anchors.length < 3) return null;
+
+    // 初始值: 以距離倒數加權的重心
+    let x = 0, z = 0;
+    if (initial) {
+        x = initial.x;
+        z = initial.z;
+    } else {
+        let total = 0;
+        anchors.forEach(a => {
+            const w = 1 / Math.max(a.distance, 0.5);
+            x += a.x * w;
+            z += a.z * w;
+            total += w;
+        });
+        x /= total;
+        z /= total;
+    }
+
+    for (let iter = 0; iter < iterations; iter++) {
+        // J^T W J 與 J^T W r
+        let jxx = 0, jxz = 0, jzz = 0, gx = 0, gz = 0;
+        anchors.forEach(a => {
+            const dx = x - a.x;
+            const dz = z - a.z;
+            const range = Math.max(Math.hypot(dx, dz), 1e-3);
+            const residual = range - a.distance;
+            const ux = dx / range;
+            const uz = dz / range;
+            const w = a.weight ?? 1;
+            jxx += w * ux * ux;
+            jxz += w * ux * uz;
+            jzz += w * uz * uz;
+            gx += w * ux * residual;
+            gz += w * uz * residual;
+        });
+
+        const det = jxx * jzz - jxz * jxz;
+        if (Math.abs(det) < 1e-9) break; // 信標共線，無法解
+        const stepX = (jzz * gx - jxz * gz) / det;
+        const stepZ = (jxx * gz - jxz * gx) / det;
+        x -= stepX;
+        z -= stepZ;
+        if (Math.hypot(stepX, stepZ) < 1e-3) break;
+    }
+
+    // 殘差均方根作為精度估計
+    const rms = Math.sqrt(anchors.reduce((sum, a) => {
+        const r = Math.hypot(x - a.x, z - a.z) - a.distance;
+        return sum + r * r;
+    }, 0) / anchors.length);
+
+    return { x, z, error: rms };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 定位器：收集觀測、平滑、估計位置
+// ═══════════════════════════════════════════════════════════════
+export class RssiPositioner {
+    constructor(points = [], options = {}) {
+        this.smoothing = options.smoothing ?? 0.3;       // RSSI 的 EMA 係數
+        this.maxAge = options.maxAge ?? 3000;            // 觀測有效時間 (ms)
+        this.pathLossExponent = options.pathLossExponent ?? DEFAULT_PATH_LOSS_EXPONENT;
+        this.minAccuracy = options.minAccuracy ?? 1.0;   // 定位精度下限 (公尺)
+        this.readings = new Map(); // pointId → { rssi, timestamp }
+        this.setPoints(points);
+    }
+
+    setPoints(points) {
+        this.points = new Map(points.map(p => [p.id, p]));
+        this.readings.clear();
+    }
+
+    addObservation({ pointId, rssi, timestamp = Date.now() }) {
+        if (!this.points.has(pointId) || !Number.isFinite(rssi)) return;
+        const previous = this.readings.get(pointId);
+        const smoothed = previous && timestamp - previous.timestamp < this.maxAge
+            ? previous.rssi + this.smoothing * (rssi - previous.rssi)
+            : rssi;
+        this.readings.set(pointId, { rssi: smoothed, timestamp });
+    }
+
+    // 目前有效的信標距離
+    getAnchors(now = Date.now()) {
+        const anchors = [];
+        this.readings.forEach((reading, pointId) => {
+            if (now - reading.timestamp > this.maxAge) return;
+            const point = this.points.get(pointId);
+            const distance = rssiToDistance(reading.rssi, point.txPower ?? DEFAULT_TX_POWER, this.pathLossExponent);
+            // 越遠的量測越不可靠 (RSSI 誤差隨距離放大)
+            anchors.push({ pointId, x: point.x, z: point.z, distance, rssi: reading.rssi, weight: 1 / Math.max(distance, 1) ** 2 });
+        });
+        return anchors;
+    }
+
+    // 回傳 { x, z, accuracy, anchors } 或 null (有效信標不足三個)
+    estimate(initial = null, now = Date.now()) {
+        const anchors = this.getAnchors(now);
+        const fix = trilaterate(anchors, initial);
+        if (!fix) return null;
+
+        return {
+            x: fix.x,
+            z: fix.z,
+            accuracy: Math.max(this.minAccuracy, fix.error * 2),
+            anchors: anchors.length
+        };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RSSI 來源：模擬 (桌機測試用)
+// ═══════════════════════════════════════════════════════════════
+export class MockRssiSource {
+    // getPosition(): 目前的「真實」位置 {x, z}，用來產生對應的 RSSI
+    constructor(points, getPosition, options = {}) {
+        this.name = 'mock';
+        this.points = points;
+        this.getPosition = getPosition;
+        this.interval = options.interval ?? 500;       // 掃描間隔 (ms)
+        this.noise = options.noise ?? 3;                // RSSI 雜訊標準差 (dB)
+        this.range = options.range ?? 20;               // 超過此距離收不到 (公尺)
+        this.pathLossExponent = options.pathLossExponent ?? DEFAULT_PATH_LOSS_EXPONENT;
+        this.random = options.random ?? Math.random;
+        this.timer = null;
+    }
+
+    start(onObservation) {
+        this.stop();
+        this.timer = setInterval(() => {
+            const position = this.getPosition();
+            const now = Date.now();
+            this.points.forEach(point => {
+                const distance = Math.hypot(position.x - point.x, position.z - point.z);
+                if (distance > this.range) return;
+                const noise = (this.random() + this.random() + this.random() - 1.5) * 2 * this.noise;
+                onObservation({
+                    pointId: point.id,
+                    rssi: distanceToRssi(distance, point.txPower ?? DEFAULT_TX_POWER, this.pathLossExponent) + noise,
+                    timestamp: now
+                });
+            });
+        }, this.interval);
+        console.log("📶 模擬 RSSI 來源已啟動");
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RSSI 來源：Web Bluetooth 廣播掃描 (實驗功能，需瀏覽器支援 requestLEScan)
+// ═══════════════════════════════════════════════════════════════
+// 以訊號點的 beaconId (或 id) 對應藍牙裝置名稱
+export class WebBluetoothRssiSource {
+    constructor(points) {
+        this.name = 'bluetooth';
+        this.beaconToPoint = new Map(points.map(p => [p.beaconId || p.id, p.id]));
+        this.scan = null;
+        this.handler = null;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' &&
+               !!navigator.bluetooth &&
+               typeof navigator.bluetooth.requestLEScan === 'function';
+    }
+
+    async start(onObservation) {
+        if (!WebBluetoothRssiSource.isSupported()) {
+            throw new Error('此瀏覽器不支援藍牙廣播掃描 (requestLEScan)');
+        }
+        this.handler = (event) => {
+            const pointId = this.beaconToPoint.get(event.device.name) ?? this.beaconToPoint.get(event.device.id);
+            if (pointId === undefined || event.rssi === undefined) return;
+            onObservation({ pointId, rssi: event.rssi, timestamp: Date.now() });
+        };
+        navigator.bluetooth.addEventListener('advertisementreceived', this.handler);
+        this.scan = await navigator.bluetooth.requestLEScan({ acceptAllAdvertisements: true, keepRepeatedDevices: true });
+        console.log("📶 藍牙 RSSI 掃描已啟動");
+    }
+
+    stop() {
+        if (this.scan) {
+            this.scan.stop();
+            this.scan = null;
+        }
+        if (this.handler) {
+            navigator.bluetooth.removeEventListener('advertisementreceived', this.handler);
+            this.handler = null;
+        }
+    }
+}
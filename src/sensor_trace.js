@@ -0,0 +1,326 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║        感測器軌跡錄製與重播 - Sensor Trace Record & Replay       ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 將 devicemotion / deviceorientation 事件連同時間戳記錄成 JSON 軌跡，
+// 之後可在沒有感測器的桌機上依相同順序重播，驅動同一條追蹤流程。
+//
+// 軌跡格式:
+// {
+//   "format": "indoor-ar-sensor-trace",
+//   "version": 1,
+//   "createdAt": "2026-01-01T00:00:00.000Z",
+//   "meta": { ... },
+//   "samples": [
+//     { "t": 0,  "type": "orientation", "alpha": 12.3, "beta": 80.1, "gamma": -2.0, "absolute": false },
+//     { "t": 16, "type": "motion", "accelerationIncludingGravity": { "x": 0.1, "y": 9.7, "z": 0.4 },
+//       "acceleration": null, "rotationRate": { "alpha": 0, "beta": 0, "gamma": 0 }, "interval": 16 },
+//     { "t": 200, "type": "pressure", "pressure": 1008.42 }     // 氣壓計 (hPa，有感測器時才有)
+//   ],
+//   "labels": {                 // 可省略: 實際步伐標記，供評測步數偵測演算法 (tools/step_benchmark.mjs)
+//     "stepCount": 24,          // 實際步數
+//     "steps": [512.3, 1049.8]  // 每一步的時間 (與 t 同一時間軸，可省略)
+//   }
+// }
+// t 為相對於錄製開始的毫秒數。
+
+import { downloadText, timestampForFilename } from "./file_utils.js";
+
+export const TRACE_FORMAT = 'indoor-ar-sensor-trace';
+export const TRACE_VERSION = 1;
+
+// 快速重播時每批處理的樣本數 (批次之間讓出主執行緒，避免畫面卡死)
+const FAST_REPLAY_BATCH_SIZE = 200;
+
+function copyVector(v, keys) {
+    if (!v) return null;
+    const out = {};
+    keys.forEach(key => {
+        out[key] = typeof v[key] === 'number' ? v[key] : null;
+    });
+    return out;
+}
+
+const SAMPLE_TYPES = ['motion', 'orientation', 'pressure'];
+const XYZ = ['x', 'y', 'z'];
+const ABG = ['alpha', 'beta', 'gamma'];
+
+// ═══════════════════════════════════════════════════════════════
+// 錄製器
+// ═══════════════════════════════════════════════════════════════
+export class SensorTraceRecorder {
+    constructor() {
+        this.recording = false;
+        this.samples = [];
+        this.stepMarks = [];
+        this.stepCountLabel = null;
+        this.startTime = 0;
+        this.meta = {};
+    }
+
+    start(meta = {}) {
+        this.samples = [];
+        this.stepMarks = [];
+        this.stepCountLabel = null;
+        this.meta = { ...meta };
+        this.startTime = performance.now();
+        this.recording = true;
+        console.log("⏺️ 開始錄製感測器軌跡");
+    }
+
+    elapsed() {
+        return Math.round((performance.now() - this.startTime) * 10) / 10;
+    }
+
+    recordMotion(event) {
+        if (!this.recording) return;
+        this.samples.push({
+            t: this.elapsed(),
+            type: 'motion',
+            accelerationIncludingGravity: copyVector(event.accelerationIncludingGravity, XYZ),
+            acceleration: copyVector(event.acceleration, XYZ),
+            rotationRate: copyVector(event.rotationRate, ABG),
+            interval: typeof event.interval === 'number' ? event.interval : null
+        });
+    }
+
+    recordOrientation(event) {
+        if (!this.recording) return;
+        this.samples.push({
+            t: this.elapsed(),
+            type: 'orientation',
+            alpha: event.alpha,
+            beta: event.beta,
+            gamma: event.gamma,
+            absolute: !!event.absolute
+        });
+    }
+
+    recordPressure(pressure) {
+        if (!this.recording) return;
+        this.samples.push({
+            t: this.elapsed(),
+            type: 'pressure',
+            pressure
+        });
+    }
+
+    // 標記一步 (例如同行者每踩一步點一下)
+    markStep() {
+        if (!this.recording) return;
+        this.stepMarks.push(this.elapsed());
+    }
+
+    // 錄製結束後填入實際步數
+    setStepCountLabel(count) {
+        this.stepCountLabel = Number.isInteger(count) && count >= 0 ? count : null;
+    }
+
+    stop() {
+        this.recording = false;
+        const trace = this.toTrace();
+        console.log(`⏹️ 錄製結束，共 ${trace.samples.length} 筆樣本 (${(trace.meta.durationMs / 1000).toFixed(1)} 秒)`);
+        return trace;
+    }
+
+    toTrace() {
+        const last = this.samples[this.samples.length - 1];
+        const trace = {
+            format: TRACE_FORMAT,
+            version: TRACE_VERSION,
+            createdAt: new Date().toISOString(),
+            meta: {
+                ...this.meta,
+                userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+                durationMs: last ? last.t : 0
+            },
+            samples: this.samples.slice()
+        };
+        if (this.stepMarks.length > 0 || this.stepCountLabel !== null) {
+            trace.labels = {
+                stepCount: this.stepCountLabel ?? this.stepMarks.length,
+                ...(this.stepMarks.length > 0 ? { steps: this.stepMarks.slice() } : {})
+            };
+        }
+        return trace;
+    }
+}
+
+// 將軌跡下載為 JSON 檔 (僅瀏覽器環境)
+export function downloadTrace(trace, filename = null) {
+    const name = filename || `sensor-trace-${timestampForFilename(new Date(trace.createdAt))}.json`;
+    downloadText(JSON.stringify(trace), name);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 軌跡解析 & 驗證
+// ═══════════════════════════════════════════════════════════════
+export function parseSensorTrace(input) {
+    const trace = typeof input === 'string' ? JSON.parse(input) : input;
+
+    if (!trace || typeof trace !== 'object') {
+        throw new Error('軌跡檔格式錯誤: 不是 JSON 物件');
+    }
+    if (trace.format !== TRACE_FORMAT) {
+        throw new Error(`軌跡檔格式錯誤: format 應為 "${TRACE_FORMAT}"`);
+    }
+    if (trace.version !== TRACE_VERSION) {
+        throw new Error(`不支援的軌跡版本: ${trace.version}`);
+    }
+    if (!Array.isArray(trace.samples)) {
+        throw new Error('軌跡檔格式錯誤: 缺少 samples 陣列');
+    }
+
+    let lastT = -Infinity;
+    trace.samples.forEach((sample, i) => {
+        if (typeof sample.t !== 'number' || sample.t < lastT) {
+            throw new Error(`軌跡檔格式錯誤: 第 ${i} 筆樣本的時間戳無效`);
+        }
+        if (!SAMPLE_TYPES.includes(sample.type)) {
+            throw new Error(`軌跡檔格式錯誤: 第 ${i} 筆樣本類型未知 (${sample.type})`);
+        }
+        lastT = sample.t;
+    });
+
+    if (trace.labels !== undefined) {
+        const labels = trace.labels;
+        if (!labels || typeof labels !== 'object') {
+            throw new Error('軌跡檔格式錯誤: labels 必須是物件');
+        }
+        if (labels.stepCount !== undefined && (!Number.isInteger(labels.stepCount) || labels.stepCount < 0)) {
+            throw new Error('軌跡檔格式錯誤: labels.stepCount 必須是非負整數');
+        }
+        if (labels.steps !== undefined &&
+            (!Array.isArray(labels.steps) || labels.steps.some(t => typeof t !== 'number'))) {
+            throw new Error('軌跡檔格式錯誤: labels.steps 必須是時間 (ms) 陣列');
+        }
+    }
+
+    return trace;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 重播器
+// ═══════════════════════════════════════════════════════════════
+// handlers.onMotion(event, dt)     — event 形狀與 DeviceMotionEvent 相同
+// handlers.onOrientation(event)    — event 形狀與 DeviceOrientationEvent 相同
+// handlers.onPressure(hPa, dt)     — 氣壓計讀數
+// handlers.onProgress(index, total)
+export class SensorTraceReplayer {
+    constructor(trace, handlers = {}) {
+        this.trace = parseSensorTrace(trace);
+        this.handlers = handlers;
+        this.index = 0;
+        this.lastMotionT = null;
+        this.lastPressureT = null;
+        this.active = false;
+        this.timer = null;
+        this.resolveDone = null;
+    }
+
+    // mode: 'realtime' (依原始時間間隔) 或 'fast' (盡可能快)
+    play({ mode = 'realtime', speed = 1 } = {}) {
+        this.stop();
+        this.index = 0;
+        this.lastMotionT = null;
+        this.lastPressureT = null;
+        this.active = true;
+        this.mode = mode;
+        this.speed = speed > 0 ? speed : 1;
+
+        console.log(`▶️ 開始重播軌跡 (${this.trace.samples.length} 筆, 模式: ${mode})`);
+
+        return new Promise(resolve => {
+            this.resolveDone = resolve;
+            if (mode === 'fast') {
+                this.runFastBatch();
+            } else {
+                this.wallStart = performance.now();
+                this.runRealtime();
+            }
+        });
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.active) {
+            this.finish(false);
+        }
+    }
+
+    dispatch(sample) {
+        if (sample.type === 'motion') {
+            const dt = this.lastMotionT === null
+                ? (sample.interval || 0)
+                : sample.t - this.lastMotionT;
+            this.lastMotionT = sample.t;
+            this.handlers.onMotion?.({
+                accelerationIncludingGravity: sample.accelerationIncludingGravity,
+                acceleration: sample.acceleration,
+                rotationRate: sample.rotationRate,
+                interval: sample.interval,
+                timeStamp: sample.t
+            }, dt);
+        } else if (sample.type === 'pressure') {
+            const dt = this.lastPressureT === null ? 0 : sample.t - this.lastPressureT;
+            this.lastPressureT = sample.t;
+            this.handlers.onPressure?.(sample.pressure, dt);
+        } else {
+            this.handlers.onOrientation?.({
+                alpha: sample.alpha,
+                beta: sample.beta,
+                gamma: sample.gamma,
+                absolute: sample.absolute,
+                timeStamp: sample.t
+            });
+        }
+    }
+
+    runFastBatch() {
+        const samples = this.trace.samples;
+        const end = Math.min(this.index + FAST_REPLAY_BATCH_SIZE, samples.length);
+        for (; this.index < end; this.index++) {
+            this.dispatch(samples[this.index]);
+        }
+        this.handlers.onProgress?.(this.index, samples.length);
+
+        if (this.index >= samples.length) {
+            this.finish(true);
+        } else {
+            this.timer = setTimeout(() => this.runFastBatch(), 0);
+        }
+    }
+
+    runRealtime() {
+        const samples = this.trace.samples;
+        const traceNow = (performance.now() - this.wallStart) * this.speed;
+
+        while (this.index < samples.length && samples[this.index].t <= traceNow) {
+            this.dispatch(samples[this.index]);
+            this.index++;
+        }
+        this.handlers.onProgress?.(this.index, samples.length);
+
+        if (this.index >= samples.length) {
+            this.finish(true);
+            return;
+        }
+
+        const wait = (samples[this.index].t - traceNow) / this.speed;
+        this.timer = setTimeout(() => this.runRealtime(), Math.max(0, wait));
+    }
+
+    finish(completed) {
+        this.active = false;
+        this.timer = null;
+        console.log(completed ? "✅ 軌跡重播完成" : "⏹️ 軌跡重播已中止");
+        this.handlers.onEnd?.(completed);
+        if (this.resolveDone) {
+            this.resolveDone(completed);
+            this.resolveDone = null;
+        }
+    }
+}
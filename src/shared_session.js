@@ -0,0 +1,290 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              共享工作階段 - Multi-user Shared Session            ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 多人一起勘測時，透過 WebSocket 中繼 (tools/session_relay.mjs) 互相分享位置與航向:
+// 每走一步 (以及每 heartbeatInterval 毫秒) 送出自己的狀態，收到其他人 (peer) 的狀態後交給畫面顯示。
+//
+// 連線中斷時以指數退避自動重新連線 (minDelay、2×、4× … 最多 maxDelay)，
+// 重新連上後伺服器會送來房間內所有人的最新狀態。
+// 各 peer 的「最後更新時間」以本機收到訊息的時間計算 (不受兩台手機時鐘誤差影響):
+// 超過 staleAfter 毫秒沒有更新視為逾時 (畫面上變淡)，超過 dropAfter 毫秒則移除。
+//
+// 不依賴 DOM，WebSocket 實作可注入 (Node 22+ 內建 WebSocket，Node 20 需 --experimental-websocket)。
+//
+// 狀態: { x, z, floor, yaw (弧度，順時針為正), step, uncertainty }
+
+export const SESSION_STATUS_LABELS = {
+    disconnected: '未連線',
+    connecting: '連線中',
+    connected: '已連線',
+    reconnecting: '重新連線中'
+};
+
+// peer 的顏色 (依 id 固定，同一個人在每台手機上顏色相同)
+const PEER_COLORS = [0xff6b6b, 0xffb347, 0xffe066, 0x7bed9f, 0x70a1ff, 0xa29bfe, 0xff7eb9, 0x3dd6d0];
+
+export function peerColor(id) {
+    let hash = 0;
+    for (let i = 0; i < id.length; i++) {
+        hash = (hash * 31 + id.charCodeAt(i)) >>> 0;
+    }
+    return PEER_COLORS[hash % PEER_COLORS.length];
+}
+
+// 房間名稱放在網址的 ?room=
+export function sessionUrl(server, room) {
+    const url = new URL(server);
+    url.searchParams.set('room', room || 'default');
+    return url.toString();
+}
+
+// 送出前把座標四捨五入到公分，航向到 0.001 弧度
+function roundState(state) {
+    const round = (value, digits) => (typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(digits)) : value ?? null);
+    return {
+        x: round(state.x, 2),
+        z: round(state.z, 2),
+        floor: state.floor ?? null,
+        yaw: round(state.yaw, 3),
+        step: state.step ?? null,
+        uncertainty: round(state.uncertainty, 2)
+    };
+}
+
+function isValidState(state) {
+    return state !== null && typeof state === 'object' && Number.isFinite(state.x) && Number.isFinite(state.z);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 其他人的最新狀態
+// ═══════════════════════════════════════════════════════════════
+export class PeerRegistry {
+    constructor({ staleAfter = 10000, dropAfter = 60000 } = {}) {
+        this.staleAfter = staleAfter;
+        this.dropAfter = dropAfter;
+        this.peers = new Map(); // id → { id, name, color, state, updatedAt }
+    }
+
+    // 加入或更新名稱 (state 為 null 時保留上一次的位置)
+    set(peer, state, time) {
+        const existing = this.peers.get(peer.id);
+        this.peers.set(peer.id, {
+            id: peer.id,
+            name: peer.name,
+            color: peerColor(peer.id),
+            state: isValidState(state) ? state : existing?.state ?? null,
+            updatedAt: time
+        });
+    }
+
+    updateState(id, state, time) {
+        const peer = this.peers.get(id);
+        if (!peer || !isValidState(state)) return false;
+        peer.state = state;
+        peer.updatedAt = time;
+        return true;
+    }
+
+    remove(id) {
+        return this.peers.delete(id);
+    }
+
+    clear() {
+        this.peers.clear();
+    }
+
+    // 有位置的 peer [{ id, name, color, state, age, stale }]，同時移除太久沒有更新的
+    getPeers(time) {
+        const peers = [];
+        this.peers.forEach((peer, id) => {
+            const age = time - peer.updatedAt;
+            if (age > this.dropAfter) {
+                this.peers.delete(id);
+                return;
+            }
+            if (peer.state) {
+                peers.push({ ...peer, age, stale: age > this.staleAfter });
+            }
+        });
+        return peers;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 連線
+// ═══════════════════════════════════════════════════════════════
+export class SharedSession {
+    // getState(): 目前的位置狀態；onStatus({ status, retryIn })、onPeers() 狀態改變時呼叫
+    constructor({
+        peer,
+        getState,
+        onStatus = null,
+        onPeers = null,
+        WebSocketImpl = globalThis.WebSocket,
+        minDelay = 1000,
+        maxDelay = 30000,
+        heartbeatInterval = 5000,
+        staleAfter = 10000,
+        dropAfter = 60000,
+        now = () => Date.now()
+    }) {
+        this.peer = peer; // { id, name }
+        this.getState = getState;
+        this.onStatus = onStatus;
+        this.onPeers = onPeers;
+        this.WebSocketImpl = WebSocketImpl;
+        this.minDelay = minDelay;
+        this.maxDelay = maxDelay;
+        this.heartbeatInterval = heartbeatInterval;
+        this.now = now;
+        this.registry = new PeerRegistry({ staleAfter, dropAfter });
+
+        this.url = null;
+        this.socket = null;
+        this.status = 'disconnected';
+        this.attempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+    }
+
+    static isSupported(WebSocketImpl = globalThis.WebSocket) {
+        return typeof WebSocketImpl === 'function';
+    }
+
+    setStatus(status, retryIn = null) {
+        this.status = status;
+        this.onStatus?.({ status, retryIn });
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    isActive() {
+        return this.url !== null;
+    }
+
+    // server: ws:// 或 wss:// 網址；已連線時先中斷舊的連線
+    connect(server, room) {
+        if (!SharedSession.isSupported(this.WebSocketImpl)) {
+            throw new Error('此瀏覽器不支援 WebSocket');
+        }
+        this.disconnect();
+        this.url = sessionUrl(server, room);
+        this.attempts = 0;
+        this.open();
+    }
+
+    open() {
+        this.setStatus(this.attempts === 0 ? 'connecting' : 'reconnecting');
+        const socket = new this.WebSocketImpl(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.attempts = 0;
+            this.setStatus('connected');
+            const state = this.getState();
+            this.send({ type: 'hello', peer: this.peer, state: state ? roundState(state) : null });
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = setInterval(() => this.publish(), this.heartbeatInterval);
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                this.handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('⚠️ 無法解讀共享工作階段訊息:', error);
+            }
+        };
+
+        // 有些實作連線失敗時只觸發 error 不觸發 close: 兩者都視為中斷 (只處理一次)
+        socket.onerror = () => this.handleDisconnect(socket);
+        socket.onclose = () => this.handleDisconnect(socket);
+    }
+
+    handleDisconnect(socket) {
+        if (this.socket !== socket) return;
+        this.socket = null;
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        if (socket.readyState <= 1) socket.close();
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.url === null) return;
+        const delay = Math.min(this.maxDelay, this.minDelay * 2 ** this.attempts);
+        this.attempts++;
+        this.setStatus('reconnecting', delay);
+        console.log(`🔌 共享工作階段中斷，${(delay / 1000).toFixed(0)} 秒後重新連線 (第 ${this.attempts} 次)`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.open();
+        }, delay);
+    }
+
+    disconnect() {
+        this.url = null;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.heartbeatTimer);
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close(1000);
+        }
+        this.registry.clear();
+        this.onPeers?.();
+        if (this.status !== 'disconnected') {
+            this.setStatus('disconnected');
+        }
+    }
+
+    setName(name) {
+        this.peer = { ...this.peer, name };
+    }
+
+    send(message) {
+        if (this.socket?.readyState !== 1) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    // 送出目前的狀態 (每一步與 heartbeat)；沒有連線時略過，重新連上後 hello 會帶最新狀態
+    publish() {
+        const state = this.getState();
+        if (!state) return false;
+        return this.send({ type: 'state', state: roundState(state) });
+    }
+
+    handleMessage(message) {
+        const time = this.now();
+        switch (message.type) {
+            case 'welcome':
+                // 重新連線後以伺服器的清單為準 (不在清單裡的人已經離開)
+                this.registry.clear();
+                message.peers.forEach(({ peer, state }) => this.registry.set(peer, state, time));
+                console.log(`👥 已加入共享工作階段 (${message.peers.length} 位夥伴)`);
+                break;
+            case 'join':
+                this.registry.set(message.peer, message.state, time);
+                console.log(`👋 ${message.peer.name} 加入了共享工作階段`);
+                break;
+            case 'state':
+                this.registry.updateState(message.id, message.state, time);
+                break;
+            case 'leave':
+                this.registry.remove(message.id);
+                break;
+            default:
+                return;
+        }
+        this.onPeers?.();
+    }
+
+    getPeers() {
+        return this.registry.getPeers(this.now());
+    }
+}
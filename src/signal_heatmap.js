@@ -0,0 +1,155 @@
+import * as THREE from "https://esm.sh/three";
+import { pointInPolygon } from "./floor_plan.js";
+
+// ╔════════════════════════════════════════════════════════════════╗
+// ║            訊號熱力圖 - Interpolated Signal Heatmap              ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 以反距離加權 (IDW) 把稀疏訊號點的強度內插到整個地面，
+// 畫在一張 CanvasTexture 上，顏色區間與訊號圓圈 (getColorForSignal) 相同。
+
+// 反距離加權內插: 回傳 (x, z) 處的估計強度
+export function idwInterpolate(points, x, z, power = 2) {
+    let weighted = 0;
+    let total = 0;
+    for (const point of points) {
+        const d2 = (x - point.x) ** 2 + (z - point.z) ** 2;
+        if (d2 < 1e-6) return point.power; // 正好在訊號點上
+        const w = 1 / Math.pow(d2, power / 2);
+        weighted += w * point.power;
+        total += w;
+    }
+    return total > 0 ? weighted / total : 0;
+}
+
+const MAX_TEXTURE_SIZE = 512;
+
+export class SignalHeatmap {
+    // colorForSignal(strength) → 0xRRGGBB，與訊號圓圈共用同一個映射
+    constructor({ colorForSignal, resolution = 4, opacity = 0.45, margin = 3, power = 2 } = {}) {
+        this.colorForSignal = colorForSignal;
+        this.resolution = resolution; // 每公尺幾個像素
+        this.opacity = opacity;
+        this.margin = margin;         // 訊號點外框再往外延伸 (公尺)
+        this.power = power;           // IDW 的距離次方
+
+        this.points = [];
+        this.floorPlan = null;
+        this.elevation = 0;   // 所在樓層的樓板高度
+        this.enabled = false;
+
+        this.canvas = document.createElement('canvas');
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.texture.magFilter = THREE.NearestFilter; // 保留色帶邊界
+
+        this.material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            opacity: this.opacity,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), this.material);
+        this.mesh.rotation.x = -Math.PI / 2;
+        this.mesh.visible = false;
+    }
+
+    getObject3D() {
+        return this.mesh;
+    }
+
+    setVisible(visible) {
+        this.enabled = visible;
+        this.mesh.visible = visible && this.points.length > 0;
+    }
+
+    setOpacity(opacity) {
+        this.opacity = Math.max(0, Math.min(1, opacity));
+        this.material.opacity = this.opacity;
+    }
+
+    setResolution(resolution) {
+        this.resolution = resolution;
+        this.redraw();
+    }
+
+    // 訊號點、平面圖或樓層變更時呼叫
+    update(points, floorPlan = null, elevation = 0) {
+        this.points = points;
+        this.floorPlan = floorPlan;
+        this.elevation = elevation;
+        this.redraw();
+    }
+
+    getBounds() {
+        const xs = this.points.map(p => p.x);
+        const zs = this.points.map(p => p.z);
+        const planBounds = this.floorPlan?.getBounds();
+        if (planBounds) {
+            xs.push(planBounds.minX, planBounds.maxX);
+            zs.push(planBounds.minZ, planBounds.maxZ);
+        }
+        return {
+            minX: Math.min(...xs) - this.margin,
+            maxX: Math.max(...xs) + this.margin,
+            minZ: Math.min(...zs) - this.margin,
+            maxZ: Math.max(...zs) + this.margin
+        };
+    }
+
+    redraw() {
+        if (this.points.length === 0) {
+            this.mesh.visible = false;
+            return;
+        }
+
+        const bounds = this.getBounds();
+        const width = bounds.maxX - bounds.minX;
+        const depth = bounds.maxZ - bounds.minZ;
+
+        // 大場地自動降低解析度，避免貼圖過大
+        const scale = Math.min(this.resolution, MAX_TEXTURE_SIZE / Math.max(width, depth));
+        const columns = Math.max(1, Math.ceil(width * scale));
+        const rows = Math.max(1, Math.ceil(depth * scale));
+
+        if (this.canvas.width !== columns || this.canvas.height !== rows) {
+            this.canvas.width = columns;
+            this.canvas.height = rows;
+            this.texture.dispose(); // 尺寸改變需重新配置 GPU 貼圖
+        }
+        const context = this.canvas.getContext('2d');
+        const image = context.createImageData(columns, rows);
+        const walkable = this.floorPlan?.walkable || [];
+
+        for (let row = 0; row < rows; row++) {
+            // 貼圖第 0 列對應平面的 +y，旋轉到地面後即 z 最小 (最前方) 的一側
+            const z = bounds.minZ + (row + 0.5) * depth / rows;
+            for (let col = 0; col < columns; col++) {
+                const x = bounds.minX + (col + 0.5) * width / columns;
+                const offset = (row * columns + col) * 4;
+
+                if (walkable.length > 0 && !walkable.some(polygon => pointInPolygon({ x, z }, polygon))) {
+                    image.data[offset + 3] = 0; // 可行走區域外留白
+                    continue;
+                }
+
+                const color = this.colorForSignal(idwInterpolate(this.points, x, z, this.power));
+                image.data[offset] = (color >> 16) & 0xff;
+                image.data[offset + 1] = (color >> 8) & 0xff;
+                image.data[offset + 2] = color & 0xff;
+                image.data[offset + 3] = 255;
+            }
+        }
+
+        context.putImageData(image, 0, 0);
+        this.texture.needsUpdate = true;
+
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = new THREE.PlaneGeometry(width, depth);
+        this.mesh.position.set(bounds.minX + width / 2, this.elevation + 0.02, bounds.minZ + depth / 2);
+        this.mesh.visible = this.enabled;
+
+        console.log(`🌡️ 熱力圖已更新 (${columns}x${rows}, ${this.points.length} 個訊號點)`);
+    }
+}
@@ -0,0 +1,174 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              桌機模擬器 - Desktop Sensor Simulator               ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 網址加上 ?sim (或 ?sim=1) 時啟用: 以鍵盤 / 滑鼠取代陀螺儀與加速度計，
+// 產生合成的 deviceorientation / devicemotion 事件 (波形見 synthetic_motion.js)，
+// 交給與實機相同的處理流程，步數偵測、活動分類、航向融合與追蹤器都會完整執行。
+//
+// 操作:
+//   W / ↑        走路 (按住 Shift 快走)
+//   A D / ← →    向左 / 向右轉
+//   S / ↓        原地迴轉 180°
+//   F            搖晃手機 (測試活動分類)
+//   滑鼠拖曳     轉向、抬頭 / 低頭
+//
+// 手機模型: 直立拿在胸前 (beta 90° 為水平正視)，航向以 alpha 慣例表示 (度，逆時針為正)；
+// 轉動時也產生 rotationRate.gamma (直立時繞垂直軸)，航向融合會走陀螺儀路徑。
+
+import { SyntheticMotionGenerator } from "./synthetic_motion.js";
+
+export function isSimulatorRequested(search = globalThis.location?.search ?? '') {
+    const value = new URLSearchParams(search).get('sim');
+    return value !== null && value !== '0' && value !== 'false';
+}
+
+export const SIMULATOR_GAITS = {
+    walk: { type: 'walk', cadence: 1.8, amplitude: 2.5 },
+    fast: { type: 'walk', cadence: 2.3, amplitude: 3.2 },
+    shake: { type: 'shake', frequency: 5, amplitude: 6 },
+    stand: { type: 'stand' }
+};
+
+// 模擬器起始的步數偵測演算法: 合成波形的峰頂較平緩，預設的 peak 只數得到約一半的步伐
+// (快走的步距也短於 peak 的最短峰值間隔)；自相關依波形週期計步 (仍可在設定面板切換)
+export const SIMULATOR_STEP_ALGORITHM = 'autocorrelation';
+
+const KEY_ACTIONS = {
+    KeyW: 'forward', ArrowUp: 'forward',
+    KeyA: 'left', ArrowLeft: 'left',
+    KeyD: 'right', ArrowRight: 'right',
+    KeyS: 'turnAround', ArrowDown: 'turnAround',
+    KeyF: 'shake',
+    ShiftLeft: 'fast', ShiftRight: 'fast'
+};
+
+function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+}
+
+export class DesktopSimulator {
+    // handlers: { onOrientation(event), onMotion(event, dt) }
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+        this.sampleRate = options.sampleRate ?? 60;
+        this.turnRate = options.turnRate ?? 90;              // 鍵盤轉向速度 (度/秒)
+        this.uTurnRate = options.uTurnRate ?? 180;           // 迴轉速度 (度/秒)
+        this.mouseSensitivity = options.mouseSensitivity ?? 0.25; // 滑鼠每像素轉幾度
+        this.generator = new SyntheticMotionGenerator({ noise: options.noise ?? 0.1 });
+
+        this.alpha = 0;  // 航向 (度)
+        this.beta = 90;  // 俯仰 (度，90 = 水平)
+        this.actions = new Set();
+        this.uTurnRemaining = 0;
+        this.mouseYaw = 0;
+        this.mousePitch = 0;
+        this.gait = 'stand';
+        this.timer = null;
+        this.listeners = [];
+    }
+
+    start(canvas) {
+        if (this.timer !== null) return;
+        const listen = (target, type, handler) => {
+            target.addEventListener(type, handler);
+            this.listeners.push(() => target.removeEventListener(type, handler));
+        };
+
+        listen(window, 'keydown', (event) => {
+            const action = KEY_ACTIONS[event.code];
+            if (!action || isTypingTarget(event.target)) return;
+            event.preventDefault();
+            if (action === 'turnAround' && !event.repeat) {
+                this.uTurnRemaining = 180;
+            }
+            this.actions.add(action);
+        });
+        listen(window, 'keyup', (event) => {
+            const action = KEY_ACTIONS[event.code];
+            if (action) this.actions.delete(action);
+        });
+        // 切換視窗時放開所有按鍵，避免一直走下去
+        listen(window, 'blur', () => this.actions.clear());
+
+        listen(canvas, 'pointermove', (event) => {
+            if (event.buttons === 0) return;
+            // 滑鼠往右拖 = 向右轉 (alpha 逆時針為正，所以減少)
+            this.mouseYaw -= event.movementX * this.mouseSensitivity;
+            this.mousePitch -= event.movementY * this.mouseSensitivity;
+        });
+
+        const interval = 1000 / this.sampleRate;
+        this.timer = setInterval(() => this.tick(interval), interval);
+        this.emitOrientation();
+        console.log("🕹️ 模擬器已啟動: W 走路 · A/D 轉向 · S 迴轉 · F 搖晃 · Shift 快走 · 滑鼠拖曳轉向");
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.actions.clear();
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    // 依按鍵決定目前的步態
+    currentGait() {
+        if (this.actions.has('shake')) return 'shake';
+        if (this.actions.has('forward')) return this.actions.has('fast') ? 'fast' : 'walk';
+        return 'stand';
+    }
+
+    getGait() {
+        return this.gait;
+    }
+
+    tick(dt) {
+        // 轉向: 鍵盤 + 迴轉 + 滑鼠
+        let turn = 0;
+        if (this.actions.has('left')) turn += this.turnRate * dt / 1000;
+        if (this.actions.has('right')) turn -= this.turnRate * dt / 1000;
+        if (this.uTurnRemaining > 0) {
+            const step = Math.min(this.uTurnRemaining, this.uTurnRate * dt / 1000);
+            this.uTurnRemaining -= step;
+            turn += step;
+        }
+        turn += this.mouseYaw;
+        this.mouseYaw = 0;
+
+        const previousBeta = this.beta;
+        this.beta = Math.min(170, Math.max(10, this.beta + this.mousePitch));
+        this.mousePitch = 0;
+        this.alpha = ((this.alpha + turn) % 360 + 360) % 360;
+
+        // 步態改變時，走路 ↔ 快走保留步伐相位，其他情況從頭開始
+        const gait = this.currentGait();
+        if (gait !== this.gait) {
+            const keepPhase = SIMULATOR_GAITS[gait].type === 'walk' && SIMULATOR_GAITS[this.gait].type === 'walk';
+            this.generator.setMotion(SIMULATOR_GAITS[gait], { restart: !keepPhase });
+            this.gait = gait;
+        }
+
+        const { accelerationIncludingGravity } = this.generator.next(dt);
+        this.handlers.onMotion?.({
+            accelerationIncludingGravity,
+            acceleration: null,
+            rotationRate: {
+                alpha: 0,
+                beta: (this.beta - previousBeta) * 1000 / dt,
+                gamma: turn * 1000 / dt
+            },
+            interval: dt
+        }, dt);
+        this.emitOrientation();
+    }
+
+    emitOrientation() {
+        this.handlers.onOrientation?.({ alpha: this.alpha, beta: this.beta, gamma: 0, absolute: false });
+    }
+}
@@ -0,0 +1,645 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              場地定義 - Site Definition Loader                   ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 每個部署場地以一份 JSON 描述其訊號點，取代寫死的陣列。
+//
+// 場地格式:
+// {
+//   "format": "indoor-ar-site",
+//   "version": 1,
+//   "name": "示範場地",
+//   "units": "m",                      // m | cm | mm | ft，座標與高度的單位
+//   "points": [
+//     { "id": "A", "name": "訊號點 A", "x": 0, "z": -5, "height": 0, "power": 90,
+//       "description": "大廳入口",           // description 可省略
+//       "txPower": -59, "beaconId": "IAR-A",  // RSSI 定位用 (可省略): 1 公尺處 RSSI、對應的信標名稱
+//       "category": "info", "icon": "🛎️" }    // 興趣點 (可省略): 類別 (見 POI_CATEGORIES)、自訂圖示
+//   ],
+//   "geoAnchor": { "lat": 25.033, "lon": 121.5654, "bearing": 0 },  // 可省略: 原點經緯度與正前方 (−z) 方位角
+//   "floorPlan": {                      // 可省略
+//     "walkable": [ [[-2, 1], [2, 1], [2, -12], [-2, -12]] ],   // 可行走多邊形 [x, z] 頂點
+//     "walls": [ [[-2, -6], [0, -6]] ]                          // 牆面折線 [x, z] 頂點
+//   }
+// }
+//
+// 多樓層場地改用 floors，每層各自有訊號點與平面圖 (不可與最外層的 points / floorPlan 並用):
+// {
+//   ...,
+//   "floors": [
+//     { "id": "1F", "name": "一樓", "elevation": 0,   "points": [ ... ], "floorPlan": { ... } },
+//     { "id": "2F", "name": "二樓", "elevation": 3.5, "points": [ ... ],
+//       "connectors": [ { "id": "lift", "type": "elevator", "x": 3, "z": -13, "radius": 1.5 } ] }
+//   ]
+// }
+// elevation 為樓板離地高度；訊號點的 height 相對於所在樓層的樓板。
+// connectors (可省略) 標出樓梯 / 電梯的位置 (type: stairs | elevator，radius 預設 2 公尺)；
+// 有設定時，只有在這些範圍內才接受加速度偵測到的換層 (氣壓計不受限)。
+//
+// markers (可省略，單一樓層寫在最外層、多樓層寫在各樓層) 為貼在牆上的 QR 定位標記:
+//   { "id": "IAR-LOBBY", "x": 0, "z": 1, "height": 1.4, "facing": 0, "size": 0.2 }
+// id 為 QR 內容 (所有樓層之間不可重複)，height 為標記中心離樓板高度 (預設 1.4 公尺)，
+// facing 為標記正面朝向的方位角 (度，−z 為 0、順時針為正)，size 為印出的 QR 邊長。
+// 沒有 floors 時視為單一樓層 (id "1F"，elevation 0)。
+//
+// zones (可省略，寫法同 markers) 為觸發提醒的區域，圓形 (訊號點周圍或任意圓心) 或多邊形:
+//   { "id": "lobby", "name": "大廳", "pointId": "A", "radius": 2, "dwell": 10,
+//     "actions": [ { "on": "enter", "type": "toast", "message": "歡迎光臨" },
+//                  { "on": "dwell", "type": "webhook", "url": "http://localhost:8080/zone" } ] }
+//   { "id": "cafe", "name": "咖啡區", "polygon": [[-2, -8], [2, -8], [2, -12], [-2, -12]] }
+// 圓形以 pointId (同一層的訊號點) 或 x / z 指定圓心；dwell 為停留幾秒觸發 dwell 事件 (可省略)。
+// actions.on: enter | exit | dwell；type: toast (message) | vibrate (pattern 毫秒陣列) |
+// sound (frequency Hz) | webhook (url，省略時使用設定面板的網址)。
+//
+// 座標系與場景相同: x 左右 (正=右), z 前後 (負=前方), height 為離地高度。
+// 載入後所有長度一律換算成公尺，正規化後的場地一律以 floors 表示 (依 elevation 由低到高排序)。
+
+export const SITE_FORMAT = 'indoor-ar-site';
+export const SITE_VERSION = 1;
+
+// 沒有 floors 的單一樓層場地使用的樓層 id
+export const DEFAULT_FLOOR_ID = '1F';
+
+// 各單位換算成公尺的倍率
+export const UNIT_SCALE = {
+    m: 1,
+    cm: 0.01,
+    mm: 0.001,
+    ft: 0.3048
+};
+
+// 興趣點類別 (訊號點的 category)；icon 為類別的預設圖示，訊號點可用自己的 icon 覆蓋
+export const POI_CATEGORIES = {
+    entrance: { label: '出入口', icon: '🚪' },
+    info: { label: '服務台', icon: 'ℹ️' },
+    restroom: { label: '洗手間', icon: '🚻' },
+    elevator: { label: '電梯', icon: '🛗' },
+    stairs: { label: '樓梯', icon: '🪜' },
+    office: { label: '辦公室', icon: '🏢' },
+    food: { label: '餐飲', icon: '🍴' },
+    exit: { label: '緊急出口', icon: '🚨' }
+};
+
+// 訊號點的圖示 (自訂 icon → 類別圖示 → null)
+export function getPointIcon(point) {
+    return point.icon || POI_CATEGORIES[point.category]?.icon || null;
+}
+
+export class SiteValidationError extends Error {
+    constructor(errors, source = null) {
+        const where = source ? ` (${source})` : '';
+        super(`場地定義無效${where}:\n- ${errors.join('\n- ')}`);
+        this.name = 'SiteValidationError';
+        this.errors = errors;
+        this.source = source;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 預設場地 (原本寫死的六個訊號點)
+// ═══════════════════════════════════════════════════════════════
+export const DEFAULT_SITE_DEFINITION = {
+    format: SITE_FORMAT,
+    version: SITE_VERSION,
+    name: '預設場地',
+    units: 'm',
+    points: [
+        { id: 'A', name: '訊號點 A', x: 0, z: -5, height: 0, power: 90 },
+        { id: 'B', name: '訊號點 B', x: -3, z: 0, height: 0, power: 5 },
+        { id: 'C', name: '訊號點 C', x: -3, z: -3, height: 0, power: 30 },
+        { id: 'D', name: '訊號點 D', x: 0, z: -10, height: 0, power: 50 },
+        { id: 'E', name: '訊號點 E', x: 5, z: -2, height: 0, power: 70 },
+        { id: 'F', name: '訊號點 F', x: -5, z: -2, height: 0, power: 10 }
+    ]
+};
+
+// ═══════════════════════════════════════════════════════════════
+// 驗證 & 正規化
+// ═══════════════════════════════════════════════════════════════
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validatePoint(point, index, scale, errors, seenIds, prefix = '') {
+    const path = `${prefix}points[${index}]`;
+
+    if (!point || typeof point !== 'object') {
+        errors.push(`${path}: 必須是物件`);
+        return null;
+    }
+
+    const name = point.name;
+    if (typeof name !== 'string' || name.trim() === '') {
+        errors.push(`${path}.name: 必須是非空字串`);
+    }
+
+    ['x', 'z'].forEach(key => {
+        if (!isFiniteNumber(point[key])) {
+            errors.push(`${path}.${key}: 必須是數字`);
+        }
+    });
+
+    if (point.height !== undefined && !isFiniteNumber(point.height)) {
+        errors.push(`${path}.height: 必須是數字`);
+    }
+
+    if (!isFiniteNumber(point.power) || point.power < 0 || point.power > 100) {
+        errors.push(`${path}.power: 必須是 0 到 100 之間的數字`);
+    }
+
+    if (point.txPower !== undefined && !isFiniteNumber(point.txPower)) {
+        errors.push(`${path}.txPower: 必須是數字 (dBm)`);
+    }
+    if (point.beaconId !== undefined && typeof point.beaconId !== 'string') {
+        errors.push(`${path}.beaconId: 必須是字串`);
+    }
+    if (point.category !== undefined && !Object.hasOwn(POI_CATEGORIES, point.category)) {
+        errors.push(`${path}.category: 必須是 ${Object.keys(POI_CATEGORIES).join(' / ')} 之一`);
+    }
+    if (point.icon !== undefined && (typeof point.icon !== 'string' || point.icon.trim() === '')) {
+        errors.push(`${path}.icon: 必須是非空字串`);
+    }
+
+    const id = point.id !== undefined ? String(point.id) : String(index);
+    if (seenIds.has(id)) {
+        errors.push(`${path}.id: 重複的 id "${id}"`);
+    }
+    seenIds.add(id);
+
+    return {
+        id,
+        name: typeof name === 'string' ? name.trim() : '',
+        x: point.x * scale,
+        y: (point.height || 0) * scale,
+        z: point.z * scale,
+        power: point.power,
+        description: typeof point.description === 'string' ? point.description : '',
+        txPower: point.txPower,
+        beaconId: point.beaconId,
+        category: point.category ?? null,
+        icon: typeof point.icon === 'string' ? point.icon.trim() : null
+    };
+}
+
+// [[x, z], ...] 頂點列表 → [{x, z}, ...] (公尺)
+function validateVertices(vertices, path, minCount, scale, errors) {
+    if (!Array.isArray(vertices) || vertices.length < minCount) {
+        errors.push(`${path}: 必須是至少 ${minCount} 個 [x, z] 頂點的陣列`);
+        return [];
+    }
+    const out = [];
+    vertices.forEach((v, i) => {
+        if (!Array.isArray(v) || v.length !== 2 || !isFiniteNumber(v[0]) || !isFiniteNumber(v[1])) {
+            errors.push(`${path}[${i}]: 必須是 [x, z] 數字對`);
+            return;
+        }
+        out.push({ x: v[0] * scale, z: v[1] * scale });
+    });
+    return out;
+}
+
+function validateGeoAnchor(anchor, errors) {
+    if (anchor === undefined) return null;
+    if (!anchor || typeof anchor !== 'object') {
+        errors.push('geoAnchor: 必須是物件');
+        return null;
+    }
+    if (!isFiniteNumber(anchor.lat) || anchor.lat < -90 || anchor.lat > 90) {
+        errors.push('geoAnchor.lat: 必須是 -90 到 90 之間的數字');
+    }
+    if (!isFiniteNumber(anchor.lon) || anchor.lon < -180 || anchor.lon > 180) {
+        errors.push('geoAnchor.lon: 必須是 -180 到 180 之間的數字');
+    }
+    if (anchor.bearing !== undefined && !isFiniteNumber(anchor.bearing)) {
+        errors.push('geoAnchor.bearing: 必須是數字 (度)');
+    }
+    return { lat: anchor.lat, lon: anchor.lon, bearing: anchor.bearing || 0 };
+}
+
+function validateFloorPlan(floorPlan, scale, errors, prefix = '') {
+    if (floorPlan === undefined) return null;
+    if (!floorPlan || typeof floorPlan !== 'object' || Array.isArray(floorPlan)) {
+        errors.push(`${prefix}floorPlan: 必須是物件`);
+        return null;
+    }
+
+    const result = { walkable: [], walls: [] };
+    [['walkable', 3], ['walls', 2]].forEach(([key, minCount]) => {
+        const list = floorPlan[key];
+        if (list === undefined) return;
+        if (!Array.isArray(list)) {
+            errors.push(`${prefix}floorPlan.${key}: 必須是陣列`);
+            return;
+        }
+        result[key] = list.map((vertices, i) =>
+            validateVertices(vertices, `${prefix}floorPlan.${key}[${i}]`, minCount, scale, errors));
+    });
+    return result;
+}
+
+function validatePointList(list, prefix, scale, errors, seenIds, required) {
+    if (!Array.isArray(list)) {
+        errors.push(`${prefix}points: 必須是陣列`);
+        return [];
+    }
+    if (required && list.length === 0) {
+        errors.push(`${prefix}points: 至少需要一個訊號點`);
+        return [];
+    }
+    return list.map((point, i) => validatePoint(point, i, scale, errors, seenIds, prefix));
+}
+
+// QR 定位標記 → [{ id, x, y, z, yaw (正面朝向，弧度), size }] (公尺)
+function validateMarkers(list, prefix, scale, errors, seenMarkerIds) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+        errors.push(`${prefix}markers: 必須是陣列`);
+        return [];
+    }
+    return list.map((marker, i) => {
+        const path = `${prefix}markers[${i}]`;
+        if (!marker || typeof marker !== 'object') {
+            errors.push(`${path}: 必須是物件`);
+            return null;
+        }
+        if (typeof marker.id !== 'string' || marker.id === '') {
+            errors.push(`${path}.id: 必須是非空字串 (QR 內容)`);
+        } else if (seenMarkerIds.has(marker.id)) {
+            errors.push(`${path}.id: 重複的標記 id "${marker.id}"`);
+        }
+        seenMarkerIds.add(marker.id);
+        ['x', 'z', 'facing'].forEach(key => {
+            if (!isFiniteNumber(marker[key])) {
+                errors.push(`${path}.${key}: 必須是數字`);
+            }
+        });
+        if (marker.height !== undefined && !isFiniteNumber(marker.height)) {
+            errors.push(`${path}.height: 必須是數字`);
+        }
+        if (!isFiniteNumber(marker.size) || marker.size <= 0) {
+            errors.push(`${path}.size: 必須是正數 (QR 邊長)`);
+        }
+        return {
+            id: marker.id,
+            x: marker.x * scale,
+            y: marker.height !== undefined ? marker.height * scale : 1.4,
+            z: marker.z * scale,
+            yaw: (marker.facing || 0) * Math.PI / 180,
+            size: marker.size * scale
+        };
+    }).filter(Boolean);
+}
+
+export const CONNECTOR_TYPES = ['stairs', 'elevator'];
+
+export const ZONE_EVENTS = ['enter', 'exit', 'dwell'];
+export const ZONE_ACTION_TYPES = ['toast', 'vibrate', 'sound', 'webhook'];
+
+// 樓梯 / 電梯位置 → [{ id, type, x, z, radius }] (公尺)
+function validateConnectors(list, prefix, scale, errors) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+        errors.push(`${prefix}connectors: 必須是陣列`);
+        return [];
+    }
+    return list.map((connector, i) => {
+        const path = `${prefix}connectors[${i}]`;
+        if (!connector || typeof connector !== 'object') {
+            errors.push(`${path}: 必須是物件`);
+            return null;
+        }
+        if (!CONNECTOR_TYPES.includes(connector.type)) {
+            errors.push(`${path}.type: 必須是 ${CONNECTOR_TYPES.join(' 或 ')}`);
+        }
+        ['x', 'z'].forEach(key => {
+            if (!isFiniteNumber(connector[key])) {
+                errors.push(`${path}.${key}: 必須是數字`);
+            }
+        });
+        if (connector.radius !== undefined && (!isFiniteNumber(connector.radius) || connector.radius <= 0)) {
+            errors.push(`${path}.radius: 必須是正數`);
+        }
+        return {
+            id: connector.id !== undefined ? String(connector.id) : `${connector.type}-${i}`,
+            type: connector.type,
+            x: connector.x * scale,
+            z: connector.z * scale,
+            radius: connector.radius !== undefined ? connector.radius * scale : 2
+        };
+    }).filter(Boolean);
+}
+
+function validateZoneAction(action, path, errors) {
+    if (!action || typeof action !== 'object') {
+        errors.push(`${path}: 必須是物件`);
+        return null;
+    }
+    if (!ZONE_EVENTS.includes(action.on)) {
+        errors.push(`${path}.on: 必須是 ${ZONE_EVENTS.join(' / ')} 之一`);
+    }
+    if (!ZONE_ACTION_TYPES.includes(action.type)) {
+        errors.push(`${path}.type: 必須是 ${ZONE_ACTION_TYPES.join(' / ')} 之一`);
+    }
+    if (action.message !== undefined && typeof action.message !== 'string') {
+        errors.push(`${path}.message: 必須是字串`);
+    }
+    if (action.pattern !== undefined &&
+        (!Array.isArray(action.pattern) || !action.pattern.every(v => isFiniteNumber(v) && v >= 0))) {
+        errors.push(`${path}.pattern: 必須是毫秒數的陣列`);
+    }
+    if (action.frequency !== undefined && (!isFiniteNumber(action.frequency) || action.frequency <= 0)) {
+        errors.push(`${path}.frequency: 必須是正數 (Hz)`);
+    }
+    if (action.url !== undefined && (typeof action.url !== 'string' || action.url.trim() === '')) {
+        errors.push(`${path}.url: 必須是非空字串`);
+    }
+    const out = { on: action.on, type: action.type };
+    ['message', 'pattern', 'frequency', 'url'].forEach(key => {
+        if (action[key] !== undefined) out[key] = action[key];
+    });
+    return out;
+}
+
+// 提醒區域 → [{ id, name, shape, pointId, x, z, radius, polygon, dwell, actions }] (公尺)
+// points: 同一層 (已正規化) 的訊號點，供 pointId 找圓心
+function validateZones(list, prefix, scale, errors, seenZoneIds, points) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+        errors.push(`${prefix}zones: 必須是陣列`);
+        return [];
+    }
+    return list.map((zone, i) => {
+        const path = `${prefix}zones[${i}]`;
+        if (!zone || typeof zone !== 'object') {
+            errors.push(`${path}: 必須是物件`);
+            return null;
+        }
+        const id = zone.id !== undefined ? String(zone.id) : `zone-${i}`;
+        if (seenZoneIds.has(id)) {
+            errors.push(`${path}.id: 重複的區域 id "${id}"`);
+        }
+        seenZoneIds.add(id);
+        if (zone.name !== undefined && typeof zone.name !== 'string') {
+            errors.push(`${path}.name: 必須是字串`);
+        }
+        if (zone.dwell !== undefined && (!isFiniteNumber(zone.dwell) || zone.dwell <= 0)) {
+            errors.push(`${path}.dwell: 必須是正數 (秒)`);
+        }
+
+        const result = {
+            id,
+            name: typeof zone.name === 'string' && zone.name.trim() !== '' ? zone.name.trim() : id,
+            shape: zone.polygon !== undefined ? 'polygon' : 'circle',
+            pointId: null,
+            x: 0,
+            z: 0,
+            radius: 0,
+            polygon: null,
+            dwell: isFiniteNumber(zone.dwell) ? zone.dwell : null,
+            actions: []
+        };
+
+        if (result.shape === 'polygon') {
+            if (zone.pointId !== undefined || zone.radius !== undefined) {
+                errors.push(`${path}: polygon 不可與 pointId / radius 並用`);
+            }
+            result.polygon = validateVertices(zone.polygon, `${path}.polygon`, 3, scale, errors);
+        } else {
+            if (!isFiniteNumber(zone.radius) || zone.radius <= 0) {
+                errors.push(`${path}.radius: 必須是正數`);
+            }
+            result.radius = (zone.radius || 0) * scale;
+            if (zone.pointId !== undefined) {
+                const point = points.find(p => p && p.id === String(zone.pointId));
+                if (!point) {
+                    errors.push(`${path}.pointId: 這一層沒有訊號點 "${zone.pointId}"`);
+                } else {
+                    Object.assign(result, { pointId: point.id, x: point.x, z: point.z });
+                }
+            } else if (!isFiniteNumber(zone.x) || !isFiniteNumber(zone.z)) {
+                errors.push(`${path}: 圓形區域需要 pointId 或 x / z`);
+            } else {
+                result.x = zone.x * scale;
+                result.z = zone.z * scale;
+            }
+        }
+
+        if (zone.actions !== undefined) {
+            if (!Array.isArray(zone.actions)) {
+                errors.push(`${path}.actions: 必須是陣列`);
+            } else {
+                result.actions = zone.actions
+                    .map((action, j) => validateZoneAction(action, `${path}.actions[${j}]`, errors))
+                    .filter(Boolean);
+            }
+        }
+        return result;
+    }).filter(Boolean);
+}
+
+function validateFloor(floor, index, scale, errors, seenIds, seenFloorIds, seenMarkerIds, seenZoneIds) {
+    const path = `floors[${index}]`;
+    if (!floor || typeof floor !== 'object' || Array.isArray(floor)) {
+        errors.push(`${path}: 必須是物件`);
+        return null;
+    }
+
+    const id = floor.id !== undefined ? String(floor.id) : `${index + 1}F`;
+    if (seenFloorIds.has(id)) {
+        errors.push(`${path}.id: 重複的樓層 id "${id}"`);
+    }
+    seenFloorIds.add(id);
+
+    if (floor.name !== undefined && typeof floor.name !== 'string') {
+        errors.push(`${path}.name: 必須是字串`);
+    }
+    if (!isFiniteNumber(floor.elevation)) {
+        errors.push(`${path}.elevation: 必須是數字 (樓板離地高度)`);
+    }
+
+    // 樓層可以沒有訊號點 (例如只有平面圖的停車場)
+    const points = floor.points === undefined
+        ? []
+        : validatePointList(floor.points, `${path}.`, scale, errors, seenIds, false);
+
+    return {
+        id,
+        name: typeof floor.name === 'string' && floor.name.trim() !== '' ? floor.name.trim() : id,
+        elevation: (floor.elevation || 0) * scale,
+        points: points.filter(Boolean).map(point => ({ ...point, floor: id })),
+        floorPlan: validateFloorPlan(floor.floorPlan, scale, errors, `${path}.`),
+        connectors: validateConnectors(floor.connectors, `${path}.`, scale, errors),
+        markers: validateMarkers(floor.markers, `${path}.`, scale, errors, seenMarkerIds).map(marker => ({ ...marker, floor: id })),
+        zones: validateZones(floor.zones, `${path}.`, scale, errors, seenZoneIds, points).map(zone => ({ ...zone, floor: id }))
+    };
+}
+
+// 驗證場地 JSON，回傳正規化後的場地 (長度單位皆為公尺)
+// 驗證失敗時一次列出所有錯誤，拋出 SiteValidationError
+export function parseSiteDefinition(input, source = null) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new SiteValidationError([`JSON 解析失敗: ${error.message}`], source);
+        }
+    }
+
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new SiteValidationError(['最外層必須是 JSON 物件'], source);
+    }
+    if (data.format !== SITE_FORMAT) {
+        errors.push(`format: 應為 "${SITE_FORMAT}"`);
+    }
+    if (data.version !== SITE_VERSION) {
+        errors.push(`version: 不支援的版本 ${JSON.stringify(data.version)} (目前支援 ${SITE_VERSION})`);
+    }
+
+    const units = data.units === undefined ? 'm' : data.units;
+    if (!(units in UNIT_SCALE)) {
+        errors.push(`units: 不支援的單位 ${JSON.stringify(units)} (可用: ${Object.keys(UNIT_SCALE).join(', ')})`);
+    }
+    const scale = UNIT_SCALE[units] || 1;
+
+    if (data.name !== undefined && typeof data.name !== 'string') {
+        errors.push('name: 必須是字串');
+    }
+
+    const seenIds = new Set(); // 訊號點 id 在所有樓層之間不可重複
+    const seenMarkerIds = new Set();
+    const seenZoneIds = new Set();
+    let floors = [];
+    if (data.floors !== undefined) {
+        if (data.points !== undefined || data.floorPlan !== undefined || data.markers !== undefined || data.zones !== undefined) {
+            errors.push('floors: 使用 floors 時，points、floorPlan、markers 與 zones 必須寫在各樓層內');
+        }
+        if (!Array.isArray(data.floors) || data.floors.length === 0) {
+            errors.push('floors: 必須是至少一個樓層的陣列');
+        } else {
+            const seenFloorIds = new Set();
+            floors = data.floors.map((floor, i) => validateFloor(floor, i, scale, errors, seenIds, seenFloorIds, seenMarkerIds, seenZoneIds));
+            if (floors.every(floor => !floor || floor.points.length === 0)) {
+                errors.push('floors: 至少需要一個訊號點');
+            }
+        }
+    } else {
+        // 單一樓層的舊格式
+        const points = validatePointList(data.points, '', scale, errors, seenIds, true);
+        floors = [{
+            id: DEFAULT_FLOOR_ID,
+            name: DEFAULT_FLOOR_ID,
+            elevation: 0,
+            points: points.map(point => ({ ...point, floor: DEFAULT_FLOOR_ID })),
+            floorPlan: validateFloorPlan(data.floorPlan, scale, errors),
+            connectors: [],
+            markers: validateMarkers(data.markers, '', scale, errors, seenMarkerIds).map(marker => ({ ...marker, floor: DEFAULT_FLOOR_ID })),
+            zones: validateZones(data.zones, '', scale, errors, seenZoneIds, points).map(zone => ({ ...zone, floor: DEFAULT_FLOOR_ID }))
+        }];
+    }
+
+    const geoAnchor = validateGeoAnchor(data.geoAnchor, errors);
+
+    if (errors.length > 0) {
+        throw new SiteValidationError(errors, source);
+    }
+
+    return {
+        name: data.name || '未命名場地',
+        units,
+        floors: floors.sort((a, b) => a.elevation - b.elevation),
+        geoAnchor
+    };
+}
+
+// 場地內所有樓層的訊號點
+export function getAllSitePoints(site) {
+    return site.floors.flatMap(floor => floor.points);
+}
+
+// 正規化後的場地 → 場地 JSON (公尺、多樓層格式)，可再以 parseSiteDefinition 讀回
+export function siteToDefinition(site) {
+    const vertices = (list) => list.map(v => [v.x, v.z]);
+    const definition = {
+        format: SITE_FORMAT,
+        version: SITE_VERSION,
+        name: site.name,
+        units: 'm',
+        floors: site.floors.map(floor => {
+            const out = {
+                id: floor.id,
+                name: floor.name,
+                elevation: floor.elevation,
+                points: floor.points.map(p => {
+                    const point = { id: p.id, name: p.name, x: p.x, z: p.z, height: p.y, power: p.power };
+                    if (p.description) point.description = p.description;
+                    if (p.txPower !== undefined) point.txPower = p.txPower;
+                    if (p.beaconId !== undefined) point.beaconId = p.beaconId;
+                    if (p.category) point.category = p.category;
+                    if (p.icon) point.icon = p.icon;
+                    return point;
+                })
+            };
+            if (floor.floorPlan) {
+                out.floorPlan = {
+                    walkable: floor.floorPlan.walkable.map(vertices),
+                    walls: floor.floorPlan.walls.map(vertices)
+                };
+            }
+            if (floor.connectors.length > 0) {
+                out.connectors = floor.connectors.map(({ id, type, x, z, radius }) => ({ id, type, x, z, radius }));
+            }
+            if (floor.markers.length > 0) {
+                out.markers = floor.markers.map(({ id, x, y, z, yaw, size }) =>
+                    ({ id, x, z, height: y, facing: yaw * 180 / Math.PI, size }));
+            }
+            if (floor.zones.length > 0) {
+                out.zones = floor.zones.map(zone => {
+                    const entry = { id: zone.id, name: zone.name };
+                    if (zone.shape === 'polygon') {
+                        entry.polygon = vertices(zone.polygon);
+                    } else if (zone.pointId !== null) {
+                        Object.assign(entry, { pointId: zone.pointId, radius: zone.radius });
+                    } else {
+                        Object.assign(entry, { x: zone.x, z: zone.z, radius: zone.radius });
+                    }
+                    if (zone.dwell !== null) entry.dwell = zone.dwell;
+                    if (zone.actions.length > 0) entry.actions = zone.actions.map(action => ({ ...action }));
+                    return entry;
+                });
+            }
+            return out;
+        })
+    };
+    if (site.geoAnchor) definition.geoAnchor = { ...site.geoAnchor };
+    return definition;
+}
+
+export const DEFAULT_SITE = parseSiteDefinition(DEFAULT_SITE_DEFINITION, 'default');
+
+// ═══════════════════════════════════════════════════════════════
+// 載入來源: URL / 檔案
+// ═══════════════════════════════════════════════════════════════
+export async function loadSiteFromUrl(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`無法下載場地檔 ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`無法下載場地檔 ${url}: HTTP ${response.status}`);
+    }
+    return parseSiteDefinition(await response.text(), url);
+}
+
+export async function loadSiteFromFile(file) {
+    return parseSiteDefinition(await file.text(), file.name);
+}
+
+// 從網址查詢參數取得場地檔位置，例如 index.html?site=sites/example.json
+export function getSiteUrlFromQuery(search = window.location.search) {
+    return new URLSearchParams(search).get('site');
+}
@@ -0,0 +1,294 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║         場地勘測 - Site Survey & Fingerprint Database            ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 勘測模式: 在目前追蹤到的位置取樣訊號 (手動或每 N 步自動)，
+// 累積成指紋資料庫，可匯出成 JSON / CSV，也可再匯入成訊號點。
+//
+// 訊號讀數來源介面 (duck typing):
+//   source.name                      // 顯示用名稱
+//   await source.read(position)      // 回傳 { power?: 0-100, rssi?: { pointId: dBm } }
+//
+// 勘測檔格式:
+// {
+//   "format": "indoor-ar-survey",
+//   "version": 1,
+//   "site": "示範場地",
+//   "createdAt": "...",
+//   "samples": [
+//     { "id": "S1", "timestamp": 1700000000000, "floor": "1F", "x": 1.2, "z": -3.4, "heading": 87.5, "step": 12,
+//       "source": "rssi", "power": 62, "rssi": { "A": -61.5, "B": -70.2 } }
+//   ]
+// }
+// floor 為取樣時所在的樓層 id (舊的勘測檔沒有此欄位，匯入時放到目前樓層)。
+
+import { SITE_FORMAT, SITE_VERSION, parseSiteDefinition } from "./site.js";
+import { idwInterpolate } from "./signal_heatmap.js";
+
+export const SURVEY_FORMAT = 'indoor-ar-survey';
+export const SURVEY_VERSION = 1;
+
+// RSSI (dBm) → 0-100 的訊號強度 (-100 dBm = 0, -40 dBm = 100)
+export function rssiToPower(rssi) {
+    return Math.round(Math.max(0, Math.min(100, (rssi + 100) * 100 / 60)));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 訊號讀數來源
+// ═══════════════════════════════════════════════════════════════
+
+// 取目前 RSSI 定位器中的最新信標讀數作為指紋
+export class RssiSnapshotSource {
+    constructor(rssiPositioner) {
+        this.name = 'rssi';
+        this.positioner = rssiPositioner;
+    }
+
+    async read() {
+        const anchors = this.positioner.getAnchors();
+        if (anchors.length === 0) {
+            throw new Error('沒有有效的 RSSI 讀數，請先開啟 RSSI 定位來源');
+        }
+        const rssi = {};
+        anchors.forEach(a => { rssi[a.pointId] = Math.round(a.rssi * 10) / 10; });
+        return { power: rssiToPower(Math.max(...anchors.map(a => a.rssi))), rssi };
+    }
+}
+
+// 瀏覽器回報的網路品質 (Network Information API，下行頻寬)
+export class NetworkInformationSource {
+    constructor() {
+        this.name = 'network';
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.connection;
+    }
+
+    async read() {
+        const connection = navigator.connection;
+        if (!connection) {
+            throw new Error('此瀏覽器不支援 Network Information API');
+        }
+        // downlink 單位為 Mbps，10 Mbps 以上視為滿格
+        return {
+            power: Math.round(Math.min(100, (connection.downlink || 0) * 10)),
+            downlink: connection.downlink,
+            rtt: connection.rtt,
+            effectiveType: connection.effectiveType
+        };
+    }
+}
+
+// 手動輸入 (例如讀外接訊號測試儀)
+export class ManualSignalSource {
+    constructor(ask = (message) => window.prompt(message)) {
+        this.name = 'manual';
+        this.ask = ask;
+    }
+
+    async read() {
+        const answer = this.ask('輸入訊號強度 (0-100):');
+        if (answer === null) {
+            throw new Error('已取消取樣');
+        }
+        const power = parseFloat(answer);
+        if (!Number.isFinite(power) || power < 0 || power > 100) {
+            throw new Error(`訊號強度必須是 0-100 的數字 (收到 "${answer}")`);
+        }
+        return { power };
+    }
+}
+
+// 以現有訊號點內插 + 雜訊模擬讀數 (桌機測試用)
+export class SimulatedSignalSource {
+    constructor(getPoints, options = {}) {
+        this.name = 'simulated';
+        this.getPoints = getPoints;
+        this.noise = options.noise ?? 5;
+        this.random = options.random ?? Math.random;
+    }
+
+    async read(position) {
+        const base = idwInterpolate(this.getPoints(), position.x, position.z);
+        const noise = (this.random() - 0.5) * 2 * this.noise;
+        return { power: Math.round(Math.max(0, Math.min(100, base + noise))) };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 勘測工作階段
+// ═══════════════════════════════════════════════════════════════
+export class SurveySession {
+    constructor() {
+        this.samples = [];
+        this.autoEverySteps = 0; // 0 = 關閉自動取樣
+        this.lastAutoStep = 0;
+        this.nextId = 1;
+    }
+
+    // position: {x, z}, heading: 度, floor: 樓層 id, reading: 來源回傳的讀數
+    addSample({ position, heading, step, source, reading, floor = null, timestamp = Date.now() }) {
+        const sample = {
+            id: `S${this.nextId++}`,
+            timestamp,
+            floor,
+            x: Math.round(position.x * 100) / 100,
+            z: Math.round(position.z * 100) / 100,
+            heading: Math.round(heading * 10) / 10,
+            step,
+            source,
+            power: reading.power ?? null,
+            rssi: reading.rssi ?? null,
+            extra: Object.fromEntries(Object.entries(reading).filter(([key]) => key !== 'power' && key !== 'rssi'))
+        };
+        this.samples.push(sample);
+        return sample;
+    }
+
+    // 每步呼叫一次，回傳這一步是否該自動取樣
+    shouldAutoSample(stepCount) {
+        if (this.autoEverySteps <= 0) return false;
+        if (stepCount - this.lastAutoStep >= this.autoEverySteps) {
+            this.lastAutoStep = stepCount;
+            return true;
+        }
+        return false;
+    }
+
+    setAutoSample(everySteps, currentStep = 0) {
+        this.autoEverySteps = Math.max(0, Math.floor(everySteps));
+        this.lastAutoStep = currentStep;
+    }
+
+    clear() {
+        this.samples = [];
+        this.nextId = 1;
+    }
+
+    toJSON(siteName = null) {
+        return {
+            format: SURVEY_FORMAT,
+            version: SURVEY_VERSION,
+            site: siteName,
+            createdAt: new Date().toISOString(),
+            samples: this.samples
+        };
+    }
+
+    toCSV() {
+        const beaconIds = [...new Set(this.samples.flatMap(s => Object.keys(s.rssi || {})))].sort();
+        const header = ['id', 'timestamp', 'floor', 'x', 'z', 'heading', 'step', 'source', 'power', ...beaconIds.map(id => `rssi_${id}`)];
+        const rows = this.samples.map(s => [
+            s.id, s.timestamp, s.floor ?? '', s.x, s.z, s.heading, s.step, s.source, s.power ?? '',
+            ...beaconIds.map(id => s.rssi?.[id] ?? '')
+        ]);
+        return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+    }
+}
+
+function csvEscape(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 匯入: 勘測 JSON / CSV → 訊號點
+// ═══════════════════════════════════════════════════════════════
+function parseCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                current += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            cells.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    cells.push(current);
+    return cells;
+}
+
+export function parseSurveyCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+        throw new Error('CSV 沒有資料列');
+    }
+    const header = parseCsvLine(lines[0]);
+    ['x', 'z'].forEach(column => {
+        if (!header.includes(column)) {
+            throw new Error(`CSV 缺少欄位 "${column}"`);
+        }
+    });
+
+    return lines.slice(1).map((line, i) => {
+        const cells = parseCsvLine(line);
+        const row = Object.fromEntries(header.map((key, j) => [key, cells[j] ?? '']));
+        const rssi = {};
+        header.filter(key => key.startsWith('rssi_')).forEach(key => {
+            if (row[key] !== '') rssi[key.slice(5)] = parseFloat(row[key]);
+        });
+        return {
+            id: row.id || `S${i + 1}`,
+            timestamp: row.timestamp ? Number(row.timestamp) : null,
+            floor: row.floor || null,
+            x: parseFloat(row.x),
+            z: parseFloat(row.z),
+            heading: row.heading !== '' && row.heading !== undefined ? parseFloat(row.heading) : null,
+            step: row.step ? Number(row.step) : null,
+            source: row.source || null,
+            power: row.power !== '' && row.power !== undefined ? parseFloat(row.power) : null,
+            rssi: Object.keys(rssi).length > 0 ? rssi : null
+        };
+    });
+}
+
+export function parseSurveyJson(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!data || data.format !== SURVEY_FORMAT) {
+        throw new Error(`勘測檔格式錯誤: format 應為 "${SURVEY_FORMAT}"`);
+    }
+    if (data.version !== SURVEY_VERSION) {
+        throw new Error(`不支援的勘測檔版本: ${data.version}`);
+    }
+    if (!Array.isArray(data.samples)) {
+        throw new Error('勘測檔格式錯誤: 缺少 samples 陣列');
+    }
+    return data.samples;
+}
+
+// 勘測樣本 → 訊號點 (經過場地格式驗證)，idPrefix 用來避免與既有訊號點 id 衝突
+// 每個訊號點的 floor 為樣本的樓層，沒有樓層的樣本使用 defaultFloor
+export function samplesToSignalPoints(samples, idPrefix = 'survey-', defaultFloor = null) {
+    const definition = {
+        format: SITE_FORMAT,
+        version: SITE_VERSION,
+        units: 'm',
+        points: samples.map(s => ({
+            id: `${idPrefix}${s.id}`,
+            name: `勘測 ${s.id}`,
+            x: s.x,
+            z: s.z,
+            height: 0,
+            power: s.power ?? (s.rssi ? rssiToPower(Math.max(...Object.values(s.rssi))) : NaN),
+            description: s.timestamp ? new Date(s.timestamp).toLocaleString() : undefined
+        }))
+    };
+    const floors = new Map(samples.map(s => [`${idPrefix}${s.id}`, s.floor ?? defaultFloor]));
+    return parseSiteDefinition(definition, '勘測資料').floors[0].points
+        .map(point => ({ ...point, floor: floors.get(point.id) ?? point.floor }));
+}
@@ -0,0 +1,623 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║        步數偵測演算法 - Pluggable Step Detection Algorithms      ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 所有演算法共用同一個介面 (StepDetector)，不依賴 DOM / Three.js，可直接在 Node 執行:
+//   update(acceleration, deltaTime) → 這個樣本是否完成一步
+//   reset() / setEnabled(enabled) / setFilter(enabled, alpha) / setSensitivity('low'|'medium'|'high')
+//   discardSteps(count) — 撤銷被活動分類否決的步伐
+//   getStats()
+//   setParameters(params) / getParameters() — 演算法參數 (欄位見各類別的 PARAMETER_KEYS，驗證見 detector_config.js)
+//   getThreshold() — 目前判定步伐用的加速度閾值 (m/s²，沒有單一閾值的演算法回傳 null)
+//   latestRaw / latestMagnitude — 最近一個樣本的原始 / 濾波後加速度 (供診斷面板繪圖)
+//   stepCount, lastStep = { peak, valley, interval, time } (供步長估計使用)
+//
+// 演算法:
+// - peak            : EMA 濾波 + 動態閾值峰值檢測 + 500ms 不反應期 (原本的做法)
+// - autocorrelation : 以自相關確認週期性 (正在走路) 並取得步伐週期，再以過零點計步
+// - frequency       : 以 DFT 找出 1–3 Hz 的主要步頻，依步頻累積相位計步
+//
+// 時間一律使用累計的 deltaTime (ms)，重播軌跡時才能重現。
+
+// ═══════════════════════════════════════════════════════════════
+// 共用介面 & 基底類別
+// ═══════════════════════════════════════════════════════════════
+export class StepDetector {
+    static PARAMETER_KEYS = [];
+
+    constructor() {
+        this.type = 'base';
+
+        // === 低通濾波器 (指數移動平均 EMA) ===
+        this.useFilter = true; // 是否啟用濾波器
+        this.filterAlpha = 0.5; // 平滑係數 (0-1, 越小越平滑)
+        this.sensitivity = 'medium';
+        this.enabled = true;
+
+        this.resetCommon();
+    }
+
+    resetCommon() {
+        this.stepCount = 0;
+        this.elapsedTime = 0;
+        this.lastStepTime = -Infinity;
+        this.filteredMagnitude = 9.8; // 濾波後的加速度 (初始為重力)
+        this.rawMagnitudeHistory = []; // 保留原始數據用於比較
+        this.totalSamples = 0;
+        this.latestRaw = null;
+        this.latestMagnitude = null;
+
+        // 每一步的峰值 / 谷值 (供步長估計使用)
+        this.stepPeak = -Infinity;
+        this.stepValley = Infinity;
+        this.lastStep = null; // { peak, valley, interval, time }
+    }
+
+    update(acceleration, deltaTime) {
+        if (!this.enabled) return false;
+
+        const dt = deltaTime || 0;
+        this.elapsedTime += dt;
+
+        // 計算原始加速度向量大小
+        const rawMagnitude = Math.sqrt(
+            acceleration.x ** 2 +
+            acceleration.y ** 2 +
+            acceleration.z ** 2
+        );
+
+        let magnitude;
+        if (this.useFilter) {
+            // EMA 公式: filtered = α × raw + (1-α) × previous_filtered
+            this.filteredMagnitude = this.filterAlpha * rawMagnitude +
+                                     (1 - this.filterAlpha) * this.filteredMagnitude;
+            magnitude = this.filteredMagnitude;
+
+            // 保留原始數據用於除錯
+            this.rawMagnitudeHistory.push(rawMagnitude);
+            if (this.rawMagnitudeHistory.length > 5) {
+                this.rawMagnitudeHistory.shift();
+            }
+        } else {
+            magnitude = rawMagnitude;
+        }
+
+        this.totalSamples++;
+        this.latestRaw = rawMagnitude;
+        this.latestMagnitude = magnitude;
+        this.stepPeak = Math.max(this.stepPeak, magnitude);
+        this.stepValley = Math.min(this.stepValley, magnitude);
+
+        return this.detect(magnitude, rawMagnitude, dt);
+    }
+
+    // 子類別實作: 判斷這個樣本是否完成一步 (是的話先呼叫 registerStep)
+    detect(magnitude, rawMagnitude, deltaTime) {
+        throw new Error(`${this.constructor.name} 未實作 detect()`);
+    }
+
+    // 記錄一步並開始累計下一步的峰谷值
+    registerStep(magnitude) {
+        const interval = this.elapsedTime - this.lastStepTime;
+        this.stepCount++;
+        this.lastStep = {
+            peak: this.stepPeak,
+            valley: this.stepValley,
+            interval,
+            time: this.elapsedTime
+        };
+        this.stepPeak = magnitude;
+        this.stepValley = magnitude;
+        this.lastStepTime = this.elapsedTime;
+        return interval;
+    }
+
+    // 撤銷已計入的步伐 (例如活動分類判定為搖晃手機時)
+    discardSteps(count = 1) {
+        this.stepCount = Math.max(0, this.stepCount - count);
+    }
+
+    // 子類別重設自己的狀態
+    resetDetector() {}
+
+    reset() {
+        this.resetCommon();
+        this.resetDetector();
+        console.log("🔄 步數偵測器已重設");
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        console.log(`🎯 步數偵測: ${enabled ? '啟用' : '停用'}`);
+    }
+
+    // 啟用/停用濾波器
+    setFilter(enabled, alpha = 0.5) {
+        this.useFilter = enabled;
+        this.filterAlpha = Math.max(0.1, Math.min(1.0, alpha)); // 限制在 0.1-1.0
+        console.log(`🔧 濾波器: ${enabled ? '啟用' : '停用'}, α=${this.filterAlpha}`);
+        if (enabled) {
+            console.log(`   提示: α 越小越平滑 (建議範圍 0.2-0.5)`);
+        }
+    }
+
+    // 調整靈敏度 level: 'low' | 'medium' | 'high'
+    setSensitivity(level) {
+        this.sensitivity = level in SENSITIVITY_LEVELS ? level : 'medium';
+        this.applySensitivity(SENSITIVITY_LEVELS[this.sensitivity]);
+    }
+
+    // 子類別依靈敏度調整參數 (multiplier: 低 1.0 / 中 1.5 / 高 2.0)
+    applySensitivity(multiplier) {}
+
+    // 只套用這個演算法認得的參數，之後重新套用靈敏度 (閾值由參數與靈敏度共同決定)
+    setParameters(params) {
+        this.constructor.PARAMETER_KEYS.forEach(key => {
+            if (params[key] !== undefined) this[key] = params[key];
+        });
+        this.applySensitivity(SENSITIVITY_LEVELS[this.sensitivity]);
+    }
+
+    getParameters() {
+        return Object.fromEntries(this.constructor.PARAMETER_KEYS.map(key => [key, this[key]]));
+    }
+
+    getThreshold() {
+        return null;
+    }
+
+    getStats() {
+        return {
+            type: this.type,
+            stepCount: this.stepCount,
+            filteredMagnitude: this.filteredMagnitude.toFixed(2),
+            samples: this.totalSamples,
+            filterEnabled: this.useFilter,
+            filterAlpha: this.filterAlpha
+        };
+    }
+}
+
+const SENSITIVITY_LEVELS = {
+    low: 1.0,
+    medium: 1.5,
+    high: 2.0
+};
+
+// 以累計時間保留最近一段的樣本 [{ t, m }]
+function pushWindow(buffer, t, magnitude, windowDuration) {
+    buffer.push({ t, m: magnitude });
+    while (buffer.length > 0 && t - buffer[0].t > windowDuration) {
+        buffer.shift();
+    }
+}
+
+function meanAndStdDev(buffer) {
+    const mean = buffer.reduce((sum, s) => sum + s.m, 0) / buffer.length;
+    const variance = buffer.reduce((sum, s) => sum + (s.m - mean) ** 2, 0) / buffer.length;
+    return { mean, stdDev: Math.sqrt(variance) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 峰值檢測 (進階版 - 峰值檢測 + 濾波器)
+// ═══════════════════════════════════════════════════════════════
+export class PeakStepDetector extends StepDetector {
+    static PARAMETER_KEYS = [
+        'historySize', 'minSamples', 'thresholdBase', 'stdDevMultiplier', 'thresholdUpdateInterval',
+        'minPeakInterval', 'deltaThreshold', 'falsePositiveFilter', 'prominenceMultiplier'
+    ];
+
+    constructor() {
+        super();
+        this.type = 'peak';
+
+        // 歷史數據緩衝區 (用於峰值檢測)
+        this.historySize = 10; // 保留最近 10 個樣本
+        this.minSamples = 5;   // 累積幾個樣本後才開始檢測
+
+        // 動態閾值參數
+        this.baseThreshold = 10.5;         // 基礎閾值 (= thresholdBase / 靈敏度倍率)
+        this.thresholdBase = 11;           // 靈敏度倍率為 1 時的基礎閾值
+        this.stdDevMultiplier = 1;         // 動態閾值 = 平均值 + stdDevMultiplier × 標準差
+        this.thresholdUpdateInterval = 10; // 每幾個樣本更新一次動態閾值
+
+        // 峰值檢測參數
+        this.minPeakInterval = 500; // 最小峰值間隔 (ms) - 防止過快偵測
+        this.deltaThreshold = 0.25; // 峰值前的變化率至少要多大 (避免平緩波動)
+
+        this.falsePositiveFilter = false; // 峰值突出度過濾 (預設關閉)
+        this.prominenceMultiplier = 1.5;  // 峰值突出度必須 > 標準差 × prominenceMultiplier
+
+        this.resetDetector();
+
+        console.log("🎯 進階步數偵測器已啟動 (含低通濾波器)");
+        console.log(`   濾波器: ${this.useFilter ? '啟用' : '停用'}, α=${this.filterAlpha}`);
+        console.log(`   基礎閾值: ${this.baseThreshold}, 最短峰值間隔: ${this.minPeakInterval}ms`);
+    }
+
+    resetDetector() {
+        this.magnitudeHistory = [];
+        this.dynamicThreshold = this.baseThreshold; // 動態調整的閾值
+        this.avgMagnitude = 9.8; // 移動平均值 (初始為重力加速度)
+        this.magnitudeStdDev = 1.0; // 標準差
+
+        // 步態分析
+        this.lastMagnitude = 0;
+        this.lastDelta = 0; // 上一次的變化率
+    }
+
+    detect(magnitude, rawMagnitude) {
+        // 更新歷史緩衝區 (使用濾波後的數據)
+        this.magnitudeHistory.push(magnitude);
+        while (this.magnitudeHistory.length > this.historySize) {
+            this.magnitudeHistory.shift();
+        }
+
+        // 需要至少 minSamples 個樣本才開始檢測
+        if (this.magnitudeHistory.length < this.minSamples) {
+            this.lastMagnitude = magnitude;
+            return false;
+        }
+
+        // === 1. 計算移動平均和標準差 (動態閾值) ===
+        if (this.totalSamples % this.thresholdUpdateInterval === 0) {
+            this.avgMagnitude = this.magnitudeHistory.reduce((a, b) => a + b, 0) / this.magnitudeHistory.length;
+
+            const variance = this.magnitudeHistory.reduce((sum, val) => {
+                return sum + Math.pow(val - this.avgMagnitude, 2);
+            }, 0) / this.magnitudeHistory.length;
+
+            this.magnitudeStdDev = Math.sqrt(variance);
+
+            // 動態調整閾值 = 平均值 + stdDevMultiplier * 標準差
+            this.dynamicThreshold = Math.max(
+                this.baseThreshold,
+                this.avgMagnitude + this.stdDevMultiplier * this.magnitudeStdDev
+            );
+        }
+
+        // === 2. 計算加速度變化率 (一階導數) ===
+        const delta = magnitude - this.lastMagnitude;
+
+        // === 3. 峰值檢測 ===
+        // 條件：
+        // - 當前加速度超過動態閾值
+        // - 變化率從正變負 (峰值頂點)
+        // - 變化率的變化足夠大 (避免平緩波動)
+        const isPeak = magnitude > this.dynamicThreshold &&
+                       this.lastDelta > 0 &&
+                       delta < 0 &&
+                       Math.abs(this.lastDelta) > this.deltaThreshold; // 變化率閾值
+
+        const timeSinceLastPeak = this.elapsedTime - this.lastStepTime;
+
+        // === 4. 時間窗口驗證 ===
+        if (isPeak && timeSinceLastPeak > this.minPeakInterval) {
+
+            // === 5. 假陽性過濾 ===
+            let isValidStep = true;
+
+            if (this.falsePositiveFilter) {
+                // 檢查峰值是否顯著高於最近的最小值
+                const recentMin = Math.min(...this.magnitudeHistory);
+                const peakProminence = magnitude - recentMin;
+
+                // 峰值突出度必須 > 標準差 * prominenceMultiplier
+                if (peakProminence < this.magnitudeStdDev * this.prominenceMultiplier) {
+                    isValidStep = false;
+                }
+            }
+
+            if (isValidStep) {
+                this.registerStep(magnitude);
+                this.lastMagnitude = magnitude;
+                this.lastDelta = delta;
+
+                // 詳細日誌
+                console.log(`🚶 偵測到步伐 #${this.stepCount}`);
+                if (this.useFilter) {
+                    console.log(`   原始: ${rawMagnitude.toFixed(2)}, 濾波: ${magnitude.toFixed(2)} (閾值: ${this.dynamicThreshold.toFixed(2)})`);
+                } else {
+                    console.log(`   加速度: ${magnitude.toFixed(2)} (閾值: ${this.dynamicThreshold.toFixed(2)})`);
+                }
+                console.log(`   峰值突出度: ${(magnitude - Math.min(...this.magnitudeHistory)).toFixed(2)}`);
+                console.log(`   間隔時間: ${timeSinceLastPeak.toFixed(0)}ms`);
+
+                return true; // 偵測到有效的一步
+            }
+        }
+
+        // 更新狀態
+        this.lastMagnitude = magnitude;
+        this.lastDelta = delta;
+
+        return false;
+    }
+
+    applySensitivity(multiplier) {
+        this.baseThreshold = this.thresholdBase / multiplier;
+        console.log(`🎚️ 靈敏度設為 ${this.sensitivity}, 基礎閾值: ${this.baseThreshold.toFixed(2)}`);
+    }
+
+    getThreshold() {
+        return this.dynamicThreshold;
+    }
+
+    // 獲取統計資訊
+    getStats() {
+        return {
+            ...super.getStats(),
+            avgMagnitude: this.avgMagnitude.toFixed(2),
+            dynamicThreshold: this.dynamicThreshold.toFixed(2),
+            stdDev: this.magnitudeStdDev.toFixed(2)
+        };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 自相關 + 過零點
+// ═══════════════════════════════════════════════════════════════
+// 每 evaluateInterval 以最近 windowDuration 的樣本計算正規化自相關，
+// 在 minPeriod–maxPeriod 的延遲中找最大值: 夠大 (週期性明顯) 且振幅夠大才視為正在走路。
+// 走路時，訊號由下往上穿過平均值 (含遲滯) 且距上一步超過 0.6 個週期即計為一步。
+// 注意: 需要先累積約一個視窗的樣本才會確認走路，起步的前一兩步不會計入。
+export class AutocorrelationStepDetector extends StepDetector {
+    static PARAMETER_KEYS = [
+        'windowDuration', 'evaluateInterval', 'minPeriod', 'maxPeriod',
+        'correlationThreshold', 'amplitudeBase', 'hysteresis', 'stepPeriodFraction'
+    ];
+
+    constructor() {
+        super();
+        this.type = 'autocorrelation';
+
+        this.windowDuration = 2000;       // 自相關視窗 (ms)
+        this.evaluateInterval = 250;      // 多久重新計算一次 (ms)
+        this.minPeriod = 300;             // 單步週期下限 (ms)
+        this.maxPeriod = 1000;            // 單步週期上限 (ms)
+        this.correlationThreshold = 0.5;  // 自相關門檻
+        this.minStdDev = 0.4;             // 振幅門檻 (m/s²) = amplitudeBase / 靈敏度倍率
+        this.amplitudeBase = 0.6;         // 靈敏度倍率為 1 時的振幅門檻
+        this.hysteresis = 0.25;           // 過零點遲滯 (標準差的倍數)
+        this.stepPeriodFraction = 0.6;    // 距上一步至少幾個週期才計下一步
+
+        this.resetDetector();
+        console.log("🎯 自相關步數偵測器已啟動");
+    }
+
+    resetDetector() {
+        this.buffer = [];
+        this.sinceEvaluate = 0;
+        this.walking = false;
+        this.period = null;
+        this.correlation = 0;
+        this.mean = 9.8;
+        this.stdDev = 0;
+        this.sign = -1;
+    }
+
+    detect(magnitude, rawMagnitude, deltaTime) {
+        pushWindow(this.buffer, this.elapsedTime, magnitude, this.windowDuration);
+
+        this.sinceEvaluate += deltaTime;
+        if (this.sinceEvaluate >= this.evaluateInterval) {
+            this.sinceEvaluate = 0;
+            this.evaluate();
+        }
+
+        // 含遲滯的過零點 (由下往上)
+        const band = this.hysteresis * this.stdDev;
+        let crossedUp = false;
+        if (this.sign < 0 && magnitude > this.mean + band) {
+            this.sign = 1;
+            crossedUp = true;
+        } else if (this.sign > 0 && magnitude < this.mean - band) {
+            this.sign = -1;
+        }
+
+        if (crossedUp && this.walking && this.elapsedTime - this.lastStepTime >= this.stepPeriodFraction * this.period) {
+            const interval = this.registerStep(magnitude);
+            console.log(`🚶 偵測到步伐 #${this.stepCount} (週期 ${this.period.toFixed(0)}ms, 自相關 ${this.correlation.toFixed(2)}, 間隔 ${interval.toFixed(0)}ms)`);
+            return true;
+        }
+        return false;
+    }
+
+    evaluate() {
+        const n = this.buffer.length;
+        if (n < 20) {
+            this.walking = false;
+            return;
+        }
+
+        const { mean, stdDev } = meanAndStdDev(this.buffer);
+        this.mean = mean;
+        this.stdDev = stdDev;
+        if (stdDev < this.minStdDev) {
+            this.walking = false;
+            return;
+        }
+
+        // 以平均取樣間隔把週期換算成延遲樣本數
+        const sampleInterval = (this.buffer[n - 1].t - this.buffer[0].t) / (n - 1);
+        if (!(sampleInterval > 0)) return;
+        const minLag = Math.max(1, Math.round(this.minPeriod / sampleInterval));
+        const maxLag = Math.min(Math.round(this.maxPeriod / sampleInterval), Math.floor(n / 2));
+
+        const variance = stdDev * stdDev;
+        let bestLag = 0;
+        let best = -Infinity;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < n; i++) {
+                sum += (this.buffer[i].m - mean) * (this.buffer[i + lag].m - mean);
+            }
+            const correlation = sum / ((n - lag) * variance);
+            if (correlation > best) {
+                best = correlation;
+                bestLag = lag;
+            }
+        }
+
+        this.correlation = Math.max(0, best);
+        this.walking = best >= this.correlationThreshold;
+        this.period = bestLag * sampleInterval;
+    }
+
+    applySensitivity(multiplier) {
+        this.minStdDev = this.amplitudeBase / multiplier;
+        console.log(`🎚️ 靈敏度設為 ${this.sensitivity}, 振幅門檻: ${this.minStdDev.toFixed(2)} m/s²`);
+    }
+
+    // 由下往上穿過這條線 (平均值 + 遲滯) 才計為一步
+    getThreshold() {
+        return this.mean + this.hysteresis * this.stdDev;
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            walking: this.walking,
+            period: this.period === null ? null : Math.round(this.period),
+            correlation: this.correlation.toFixed(2),
+            stdDev: this.stdDev.toFixed(2)
+        };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 頻域步頻
+// ═══════════════════════════════════════════════════════════════
+// 每 evaluateInterval 對最近 windowDuration 的樣本做離散傅立葉轉換 (依實際時間戳，取樣不均也可用)，
+// 在 minFrequency–maxFrequency 間找出能量最大的頻率。該頻率的能量明顯高於頻帶平均且振幅夠大時
+// 視為正在走路，步頻即為該頻率；走路時依步頻累積相位，每滿一個週期計一步。
+// 步伐時間點是由步頻推算的，單步時間不如峰值檢測準確，但對雜訊與單一尖峰較不敏感。
+export class FrequencyStepDetector extends StepDetector {
+    static PARAMETER_KEYS = [
+        'windowDuration', 'evaluateInterval', 'minFrequency', 'maxFrequency',
+        'frequencyResolution', 'dominanceThreshold', 'amplitudeBase'
+    ];
+
+    constructor() {
+        super();
+        this.type = 'frequency';
+
+        this.windowDuration = 4000;    // 分析視窗 (ms)
+        this.evaluateInterval = 500;   // 多久重新計算一次 (ms)
+        this.minFrequency = 1.0;       // 步頻下限 (Hz)
+        this.maxFrequency = 3.0;       // 步頻上限 (Hz)
+        this.frequencyResolution = 0.05;
+        this.dominanceThreshold = 4;   // 主頻能量需為頻帶平均的幾倍
+        this.minStdDev = 0.4;          // 振幅門檻 (m/s²) = amplitudeBase / 靈敏度倍率
+        this.amplitudeBase = 0.6;      // 靈敏度倍率為 1 時的振幅門檻
+
+        this.resetDetector();
+        console.log("🎯 頻域步數偵測器已啟動");
+    }
+
+    resetDetector() {
+        this.buffer = [];
+        this.sinceEvaluate = 0;
+        this.walking = false;
+        this.cadence = 0;     // 步頻 (Hz)
+        this.dominance = 0;
+        this.stdDev = 0;
+        this.phase = 0;       // 目前這一步已經過的比例
+    }
+
+    detect(magnitude, rawMagnitude, deltaTime) {
+        pushWindow(this.buffer, this.elapsedTime, magnitude, this.windowDuration);
+
+        this.sinceEvaluate += deltaTime;
+        if (this.sinceEvaluate >= this.evaluateInterval) {
+            this.sinceEvaluate = 0;
+            const wasWalking = this.walking;
+            this.evaluate();
+            if (this.walking && !wasWalking) this.phase = 0;
+        }
+
+        if (!this.walking) return false;
+
+        this.phase += this.cadence * deltaTime / 1000;
+        if (this.phase >= 1) {
+            this.phase -= 1;
+            const interval = this.registerStep(magnitude);
+            console.log(`🚶 偵測到步伐 #${this.stepCount} (步頻 ${this.cadence.toFixed(2)} Hz, 間隔 ${interval.toFixed(0)}ms)`);
+            return true;
+        }
+        return false;
+    }
+
+    evaluate() {
+        const n = this.buffer.length;
+        // 視窗至少要涵蓋兩個最慢的步伐週期
+        if (n < 20 || this.buffer[n - 1].t - this.buffer[0].t < 2000 / this.minFrequency) {
+            this.walking = false;
+            return;
+        }
+
+        const { mean, stdDev } = meanAndStdDev(this.buffer);
+        this.stdDev = stdDev;
+        if (stdDev < this.minStdDev) {
+            this.walking = false;
+            return;
+        }
+
+        let bestFrequency = 0;
+        let bestPower = 0;
+        let totalPower = 0;
+        let bins = 0;
+        for (let f = this.minFrequency; f <= this.maxFrequency + 1e-9; f += this.frequencyResolution) {
+            let re = 0;
+            let im = 0;
+            for (const s of this.buffer) {
+                const angle = 2 * Math.PI * f * s.t / 1000;
+                re += (s.m - mean) * Math.cos(angle);
+                im -= (s.m - mean) * Math.sin(angle);
+            }
+            const power = re * re + im * im;
+            totalPower += power;
+            bins++;
+            if (power > bestPower) {
+                bestPower = power;
+                bestFrequency = f;
+            }
+        }
+
+        this.dominance = totalPower > 0 ? bestPower / (totalPower / bins) : 0;
+        this.walking = this.dominance >= this.dominanceThreshold;
+        this.cadence = bestFrequency;
+    }
+
+    applySensitivity(multiplier) {
+        this.minStdDev = this.amplitudeBase / multiplier;
+        console.log(`🎚️ 靈敏度設為 ${this.sensitivity}, 振幅門檻: ${this.minStdDev.toFixed(2)} m/s²`);
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            walking: this.walking,
+            cadence: this.cadence.toFixed(2),
+            dominance: this.dominance.toFixed(1),
+            stdDev: this.stdDev.toFixed(2)
+        };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 演算法註冊表
+// ═══════════════════════════════════════════════════════════════
+export const STEP_DETECTOR_TYPES = {
+    peak: { label: '峰值 + 動態閾值', create: () => new PeakStepDetector() },
+    autocorrelation: { label: '自相關 + 過零點', create: () => new AutocorrelationStepDetector() },
+    frequency: { label: '頻域步頻', create: () => new FrequencyStepDetector() }
+};
+
+export function createStepDetector(type = 'peak') {
+    const entry = STEP_DETECTOR_TYPES[type];
+    if (!entry) {
+        throw new Error(`未知的步數偵測演算法: ${type} (可用: ${Object.keys(STEP_DETECTOR_TYPES).join(', ')})`);
+    }
+    return entry.create();
+}
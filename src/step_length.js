@@ -0,0 +1,209 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║            步長估計 - Adaptive Step Length Estimation            ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// Weinberg 模型加上步頻修正:
+//
+//     L = K × (a_max − a_min)^(1/4) + B × (f − F0)
+//
+// a_max / a_min 為該步的加速度峰值與谷值 (m/s²)，f 為步頻 (Hz)。
+// K、B 可經由「走一段已知距離」的校準流程擬合，並存在本機 (每台裝置各自一份)。
+
+export const CALIBRATION_STORAGE_KEY = 'indoorAR.stepLengthCalibration';
+
+const REFERENCE_FREQUENCY = 1.8; // F0: 一般步行步頻 (Hz)
+const MAX_CALIBRATION_WALKS = 5; // 保留最近幾次校準行走
+
+export const DEFAULT_STEP_MODEL = {
+    k: 0.45,
+    b: 0.1
+};
+
+// 單步特徵 (供估計與擬合共用)
+export function stepFeatures(step, fallbackFrequency = REFERENCE_FREQUENCY) {
+    const range = Math.max(0, step.peak - step.valley);
+    const frequency = step.interval > 0 && Number.isFinite(step.interval)
+        ? 1000 / step.interval
+        : fallbackFrequency;
+    return {
+        amplitude: Math.pow(range, 0.25),
+        frequency: Math.min(3.5, Math.max(0.5, frequency))
+    };
+}
+
+export class StepLengthEstimator {
+    constructor(options = {}) {
+        this.defaultLength = options.defaultLength ?? 0.65; // 沒有峰谷資料時的步長
+        this.minLength = options.minLength ?? 0.3;
+        this.maxLength = options.maxLength ?? 1.2;
+        this.adaptive = options.adaptive ?? true;
+        this.model = { ...DEFAULT_STEP_MODEL };
+        this.calibrated = false;
+        this.lastLength = this.defaultLength;
+        this.cadence = REFERENCE_FREQUENCY; // 平滑後的步頻
+    }
+
+    setModel(model, calibrated = true) {
+        this.model = { k: model.k, b: model.b };
+        this.calibrated = calibrated;
+        console.log(`📏 步長模型: K=${this.model.k.toFixed(3)}, B=${this.model.b.toFixed(3)}${calibrated ? ' (已校準)' : ''}`);
+    }
+
+    resetModel() {
+        this.setModel(DEFAULT_STEP_MODEL, false);
+    }
+
+    // step: { peak, valley, interval } 由 StepDetector 提供
+    estimate(step) {
+        if (!this.adaptive || !step) {
+            this.lastLength = this.defaultLength;
+            return this.lastLength;
+        }
+
+        const features = stepFeatures(step, this.cadence);
+        this.cadence += 0.3 * (features.frequency - this.cadence);
+
+        const length = this.model.k * features.amplitude +
+                       this.model.b * (features.frequency - REFERENCE_FREQUENCY);
+        this.lastLength = Math.min(this.maxLength, Math.max(this.minLength, length));
+        return this.lastLength;
+    }
+
+    getCadence() {
+        return this.cadence;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 校準: 走一段已知距離，擬合 K (與 B)
+// ═══════════════════════════════════════════════════════════════
+// 每次行走得到一條方程式:  D = K × Σamplitude + B × Σ(f − F0)
+// 只有一次行走時 B 固定為目前值、只解 K；兩次以上 (不同步頻) 以最小平方法同時解 K、B。
+export function fitStepModel(walks, currentModel = DEFAULT_STEP_MODEL) {
+    const rows = walks
+        .filter(walk => walk.distance > 0 && walk.steps.length > 0)
+        .map(walk => {
+            const features = walk.steps.map(step => stepFeatures(step));
+            return {
+                distance: walk.distance,
+                amplitude: features.reduce((sum, f) => sum + f.amplitude, 0),
+                frequency: features.reduce((sum, f) => sum + (f.frequency - REFERENCE_FREQUENCY), 0)
+            };
+        });
+
+    if (rows.length === 0) {
+        throw new Error('沒有可用的校準資料 (需要至少一段有步伐的行走)');
+    }
+
+    if (rows.length >= 2) {
+        // 正規方程式 [Saa Saf; Saf Sff] [K; B] = [Sad; Sfd]
+        let saa = 0, saf = 0, sff = 0, sad = 0, sfd = 0;
+        rows.forEach(r => {
+            saa += r.amplitude * r.amplitude;
+            saf += r.amplitude * r.frequency;
+            sff += r.frequency * r.frequency;
+            sad += r.amplitude * r.distance;
+            sfd += r.frequency * r.distance;
+        });
+        const det = saa * sff - saf * saf;
+        if (Math.abs(det) > 1e-6 * saa * sff) {
+            const k = (sad * sff - saf * sfd) / det;
+            const b = (saa * sfd - saf * sad) / det;
+            if (k > 0) {
+                return { k, b };
+            }
+        }
+        // 步頻差異太小，無法分辨 B：退回只解 K
+    }
+
+    let numerator = 0, denominator = 0;
+    rows.forEach(r => {
+        numerator += r.amplitude * (r.distance - currentModel.b * r.frequency);
+        denominator += r.amplitude * r.amplitude;
+    });
+    return { k: numerator / denominator, b: currentModel.b };
+}
+
+export class StepLengthCalibration {
+    constructor() {
+        this.active = false;
+        this.steps = [];
+    }
+
+    start() {
+        this.active = true;
+        this.steps = [];
+        console.log("📏 步長校準開始：請從起點走到終點");
+    }
+
+    addStep(step) {
+        if (this.active && step) {
+            this.steps.push({ peak: step.peak, valley: step.valley, interval: step.interval });
+        }
+    }
+
+    cancel() {
+        this.active = false;
+        this.steps = [];
+    }
+
+    // 結束校準並回傳這次行走 { distance, steps }
+    finish(distance) {
+        this.active = false;
+        if (!(distance > 0)) {
+            throw new Error('已知距離必須大於 0');
+        }
+        if (this.steps.length < 4) {
+            throw new Error(`步數太少 (${this.steps.length})，請至少走 4 步以上`);
+        }
+        const walk = { distance, steps: this.steps, recordedAt: new Date().toISOString() };
+        this.steps = [];
+        return walk;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 本機儲存 (每台裝置一份)
+// ═══════════════════════════════════════════════════════════════
+export function loadStepCalibration(storage = globalThis.localStorage) {
+    try {
+        const raw = storage?.getItem(CALIBRATION_STORAGE_KEY);
+        if (!raw) return null;
+        const data = JSON.parse(raw);
+        if (typeof data.k !== 'number' || typeof data.b !== 'number' || !Array.isArray(data.walks)) {
+            return null;
+        }
+        return data;
+    } catch (error) {
+        console.warn("⚠️ 無法讀取步長校準資料:", error);
+        return null;
+    }
+}
+
+export function saveStepCalibration(calibration, storage = globalThis.localStorage) {
+    try {
+        storage?.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibration));
+    } catch (error) {
+        console.warn("⚠️ 無法儲存步長校準資料:", error);
+    }
+}
+
+export function clearStepCalibration(storage = globalThis.localStorage) {
+    try {
+        storage?.removeItem(CALIBRATION_STORAGE_KEY);
+    } catch (error) {
+        console.warn("⚠️ 無法清除步長校準資料:", error);
+    }
+}
+
+// 加入一次新的校準行走並重新擬合，回傳要儲存的校準資料
+export function addCalibrationWalk(previous, walk) {
+    const walks = [...(previous?.walks || []), walk].slice(-MAX_CALIBRATION_WALKS);
+    const model = fitStepModel(walks, previous || DEFAULT_STEP_MODEL);
+    return {
+        ...model,
+        walks,
+        device: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+        updatedAt: new Date().toISOString()
+    };
+}
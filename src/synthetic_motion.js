@@ -0,0 +1,105 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║           合成加速度 - Synthetic Accelerometer Waveforms         ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 逐樣本產生手機直立拿在胸前時的 accelerationIncludingGravity (相機 −z 朝向行走方向，重力在 y 軸)。
+// 評測用的合成軌跡 (tools/synthetic_walk.mjs) 與桌機模擬器 (simulator.js) 共用同一個模型:
+// - 走路: 每一步在垂直方向產生一個加速度脈衝 (基頻 + 二次諧波) 與腳跟著地的短暫衝擊，
+//   前後加速度的相位領先垂直加速度約 1.2 rad (約 1/5 步)，左右擺動為步頻的一半
+// - 搖晃: 三軸同頻的正弦 (原地搖手機，不應計步)
+// - 靜止: 只有雜訊
+// 步伐發生的時刻取在腳跟著地 (垂直加速度峰值)。
+//
+// 動作:
+//   { type: 'stand' }
+//   { type: 'walk', cadence, amplitude }        cadence 為步頻 (Hz)，amplitude 為 m/s²
+//   { type: 'shake', frequency, amplitude }
+
+export const GRAVITY = 9.81;
+
+// 可重現的亂數 (mulberry32)
+export function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function gaussian(random) {
+    const u = Math.max(1e-12, random());
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// 一步之內的垂直加速度波形 (phase 0–1)，峰值約在 phase 0.225
+export const STEP_PEAK_PHASE = 0.225;
+const HEEL_STRIKE_WIDTH = 0.03; // 秒
+
+export function stepWaveform(phase, stepPeriod) {
+    const fromStrike = (phase - STEP_PEAK_PHASE) * stepPeriod / HEEL_STRIKE_WIDTH;
+    return Math.sin(2 * Math.PI * phase) + 0.35 * Math.sin(4 * Math.PI * phase + 0.6)
+        + 0.6 * Math.exp(-fromStrike * fromStrike);
+}
+
+export class SyntheticMotionGenerator {
+    constructor({ noise = 0.15, cadenceJitter = 0.05, random = Math.random } = {}) {
+        this.noise = noise;
+        this.cadenceJitter = cadenceJitter; // 每一步步頻的隨機變化比例
+        this.random = random;
+        this.time = 0; // 搖晃的相位以累計時間計算 (ms)
+        this.setMotion({ type: 'stand' });
+    }
+
+    // restart: 從一步的開頭開始 (false 時只換步頻 / 振幅，保留目前相位，例如走路中加速)
+    setMotion(motion, { restart = true } = {}) {
+        this.motion = motion;
+        if (restart) {
+            this.phase = 0;
+            this.side = 1; // 左右腳交替
+        }
+        this.cadence = motion.cadence;
+    }
+
+    // 前進 dt 毫秒，回傳 { accelerationIncludingGravity, stepped (這個樣本是否為腳跟著地) }
+    next(dt) {
+        const motion = this.motion;
+        const random = this.random;
+        let vertical = 0;
+        let forward = 0;
+        let lateral = 0;
+        let stepped = false;
+
+        if (motion.type === 'walk') {
+            const previous = this.phase;
+            this.phase += this.cadence * dt / 1000;
+            stepped = previous < STEP_PEAK_PHASE && this.phase >= STEP_PEAK_PHASE;
+            if (this.phase >= 1) {
+                this.phase -= 1;
+                this.side = -this.side;
+                // 每一步的步頻略有不同
+                this.cadence = motion.cadence * (1 + this.cadenceJitter * gaussian(random));
+            }
+            vertical = motion.amplitude * stepWaveform(this.phase, 1 / this.cadence);
+            forward = 0.4 * motion.amplitude * Math.sin(2 * Math.PI * this.phase + 1.2);
+            lateral = this.side * 0.3 * motion.amplitude * Math.sin(Math.PI * this.phase); // 左右擺動為步頻的一半
+        } else if (motion.type === 'shake') {
+            const w = 2 * Math.PI * motion.frequency * this.time / 1000;
+            vertical = 0.5 * motion.amplitude * Math.sin(w);
+            forward = motion.amplitude * Math.sin(w + 0.8);
+            lateral = motion.amplitude * Math.cos(w);
+        }
+        this.time += dt;
+
+        return {
+            accelerationIncludingGravity: {
+                x: lateral + this.noise * gaussian(random),
+                y: GRAVITY + vertical + this.noise * gaussian(random),
+                z: -forward + this.noise * gaussian(random)
+            },
+            stepped
+        };
+    }
+}
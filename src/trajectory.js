@@ -0,0 +1,194 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║            行走軌跡 - Trajectory History & Export                ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 記錄每一步的位置、步數、航向與時間，分段保存 (重設原點時封存目前這段、開始新的一段)。
+// 匯出格式:
+// - CSV      : 本地公尺座標 (x 右, z 後；場景前方為 −z)
+// - GeoJSON  : 每段一條 LineString；沒有地理錨點時座標為本地公尺 [x, −z] (東/北方向未知)
+// - GPX      : 需要地理錨點才能換算經緯度
+//
+// 地理錨點 (geoAnchor): 場景原點的經緯度，以及場景「正前方 (−z)」的方位角 (度，北=0 順時針)。
+
+const EARTH_RADIUS = 6378137; // WGS84 赤道半徑 (公尺)
+
+// 本地座標 (x, z) → 經緯度
+export function localToLatLon(x, z, anchor) {
+    const bearing = anchor.bearing * Math.PI / 180;
+    const forward = -z;
+    const east = x * Math.cos(bearing) + forward * Math.sin(bearing);
+    const north = -x * Math.sin(bearing) + forward * Math.cos(bearing);
+
+    const lat = anchor.lat + (north / EARTH_RADIUS) * 180 / Math.PI;
+    const lon = anchor.lon + (east / (EARTH_RADIUS * Math.cos(anchor.lat * Math.PI / 180))) * 180 / Math.PI;
+    return { lat, lon };
+}
+
+export class TrajectoryRecorder {
+    constructor() {
+        this.segments = [];
+        this.nextSegmentId = 1;
+        this.startSegment();
+    }
+
+    startSegment() {
+        const segment = {
+            id: this.nextSegmentId++,
+            startedAt: Date.now(),
+            archived: false,
+            points: []
+        };
+        this.segments.push(segment);
+        return segment;
+    }
+
+    getCurrentSegment() {
+        return this.segments[this.segments.length - 1];
+    }
+
+    // point: { x, z, step, heading (度), uncertainty?, floor? (樓層 id) }
+    record({ x, z, step, heading, uncertainty = null, floor = null, timestamp = Date.now() }) {
+        const entry = {
+            step,
+            floor,
+            timestamp,
+            x: Math.round(x * 1000) / 1000,
+            z: Math.round(z * 1000) / 1000,
+            heading: Math.round(heading * 10) / 10,
+            uncertainty: uncertainty === null ? null : Math.round(uncertainty * 100) / 100
+        };
+        this.getCurrentSegment().points.push(entry);
+        return entry;
+    }
+
+    // 重設原點時呼叫：封存目前這段並開始新的一段 (空的段落直接沿用)
+    archiveCurrent() {
+        const current = this.getCurrentSegment();
+        if (current.points.length === 0) return current;
+        current.archived = true;
+        console.log(`🗂️ 已封存軌跡第 ${current.id} 段 (${current.points.length} 點)`);
+        return this.startSegment();
+    }
+
+    clear() {
+        this.segments = [];
+        this.startSegment();
+    }
+
+    // 校準後修正某一段的座標 (transform: {x, z} → {x, z})，headingDelta 為航向的修正 (度)
+    transformSegment(segmentId, transform, headingDelta = 0) {
+        const segment = this.segments.find(s => s.id === segmentId);
+        if (!segment) return false;
+        segment.points.forEach(point => {
+            const { x, z } = transform(point);
+            point.x = Math.round(x * 1000) / 1000;
+            point.z = Math.round(z * 1000) / 1000;
+            point.heading = Math.round(((point.heading + headingDelta) % 360 + 360) % 360 * 10) / 10;
+        });
+        return true;
+    }
+
+    getPointCount() {
+        return this.segments.reduce((sum, s) => sum + s.points.length, 0);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 保存 / 還原 (重新整理頁面後繼續同一段工作)
+    // ═══════════════════════════════════════════════════════════
+    toJSON() {
+        return { segments: this.segments, nextSegmentId: this.nextSegmentId };
+    }
+
+    restore(data) {
+        this.segments = data.segments.map(segment => ({
+            id: segment.id,
+            startedAt: segment.startedAt,
+            archived: Boolean(segment.archived),
+            points: segment.points.map(point => ({ ...point }))
+        }));
+        this.nextSegmentId = Math.max(data.nextSegmentId || 1, ...this.segments.map(s => s.id + 1));
+        if (this.segments.length === 0) this.startSegment();
+        console.log(`🗂️ 已還原行走軌跡 (${this.segments.length} 段，${this.getPointCount()} 點)`);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // 匯出
+    // ═══════════════════════════════════════════════════════════
+    toCSV(anchor = null) {
+        const header = ['segment', 'archived', 'step', 'timestamp', 'iso_time', 'floor', 'x', 'z', 'heading', 'uncertainty'];
+        if (anchor) header.push('lat', 'lon');
+
+        const rows = [header.join(',')];
+        this.segments.forEach(segment => {
+            segment.points.forEach(p => {
+                const row = [segment.id, segment.archived, p.step, p.timestamp, new Date(p.timestamp).toISOString(),
+                    p.floor ?? '', p.x, p.z, p.heading, p.uncertainty ?? ''];
+                if (anchor) {
+                    const { lat, lon } = localToLatLon(p.x, p.z, anchor);
+                    row.push(lat.toFixed(8), lon.toFixed(8));
+                }
+                rows.push(row.join(','));
+            });
+        });
+        return rows.join('\n') + '\n';
+    }
+
+    toGeoJSON(anchor = null) {
+        const toCoordinates = p => {
+            if (anchor) {
+                const { lat, lon } = localToLatLon(p.x, p.z, anchor);
+                return [lon, lat];
+            }
+            return [p.x, -p.z]; // 本地公尺: [右, 前]
+        };
+
+        return {
+            type: 'FeatureCollection',
+            // 沒有錨點時不是 WGS84，以外部成員標示座標系 (RFC 7946 允許)
+            ...(anchor ? {} : { coordinateSystem: 'local-metric (x = right, y = forward, meters)' }),
+            features: this.segments
+                .filter(segment => segment.points.length > 0)
+                .map(segment => ({
+                    type: 'Feature',
+                    properties: {
+                        segment: segment.id,
+                        archived: segment.archived,
+                        startedAt: new Date(segment.startedAt).toISOString(),
+                        steps: segment.points.map(p => p.step),
+                        timestamps: segment.points.map(p => p.timestamp),
+                        floors: segment.points.map(p => p.floor),
+                        headings: segment.points.map(p => p.heading)
+                    },
+                    geometry: segment.points.length === 1
+                        ? { type: 'Point', coordinates: toCoordinates(segment.points[0]) }
+                        : { type: 'LineString', coordinates: segment.points.map(toCoordinates) }
+                }))
+        };
+    }
+
+    toGPX(anchor) {
+        if (!anchor) {
+            throw new Error('GPX 需要經緯度，請在場地檔設定 geoAnchor');
+        }
+        const segments = this.segments
+            .filter(segment => segment.points.length > 0)
+            .map(segment => {
+                const points = segment.points.map(p => {
+                    const { lat, lon } = localToLatLon(p.x, p.z, anchor);
+                    return `      <trkpt lat="${lat.toFixed(8)}" lon="${lon.toFixed(8)}"><time>${new Date(p.timestamp).toISOString()}</time></trkpt>`;
+                });
+                return `    <trkseg>\n${points.join('\n')}\n    </trkseg>`;
+            });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="indoor-ar" xmlns="http://www.topografix.com/GPX/1/1">',
+            '  <trk>',
+            '    <name>Indoor AR trajectory</name>',
+            ...segments,
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+}
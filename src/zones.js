@@ -0,0 +1,254 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              提醒區域 - Geofenced Zones                          ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 依追蹤到的位置判斷使用者進入 / 離開哪些區域 (場地定義的 zones，見 site.js)，
+// 並在停留超過 dwell 秒時發出 dwell 事件。也可以自動在每個訊號點周圍建立接近提醒的圓形區域。
+//
+// 位置估計會抖動: 進入以區域邊界為準，離開要超出邊界 exitMargin 公尺，避免在邊界上反覆觸發。
+// ZoneMonitor 只依傳入的時間戳記計時，不依賴 DOM，可用錄製的位置序列在 Node 重播 (tools/zone_replay.mjs)。
+//
+// 事件: { type: enter | exit | dwell, zone, time, position, duration (ms，進入後經過的時間) }
+
+import { pointInPolygon } from "./floor_plan.js";
+
+export const ZONE_EVENT_LABELS = { enter: '進入', exit: '離開', dwell: '停留' };
+
+// 點到線段的水平距離
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq));
+    return Math.hypot(p.x - (a.x + t * dx), p.z - (a.z + t * dz));
+}
+
+// position 是否在區域內 (margin > 0 時把邊界向外擴)
+export function zoneContains(zone, position, margin = 0) {
+    if (zone.shape === 'polygon') {
+        if (pointInPolygon(position, zone.polygon)) return true;
+        if (margin <= 0) return false;
+        return zone.polygon.some((a, i) => distanceToSegment(position, a, zone.polygon[(i + 1) % zone.polygon.length]) <= margin);
+    }
+    return Math.hypot(position.x - zone.x, position.z - zone.z) <= zone.radius + margin;
+}
+
+// 訊號點周圍的接近提醒區域 (radius 公尺，進入時顯示提示訊息)
+export function proximityZones(points, radius) {
+    if (!(radius > 0)) return [];
+    return points.map(point => ({
+        id: `point:${point.id}`,
+        name: point.name,
+        shape: 'circle',
+        pointId: point.id,
+        x: point.x,
+        z: point.z,
+        radius,
+        polygon: null,
+        dwell: null,
+        actions: [{ on: 'enter', type: 'toast' }],
+        floor: point.floor,
+        proximity: true
+    }));
+}
+
+export class ZoneMonitor {
+    constructor({ exitMargin = 0.5, historyLimit = 50 } = {}) {
+        this.exitMargin = exitMargin;
+        this.historyLimit = historyLimit;
+        this.zones = [];
+        this.states = new Map(); // zone id → { enteredAt, dwellFired }
+        this.history = [];
+        this.lastPosition = null;
+        this.lastTime = null;
+    }
+
+    // 換樓層 / 換場地時呼叫；已不存在的區域視為離開 (回傳這些 exit 事件)
+    setZones(zones, time = this.lastTime ?? 0) {
+        const ids = new Set(zones.map(zone => zone.id));
+        const events = [];
+        this.zones.forEach(zone => {
+            if (!ids.has(zone.id) && this.states.has(zone.id)) {
+                events.push(this.exit(zone, time, this.lastPosition));
+            }
+        });
+        // 同一個 id 的區域沿用進入狀態 (例如重新載入同一份場地)
+        this.zones = zones;
+        return events;
+    }
+
+    // 以新的位置更新，回傳這次觸發的事件 (進入 / 離開，以及停留時間已到的 dwell)
+    update(position, time) {
+        this.lastPosition = { x: position.x, z: position.z };
+        this.lastTime = time;
+        const events = [];
+        this.zones.forEach(zone => {
+            const inside = this.states.has(zone.id);
+            if (!inside && zoneContains(zone, position)) {
+                this.states.set(zone.id, { enteredAt: time, dwellFired: false });
+                events.push(this.record('enter', zone, time, position));
+            } else if (inside && !zoneContains(zone, position, this.exitMargin)) {
+                events.push(this.exit(zone, time, position));
+            }
+        });
+        return events.concat(this.tick(time));
+    }
+
+    // 沒有移動也會累積停留時間: 定期呼叫以觸發 dwell 事件
+    tick(time) {
+        this.lastTime = time;
+        const events = [];
+        this.zones.forEach(zone => {
+            const state = this.states.get(zone.id);
+            if (!state || state.dwellFired || zone.dwell === null) return;
+            if (time - state.enteredAt >= zone.dwell * 1000) {
+                state.dwellFired = true;
+                events.push(this.record('dwell', zone, time, this.lastPosition));
+            }
+        });
+        return events;
+    }
+
+    exit(zone, time, position) {
+        const event = this.record('exit', zone, time, position);
+        this.states.delete(zone.id);
+        return event;
+    }
+
+    record(type, zone, time, position) {
+        const state = this.states.get(zone.id);
+        const event = {
+            type,
+            zone,
+            time,
+            position: position ? { x: position.x, z: position.z } : null,
+            duration: state ? time - state.enteredAt : 0
+        };
+        this.history.push(event);
+        if (this.history.length > this.historyLimit) {
+            this.history.shift();
+        }
+        return event;
+    }
+
+    // 目前所在的區域 [{ zone, enteredAt, duration }]
+    getActiveZones(time = this.lastTime ?? 0) {
+        return this.zones
+            .filter(zone => this.states.has(zone.id))
+            .map(zone => {
+                const { enteredAt } = this.states.get(zone.id);
+                return { zone, enteredAt, duration: time - enteredAt };
+            });
+    }
+
+    getHistory() {
+        return this.history;
+    }
+
+    // 只清除紀錄，目前所在的區域不變
+    clearHistory() {
+        this.history = [];
+    }
+
+    reset() {
+        this.states.clear();
+        this.history = [];
+        this.lastPosition = null;
+        this.lastTime = null;
+    }
+}
+
+// 以位置序列 [{ t (ms), x, z, floor }] 重播，回傳所有觸發的事件 (測試區域設定用)
+// zones 可以是區域陣列，或 floor → 該層區域的函式 (跨樓層的軌跡，換層時離開上一層的區域)
+// 兩個樣本之間每 tickInterval 毫秒檢查一次 dwell，與網頁每幀檢查的結果一致
+export function replayZoneEvents(zones, samples, { exitMargin = 0.5, tickInterval = 250 } = {}) {
+    const zonesForFloor = typeof zones === 'function' ? zones : () => zones;
+    const monitor = new ZoneMonitor({ exitMargin, historyLimit: Infinity });
+    let previous = null;
+    let floor;
+    samples.forEach(sample => {
+        if (previous !== null) {
+            for (let t = previous + tickInterval; t < sample.t; t += tickInterval) {
+                monitor.tick(t);
+            }
+        }
+        if (previous === null || sample.floor !== floor) {
+            floor = sample.floor;
+            monitor.setZones(zonesForFloor(floor), sample.t);
+        }
+        monitor.update(sample, sample.t);
+        previous = sample.t;
+    });
+    return monitor.getHistory();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 觸發動作
+// ═══════════════════════════════════════════════════════════════
+export function describeZoneEvent(event) {
+    const seconds = Math.round(event.duration / 1000);
+    const suffix = event.type === 'enter' ? '' : ` (${seconds} 秒)`;
+    return `${ZONE_EVENT_LABELS[event.type]}「${event.zone.name}」${suffix}`;
+}
+
+// webhook 送出的 JSON
+export function zoneWebhookPayload(event, extra = {}) {
+    return {
+        type: event.type,
+        zone: { id: event.zone.id, name: event.zone.name, floor: event.zone.floor ?? null },
+        position: event.position,
+        duration: event.duration,
+        time: new Date().toISOString(),
+        ...extra
+    };
+}
+
+export class ZoneActionRunner {
+    // handlers: { toast(message), vibrate(pattern), sound(frequency), webhook(url, payload) }，未提供的動作略過
+    // webhookUrl: 動作沒有指定 url 時使用的預設網址 (空字串時不送出)
+    constructor(handlers, { webhookUrl = '' } = {}) {
+        this.handlers = handlers;
+        this.webhookUrl = webhookUrl;
+        this.enabled = true;
+    }
+
+    setWebhookUrl(url) {
+        this.webhookUrl = url;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    // 執行這個事件對應的動作，個別動作失敗不影響其他動作
+    async run(event, extra = {}) {
+        if (!this.enabled) return [];
+        const actions = event.zone.actions.filter(action => action.on === event.type);
+        return Promise.all(actions.map(async action => {
+            try {
+                await this.perform(action, event, extra);
+                return { action, ok: true };
+            } catch (error) {
+                console.warn(`⚠️ 區域動作 ${action.type} 失敗:`, error);
+                return { action, ok: false, error };
+            }
+        }));
+    }
+
+    async perform(action, event, extra) {
+        const handlers = this.handlers;
+        switch (action.type) {
+            case 'toast':
+                return handlers.toast?.(action.message || describeZoneEvent(event));
+            case 'vibrate':
+                return handlers.vibrate?.(action.pattern || [200]);
+            case 'sound':
+                return handlers.sound?.(action.frequency || 880);
+            case 'webhook': {
+                const url = action.url || this.webhookUrl;
+                if (!url) return;
+                return handlers.webhook?.(url, zoneWebhookPayload(event, extra));
+            }
+        }
+    }
+}
@@ -0,0 +1,374 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║            共享工作階段中繼 - Shared Session Relay               ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 多人一起勘測時的 WebSocket 中繼伺服器: 同一個房間 (room) 的手機互相轉送位置與航向，
+// 網頁把其他人畫成場景中的人像與小地圖上的標記 (見 src/shared_session.js)。
+// 只用 Node 內建模組實作 WebSocket (RFC 6455 的文字訊框、ping / pong 與關閉)，不需安裝套件。
+//
+// 用法 (Node 20.19+ / 22.7+):
+//   node tools/session_relay.mjs                      # ws://0.0.0.0:8787
+//   node tools/session_relay.mjs --port 9000 --host 127.0.0.1
+//
+// 網頁的「👥 共享工作階段」填入 ws://<這台電腦的區網 IP>:8787 與房間名稱後連線。
+// 以 https 開啟的網頁只能連到 wss:// (需在前面加一層 TLS 反向代理)。
+//
+// 協定 (JSON 文字訊息，room 由網址 ?room= 指定，預設 default):
+//   用戶端 → 伺服器  { type: 'hello', peer: { id, name }, state }   連線後第一個訊息
+//                    { type: 'state', state }                      位置更新
+//   伺服器 → 用戶端  { type: 'welcome', id, peers: [{ peer, state }] } 房間內其他人的最新狀態
+//                    { type: 'join', peer, state } / { type: 'state', id, state } / { type: 'leave', id }
+
+import { createServer } from "node:http";
+import { createHash, randomUUID } from "node:crypto";
+import { networkInterfaces } from "node:os";
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024;  // 單一訊息上限 (位置訊息只有數百位元組)
+const PING_INTERVAL = 15000;         // 每 15 秒 ping 一次，沒有回應 pong 的連線視為中斷
+const MAX_NAME_LENGTH = 40;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+function parseArgs(argv) {
+    const options = { port: 8787, host: '0.0.0.0' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else if (arg === '--host') {
+            options.host = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`未知的參數 "${arg}"`);
+        }
+    }
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new Error('--port 必須是 0-65535 的整數');
+    }
+    return options;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WebSocket 訊框
+// ═══════════════════════════════════════════════════════════════
+// 伺服器送出的訊框不加遮罩
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// 從累積的資料中取出完整的訊框 (不完整時回傳 null，等待更多資料)
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const big = buffer.readBigUInt64BE(2);
+        length = big > BigInt(Number.MAX_SAFE_INTEGER) ? Infinity : Number(big);
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE_SIZE) {
+        return { error: 1009 };
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+    return { fin, opcode, masked, payload, size: offset + maskLength + length };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 連線
+// ═══════════════════════════════════════════════════════════════
+class RelayConnection {
+    constructor(socket, room, onMessage, onClose) {
+        this.socket = socket;
+        this.room = room;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.peer = null;   // hello 之後才有 { id, name }
+        this.state = null;
+        this.alive = true;
+        this.closed = false;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => {
+            socket.destroy();
+            this.finish();
+        });
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let frame;
+        while (!this.closed && (frame = decodeFrame(this.buffer)) !== null) {
+            if (frame.error) {
+                this.close(frame.error, '訊息太大');
+                return;
+            }
+            this.buffer = this.buffer.subarray(frame.size);
+            this.handleFrame(frame);
+        }
+    }
+
+    handleFrame({ fin, opcode, masked, payload }) {
+        // 用戶端送出的訊框必須加遮罩
+        if (!masked) {
+            this.close(1002, '訊框沒有遮罩');
+            return;
+        }
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.continuation:
+                this.fragments.push(payload);
+                if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_SIZE) {
+                    this.close(1009, '訊息太大');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    // 處理單一訊息的錯誤只中斷這個連線，不讓整個中繼結束
+                    try {
+                        this.onMessage(this, text);
+                    } catch (error) {
+                        console.error('❌ 處理訊息失敗:', error);
+                        this.close(1011, '伺服器錯誤');
+                    }
+                }
+                break;
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, payload));
+                break;
+            case OPCODES.pong:
+                this.alive = true;
+                break;
+            case OPCODES.close:
+                this.close(1000);
+                break;
+            default:
+                this.close(1003, '只接受文字訊息');
+        }
+    }
+
+    send(message) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    }
+
+    ping() {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.ping));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(OPCODES.close, payload));
+        this.finish();
+    }
+
+    // 沒有回應的連線不等關閉交握，直接中斷
+    terminate() {
+        this.socket.destroy();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose(this);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 房間與轉送
+// ═══════════════════════════════════════════════════════════════
+const rooms = new Map(); // room → Set<RelayConnection>
+
+function getRoom(name) {
+    if (!rooms.has(name)) rooms.set(name, new Set());
+    return rooms.get(name);
+}
+
+function broadcast(connection, message) {
+    getRoom(connection.room).forEach(other => {
+        if (other !== connection && other.peer) other.send(message);
+    });
+}
+
+// 位置狀態只轉送物件，內容由網頁解讀
+function normalizeState(state) {
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : null;
+}
+
+function normalizePeer(peer) {
+    const id = typeof peer?.id === 'string' && /^[\w-]{1,64}$/.test(peer.id) ? peer.id : randomUUID();
+    const name = typeof peer?.name === 'string' && peer.name.trim() !== ''
+        ? peer.name.trim().slice(0, MAX_NAME_LENGTH)
+        : `訪客-${id.slice(0, 4)}`;
+    return { id, name };
+}
+
+function handleMessage(connection, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        connection.close(1007, 'JSON 格式錯誤');
+        return;
+    }
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        connection.close(1007, '訊息必須是 JSON 物件');
+        return;
+    }
+
+    if (message.type === 'hello') {
+        if (connection.peer) return;
+        const peer = normalizePeer(message.peer);
+        const room = getRoom(connection.room);
+        // 同一個人重新連線時，舊的連線可能還沒逾時: 以新的連線取代
+        room.forEach(other => {
+            if (other !== connection && other.peer?.id === peer.id) {
+                other.peer = null;
+                other.close(4000, '已從其他連線加入');
+            }
+        });
+        connection.peer = peer;
+        connection.state = normalizeState(message.state);
+        connection.send({
+            type: 'welcome',
+            id: peer.id,
+            peers: [...room].filter(other => other !== connection && other.peer)
+                .map(other => ({ peer: other.peer, state: other.state }))
+        });
+        broadcast(connection, { type: 'join', peer, state: connection.state });
+        console.log(`👋 ${peer.name} 加入房間「${connection.room}」(${room.size} 人)`);
+    } else if (message.type === 'state' && connection.peer) {
+        const state = normalizeState(message.state);
+        if (!state) return;
+        connection.state = state;
+        broadcast(connection, { type: 'state', id: connection.peer.id, state });
+    }
+}
+
+function handleClose(connection) {
+    const room = getRoom(connection.room);
+    room.delete(connection);
+    if (connection.peer) {
+        broadcast(connection, { type: 'leave', id: connection.peer.id });
+        console.log(`🚪 ${connection.peer.name} 離開房間「${connection.room}」(${room.size} 人)`);
+    }
+    if (room.size === 0) rooms.delete(connection.room);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HTTP 伺服器 (GET 回傳各房間人數，WebSocket 由 upgrade 處理)
+// ═══════════════════════════════════════════════════════════════
+function createRelayServer() {
+    const server = createServer((request, response) => {
+        const summary = Object.fromEntries([...rooms].map(([name, room]) => [name, room.size]));
+        response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*' });
+        response.end(JSON.stringify({ rooms: summary }));
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const room = (new URL(request.url, 'http://localhost').searchParams.get('room') || 'default').slice(0, 64);
+        getRoom(room).add(new RelayConnection(socket, room, handleMessage, handleClose));
+    });
+
+    const pingTimer = setInterval(() => {
+        rooms.forEach(room => room.forEach(connection => {
+            if (!connection.alive) {
+                connection.terminate();
+                return;
+            }
+            connection.alive = false;
+            connection.ping();
+        }));
+    }, PING_INTERVAL);
+    server.on('close', () => clearInterval(pingTimer));
+
+    return server;
+}
+
+function lanAddresses() {
+    return Object.values(networkInterfaces()).flat()
+        .filter(info => info && info.family === 'IPv4' && !info.internal)
+        .map(info => info.address);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('用法: node tools/session_relay.mjs [--port 8787] [--host 0.0.0.0]');
+        return;
+    }
+    const server = createRelayServer();
+    server.listen(options.port, options.host, () => {
+        const { port } = server.address();
+        console.log(`📡 共享工作階段中繼已啟動: ws://${options.host}:${port}`);
+        lanAddresses().forEach(address => console.log(`   區網: ws://${address}:${port}`));
+    });
+    process.on('SIGINT', () => {
+        console.log('\n⏹️ 正在關閉中繼...');
+        rooms.forEach(room => room.forEach(connection => connection.close(1001, '伺服器關閉')));
+        server.close(() => process.exit(0));
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
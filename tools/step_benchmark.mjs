@@ -0,0 +1,205 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║          計步演算法評測 - Step Detection Benchmark               ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 以附有步伐標記 (labels) 的感測器軌跡評測每一種步數偵測演算法:
+// 步數誤差，以及有逐步時間標記時的 precision / recall / F1 與時間誤差。
+//
+// 用法 (Node 20.19+ / 22.7+，不需安裝套件):
+//   node tools/step_benchmark.mjs                         # 使用內建的合成情境
+//   node tools/step_benchmark.mjs traces/*.json           # 評測實機錄製的軌跡
+//   node tools/step_benchmark.mjs --tolerance 250 --algorithms peak,frequency traces/walk.json
+//
+// 軌跡由網頁的「🎬 感測器軌跡」錄製；錄製時可按「👣 標記步伐」標記每一步，
+// 停止時輸入實際步數。沒有標記的軌跡只會列出偵測到的步數。
+
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { STEP_DETECTOR_TYPES, createStepDetector } from "../src/step_detectors.js";
+import { SensorTraceReplayer, parseSensorTrace } from "../src/sensor_trace.js";
+import { defaultScenarios } from "./synthetic_walk.mjs";
+
+// 評測的演算法變體 (peak 另外評測開啟突出度過濾的版本)
+const VARIANTS = {
+    peak: () => createStepDetector('peak'),
+    'peak+prominence': () => {
+        const detector = createStepDetector('peak');
+        detector.falsePositiveFilter = true;
+        return detector;
+    },
+    autocorrelation: () => createStepDetector('autocorrelation'),
+    frequency: () => createStepDetector('frequency')
+};
+
+function parseArgs(argv) {
+    const options = { tolerance: 300, algorithms: Object.keys(VARIANTS), sensitivity: 'medium', files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--tolerance') {
+            options.tolerance = parseFloat(argv[++i]);
+        } else if (arg === '--algorithms') {
+            options.algorithms = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+        } else if (arg === '--sensitivity') {
+            options.sensitivity = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+    options.algorithms.forEach(name => {
+        if (!VARIANTS[name]) {
+            throw new Error(`未知的演算法 "${name}" (可用: ${Object.keys(VARIANTS).join(', ')})`);
+        }
+    });
+    return options;
+}
+
+// 演算法本身會逐步輸出日誌，評測時暫時靜音
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+// 以與網頁相同的重播流程把軌跡餵給偵測器，回傳每一步的時間 (ms)
+async function runDetector(trace, makeDetector, sensitivity) {
+    return quietly(async () => {
+        const detector = makeDetector();
+        detector.setSensitivity(sensitivity);
+        const steps = [];
+        const replayer = new SensorTraceReplayer(trace, {
+            onMotion: (event, dt) => {
+                const a = event.accelerationIncludingGravity;
+                if (!a) return;
+                if (detector.update({ x: a.x || 0, y: a.y || 0, z: a.z || 0 }, dt)) {
+                    steps.push(event.timeStamp);
+                }
+            }
+        });
+        await replayer.play({ mode: 'fast' });
+        return steps;
+    });
+}
+
+// 依時間順序一對一配對 (容許誤差內最近的偵測)
+export function matchSteps(labels, detections, tolerance) {
+    const used = new Uint8Array(detections.length);
+    const offsets = [];
+    let start = 0;
+    labels.forEach(label => {
+        while (start < detections.length && detections[start] < label - tolerance) start++;
+        let best = -1;
+        for (let i = start; i < detections.length && detections[i] <= label + tolerance; i++) {
+            if (!used[i] && (best < 0 || Math.abs(detections[i] - label) < Math.abs(detections[best] - label))) {
+                best = i;
+            }
+        }
+        if (best >= 0) {
+            used[best] = 1;
+            offsets.push(detections[best] - label);
+        }
+    });
+    const truePositives = offsets.length;
+    return {
+        truePositives,
+        falsePositives: detections.length - truePositives,
+        falseNegatives: labels.length - truePositives,
+        meanAbsOffset: truePositives > 0 ? offsets.reduce((s, o) => s + Math.abs(o), 0) / truePositives : null,
+        meanOffset: truePositives > 0 ? offsets.reduce((s, o) => s + o, 0) / truePositives : null
+    };
+}
+
+function score(trace, detections, tolerance) {
+    const labels = trace.labels || {};
+    const expected = labels.stepCount ?? labels.steps?.length ?? null;
+    const result = {
+        expected,
+        detected: detections.length,
+        countError: expected ? (detections.length - expected) / expected : null
+    };
+    if (Array.isArray(labels.steps) && labels.steps.length > 0) {
+        const match = matchSteps(labels.steps, detections, tolerance);
+        const precision = detections.length > 0 ? match.truePositives / detections.length : 0;
+        const recall = match.truePositives / labels.steps.length;
+        Object.assign(result, match, {
+            precision,
+            recall,
+            f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0
+        });
+    }
+    return result;
+}
+
+const percent = (v) => v === null || v === undefined ? '-' : `${(v * 100).toFixed(1)}%`;
+const signedPercent = (v) => v === null || v === undefined ? '-' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}%`;
+const ms = (v) => v === null || v === undefined ? '-' : `${v.toFixed(0)}`;
+
+function printTable(rows) {
+    const header = ['trace', 'algorithm', 'labels', 'detected', 'count err', 'precision', 'recall', 'F1', '|Δt| ms', 'Δt ms'];
+    const body = rows.map(r => [
+        r.trace, r.algorithm, r.expected ?? '-', r.detected, signedPercent(r.countError),
+        percent(r.precision), percent(r.recall), percent(r.f1), ms(r.meanAbsOffset), ms(r.meanOffset)
+    ].map(String));
+    const widths = header.map((h, i) => Math.max(h.length, ...body.map(row => row[i].length)));
+    const line = (cells) => cells.map((c, i) => (i < 2 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+    console.log(line(header));
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    body.forEach(row => console.log(line(row)));
+}
+
+function summarize(rows, algorithms) {
+    console.log('\n平均 (有標記的軌跡):');
+    algorithms.forEach(algorithm => {
+        const scored = rows.filter(r => r.algorithm === algorithm && r.countError !== null);
+        if (scored.length === 0) return;
+        const mean = (key) => {
+            const values = scored.map(r => r[key]).filter(v => v !== null && v !== undefined);
+            return values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null;
+        };
+        const absCountError = scored.reduce((s, r) => s + Math.abs(r.countError), 0) / scored.length;
+        console.log(`  ${algorithm.padEnd(16)} |count err| ${percent(absCountError).padStart(6)}  F1 ${percent(mean('f1')).padStart(6)}  |Δt| ${ms(mean('meanAbsOffset')).padStart(4)} ms`);
+    });
+}
+
+async function loadTraces(files) {
+    if (files.length === 0) {
+        return defaultScenarios().map(trace => ({ name: `synthetic:${trace.meta.name}`, trace }));
+    }
+    return Promise.all(files.map(async file => ({
+        name: basename(file),
+        trace: parseSensorTrace(await readFile(file, 'utf8'))
+    })));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('用法: node tools/step_benchmark.mjs [--tolerance ms] [--algorithms a,b] [--sensitivity low|medium|high] [trace.json ...]');
+        console.log(`演算法: ${Object.keys(VARIANTS).join(', ')}`);
+        console.log(`(網頁設定面板可選: ${Object.entries(STEP_DETECTOR_TYPES).map(([k, v]) => `${k} = ${v.label}`).join(', ')})`);
+        return;
+    }
+
+    const traces = await loadTraces(options.files);
+    const rows = [];
+    for (const { name, trace } of traces) {
+        for (const algorithm of options.algorithms) {
+            const detections = await runDetector(trace, VARIANTS[algorithm], options.sensitivity);
+            rows.push({ trace: name, algorithm, ...score(trace, detections, options.tolerance) });
+        }
+    }
+
+    console.log(`計步演算法評測 (時間容許誤差 ±${options.tolerance} ms，靈敏度 ${options.sensitivity})\n`);
+    printTable(rows);
+    summarize(rows, options.algorithms);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,96 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║        合成步行軌跡 - Synthetic Labelled Walking Traces          ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 產生與 sensor_trace.js 相同格式、附帶步伐標記 (labels) 的合成軌跡，
+// 沒有實機錄製的軌跡時也能評測步數偵測演算法。
+//
+// 波形模型見 src/synthetic_motion.js (與桌機模擬器共用)。
+// 步伐標記的時間取在腳跟著地 (垂直加速度峰值) 的時刻。
+//
+// 片段:
+//   { type: 'stand', duration }                          靜止 (只有雜訊)
+//   { type: 'walk', duration, cadence, amplitude }        走路，cadence 為步頻 (Hz)，amplitude 為 m/s²
+//   { type: 'shake', duration, frequency, amplitude }     原地搖晃手機 (不應計步)
+
+import { TRACE_FORMAT, TRACE_VERSION } from "../src/sensor_trace.js";
+import { SyntheticMotionGenerator, seededRandom } from "../src/synthetic_motion.js";
+
+export { seededRandom };
+
+export function synthesizeTrace(segments, { sampleRate = 60, noise = 0.15, cadenceJitter = 0.05, seed = 1, name = 'synthetic' } = {}) {
+    const generator = new SyntheticMotionGenerator({ noise, cadenceJitter, random: seededRandom(seed) });
+    const dt = 1000 / sampleRate;
+    const samples = [];
+    const steps = [];
+    let t = 0;
+
+    segments.forEach(segment => {
+        const end = t + segment.duration * 1000;
+        generator.setMotion(segment);
+        for (; t < end; t += dt) {
+            const { accelerationIncludingGravity, stepped } = generator.next(dt);
+            if (stepped) {
+                steps.push(Math.round(t * 10) / 10);
+            }
+            samples.push({
+                t: Math.round(t * 10) / 10,
+                type: 'motion',
+                accelerationIncludingGravity,
+                acceleration: null,
+                rotationRate: { alpha: 0, beta: 0, gamma: 0 },
+                interval: dt
+            });
+        }
+    });
+
+    return {
+        format: TRACE_FORMAT,
+        version: TRACE_VERSION,
+        createdAt: new Date(0).toISOString(),
+        meta: { synthetic: true, name, sampleRate, noise, segments, durationMs: t },
+        samples,
+        labels: { stepCount: steps.length, steps }
+    };
+}
+
+// 評測用的預設情境
+export function defaultScenarios() {
+    return [
+        synthesizeTrace([
+            { type: 'stand', duration: 3 },
+            { type: 'walk', duration: 30, cadence: 1.8, amplitude: 2.5 },
+            { type: 'stand', duration: 3 }
+        ], { name: 'normal', seed: 1 }),
+        synthesizeTrace([
+            { type: 'stand', duration: 2 },
+            { type: 'walk', duration: 30, cadence: 1.3, amplitude: 1.5 },
+            { type: 'stand', duration: 2 }
+        ], { name: 'slow', seed: 2 }),
+        synthesizeTrace([
+            { type: 'stand', duration: 2 },
+            { type: 'walk', duration: 20, cadence: 2.4, amplitude: 3.5 },
+            { type: 'stand', duration: 2 }
+        ], { name: 'fast', seed: 3 }),
+        synthesizeTrace([
+            { type: 'walk', duration: 6, cadence: 1.8, amplitude: 2.5 },
+            { type: 'stand', duration: 3 },
+            { type: 'walk', duration: 6, cadence: 1.7, amplitude: 2.2 },
+            { type: 'stand', duration: 3 },
+            { type: 'walk', duration: 6, cadence: 1.9, amplitude: 2.8 },
+            { type: 'stand', duration: 3 }
+        ], { name: 'stop-and-go', seed: 4 }),
+        synthesizeTrace([
+            { type: 'stand', duration: 2 },
+            { type: 'shake', duration: 4, frequency: 5, amplitude: 6 },
+            { type: 'stand', duration: 2 },
+            { type: 'walk', duration: 10, cadence: 1.8, amplitude: 2.5 },
+            { type: 'stand', duration: 2 }
+        ], { name: 'shake', seed: 5 }),
+        synthesizeTrace([
+            { type: 'stand', duration: 2 },
+            { type: 'walk', duration: 30, cadence: 1.8, amplitude: 2.0 },
+            { type: 'stand', duration: 2 }
+        ], { name: 'noisy', seed: 6, noise: 0.6 })
+    ];
+}
@@ -0,0 +1,114 @@
+// ╔════════════════════════════════════════════════════════════════╗
+// ║              區域事件重播 - Zone Event Replay                    ║
+// ╚════════════════════════════════════════════════════════════════╝
+//
+// 以錄下的位置序列重播場地檔的提醒區域 (zones)，列出會觸發的進入 / 離開 / 停留事件，
+// 在現場走一趟之前先檢查區域範圍、停留秒數與動作設定。
+//
+// 用法 (Node 20.19+ / 22.7+，不需安裝套件):
+//   node tools/zone_replay.mjs sites/example-multifloor.json trajectory.csv
+//   node tools/zone_replay.mjs --proximity 1.5 --exit-margin 0.5 site.json positions.json
+//
+// 位置序列可以是:
+// - 網頁「🧭 行走軌跡」匯出的 CSV (timestamp, floor, x, z 欄位)
+// - 行走軌跡 JSON ({ segments: [{ points }] }，例如設定檔 session.trajectory)
+// - 位置陣列 [{ t 或 timestamp (ms), x, z, floor (可省略) }]
+// 沒有 floor 的樣本視為場地的第一層。
+
+import { readFile } from "node:fs/promises";
+import { parseSiteDefinition } from "../src/site.js";
+import { replayZoneEvents, proximityZones, describeZoneEvent } from "../src/zones.js";
+
+function parseArgs(argv) {
+    const options = { proximity: 0, exitMargin: 0.5, files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--proximity') {
+            options.proximity = parseFloat(argv[++i]);
+        } else if (arg === '--exit-margin') {
+            options.exitMargin = parseFloat(argv[++i]);
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+    if (!(options.proximity >= 0) || !(options.exitMargin >= 0)) {
+        throw new Error('--proximity 與 --exit-margin 必須是不小於 0 的數字');
+    }
+    return options;
+}
+
+function parseCsvSamples(text) {
+    const [headerLine, ...lines] = text.trim().split(/\r?\n/);
+    const header = headerLine.split(',').map(s => s.trim());
+    const column = (name) => header.indexOf(name);
+    const t = column('timestamp') >= 0 ? column('timestamp') : column('t');
+    const [x, z, floor] = [column('x'), column('z'), column('floor')];
+    if (t < 0 || x < 0 || z < 0) {
+        throw new Error('CSV 需要 timestamp (或 t)、x、z 欄位');
+    }
+    return lines.filter(line => line.trim() !== '').map(line => {
+        const cells = line.split(',');
+        return {
+            t: parseFloat(cells[t]),
+            x: parseFloat(cells[x]),
+            z: parseFloat(cells[z]),
+            floor: floor >= 0 && cells[floor] !== '' ? cells[floor] : undefined
+        };
+    });
+}
+
+function parseSamples(text) {
+    if (!/^\s*[[{]/.test(text)) return parseCsvSamples(text);
+    const data = JSON.parse(text);
+    const points = Array.isArray(data)
+        ? data
+        : (data.segments ?? data.trajectory?.segments ?? []).flatMap(segment => segment.points);
+    return points.map(p => ({ t: p.t ?? p.timestamp, x: p.x, z: p.z, floor: p.floor ?? undefined }));
+}
+
+function formatTime(ms) {
+    return `${(ms / 1000).toFixed(1).padStart(7)} s`;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || options.files.length !== 2) {
+        console.log('用法: node tools/zone_replay.mjs [--proximity m] [--exit-margin m] site.json positions.(csv|json)');
+        if (!options.help) process.exitCode = 1;
+        return;
+    }
+
+    const [siteFile, samplesFile] = options.files;
+    const site = parseSiteDefinition(JSON.parse(await readFile(siteFile, 'utf8')));
+    const samples = parseSamples(await readFile(samplesFile, 'utf8'))
+        .filter(s => [s.t, s.x, s.z].every(Number.isFinite))
+        .sort((a, b) => a.t - b.t)
+        .map(s => ({ ...s, floor: s.floor ?? site.floors[0].id }));
+    if (samples.length === 0) {
+        throw new Error(`${samplesFile} 沒有有效的位置樣本`);
+    }
+
+    const zonesForFloor = (floorId) => {
+        const floor = site.floors.find(f => f.id === floorId);
+        return floor ? [...floor.zones, ...proximityZones(floor.points, options.proximity)] : [];
+    };
+    const events = replayZoneEvents(zonesForFloor, samples, { exitMargin: options.exitMargin });
+
+    const zoneCount = site.floors.reduce((sum, floor) => sum + zonesForFloor(floor.id).length, 0);
+    console.log(`區域事件重播: ${site.name} (${zoneCount} 個區域)，${samples.length} 個位置樣本，離開邊界 ${options.exitMargin} m\n`);
+    const start = samples[0].t;
+    events.forEach(event => {
+        const actions = event.zone.actions.filter(action => action.on === event.type).map(action => action.type);
+        console.log(`${formatTime(event.time - start)}  ${String(event.zone.floor ?? '').padEnd(4)} ${describeZoneEvent(event)}${actions.length > 0 ? `  → ${actions.join(', ')}` : ''}`);
+    });
+    if (events.length === 0) {
+        console.log('沒有觸發任何區域事件');
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});